@@ -0,0 +1,90 @@
+// Benchmark: the canvas spatial index against a linear scan
+// Scatters synthetic strokes over a large canvas, then times what the canvas page does on every
+// frame or pointer event: culling to the viewport, finding the stroke under the pointer, and
+// bringing the index up to date after one stroke is edited.
+//
+// Usage: npm run bench:canvas [-- strokes]
+
+import { createSpatialIndex, syncIndex, queryRect, queryPoint } from '../src/lib/canvas-index.js';
+
+const STROKES = Number(process.argv[2]) || 20000;
+const SPREAD = 20000;
+const VIEWPORT = { width: 1600, height: 1000 };
+
+// Seeded, so every run times the same canvas
+let seed = 42;
+const random = () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+const strokes = Array.from({ length: STROKES }, (_, i) => ({
+  id: `p${i}`,
+  x: (random() - 0.5) * SPREAD,
+  y: (random() - 0.5) * SPREAD,
+  width: 10 + random() * 200,
+  height: 10 + random() * 120,
+  strokeWidth: 2,
+}));
+const boxOf = (p) => ({ x: p.x - p.strokeWidth, y: p.y - p.strokeWidth, width: p.width + p.strokeWidth * 2, height: p.height + p.strokeWidth * 2 });
+
+const viewports = (scale, count) =>
+  Array.from({ length: count }, () => ({
+    x: (random() - 0.5) * SPREAD,
+    y: (random() - 0.5) * SPREAD,
+    width: VIEWPORT.width / scale,
+    height: VIEWPORT.height / scale,
+  }));
+
+const linearRect = (items, rect) =>
+  items.filter((p) => {
+    const b = boxOf(p);
+    return !(b.x + b.width < rect.x || b.x > rect.x + rect.width || b.y + b.height < rect.y || b.y > rect.y + rect.height);
+  });
+
+const time = (fn, runs) => {
+  fn(0); // warm up
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < runs; i++) fn(i);
+  return Number(process.hrtime.bigint() - start) / 1e6 / runs;
+};
+
+const row = (label, linear, indexed) =>
+  console.log(`${label.padEnd(28)} ${linear.toFixed(3).padStart(10)} ms ${indexed.toFixed(3).padStart(10)} ms ${(linear / indexed).toFixed(1).padStart(8)}x`);
+
+const index = createSpatialIndex();
+const build = time(() => {
+  const fresh = createSpatialIndex();
+  syncIndex(fresh, 'path', strokes, boxOf);
+}, 5);
+syncIndex(index, 'path', strokes, boxOf);
+
+console.log(`${STROKES} strokes over ${SPREAD} x ${SPREAD}px; full index build ${build.toFixed(1)} ms\n`);
+console.log(`${'per query'.padEnd(28)} ${'linear'.padStart(13)} ${'index'.padStart(13)} ${'speed-up'.padStart(9)}`);
+
+for (const scale of [1, 0.5, 0.25]) {
+  const views = viewports(scale, 200);
+  const linear = time((i) => linearRect(strokes, views[i % views.length]), 200);
+  const indexed = time((i) => queryRect(index, 'path', views[i % views.length]), 200);
+  row(`viewport cull at ${Math.round(scale * 100)}%`, linear, indexed);
+}
+
+const points = viewports(1, 1000).map((v) => ({ x: v.x, y: v.y }));
+row(
+  'hit-test under pointer',
+  time((i) => linearRect(strokes, { x: points[i % 1000].x - 4, y: points[i % 1000].y - 4, width: 8, height: 8 }), 1000),
+  time((i) => queryPoint(index, 'path', points[i % 1000], 4), 1000)
+);
+
+// One stroke moves: the linear approach has nothing to update, a rebuilt index would redo everything
+const edited = [...strokes];
+row(
+  'sync after moving a stroke',
+  build,
+  time((i) => {
+    const at = i % STROKES;
+    edited[at] = { ...edited[at], x: edited[at].x + 1 };
+    syncIndex(index, 'path', edited, boxOf);
+  }, 50)
+);
+console.log('\n(last row: "linear" is a full rebuild of the index)');
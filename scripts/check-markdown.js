@@ -0,0 +1,61 @@
+// Regression checks for Markdown import
+// Imported HTML goes straight into contentEditable blocks that everyone who opens the page sees, so
+// links and images must not be able to carry script in.
+//
+// Usage: npm run check:markdown
+
+import assert from 'node:assert/strict';
+import { runnerImport } from 'vite';
+
+const { module: markdown } = await runnerImport('/src/lib/markdown.js');
+const { markdownInlineToHtml, markdownToPageContent } = markdown;
+
+const checks = [
+  ['an image URL cannot close its attribute', () => {
+    const html = markdownInlineToHtml('![a](x"onerror="location=name)');
+    assert.equal(html, '<img src="x&quot;onerror=&quot;location=name" alt="a">');
+  }],
+  ['alt text cannot close its attribute', () => {
+    const html = markdownInlineToHtml('![a" onerror="alert(1)](pic.png)');
+    assert.equal(html, '<img src="pic.png" alt="a&quot; onerror=&quot;alert(1)">');
+  }],
+  ['javascript: links come in as plain text', () => {
+    assert.equal(markdownInlineToHtml('[a](javascript:alert(1))'), 'a');
+    assert.equal(markdownInlineToHtml('see [a](JavaScript:alert(1)) here'), 'see a here');
+  }],
+  ['javascript: images come in as their alt text', () => {
+    assert.equal(markdownInlineToHtml('![a](javascript:alert(1))'), 'a');
+  }],
+  ['a lone javascript: link is not a link block', () => {
+    const [block] = markdownToPageContent('[a](javascript:alert(1))').children;
+    assert.equal(block.type, 'text');
+    assert.equal(block.content, 'a');
+  }],
+  ['web, mail and relative links still work', () => {
+    assert.equal(markdownInlineToHtml('[a](https://example.com/?q=1&r=2)'), '<a href="https://example.com/?q=1&amp;r=2">a</a>');
+    assert.equal(markdownInlineToHtml('[a](mailto:me@example.com)'), '<a href="mailto:me@example.com">a</a>');
+    assert.equal(markdownInlineToHtml('[a](notes/b.md "Title")'), '<a href="notes/b.md">a</a>');
+    assert.equal(markdownInlineToHtml('[a](#top)'), '<a href="#top">a</a>');
+  }],
+  ['a bare % in a link URL does not stop the import', () => {
+    assert.equal(markdownInlineToHtml('See [deal](https://x.com/?q=50%)'), 'See <a href="https://x.com/?q=50%">deal</a>');
+    assert.equal(markdownInlineToHtml('[a](100%)'), '<a href="100%">a</a>');
+    const [block] = markdownToPageContent('See [deal](https://x.com/?q=50%)').children;
+    assert.equal(block.type, 'text');
+  }],
+  ['page mentions still come in as mentions', () => {
+    assert.match(markdownInlineToHtml('[Notes](#page-abc%20123)'), /data-page-id="abc 123"/);
+  }],
+];
+
+let failed = 0;
+for (const [name, check] of checks) {
+  try {
+    check();
+    console.log(`ok   ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`FAIL ${name}\n     ${err.message.split('\n').join('\n     ')}`);
+  }
+}
+process.exit(failed ? 1 : 0);
@@ -1,4 +1,4 @@
-import { Sidebar, NavigationRail, ModalsContainer, PageRenderer } from './components/layout';
+import { Sidebar, NavigationRail, ModalsContainer, PageRenderer, SearchPalette, VersionHistoryPanel, TrashPanel, TemplateGallery, SaveTemplateDialog } from './components/layout';
 import { useDataLoader } from './hooks/useDataLoader';
 import { usePageContent } from './hooks/usePageContent';
 import { useUIRegistry } from './hooks/useUIRegistry';
@@ -21,6 +21,11 @@ function App() {
         </NavigationRail>
       </div>
       <ModalsContainer />
+      <SearchPalette />
+      <VersionHistoryPanel />
+      <TrashPanel />
+      <TemplateGallery />
+      <SaveTemplateDialog />
     </div>
   );
 }
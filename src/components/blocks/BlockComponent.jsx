@@ -28,6 +28,8 @@ const BlockComponent = memo(({
   onFocus, 
   isLastBlock, 
   onMapConfig,
+  onChangeType,
+  pageLinks,
   // Google API props - will be provided in Section G
   isAuthenticated = false,
   GoogleAPI = null
@@ -96,6 +98,17 @@ const BlockComponent = memo(({
     }
   };
 
+  // Markdown input rules go through changeBlockType, like the block menu's type picker
+  const handleMarkdownShortcut = ({ type, checked, html }) => {
+    const content = type === 'todo' ? `<li data-checked="${checked}">${html}</li>` : html;
+    onChangeType(block.id, type, { content });
+    if (type === 'divider') {
+      setTimeout(() => {
+        onInsertAfter(block.id, 'text');
+      }, 0);
+    }
+  };
+
   const handleMediaKeyDown = (e) => {
     if (e.key === 'Enter') {
       if (e.ctrlKey || e.metaKey) {
@@ -119,6 +132,8 @@ const BlockComponent = memo(({
       onConvert: handleConvert,
       onDelete: () => onDelete(block.id),
       isLastBlock,
+      pageLinks,
+      onMarkdownShortcut: onChangeType ? handleMarkdownShortcut : undefined,
       placeholder: "Type '/' for commands"
     };
 
@@ -127,6 +142,7 @@ const BlockComponent = memo(({
       case 'h2': return <ContentBlock tagName="h2" className="text-2xl font-bold mb-3" {...props} placeholder="Heading 2" />;
       case 'h3': return <ContentBlock tagName="h3" className="text-xl font-bold mb-2" {...props} placeholder="Heading 3" />;
       case 'h4': return <ContentBlock tagName="h4" className="text-lg font-semibold mb-2 text-gray-600 dark:text-gray-400" {...props} placeholder="Heading 4" />;
+      case 'quote': return <ContentBlock tagName="blockquote" className="border-l-4 border-gray-300 dark:border-gray-600 pl-4 italic text-gray-600 dark:text-gray-300 min-h-[1.5em]" {...props} placeholder="Quote" />;
       case 'ul': return <ListBlock listType="ul" {...props} onExitList={() => onInsertAfter(block.id, 'text')} onInsertBelow={() => onInsertAfter(block.id, 'text')} />;
       case 'ol': return <ListBlock listType="ol" {...props} onExitList={() => onInsertAfter(block.id, 'text')} onInsertBelow={() => onInsertAfter(block.id, 'text')} />;
       case 'todo': return <ListBlock listType="todo" {...props} onExitList={() => onInsertAfter(block.id, 'text')} onInsertBelow={() => onInsertAfter(block.id, 'text')} />;
@@ -137,6 +153,7 @@ const BlockComponent = memo(({
   return (
     <>
       <div 
+        data-block-id={block.id}
         draggable
         onDragStart={(e) => onDragStart(e, block, rowId, colId)}
         onDragOver={(e) => onDragOver(e, block.id, [rowId, colId])}
@@ -150,7 +167,7 @@ const BlockComponent = memo(({
           <GripVertical size={16} />
         </div>
         <div className="flex-1 min-w-0">
-          {['text', 'h1', 'h2', 'h3', 'h4', 'ul', 'ol', 'todo'].includes(block.type) && renderTextContent()}
+          {['text', 'h1', 'h2', 'h3', 'h4', 'quote', 'ul', 'ol', 'todo'].includes(block.type) && renderTextContent()}
 
           {block.type === 'image' && (
             <div className="space-y-2">
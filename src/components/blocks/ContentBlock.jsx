@@ -3,6 +3,9 @@
 
 import { memo, useRef, useState, useEffect, useLayoutEffect } from 'react';
 import { SLASH_COMMANDS } from '../../lib/constants';
+import { refreshMentionLabels } from '../../lib/page-links';
+import { takeBlockRule, applyInlineRule, stripCaretGuards } from '../../lib/input-rules';
+import MentionMenu, { useMentionMenu } from './MentionMenu';
 
 const ContentBlock = memo(({ 
   html, 
@@ -18,7 +21,9 @@ const ContentBlock = memo(({
   onFocus, 
   onConvert, 
   onDelete, 
-  isLastBlock 
+  isLastBlock,
+  pageLinks,
+  onMarkdownShortcut
 }) => {
   const contentEditableRef = useRef(null);
   const isLocked = useRef(false);
@@ -39,6 +44,10 @@ const ContentBlock = memo(({
 
   const safeHtml = processHtml(html, tagName);
 
+  const mention = useMentionMenu(pageLinks, () => {
+    if (contentEditableRef.current) onChange(contentEditableRef.current.innerHTML);
+  });
+
   const filteredCommands = slashMenu.open ? SLASH_COMMANDS.filter(cmd =>
     cmd.aliases.some(alias => alias.startsWith(slashMenu.filter.toLowerCase())) ||
     cmd.label.toLowerCase().includes(slashMenu.filter.toLowerCase())
@@ -49,12 +58,14 @@ const ContentBlock = memo(({
     const el = contentEditableRef.current;
     if (!isLocked.current && el.innerHTML !== safeHtml) {
       el.innerHTML = safeHtml;
+      refreshMentionLabels(el, pageLinks?.resolve);
     }
   }, [safeHtml]);
 
   useEffect(() => {
     if (!contentEditableRef.current) return;
     contentEditableRef.current.innerHTML = processHtml(html, tagName);
+    refreshMentionLabels(contentEditableRef.current, pageLinks?.resolve);
   }, [blockId, tagName]);
 
   useLayoutEffect(() => {
@@ -97,8 +108,18 @@ const ContentBlock = memo(({
 
   const handleInput = (e) => {
     isLocked.current = true;
-    const text = e.currentTarget.innerText;
-    onChange(e.currentTarget.innerHTML);
+    const el = e.currentTarget;
+    // Block rules ("# ", "- ", "> " ...) only apply to plain text blocks
+    if (onMarkdownShortcut && tagName === 'div' && !e.nativeEvent.isComposing) {
+      const rule = takeBlockRule(el);
+      if (rule) {
+        onMarkdownShortcut(rule);
+        return;
+      }
+    }
+    if (!e.nativeEvent.isComposing) applyInlineRule(el);
+    const text = el.innerText;
+    onChange(stripCaretGuards(el.innerHTML));
     
     // Check for slash command trigger
     if (text.startsWith('/')) {
@@ -107,6 +128,7 @@ const ContentBlock = memo(({
       setSlashMenu({ open: true, filter, selectedIndex: 0, position });
     } else {
       if (slashMenu.open) setSlashMenu({ open: false, filter: '', selectedIndex: 0, position: { top: 0, left: 0 } });
+      mention.update(e.currentTarget);
     }
   };
   
@@ -114,11 +136,14 @@ const ContentBlock = memo(({
     isLocked.current = false;
     // Delay closing to allow click on menu items
     setTimeout(() => setSlashMenu(prev => ({ ...prev, open: false })), 150);
+    mention.handleBlur();
   };
   
   const handleFocus = () => { if (onFocus) onFocus(); };
 
   const handleKeyDown = (e) => {
+    if (mention.handleKeyDown(e)) return;
+
     // Handle slash menu navigation
     if (slashMenu.open && filteredCommands.length > 0) {
       if (e.key === 'ArrowDown') {
@@ -251,6 +276,13 @@ const ContentBlock = memo(({
         onKeyDown={handleKeyDown}
         onBlur={handleBlur}
         onFocus={handleFocus}
+        onClick={mention.handleClick}
+      />
+      <MentionMenu
+        menu={mention.menu}
+        candidates={mention.candidates}
+        onSelect={mention.select}
+        onHover={(index) => mention.setMenu(prev => ({ ...prev, selectedIndex: index }))}
       />
       {slashMenu.open && filteredCommands.length > 0 && (
         <div 
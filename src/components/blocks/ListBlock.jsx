@@ -3,6 +3,8 @@
 
 import { memo, useRef, useEffect, useLayoutEffect } from 'react';
 import { normalizeListContent } from '../../lib/utils';
+import { refreshMentionLabels } from '../../lib/page-links';
+import MentionMenu, { useMentionMenu } from './MentionMenu';
 
 const ListBlock = memo(({ 
   listType, 
@@ -15,27 +17,41 @@ const ListBlock = memo(({
   onFocus, 
   onConvert, 
   onDelete, 
-  isLastBlock 
+  isLastBlock,
+  pageLinks
 }) => {
   const listRef = useRef(null);
   const todoContainerRef = useRef(null);
   const todoFirstContentRef = useRef(null);
   const todoLastSerializedRef = useRef(null);
   const isLocked = useRef(false);
+  const todoCommitRef = useRef(null);
 
   const safeHtml = normalizeListContent(html, listType);
 
+  // Todo rows serialize through handleTodoInput; ul/ol save the list element directly
+  const mention = useMentionMenu(pageLinks, () => {
+    if (listType === 'todo') {
+      if (todoCommitRef.current) todoCommitRef.current();
+    } else if (listRef.current) {
+      isLocked.current = true;
+      onChange(listRef.current.innerHTML);
+    }
+  });
+
   useEffect(() => {
     if (!listRef.current) return;
     const el = listRef.current;
     if (!isLocked.current && el.innerHTML !== safeHtml) {
       el.innerHTML = safeHtml;
+      refreshMentionLabels(el, pageLinks?.resolve);
     }
   }, [safeHtml]);
 
   useEffect(() => {
     if (!listRef.current) return;
     listRef.current.innerHTML = normalizeListContent(html, listType);
+    refreshMentionLabels(listRef.current, pageLinks?.resolve);
   }, [blockId]);
 
   useLayoutEffect(() => {
@@ -75,10 +91,16 @@ const ListBlock = memo(({
 
   const handleInput = () => {
     isLocked.current = true;
-    if (listRef.current) onChange(listRef.current.innerHTML);
+    if (listRef.current) {
+      onChange(listRef.current.innerHTML);
+      mention.update(listRef.current);
+    }
   };
 
-  const handleBlur = () => { isLocked.current = false; };
+  const handleBlur = () => {
+    isLocked.current = false;
+    mention.handleBlur();
+  };
 
   const handlePaste = (e) => {
     e.preventDefault();
@@ -120,6 +142,7 @@ const ListBlock = memo(({
   };
 
   const handleKeyDown = (e) => {
+    if (mention.handleKeyDown(e)) return;
     if (e.key === 'Enter' && !e.shiftKey) {
       const el = listRef.current;
       if (!el) return;
@@ -314,10 +337,13 @@ const ListBlock = memo(({
         todoLastSerializedRef.current = serialized;
         isLocked.current = true;
         onChange(serialized);
+        mention.update(todoContainerRef.current);
       }
     };
+    todoCommitRef.current = handleTodoInput;
 
     const handleTodoKeyDown = (e) => {
+      if (mention.handleKeyDown(e)) return;
       if (e.key === 'Enter' && !e.shiftKey) {
         const container = todoContainerRef.current;
         if (!container) return;
@@ -411,52 +437,70 @@ const ListBlock = memo(({
           if (cb) cb.checked = !!item.checked;
         }
       });
+      refreshMentionLabels(todoContainerRef.current, pageLinks?.resolve);
     }, [listType, safeHtml]);
 
     const itemsToRender = parseTodoItems(safeHtml);
     if (itemsToRender.length === 0) itemsToRender.push({ checked: false, html: '' });
 
     return (
-      <div ref={todoContainerRef} className="list-block-todo space-y-1 ml-0 text-gray-800 dark:text-gray-100" onKeyDown={handleTodoKeyDown}>
-        {itemsToRender.map((item, idx) => (
-          <div key={blockId + '-' + idx} className="todo-row flex items-center gap-2">
-            <input
-              type="checkbox"
-              className="flex-shrink-0 w-5 h-5 rounded border-2 border-gray-400 dark:border-gray-500 cursor-pointer"
-              tabIndex={-1}
-              checked={item.checked}
-              onChange={() => handleTodoCheck(idx)}
-            />
-            <div
-              ref={idx === 0 ? todoFirstContentRef : undefined}
-              className="todo-row-content flex-1 min-w-0 outline-none min-h-[1.5em] empty:before:content-[attr(data-placeholder)] empty:before:text-gray-400 dark:empty:before:text-gray-500 text-gray-800 dark:text-gray-100"
-              contentEditable
-              suppressContentEditableWarning
-              data-placeholder="List item..."
-              onInput={handleTodoInput}
-              onBlur={handleBlur}
-              onFocus={() => onFocus && onFocus()}
-            />
-          </div>
-        ))}
-      </div>
+      <>
+        <div ref={todoContainerRef} className="list-block-todo space-y-1 ml-0 text-gray-800 dark:text-gray-100" onKeyDown={handleTodoKeyDown} onClick={mention.handleClick}>
+          {itemsToRender.map((item, idx) => (
+            <div key={blockId + '-' + idx} className="todo-row flex items-center gap-2">
+              <input
+                type="checkbox"
+                className="flex-shrink-0 w-5 h-5 rounded border-2 border-gray-400 dark:border-gray-500 cursor-pointer"
+                tabIndex={-1}
+                checked={item.checked}
+                onChange={() => handleTodoCheck(idx)}
+              />
+              <div
+                ref={idx === 0 ? todoFirstContentRef : undefined}
+                className="todo-row-content flex-1 min-w-0 outline-none min-h-[1.5em] empty:before:content-[attr(data-placeholder)] empty:before:text-gray-400 dark:empty:before:text-gray-500 text-gray-800 dark:text-gray-100"
+                contentEditable
+                suppressContentEditableWarning
+                data-placeholder="List item..."
+                onInput={handleTodoInput}
+                onBlur={handleBlur}
+                onFocus={() => onFocus && onFocus()}
+              />
+            </div>
+          ))}
+        </div>
+        <MentionMenu
+          menu={mention.menu}
+          candidates={mention.candidates}
+          onSelect={mention.select}
+          onHover={(index) => mention.setMenu(prev => ({ ...prev, selectedIndex: index }))}
+        />
+      </>
     );
   }
 
   // Regular ul/ol list rendering
   const ListTag = listType === 'ul' ? 'ul' : 'ol';
   return (
-    <ListTag
-      ref={listRef}
-      className={listClassName}
-      contentEditable
-      suppressContentEditableWarning
-      onInput={handleInput}
-      onKeyDown={handleKeyDown}
-      onPaste={handlePaste}
-      onBlur={handleBlur}
-      onFocus={() => onFocus && onFocus()}
-    />
+    <>
+      <ListTag
+        ref={listRef}
+        className={listClassName}
+        contentEditable
+        suppressContentEditableWarning
+        onInput={handleInput}
+        onKeyDown={handleKeyDown}
+        onPaste={handlePaste}
+        onBlur={handleBlur}
+        onClick={mention.handleClick}
+        onFocus={() => onFocus && onFocus()}
+      />
+      <MentionMenu
+        menu={mention.menu}
+        candidates={mention.candidates}
+        onSelect={mention.select}
+        onHover={(index) => mention.setMenu(prev => ({ ...prev, selectedIndex: index }))}
+      />
+    </>
   );
 });
 
@@ -0,0 +1,122 @@
+// MentionMenu - Page picker for [[Page]] / @page mentions in text and list blocks
+
+import { useRef, useState } from 'react';
+import { getMentionQueryAtCaret, insertMentionAtTrigger } from '../../lib/page-links';
+
+const CLOSED_MENU = { open: false, query: '', selectedIndex: 0, position: { top: 0, left: 0 } };
+
+/**
+ * Mention menu state for a contentEditable block.
+ * @param {Object} pageLinks - { search(query), resolve(id), open(id) } from PageRenderer
+ * @param {Function} onCommit - Called after a mention is inserted so the block can save its HTML
+ */
+export function useMentionMenu(pageLinks, onCommit) {
+  const [menu, setMenu] = useState(CLOSED_MENU);
+  const triggerRef = useRef(null);
+
+  const candidates = menu.open && pageLinks ? pageLinks.search(menu.query) : [];
+
+  const close = () => {
+    triggerRef.current = null;
+    setMenu(CLOSED_MENU);
+  };
+
+  const select = (page) => {
+    if (!page || !triggerRef.current) return;
+    insertMentionAtTrigger(triggerRef.current, page);
+    close();
+    onCommit();
+  };
+
+  // Call after every input event with the editable root
+  const update = (root) => {
+    if (!pageLinks) return;
+    const trigger = getMentionQueryAtCaret(root);
+    if (!trigger) {
+      if (menu.open) close();
+      return;
+    }
+    triggerRef.current = trigger;
+    if (trigger.closed) {
+      const wanted = trigger.query.toLowerCase();
+      const exact = pageLinks.search(trigger.query).find(p => (p.name || '').toLowerCase() === wanted);
+      if (exact) select(exact);
+      else close();
+      return;
+    }
+    const sel = window.getSelection();
+    const rect = sel.rangeCount > 0 ? sel.getRangeAt(0).getClientRects()[0] : null;
+    const box = rect || root.getBoundingClientRect();
+    setMenu({ open: true, query: trigger.query, selectedIndex: 0, position: { top: box.bottom + 5, left: box.left } });
+  };
+
+  // Returns true when the key was consumed by the menu
+  const handleKeyDown = (e) => {
+    if (!menu.open || candidates.length === 0) return false;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setMenu(prev => ({ ...prev, selectedIndex: (prev.selectedIndex + 1) % candidates.length }));
+      return true;
+    }
+    if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setMenu(prev => ({ ...prev, selectedIndex: prev.selectedIndex === 0 ? candidates.length - 1 : prev.selectedIndex - 1 }));
+      return true;
+    }
+    if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      e.stopPropagation();
+      select(candidates[Math.min(menu.selectedIndex, candidates.length - 1)]);
+      return true;
+    }
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      close();
+      return true;
+    }
+    return false;
+  };
+
+  // Mentions are contenteditable="false" anchors; follow them instead of placing the caret
+  const handleClick = (e) => {
+    const anchor = e.target.closest?.('a.page-mention');
+    if (!anchor || !pageLinks) return false;
+    e.preventDefault();
+    pageLinks.open(anchor.getAttribute('data-page-id'));
+    return true;
+  };
+
+  const handleBlur = () => {
+    setTimeout(() => setMenu(prev => (prev.open ? CLOSED_MENU : prev)), 150);
+  };
+
+  return { menu, candidates, select, update, handleKeyDown, handleClick, handleBlur, setMenu };
+}
+
+const MentionMenu = ({ menu, candidates, onSelect, onHover }) => {
+  if (!menu.open || candidates.length === 0) return null;
+  return (
+    <div
+      className="fixed z-[10000] bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-600 rounded-lg shadow-xl py-1 min-w-[240px] max-h-[300px] overflow-y-auto animate-fade-in"
+      style={{ top: menu.position.top, left: menu.position.left }}
+    >
+      <div className="px-3 py-1 text-[10px] font-semibold text-gray-400 uppercase">Link to page</div>
+      {candidates.map((page, index) => (
+        <div
+          key={page.id}
+          className={`px-3 py-1.5 cursor-pointer flex items-center gap-2 ${index === menu.selectedIndex ? 'bg-blue-50 dark:bg-blue-900/30' : 'hover:bg-gray-50 dark:hover:bg-gray-700'}`}
+          onMouseDown={(e) => { e.preventDefault(); onSelect(page); }}
+          onMouseEnter={() => onHover(index)}
+        >
+          <span>{page.icon || '📄'}</span>
+          <div className="flex-1 min-w-0">
+            <div className="text-sm truncate dark:text-white">{page.name || 'Untitled'}</div>
+            <div className="text-xs text-gray-400 truncate">{page.notebookName} / {page.tabName}</div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default MentionMenu;
@@ -0,0 +1,78 @@
+// DailyNotesCalendar - month picker for jumping to (or creating) daily notes
+
+import { useMemo, useState } from 'react';
+import { ChevronLeft, ChevronRight, X } from '../../components/icons';
+import { dailyNoteIndex, dailyNoteKey, monthGrid, resolveDailyNotesTab } from '../../lib/daily-notes';
+
+const WEEKDAY_INITIALS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+export function DailyNotesCalendar({ data, settings, activeNotebookId, activeTabId, condensed, onOpenDay, onClose }) {
+  const [month, setMonth] = useState(() => {
+    const now = new Date();
+    return { year: now.getFullYear(), month: now.getMonth() };
+  });
+
+  const target = resolveDailyNotesTab(data, settings, { notebookId: activeNotebookId, tabId: activeTabId });
+  const notes = useMemo(() => dailyNoteIndex(target?.tab, settings.dailyNotesFormat), [target?.tab, settings.dailyNotesFormat]);
+  const todayKey = dailyNoteKey(new Date());
+  const title = new Date(month.year, month.month, 1).toLocaleString('en-US', { month: 'long', year: 'numeric' });
+
+  const shiftMonth = (delta) =>
+    setMonth(({ year, month: m }) => {
+      const next = new Date(year, m + delta, 1);
+      return { year: next.getFullYear(), month: next.getMonth() };
+    });
+
+  return (
+    <div
+      className={`absolute z-40 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 shadow-lg p-2 w-56 ${
+        condensed ? 'top-0 left-full ml-1' : 'left-2 top-full mt-1'
+      }`}
+      role="dialog"
+      aria-label="Daily notes calendar"
+    >
+      <div className="flex items-center gap-1 mb-1">
+        <button onClick={() => shiftMonth(-1)} className="p-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-500" title="Previous month">
+          <ChevronLeft size={14} />
+        </button>
+        <div className="flex-1 text-center text-xs font-semibold text-gray-700 dark:text-gray-200">{title}</div>
+        <button onClick={() => shiftMonth(1)} className="p-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-500" title="Next month">
+          <ChevronRight size={14} />
+        </button>
+        <button onClick={onClose} className="p-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-500" title="Close">
+          <X size={12} />
+        </button>
+      </div>
+      <div className="grid grid-cols-7 text-[10px] text-gray-400 text-center mb-0.5">
+        {WEEKDAY_INITIALS.map((d, i) => (
+          <div key={i}>{d}</div>
+        ))}
+      </div>
+      {monthGrid(month.year, month.month).map((week, i) => (
+        <div key={i} className="grid grid-cols-7">
+          {week.map((day, j) => {
+            if (!day) return <div key={j} />;
+            const key = dailyNoteKey(day);
+            const hasNote = notes.has(key);
+            return (
+              <button
+                key={j}
+                onClick={() => onOpenDay(day)}
+                className={`relative h-7 text-xs rounded hover:bg-gray-100 dark:hover:bg-gray-700 ${
+                  key === todayKey ? 'font-bold text-blue-600 dark:text-blue-400' : 'text-gray-700 dark:text-gray-300'
+                }`}
+                title={hasNote ? 'Open daily note' : 'Create daily note'}
+              >
+                {day.getDate()}
+                {hasNote && <span className="absolute bottom-0.5 left-1/2 -translate-x-1/2 w-1 h-1 rounded-full bg-blue-500" />}
+              </button>
+            );
+          })}
+        </div>
+      ))}
+      <div className="mt-1 pt-1 border-t border-gray-100 dark:border-gray-700 text-[10px] text-gray-400 truncate">
+        {target ? `In ${target.notebook.name} › ${target.tab.name}` : 'No daily notes tab'}
+      </div>
+    </div>
+  );
+}
@@ -10,6 +10,8 @@ import { findBlockInRows, updatePageInData, COLOR_BG_CLASSES } from '../../lib/u
 import { collectDriveOnlyIds, mergeDriveWithLocal } from '../../lib/sync-merge';
 import { clearGuestBaseline, pendingPageIds, persistNotebookData, tombstoneIdSet } from '../../lib/sync-outbox';
 import * as GoogleAPI from '../../lib/google-api';
+import { DAILY_NOTE_FORMATS, DEFAULT_DAILY_NOTE_FORMAT, formatDailyNoteName } from '../../lib/daily-notes';
+import { BUILTIN_TEMPLATES } from '../../lib/templates';
 import * as emoji from 'node-emoji';
 import {
   X,
@@ -22,6 +24,7 @@ import {
   Edit3,
   AlertCircle,
   FolderOpen,
+  Download,
 } from '../../components/icons';
 import { MapConfigPopup } from '../pages';
 import { useStrata } from '../../contexts/StrataContext';
@@ -120,6 +123,7 @@ export function ModalsContainer() {
     confirmDelete,
     addEmbedPageFromUrl,
     addGooglePage,
+    exportTabsMarkdown,
   } = useAppActions();
 
   return (
@@ -141,6 +145,12 @@ export function ModalsContainer() {
             ))}
           </div>
           <div className="border-t border-gray-100 dark:border-gray-700 my-2"></div>
+          <button
+            onClick={() => { exportTabsMarkdown('tab', activeTabMenu.id); setActiveTabMenu(null); }}
+            className="w-full text-left text-xs text-gray-700 dark:text-gray-300 p-1.5 hover:bg-gray-100 dark:hover:bg-gray-700 rounded flex items-center gap-2 mb-1"
+          >
+            <Download size={12} /> Export as Markdown
+          </button>
           <button
             onClick={() => { setItemToDelete({ type: 'tab', id: activeTabMenu.id }); setActiveTabMenu(null); }}
             className="w-full text-left text-xs text-red-600 p-1.5 hover:bg-red-50 dark:hover:bg-red-900/30 rounded flex items-center gap-2"
@@ -332,7 +342,7 @@ export function ModalsContainer() {
               <AlertCircle className="text-red-500" /> Confirm Deletion
             </h3>
             <p className="text-gray-600 dark:text-gray-300 mb-6 leading-relaxed">
-              Are you sure you want to delete this {itemToDelete.type}? All contents will be lost forever.
+              Move this {itemToDelete.type} and all its contents to the Trash? You can restore it from the Trash later.
             </p>
             <div className="flex justify-end gap-3">
               <button
@@ -560,6 +570,47 @@ export function ModalsContainer() {
               <p className="text-xs text-gray-400 mt-1">Improves performance by unmounting older embed pages (Google Drive, Miro, etc.).</p>
             </div>
 
+            <div className="mb-6">
+              <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Daily Notes</label>
+              <select
+                value={settings.dailyNotesTabId ? `${settings.dailyNotesNotebookId}/${settings.dailyNotesTabId}` : ''}
+                onChange={(e) => {
+                  const [notebookId, tabId] = e.target.value ? e.target.value.split('/') : [null, null];
+                  setSettings(s => ({ ...s, dailyNotesNotebookId: notebookId, dailyNotesTabId: tabId }));
+                }}
+                className="w-full mb-2 text-sm border border-gray-300 dark:border-gray-600 rounded px-2 py-1.5 bg-white dark:bg-gray-700 text-gray-800 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">Current tab</option>
+                {data.notebooks.flatMap(nb => nb.tabs.map(tab => (
+                  <option key={tab.id} value={`${nb.id}/${tab.id}`}>{nb.name} › {tab.name}</option>
+                )))}
+              </select>
+              <div className="flex items-center gap-2 mb-2">
+                <input
+                  list="daily-note-formats"
+                  value={settings.dailyNotesFormat ?? DEFAULT_DAILY_NOTE_FORMAT}
+                  onChange={(e) => setSettings(s => ({ ...s, dailyNotesFormat: e.target.value }))}
+                  className="flex-1 min-w-0 text-sm border border-gray-300 dark:border-gray-600 rounded px-2 py-1.5 bg-white dark:bg-gray-700 text-gray-800 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  title="Page name format: YYYY, MMMM, MMM, MM, M, DD, D, dddd, ddd"
+                />
+                <datalist id="daily-note-formats">
+                  {DAILY_NOTE_FORMATS.map(f => <option key={f} value={f} />)}
+                </datalist>
+                <span className="text-xs text-gray-500 dark:text-gray-400 truncate max-w-[45%]">{formatDailyNoteName(new Date(), settings.dailyNotesFormat)}</span>
+              </div>
+              <select
+                value={settings.dailyNotesTemplateId || ''}
+                onChange={(e) => setSettings(s => ({ ...s, dailyNotesTemplateId: e.target.value || null }))}
+                className="w-full text-sm border border-gray-300 dark:border-gray-600 rounded px-2 py-1.5 bg-white dark:bg-gray-700 text-gray-800 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">Blank page</option>
+                {[...(data.templates || []), ...BUILTIN_TEMPLATES].map(t => (
+                  <option key={t.id} value={t.id}>{t.icon} {t.name}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-400 mt-1">Today (Ctrl+Alt+D) opens or creates the page for the day in this tab.</p>
+            </div>
+
             <div className="border-t dark:border-gray-700 pt-4">
               <button
                 onClick={() => setShowSettings(false)}
@@ -1,6 +1,7 @@
+import { useRef } from 'react';
 import { DRIVE_LOGO_URL } from '../../lib/constants';
 import { getTabColorClasses, getPickerPosition, getActiveContext } from '../../lib/utils';
-import { Plus, Star, X, MoreVertical } from '../../components/icons';
+import { Plus, Star, X, MoreVertical, Download, LayoutTemplate } from '../../components/icons';
 import { useStrata } from '../../contexts/StrataContext';
 import { useAppActions } from '../../hooks/useAppActions';
 
@@ -14,6 +15,8 @@ export function NavigationRail({ children }) {
     showPageTypeMenu,
     setShowPageTypeMenu,
     setShowDriveUrlModal,
+    setShowTemplateGallery,
+    setSaveTemplatePageId,
     setEditingTabId,
     setEditingPageId,
     setActiveTabMenu,
@@ -41,8 +44,12 @@ export function NavigationRail({ children }) {
     syncRenameToDrive,
     toggleStar,
     executeDelete,
+    exportPageMarkdown,
+    importMarkdownFiles,
   } = useAppActions();
 
+  const markdownInputRef = useRef(null);
+
   const { notebook: activeNotebook, tab: activeTab } = getActiveContext(data, activeNotebookId, activeTabId, activePageId);
 
   return (
@@ -178,6 +185,24 @@ export function NavigationRail({ children }) {
                     >
                       <span className="text-lg">&lt;/&gt;</span> Code Page
                     </button>
+                    <button
+                      onClick={() => {
+                        markdownInputRef.current?.click();
+                        setShowPageTypeMenu(false);
+                      }}
+                      className="w-full text-left px-3 py-2 hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center gap-3 text-sm"
+                    >
+                      <span className="text-lg">⬇️</span> Import Markdown
+                    </button>
+                    <button
+                      onClick={() => {
+                        setShowTemplateGallery(true);
+                        setShowPageTypeMenu(false);
+                      }}
+                      className="w-full text-left px-3 py-2 hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center gap-3 text-sm"
+                    >
+                      <span className="text-lg">🧩</span> From Template…
+                    </button>
                     <div className="border-t border-gray-100 dark:border-gray-700 my-1"></div>
                     <button
                       onClick={() => {
@@ -190,6 +215,17 @@ export function NavigationRail({ children }) {
                     </button>
                   </div>
                 )}
+                <input
+                  ref={markdownInputRef}
+                  type="file"
+                  accept=".md,.markdown,text/markdown"
+                  multiple
+                  className="hidden"
+                  onChange={(e) => {
+                    importMarkdownFiles(e.target.files);
+                    e.target.value = '';
+                  }}
+                />
               </div>
             </div>
             <div className="flex-1 min-h-0 overflow-y-auto">
@@ -254,6 +290,28 @@ export function NavigationRail({ children }) {
                     ))}
                   {!settings.condensedView && (
                     <div className="flex items-center gap-1 flex-shrink-0">
+                      {(!page.type || page.type === 'block') && !page.embedUrl && (
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            exportPageMarkdown(page);
+                          }}
+                          className="opacity-0 group-hover:opacity-100 text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 transition-all"
+                          title="Export as Markdown"
+                        >
+                          <Download size={14} />
+                        </button>
+                      )}
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setSaveTemplatePageId(page.id);
+                        }}
+                        className="opacity-0 group-hover:opacity-100 text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 transition-all"
+                        title="Save as template"
+                      >
+                        <LayoutTemplate size={14} />
+                      </button>
                       <button
                         onClick={(e) => {
                           e.stopPropagation();
@@ -1,4 +1,4 @@
-import { useEffect } from 'react';
+import { useCallback, useEffect, useMemo, useRef } from 'react';
 import { getPickerPosition, getActiveContext } from '../../lib/utils';
 
 const formatTimestamp = (ts) => {
@@ -10,7 +10,8 @@ const formatTimestamp = (ts) => {
   };
 };
 import { countBlocksInTree } from '../../lib/tree-operations';
-import { Book, Plus, Trash2 } from '../../components/icons';
+import { findPageLocation, collectBacklinks } from '../../lib/page-links';
+import { Book, History, Plus, Trash2 } from '../../components/icons';
 import { BlockComponent } from '../blocks';
 import { CanvasPageComponent, TablePage, MermaidPageComponent } from '../pages';
 import { EmbedPage } from '../embeds';
@@ -27,6 +28,7 @@ export function PageRenderer() {
     activePageId,
     setData,
     triggerContentSync,
+    syncSheetNow,
     saveToHistory,
     showNotification,
     setShowCoverInput,
@@ -36,12 +38,15 @@ export function PageRenderer() {
     setPageIconPicker,
     pageIconPicker,
     isAuthenticated,
+    userName,
     viewedEmbedPages,
     setViewedEmbedPages,
     titleInputRef,
     autoFocusId,
     setMapConfigBlockId,
     setMapConfigPosition,
+    searchTarget,
+    setVersionHistoryPage,
   } = useStrata();
 
   const {
@@ -61,6 +66,7 @@ export function PageRenderer() {
     handleBlockDragOver,
     dropTarget,
     selectedBlockId,
+    changeBlockType,
   } = useBlockEditor();
 
   const {
@@ -70,10 +76,60 @@ export function PageRenderer() {
     handleCanvasUpdate,
     handleTableUpdate,
     handleMermaidUpdate,
+    navigateToPage,
   } = useAppActions();
 
   const { page: activePage } = getActiveContext(data, activeNotebookId, activeTabId, activePageId);
 
+  // Blocks are memoized, so mention lookups read the latest data through refs
+  // instead of handing every block a new object on each edit
+  const linkStateRef = useRef({});
+  linkStateRef.current = { data, activePageId, navigateToPage, showNotification };
+
+  // Google Sheets calls for linking a database page to a Sheet tab; none while signed out
+  const sheetActions = useMemo(() => (isAuthenticated ? {
+    createSpreadsheet: GoogleAPI.createSpreadsheet,
+    listSheetTabs: GoogleAPI.listSheetTabs,
+    pickSpreadsheet: (callback) => GoogleAPI.showDrivePicker(callback, 'application/vnd.google-apps.spreadsheet'),
+    syncNow: syncSheetNow,
+  } : null), [isAuthenticated, syncSheetNow]);
+
+  const pageLinks = useMemo(() => ({
+    search: (query) => {
+      const { data: current, activePageId: currentPageId } = linkStateRef.current;
+      const needle = (query || '').trim().toLowerCase();
+      const matches = [];
+      for (const nb of current?.notebooks || []) {
+        for (const tab of nb.tabs || []) {
+          for (const pg of tab.pages || []) {
+            if (pg.id === currentPageId) continue;
+            if (needle && !(pg.name || '').toLowerCase().includes(needle)) continue;
+            matches.push({ ...pg, notebookName: nb.name, tabName: tab.name });
+            if (matches.length >= 8) return matches;
+          }
+        }
+      }
+      return matches;
+    },
+    resolve: (pageId) => findPageLocation(linkStateRef.current.data, pageId)?.page || null,
+    open: (pageId) => {
+      const { data: current, navigateToPage: navigate, showNotification: notify } = linkStateRef.current;
+      const location = findPageLocation(current, pageId);
+      if (!location) {
+        notify('Linked page no longer exists', 'error');
+        return;
+      }
+      navigate(location.notebook.id, location.tab.id, location.page.id);
+    },
+  }), []);
+
+  // changeBlockType closes over the page tree; keep the prop stable so memoized blocks don't re-render
+  const changeBlockTypeRef = useRef(changeBlockType);
+  changeBlockTypeRef.current = changeBlockType;
+  const handleChangeBlockType = useCallback((...args) => changeBlockTypeRef.current(...args), []);
+
+  const backlinks = useMemo(() => collectBacklinks(data, activePage?.id), [data, activePage?.id]);
+
   // Safely track LRU usage: move the active page to the back of the Set without causing an infinite loop
   useEffect(() => {
     if (activePage?.embedUrl) {
@@ -171,9 +227,19 @@ export function PageRenderer() {
               onUpdate={handleCanvasUpdate}
               saveToHistory={saveToHistory}
               showNotification={showNotification}
+              focusContainerId={searchTarget?.pageId === activePage.id ? searchTarget.targetId : null}
+              notebooks={data.notebooks}
+              onOpenPage={navigateToPage}
             />
           ) : activePage.type === 'database' ? (
-            <TablePage page={activePage} onUpdate={handleTableUpdate} />
+            <TablePage
+              page={activePage}
+              onUpdate={handleTableUpdate}
+              notebooks={data.notebooks}
+              onOpenPage={navigateToPage}
+              userName={userName}
+              sheetActions={sheetActions}
+            />
           ) : activePage.type === 'mermaid' || activePage.type === 'code' ? (
             <MermaidPageComponent
               page={activePage}
@@ -235,6 +301,15 @@ export function PageRenderer() {
                       >
                         {activePage.cover ? 'Change Cover' : 'Add Cover'}
                       </button>
+                      {isAuthenticated && activePage.driveFileId && (
+                        <button
+                          onClick={() => setVersionHistoryPage({ notebookId: activeNotebookId, tabId: activeTabId, pageId: activePage.id })}
+                          className="bg-white/90 dark:bg-gray-800/90 backdrop-blur px-3 py-1.5 rounded text-xs font-medium hover:bg-white dark:hover:bg-gray-700 shadow-sm border border-gray-200 dark:border-gray-600 text-gray-700 dark:text-gray-300 flex items-center gap-1"
+                        >
+                          <History size={12} />
+                          Version history
+                        </button>
+                      )}
                       {activePage.cover && (
                         <button
                           onClick={() => updatePageCover(activePage.id, null)}
@@ -307,6 +382,8 @@ export function PageRenderer() {
                                     onDrop={handleDrop}
                                     dropTarget={dropTarget}
                                     isLastBlock={totalBlocks === 1}
+                                    pageLinks={pageLinks}
+                                    onChangeType={handleChangeBlockType}
                                     isAuthenticated={isAuthenticated}
                                     GoogleAPI={GoogleAPI}
                                   />
@@ -325,6 +402,27 @@ export function PageRenderer() {
                       <Plus size={16} />
                       <span className="text-sm">Add a block</span>
                     </button>
+
+                    {backlinks.length > 0 && (
+                      <div className="mt-10 pt-4 border-t border-gray-200 dark:border-gray-700">
+                        <div className="text-xs font-semibold uppercase tracking-wider text-gray-400 mb-2">Linked from ({backlinks.length})</div>
+                        <div className="space-y-1">
+                          {backlinks.map((link) => (
+                            <button
+                              key={link.pageId}
+                              onClick={() => pageLinks.open(link.pageId)}
+                              className="w-full text-left flex items-center gap-2 px-2 py-1.5 rounded hover:bg-gray-50 dark:hover:bg-gray-700/50"
+                            >
+                              <span>{link.icon || '📄'}</span>
+                              <span className="text-sm text-gray-700 dark:text-gray-200 truncate">{link.name || 'Untitled'}</span>
+                              <span className="text-xs text-gray-400 truncate">
+                                {link.notebookName} / {link.tabName}
+                              </span>
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                    )}
                   </div>
                 </div>
               </div>
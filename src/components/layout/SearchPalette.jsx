@@ -0,0 +1,150 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { createSearchIndex, updateSearchIndex, searchIndex, splitHighlights, tokenize } from '../../lib/search-index';
+import { Search } from '../../components/icons';
+import { useStrata } from '../../contexts/StrataContext';
+import { useAppActions } from '../../hooks/useAppActions';
+
+const KIND_LABELS = {
+  title: 'Page',
+  heading: 'Heading',
+  block: 'Text',
+  row: 'Row',
+  code: 'Code',
+  canvas: 'Canvas',
+};
+
+function Highlighted({ text, terms }) {
+  return splitHighlights(text, terms).map((part, i) =>
+    part.match ? (
+      <mark key={i} className="bg-yellow-200 dark:bg-yellow-600/50 text-inherit rounded-sm">
+        {part.text}
+      </mark>
+    ) : (
+      <span key={i}>{part.text}</span>
+    )
+  );
+}
+
+export function SearchPalette() {
+  const { data, showSearch, setShowSearch, setSearchTarget } = useStrata();
+  const { navigateToPage } = useAppActions();
+
+  const [query, setQuery] = useState('');
+  const [highlightIdx, setHighlightIdx] = useState(0);
+  const indexRef = useRef(null);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+
+  // Keep the index alive between openings; only refresh it while the palette is visible
+  const index = useMemo(() => {
+    if (!showSearch) return null;
+    if (!indexRef.current) indexRef.current = createSearchIndex();
+    return updateSearchIndex(indexRef.current, data);
+  }, [showSearch, data]);
+
+  const terms = useMemo(() => tokenize(query), [query]);
+  const results = useMemo(() => (index ? searchIndex(index, query) : []), [index, query]);
+
+  useEffect(() => {
+    if (showSearch) {
+      setQuery('');
+      setHighlightIdx(0);
+      setTimeout(() => inputRef.current?.focus(), 0);
+    }
+  }, [showSearch]);
+
+  useEffect(() => {
+    setHighlightIdx(0);
+  }, [query]);
+
+  useEffect(() => {
+    const el = listRef.current?.querySelector(`[data-result-idx="${highlightIdx}"]`);
+    if (el) el.scrollIntoView({ block: 'nearest' });
+  }, [highlightIdx]);
+
+  if (!showSearch) return null;
+
+  const openResult = (result) => {
+    if (!result) return;
+    setShowSearch(false);
+    navigateToPage(result.notebookId, result.tabId, result.pageId);
+    setSearchTarget(result.targetId ? { pageId: result.pageId, targetId: result.targetId } : null);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      setShowSearch(false);
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlightIdx((i) => Math.min(i + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlightIdx((i) => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      openResult(results[highlightIdx]);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 z-[10000] flex items-start justify-center p-4 pt-[12vh] backdrop-blur-sm"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) setShowSearch(false);
+      }}
+    >
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-xl w-full overflow-hidden">
+        <div className="flex items-center gap-2 px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+          <Search size={18} className="text-gray-400" />
+          <input
+            ref={inputRef}
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Search all notebooks..."
+            className="flex-1 bg-transparent outline-none text-sm dark:text-white placeholder-gray-400"
+          />
+          <span className="text-[10px] text-gray-400 border border-gray-300 dark:border-gray-600 rounded px-1">Esc</span>
+        </div>
+        <div ref={listRef} className="max-h-[60vh] overflow-y-auto">
+          {terms.length === 0 ? (
+            <div className="p-6 text-center text-sm text-gray-400">Search page titles, text, table rows, code and canvas notes.</div>
+          ) : results.length === 0 ? (
+            <div className="p-6 text-center text-sm text-gray-400">No matches for “{query}”</div>
+          ) : (
+            results.map((result, i) => (
+              <button
+                key={`${result.pageId}-${result.targetId || result.kind}`}
+                data-result-idx={i}
+                onMouseEnter={() => setHighlightIdx(i)}
+                onClick={() => openResult(result)}
+                className={`w-full text-left px-4 py-2 flex items-start gap-3 ${
+                  i === highlightIdx ? 'bg-blue-50 dark:bg-blue-900/30' : 'hover:bg-gray-50 dark:hover:bg-gray-700/50'
+                }`}
+              >
+                <span className="text-lg leading-6 shrink-0">{result.icon || '📄'}</span>
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2 text-sm font-medium text-gray-800 dark:text-gray-100">
+                    <span className="truncate">
+                      <Highlighted text={result.pageName || 'Untitled'} terms={terms} />
+                    </span>
+                    <span className="text-[10px] uppercase tracking-wider text-gray-400 shrink-0">{KIND_LABELS[result.kind]}</span>
+                  </div>
+                  {result.kind !== 'title' && (
+                    <div className="text-xs text-gray-600 dark:text-gray-300 truncate">
+                      <Highlighted text={result.snippet} terms={terms} />
+                    </div>
+                  )}
+                  <div className="text-[11px] text-gray-400 truncate">
+                    {result.notebookName} / {result.tabName}
+                  </div>
+                </div>
+              </button>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
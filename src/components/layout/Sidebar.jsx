@@ -1,10 +1,11 @@
 import { useEffect, useRef, useState } from 'react';
 import { APP_VERSION } from '../../lib/constants';
 import { getPickerPosition } from '../../lib/utils';
-import { Book, Plus, Settings, Star, X, GoogleG, ChevronRight, Minimize2, Maximize2 } from '../../components/icons';
+import { Book, Plus, Settings, Star, X, GoogleG, ChevronRight, Minimize2, Maximize2, Search, Download, Trash2, CalendarDays } from '../../components/icons';
 import { useStrata } from '../../contexts/StrataContext';
 import { useAppActions } from '../../hooks/useAppActions';
-import { SyncStatusPanel, syncFooterLabel } from './SyncStatusPanel';
+import { SyncStatusPanel, syncFooterLabel, collectConflictedCopies } from './SyncStatusPanel';
+import { DailyNotesCalendar } from './DailyNotesCalendar';
 
 export function Sidebar() {
   const {
@@ -22,42 +23,44 @@ export function Sidebar() {
     syncStatus,
     favoritesExpanded,
     setFavoritesExpanded,
-    setActiveNotebookId,
-    setActiveTabId,
-    setActivePageId,
-    setEditingPageId,
-    setEditingTabId,
+    setShowSearch,
+    setShowTrash,
     setEditingNotebookId,
-    setData,
     setNotebookIconPicker,
     notebookIconPicker,
     setItemToDelete,
     activeNotebookId,
+    activeTabId,
     data,
     editingNotebookId,
     notebookInputRefs,
-    setViewedEmbedPages,
   } = useStrata();
 
   const {
     addNotebook,
     selectNotebook,
+    navigateToPage,
     handleNavDragStart,
     handleNavDrop,
     handleFavoriteDrop,
     getStarredPages,
-    flushAndClearSync,
     updateLocalName,
     syncRenameToDrive,
+    exportTabsMarkdown,
+    resolvePageConflict,
+    openDailyNote,
   } = useAppActions();
 
   const starredPages = getStarredPages();
   const [showSyncPanel, setShowSyncPanel] = useState(false);
   const syncPanelRef = useRef(null);
+  const [showCalendar, setShowCalendar] = useState(false);
+  const calendarRef = useRef(null);
   const syncPhase = syncStatus?.phase || 'idle';
   const syncLabel = syncFooterLabel(syncStatus);
   const syncBusy = syncPhase === 'syncing' || syncPhase === 'connecting' || syncPhase === 'waiting';
   const syncRetrying = syncPhase === 'retrying';
+  const hasConflicts = collectConflictedCopies(data).length > 0;
 
   useEffect(() => {
     if (!showSyncPanel) return undefined;
@@ -70,31 +73,19 @@ export function Sidebar() {
     return () => document.removeEventListener('mousedown', onDown);
   }, [showSyncPanel]);
 
+  useEffect(() => {
+    if (!showCalendar) return undefined;
+    const onDown = (e) => {
+      if (calendarRef.current && !calendarRef.current.contains(e.target)) {
+        setShowCalendar(false);
+      }
+    };
+    document.addEventListener('mousedown', onDown);
+    return () => document.removeEventListener('mousedown', onDown);
+  }, [showCalendar]);
+
   const handleFavoriteClick = (page) => {
-    flushAndClearSync();
-    localStorage.setItem(`strata_history_nb_${page.notebookId}`, page.tabId);
-    localStorage.setItem(`strata_history_tab_${page.tabId}`, page.id);
-    setActiveNotebookId(page.notebookId);
-    setActiveTabId(page.tabId);
-    setActivePageId(page.id);
-    setEditingPageId(null);
-    setEditingTabId(null);
-    setEditingNotebookId(null);
-    if (page.embedUrl && setViewedEmbedPages) {
-      setViewedEmbedPages((prev) => new Set([...prev, page.id]));
-    }
-    setData((prev) => ({
-      ...prev,
-      notebooks: prev.notebooks.map((nb) =>
-        nb.id === page.notebookId
-          ? {
-              ...nb,
-              activeTabId: page.tabId,
-              tabs: nb.tabs.map((t) => (t.id === page.tabId ? { ...t, activePageId: page.id } : t)),
-            }
-          : nb
-      ),
-    }));
+    navigateToPage(page.notebookId, page.tabId, page.id);
   };
 
   return (
@@ -112,6 +103,58 @@ export function Sidebar() {
         </button>
       </div>
 
+      <div className="p-2 border-b border-gray-200 dark:border-gray-700">
+        <button
+          onClick={() => setShowSearch(true)}
+          className={`w-full flex items-center ${settings.condensedView ? 'justify-center' : 'gap-2'} p-2 rounded text-sm text-gray-500 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-gray-700`}
+          title="Search (Ctrl+K)"
+        >
+          <Search size={14} />
+          {!settings.condensedView && (
+            <>
+              <span className="flex-1 text-left">Search</span>
+              <span className="text-[10px] text-gray-400 border border-gray-300 dark:border-gray-600 rounded px-1">Ctrl K</span>
+            </>
+          )}
+        </button>
+        <div ref={calendarRef} className={`relative flex ${settings.condensedView ? 'flex-col' : 'items-center'}`}>
+          <button
+            onClick={() => openDailyNote()}
+            className={`flex-1 flex items-center ${settings.condensedView ? 'justify-center' : 'gap-2'} p-2 rounded text-sm text-gray-500 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-gray-700`}
+            title="Today's daily note (Ctrl+Alt+D)"
+          >
+            <span className="text-sm leading-none">📅</span>
+            {!settings.condensedView && (
+              <>
+                <span className="flex-1 text-left">Today</span>
+                <span className="text-[10px] text-gray-400 border border-gray-300 dark:border-gray-600 rounded px-1">Ctrl Alt D</span>
+              </>
+            )}
+          </button>
+          <button
+            onClick={() => setShowCalendar((open) => !open)}
+            className={`${settings.condensedView ? 'flex justify-center' : ''} p-2 rounded text-gray-500 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-gray-700`}
+            title="Daily notes calendar"
+          >
+            <CalendarDays size={14} />
+          </button>
+          {showCalendar && (
+            <DailyNotesCalendar
+              data={data}
+              settings={settings}
+              activeNotebookId={activeNotebookId}
+              activeTabId={activeTabId}
+              condensed={settings.condensedView}
+              onOpenDay={(day) => {
+                openDailyNote(day);
+                setShowCalendar(false);
+              }}
+              onClose={() => setShowCalendar(false)}
+            />
+          )}
+        </div>
+      </div>
+
       <div className="p-2 border-b border-gray-200 dark:border-gray-700">
         {isLoadingAuth ? (
           <div className="text-xs text-gray-500 text-center py-2">Loading...</div>
@@ -251,6 +294,18 @@ export function Sidebar() {
                     {notebook.name}
                   </span>
                 ))}
+              {!settings.condensedView && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    exportTabsMarkdown('notebook', notebook.id);
+                  }}
+                  className="opacity-0 group-hover:opacity-100 p-1 hover:bg-gray-300 dark:hover:bg-gray-600 rounded text-gray-400 hover:text-gray-600"
+                  title="Export notebook as Markdown"
+                >
+                  <Download size={12} />
+                </button>
+              )}
               {!settings.condensedView && (
                 <button
                   onClick={(e) => {
@@ -274,32 +329,44 @@ export function Sidebar() {
             data={data}
             condensed={settings.condensedView}
             onClose={() => setShowSyncPanel(false)}
+            onOpenPage={navigateToPage}
+            onResolveConflict={resolvePageConflict}
           />
         )}
-        <button
-          onClick={() => setSettings((s) => ({ ...s, condensedView: !s.condensedView }))}
-          className="hover:bg-gray-200 dark:hover:bg-gray-700 p-2 rounded transition-colors"
-          title={settings.condensedView ? 'Expand view' : 'Compact view'}
-        >
-          {settings.condensedView ? <Maximize2 size={18} /> : <Minimize2 size={18} />}
-        </button>
+        <div className={`flex ${settings.condensedView ? 'flex-col' : 'items-center'}`}>
+          <button
+            onClick={() => setSettings((s) => ({ ...s, condensedView: !s.condensedView }))}
+            className="hover:bg-gray-200 dark:hover:bg-gray-700 p-2 rounded transition-colors"
+            title={settings.condensedView ? 'Expand view' : 'Compact view'}
+          >
+            {settings.condensedView ? <Maximize2 size={18} /> : <Minimize2 size={18} />}
+          </button>
+          <button
+            onClick={() => setShowTrash(true)}
+            className="relative hover:bg-gray-200 dark:hover:bg-gray-700 p-2 rounded transition-colors text-gray-500"
+            title="Trash"
+          >
+            <Trash2 size={18} />
+            {data.trash?.length > 0 && <span className="absolute top-1 right-1 w-1.5 h-1.5 rounded-full bg-gray-400" />}
+          </button>
+        </div>
         {isAuthenticated && (
           <button
             type="button"
             onClick={() => setShowSyncPanel((open) => !open)}
             className={`text-xs rounded px-1.5 py-1 hover:bg-gray-200 dark:hover:bg-gray-700 ${
-              syncRetrying
+              syncRetrying || hasConflicts
                 ? 'text-amber-600 dark:text-amber-400'
                 : syncBusy
                   ? 'text-blue-500 dark:text-blue-400 animate-pulse'
                   : 'text-gray-400'
             }`}
-            title={syncLabel}
+            title={hasConflicts ? `${syncLabel} · conflicts need review` : syncLabel}
           >
             {settings.condensedView ? (
               <span
                 className={`block w-2 h-2 rounded-full ${
-                  syncRetrying ? 'bg-amber-500' : syncBusy ? 'bg-blue-500 animate-pulse' : 'bg-emerald-500'
+                  syncRetrying || hasConflicts ? 'bg-amber-500' : syncBusy ? 'bg-blue-500 animate-pulse' : 'bg-emerald-500'
                 }`}
               />
             ) : (
@@ -10,7 +10,23 @@ function phaseTitle(phase) {
   return 'Synced';
 }
 
-export function SyncStatusPanel({ syncStatus, data, condensed, onClose }) {
+// Conflicted copies made by the boot merge, paired with the page they were split from
+export function collectConflictedCopies(data) {
+  const pages = new Map();
+  const copies = [];
+  for (const notebook of data?.notebooks || []) {
+    for (const tab of notebook.tabs || []) {
+      for (const page of tab.pages || []) {
+        const entry = { notebookId: notebook.id, tabId: tab.id, page };
+        pages.set(page.id, entry);
+        if (page.conflictOf) copies.push(entry);
+      }
+    }
+  }
+  return copies.map((copy) => ({ copy, original: pages.get(copy.page.conflictOf) || null }));
+}
+
+export function SyncStatusPanel({ syncStatus, data, condensed, onClose, onOpenPage, onResolveConflict }) {
   const [now, setNow] = useState(Date.now());
   const retryAt = syncStatus?.error?.retryAt;
   const phase = syncStatus?.phase || 'idle';
@@ -30,6 +46,7 @@ export function SyncStatusPanel({ syncStatus, data, condensed, onClose }) {
   const upcoming = (syncStatus?.queue || []).slice(1, 16);
   const retryIn = retryAt ? Math.max(0, Math.ceil((retryAt - now) / 1000)) : 0;
   const isError = phase === 'retrying' || (phase === 'idle' && syncStatus?.error);
+  const conflicts = collectConflictedCopies(data);
 
   return (
     <div
@@ -94,6 +111,42 @@ export function SyncStatusPanel({ syncStatus, data, condensed, onClose }) {
         </div>
       )}
 
+      {conflicts.length > 0 && (
+        <div className="px-3 py-2 text-xs border-b border-amber-100 dark:border-amber-900 bg-amber-50 dark:bg-amber-950/40 min-w-0">
+          <div className="text-[10px] font-semibold uppercase text-amber-700 dark:text-amber-300 mb-1">
+            Conflicts ({conflicts.length})
+          </div>
+          <ul className="space-y-1.5 min-w-0">
+            {conflicts.map(({ copy, original }) => (
+              <li key={copy.page.id} className="min-w-0">
+                <div className="text-amber-800 dark:text-amber-200 truncate" title={original?.page.name || copy.page.name}>
+                  {original?.page.name || copy.page.name || 'Untitled'}
+                </div>
+                <div className="flex gap-2 text-[11px]">
+                  {original && (
+                    <button
+                      onClick={() => onOpenPage(original.notebookId, original.tabId, original.page.id)}
+                      className="text-blue-600 dark:text-blue-400 hover:underline"
+                    >
+                      Mine
+                    </button>
+                  )}
+                  <button
+                    onClick={() => onOpenPage(copy.notebookId, copy.tabId, copy.page.id)}
+                    className="text-blue-600 dark:text-blue-400 hover:underline"
+                  >
+                    Other device
+                  </button>
+                  <button onClick={() => onResolveConflict(copy.page.id)} className="text-gray-500 hover:underline ml-auto">
+                    Mark resolved
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {upcoming.length > 0 && (
         <div className="flex-1 overflow-y-auto overflow-x-hidden px-3 py-2 min-w-0">
           <div className="text-[10px] font-semibold uppercase text-gray-400 mb-1">Up next ({remaining - 1} left)</div>
@@ -0,0 +1,198 @@
+// TemplateGallery - create pages from built-in and saved templates; SaveTemplateDialog saves a page as one
+
+import { useEffect, useState } from 'react';
+import { LayoutTemplate, Trash2, X } from '../../components/icons';
+import * as GoogleAPI from '../../lib/google-api';
+import { BUILTIN_TEMPLATES, TEMPLATE_VARIABLES } from '../../lib/templates';
+import { findPageLocation } from '../../lib/page-links';
+import { useStrata } from '../../contexts/StrataContext';
+import { useAppActions } from '../../hooks/useAppActions';
+
+const TYPE_LABELS = { block: 'Page', canvas: 'Canvas', database: 'Database', mermaid: 'Code', code: 'Code' };
+
+const typeLabel = (template) => TYPE_LABELS[template.page?.type || 'block'] || 'Embed';
+
+function useEscape(open, onClose) {
+  useEffect(() => {
+    if (!open) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [open, onClose]);
+}
+
+function TemplateCard({ template, onPick, onDelete }) {
+  return (
+    <div className="group relative">
+      <button
+        onClick={() => onPick(template)}
+        className="w-full h-full text-left p-3 rounded-lg border border-gray-200 dark:border-gray-700 hover:border-blue-400 hover:bg-blue-50/50 dark:hover:bg-blue-900/20 transition-colors"
+      >
+        <div className="flex items-center gap-2 mb-1">
+          <span className="text-xl">{template.icon || '📄'}</span>
+          <span className="flex-1 text-sm font-medium text-gray-800 dark:text-gray-100 truncate">{template.name}</span>
+        </div>
+        <div className="text-[11px] text-gray-400">
+          {typeLabel(template)}
+          {template.description ? ` · ${template.description}` : ''}
+        </div>
+      </button>
+      {onDelete && (
+        <button
+          onClick={() => onDelete(template.id)}
+          className="absolute top-2 right-2 p-1 rounded opacity-0 group-hover:opacity-100 text-gray-400 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20"
+          title="Delete template"
+        >
+          <Trash2 size={12} />
+        </button>
+      )}
+    </div>
+  );
+}
+
+export function TemplateGallery() {
+  const { data, showTemplateGallery, setShowTemplateGallery, isAuthenticated, driveRootFolderId } = useStrata();
+  const { addPageFromTemplate, deleteTemplate, mergeRemoteTemplates } = useAppActions();
+  const [isLoading, setIsLoading] = useState(false);
+
+  const close = () => setShowTemplateGallery(false);
+  useEscape(showTemplateGallery, close);
+
+  useEffect(() => {
+    if (!showTemplateGallery || !isAuthenticated || !driveRootFolderId) return;
+    let cancelled = false;
+    setIsLoading(true);
+    GoogleAPI.loadTemplates(driveRootFolderId)
+      .then((remote) => {
+        if (!cancelled) mergeRemoteTemplates(remote);
+      })
+      .catch(() => {
+        /* keep the local list */
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+    // mergeRemoteTemplates changes with data; only refetch when the gallery opens
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [showTemplateGallery, isAuthenticated, driveRootFolderId]);
+
+  if (!showTemplateGallery) return null;
+
+  const saved = data.templates || [];
+  const pick = (template) => {
+    addPageFromTemplate(template);
+    close();
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 z-[10000] flex items-center justify-center p-4 backdrop-blur-sm"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) close();
+      }}
+    >
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-2xl w-full max-h-[75vh] flex flex-col overflow-hidden">
+        <div className="flex items-center gap-2 px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+          <LayoutTemplate size={18} className="text-gray-400" />
+          <div className="flex-1 text-sm font-semibold dark:text-white">New page from template</div>
+          <button onClick={close} className="p-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-500">
+            <X size={16} />
+          </button>
+        </div>
+        <div className="flex-1 overflow-y-auto p-4 space-y-4">
+          <div>
+            <div className="text-[10px] uppercase tracking-wider text-gray-400 mb-2">Your templates</div>
+            {isLoading && saved.length === 0 && <div className="text-sm text-gray-400">Loading templates...</div>}
+            {!isLoading && saved.length === 0 && (
+              <div className="text-sm text-gray-400">Save any page as a template from the pages list to see it here.</div>
+            )}
+            <div className="grid grid-cols-2 gap-2">
+              {saved.map((template) => (
+                <TemplateCard key={template.id} template={template} onPick={pick} onDelete={deleteTemplate} />
+              ))}
+            </div>
+          </div>
+          <div>
+            <div className="text-[10px] uppercase tracking-wider text-gray-400 mb-2">Built-in</div>
+            <div className="grid grid-cols-2 gap-2">
+              {BUILTIN_TEMPLATES.map((template) => (
+                <TemplateCard key={template.id} template={template} onPick={pick} />
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export function SaveTemplateDialog() {
+  const { data, saveTemplatePageId, setSaveTemplatePageId } = useStrata();
+  const { saveAsTemplate } = useAppActions();
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+
+  const page = saveTemplatePageId ? findPageLocation(data, saveTemplatePageId)?.page : null;
+  const close = () => setSaveTemplatePageId(null);
+  useEscape(!!saveTemplatePageId, close);
+
+  useEffect(() => {
+    if (!saveTemplatePageId) return;
+    setName(page?.name || '');
+    setDescription('');
+    // Only reset when the dialog opens for a page
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [saveTemplatePageId]);
+
+  if (!saveTemplatePageId || !page) return null;
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    saveAsTemplate(page.id, { name: name.trim() || page.name, description: description.trim() });
+    close();
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 z-[10000] flex items-center justify-center p-4 backdrop-blur-sm"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) close();
+      }}
+    >
+      <form onSubmit={handleSave} className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-sm w-full p-6">
+        <h3 className="font-bold text-lg mb-4 flex items-center gap-2 dark:text-white">
+          <LayoutTemplate size={18} className="text-gray-400" /> Save as template
+        </h3>
+        <label className="block text-xs text-gray-500 dark:text-gray-400 mb-1">Name</label>
+        <input
+          autoFocus
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="w-full mb-3 px-3 py-2 rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm dark:text-white outline-none focus:border-blue-500"
+        />
+        <label className="block text-xs text-gray-500 dark:text-gray-400 mb-1">Description</label>
+        <input
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          className="w-full mb-3 px-3 py-2 rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-sm dark:text-white outline-none focus:border-blue-500"
+        />
+        <p className="text-[11px] text-gray-400 mb-5">
+          Text in the page can use {TEMPLATE_VARIABLES.map((v) => `{{${v}}}`).join(', ')}; they are filled in when a page is created from the template.
+        </p>
+        <div className="flex justify-end gap-3">
+          <button type="button" onClick={close} className="px-4 py-2 text-sm font-medium text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg">
+            Cancel
+          </button>
+          <button type="submit" className="px-4 py-2 text-sm bg-blue-500 text-white font-medium rounded-lg hover:bg-blue-600">
+            Save template
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+// TrashPanel - deleted notebooks, tabs and pages with restore and permanent delete
+
+import { useEffect, useState } from 'react';
+import { Trash2, Undo, X } from '../../components/icons';
+import { trashEntryOrigin, countTrashedPages, TRASH_DAYS } from '../../lib/trash';
+import { useStrata } from '../../contexts/StrataContext';
+import { useAppActions } from '../../hooks/useAppActions';
+
+const TYPE_ICONS = { notebook: '📓', tab: '📋', page: '📄' };
+
+const formatDeletedAt = (ts) =>
+  new Date(ts).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+const describeEntry = (entry) => {
+  if (entry.type === 'page') return `Page in ${trashEntryOrigin(entry) || 'unknown tab'}`;
+  const pages = countTrashedPages(entry);
+  const count = `${pages} page${pages === 1 ? '' : 's'}`;
+  return entry.type === 'tab' ? `Tab in ${entry.notebookName || 'unknown notebook'} · ${count}` : `Notebook · ${count}`;
+};
+
+export function TrashPanel() {
+  const { data, showTrash, setShowTrash } = useStrata();
+  const { restoreTrashEntry, purgeTrashEntries } = useAppActions();
+  // Permanent deletes ask once more: the id being confirmed, or 'all' for Empty trash
+  const [confirming, setConfirming] = useState(null);
+
+  const entries = data.trash || [];
+  const close = () => setShowTrash(false);
+
+  useEffect(() => {
+    if (!showTrash) return;
+    setConfirming(null);
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setShowTrash(false);
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [showTrash, setShowTrash]);
+
+  if (!showTrash) return null;
+
+  const handlePurge = (entryId) => {
+    if (confirming !== (entryId || 'all')) {
+      setConfirming(entryId || 'all');
+      return;
+    }
+    purgeTrashEntries(entryId ? [entryId] : undefined);
+    setConfirming(null);
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 z-[10000] flex items-center justify-center p-4 backdrop-blur-sm"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) close();
+      }}
+    >
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-xl w-full max-h-[75vh] flex flex-col overflow-hidden">
+        <div className="flex items-center gap-2 px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+          <Trash2 size={18} className="text-gray-400" />
+          <div className="flex-1 text-sm font-semibold dark:text-white">Trash</div>
+          {entries.length > 0 && (
+            <button
+              onClick={() => handlePurge(null)}
+              className={`px-2 py-1 rounded text-xs ${
+                confirming === 'all' ? 'bg-red-500 text-white hover:bg-red-600' : 'text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20'
+              }`}
+            >
+              {confirming === 'all' ? 'Click again to empty' : 'Empty trash'}
+            </button>
+          )}
+          <button onClick={close} className="p-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-500">
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {entries.length === 0 && <div className="p-6 text-sm text-gray-400 text-center">Trash is empty.</div>}
+          {entries.map((entry) => (
+            <div key={entry.id} className="group flex items-center gap-3 px-4 py-2 border-b border-gray-100 dark:border-gray-700/50">
+              <span className="text-lg shrink-0">{entry.item.icon || TYPE_ICONS[entry.type]}</span>
+              <div className="flex-1 min-w-0">
+                <div className="text-sm text-gray-800 dark:text-gray-100 truncate">{entry.item.name || 'Untitled'}</div>
+                <div className="text-[11px] text-gray-400 truncate">
+                  {describeEntry(entry)} · Deleted {formatDeletedAt(entry.deletedAt)}
+                </div>
+              </div>
+              <button
+                onClick={() => restoreTrashEntry(entry.id)}
+                className="flex items-center gap-1 px-2 py-1 rounded text-xs text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/30"
+              >
+                <Undo size={12} /> Restore
+              </button>
+              <button
+                onClick={() => handlePurge(entry.id)}
+                className={`px-2 py-1 rounded text-xs ${
+                  confirming === entry.id ? 'bg-red-500 text-white hover:bg-red-600' : 'text-gray-400 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20'
+                }`}
+                title="Delete permanently"
+              >
+                {confirming === entry.id ? 'Confirm' : <Trash2 size={12} />}
+              </button>
+            </div>
+          ))}
+        </div>
+        {entries.length > 0 && (
+          <div className="px-4 py-2 border-t border-gray-200 dark:border-gray-700 text-[11px] text-gray-400">
+            Deleted items keep their Drive files in the _STRATA_TRASH folder until deleted permanently, or for {TRASH_DAYS} days.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,224 @@
+// VersionHistoryPanel - Drive revisions of a block page, diffed against the live page
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { History, X } from '../../components/icons';
+import * as GoogleAPI from '../../lib/google-api';
+import { normalizePageContent } from '../../lib/tree-operations';
+import { findPageLocation } from '../../lib/page-links';
+import { revisionToPageFields, diffBlockTrees, blockPreviewText } from '../../lib/page-history';
+import { useStrata } from '../../contexts/StrataContext';
+import { useAppActions } from '../../hooks/useAppActions';
+
+const KIND_STYLES = {
+  added: 'border-green-400 bg-green-50 dark:bg-green-900/20',
+  removed: 'border-red-400 bg-red-50 dark:bg-red-900/20',
+  changed: 'border-amber-400 bg-amber-50 dark:bg-amber-900/20',
+};
+
+const KIND_LABELS = {
+  added: 'Only in this version',
+  removed: 'Only in current page',
+  changed: 'Changed',
+};
+
+const formatRevisionTime = (iso) =>
+  new Date(iso).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+const previewOf = (block) => blockPreviewText(block) || `(${block.type} block)`;
+
+export function VersionHistoryPanel() {
+  const { data, versionHistoryPage, setVersionHistoryPage, isAuthenticated } = useStrata();
+  const { restorePageVersion, copyPageVersionAsNew } = useAppActions();
+
+  const [revisions, setRevisions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [selectedFields, setSelectedFields] = useState(null);
+  const [isLoadingRevision, setIsLoadingRevision] = useState(false);
+  // Revision content never changes, so keep whatever was fetched while the panel is open
+  const contentCacheRef = useRef(new Map());
+
+  const location = versionHistoryPage ? findPageLocation(data, versionHistoryPage.pageId) : null;
+  const page = location?.page || null;
+  const driveFileId = page?.driveFileId || null;
+
+  const close = () => setVersionHistoryPage(null);
+
+  useEffect(() => {
+    if (!versionHistoryPage) return;
+    setRevisions([]);
+    setSelectedId(null);
+    setSelectedFields(null);
+    setError(null);
+    contentCacheRef.current = new Map();
+    if (!driveFileId || !isAuthenticated) return;
+    let cancelled = false;
+    setIsLoading(true);
+    GoogleAPI.listFileRevisions(driveFileId)
+      .then((list) => {
+        if (cancelled) return;
+        setRevisions(list);
+        if (list.length) setSelectedId(list[0].id);
+      })
+      .catch(() => {
+        if (!cancelled) setError('Could not load version history from Drive');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [versionHistoryPage, driveFileId, isAuthenticated]);
+
+  useEffect(() => {
+    if (!selectedId || !driveFileId) return;
+    const cached = contentCacheRef.current.get(selectedId);
+    if (cached) {
+      setSelectedFields(cached);
+      return;
+    }
+    let cancelled = false;
+    setSelectedFields(null);
+    setIsLoadingRevision(true);
+    GoogleAPI.getFileRevisionContent(driveFileId, selectedId)
+      .then((json) => {
+        const fields = revisionToPageFields(json);
+        contentCacheRef.current.set(selectedId, fields);
+        if (!cancelled) setSelectedFields(fields);
+      })
+      .catch(() => {
+        if (!cancelled) setError('Could not load this version');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoadingRevision(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedId, driveFileId]);
+
+  useEffect(() => {
+    if (!versionHistoryPage) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setVersionHistoryPage(null);
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [versionHistoryPage, setVersionHistoryPage]);
+
+  const diff = useMemo(
+    () => (page && selectedFields ? diffBlockTrees(normalizePageContent(page), selectedFields.content) : null),
+    [page, selectedFields]
+  );
+
+  if (!versionHistoryPage) return null;
+
+  const selectedRevision = revisions.find((r) => r.id === selectedId);
+  const pageLocation = location && { notebookId: location.notebook.id, tabId: location.tab.id, pageId: location.page.id };
+  const unchanged = diff && diff.entries.length === 0;
+
+  const handleRestore = () => {
+    restorePageVersion(pageLocation, selectedFields);
+    close();
+  };
+
+  const handleCopy = () => {
+    copyPageVersionAsNew(pageLocation, selectedFields, formatRevisionTime(selectedRevision.modifiedTime));
+    close();
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 z-[10000] flex items-center justify-center p-4 backdrop-blur-sm"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) close();
+      }}
+    >
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-4xl w-full h-[75vh] flex flex-col overflow-hidden">
+        <div className="flex items-center gap-2 px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+          <History size={18} className="text-gray-400" />
+          <div className="flex-1 min-w-0">
+            <div className="text-sm font-semibold dark:text-white">Version history</div>
+            <div className="text-xs text-gray-400 truncate">{page ? `${page.icon || '📄'} ${page.name || 'Untitled'}` : 'Page no longer exists'}</div>
+          </div>
+          <button onClick={close} className="p-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-500">
+            <X size={16} />
+          </button>
+        </div>
+
+        {!page || !driveFileId || !isAuthenticated ? (
+          <div className="flex-1 flex items-center justify-center p-6 text-sm text-gray-400 text-center">
+            {!isAuthenticated ? 'Sign in to Google Drive to see version history.' : 'This page has not been saved to Drive yet.'}
+          </div>
+        ) : (
+          <div className="flex-1 flex min-h-0">
+            <div className="w-64 shrink-0 border-r border-gray-200 dark:border-gray-700 overflow-y-auto">
+              {isLoading && <div className="p-4 text-sm text-gray-400">Loading versions...</div>}
+              {!isLoading && revisions.length === 0 && !error && <div className="p-4 text-sm text-gray-400">No saved versions yet.</div>}
+              {revisions.map((revision, i) => (
+                <button
+                  key={revision.id}
+                  onClick={() => setSelectedId(revision.id)}
+                  className={`w-full text-left px-4 py-2 border-b border-gray-100 dark:border-gray-700/50 ${
+                    revision.id === selectedId ? 'bg-blue-50 dark:bg-blue-900/30' : 'hover:bg-gray-50 dark:hover:bg-gray-700/50'
+                  }`}
+                >
+                  <div className="text-sm text-gray-800 dark:text-gray-100">{formatRevisionTime(revision.modifiedTime)}</div>
+                  <div className="text-[11px] text-gray-400 truncate">
+                    {i === 0 ? 'Latest on Drive' : revision.lastModifyingUser?.displayName || revision.lastModifyingUser?.emailAddress || 'Unknown'}
+                  </div>
+                </button>
+              ))}
+            </div>
+
+            <div className="flex-1 flex flex-col min-w-0">
+              <div className="flex-1 overflow-y-auto p-4 space-y-2">
+                {error && <div className="text-sm text-red-500">{error}</div>}
+                {isLoadingRevision && <div className="text-sm text-gray-400">Loading version...</div>}
+                {unchanged && <div className="text-sm text-gray-400">This version matches the current page.</div>}
+                {diff && !unchanged && (
+                  <div className="flex gap-3 text-xs text-gray-500 dark:text-gray-400 pb-1">
+                    <span>{diff.counts.added} only in this version</span>
+                    <span>{diff.counts.removed} only in current</span>
+                    <span>{diff.counts.changed} changed</span>
+                  </div>
+                )}
+                {diff?.entries.map((entry) => (
+                  <div key={`${entry.kind}-${entry.id}`} className={`border-l-4 rounded px-3 py-2 ${KIND_STYLES[entry.kind]}`}>
+                    <div className="text-[10px] uppercase tracking-wider text-gray-400 mb-0.5">
+                      {KIND_LABELS[entry.kind]} · {entry.type}
+                    </div>
+                    {entry.before && (
+                      <div className={`text-sm text-gray-600 dark:text-gray-300 break-words ${entry.kind === 'changed' ? 'line-through opacity-70' : ''}`}>
+                        {previewOf(entry.before)}
+                      </div>
+                    )}
+                    {entry.after && <div className="text-sm text-gray-800 dark:text-gray-100 break-words">{previewOf(entry.after)}</div>}
+                  </div>
+                ))}
+              </div>
+              <div className="flex justify-end gap-2 px-4 py-3 border-t border-gray-200 dark:border-gray-700">
+                <button
+                  onClick={handleCopy}
+                  disabled={!selectedFields}
+                  className="px-3 py-1.5 rounded text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+                >
+                  Copy as new page
+                </button>
+                <button
+                  onClick={handleRestore}
+                  disabled={!selectedFields || unchanged}
+                  className="px-3 py-1.5 rounded text-sm bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50"
+                >
+                  Restore this version
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -3,3 +3,7 @@ export { NavigationRail } from './NavigationRail';
 export { ModalsContainer } from './ModalsContainer';
 export { PageRenderer } from './PageRenderer';
 export { SyncStatusPanel } from './SyncStatusPanel';
+export { SearchPalette } from './SearchPalette';
+export { VersionHistoryPanel } from './VersionHistoryPanel';
+export { TrashPanel } from './TrashPanel';
+export { TemplateGallery, SaveTemplateDialog } from './TemplateGallery';
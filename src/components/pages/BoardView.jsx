@@ -0,0 +1,141 @@
+// BoardView Component - Kanban layout of a database page, one column per option of a select column
+
+import { useState } from 'react';
+import { formatDateValue, relationLabel, cellToPlainText, isEmptyCell } from '../../lib/table-columns';
+import { Tag } from './CellEditor';
+
+// Read-only form of a card field
+const FieldPreview = ({ column, value, pageIndex }) => {
+  if (isEmptyCell(value)) return null;
+  switch (column.type) {
+    case 'select':
+      return <Tag options={column.options} value={value} />;
+    case 'multi-select':
+      return (
+        <div className="flex flex-wrap gap-1">
+          {(Array.isArray(value) ? value : [value]).map(opt => <Tag key={opt} options={column.options} value={opt} />)}
+        </div>
+      );
+    case 'boolean':
+      return <span>{value ? '☑' : '☐'} {column.name}</span>;
+    case 'date':
+      return <span>📅 {formatDateValue(value)}</span>;
+    case 'checkbox-list': {
+      const items = Array.isArray(value) ? value : [];
+      return <span>☑ {items.filter(item => item.checked).length}/{items.length}</span>;
+    }
+    case 'relation':
+      return (
+        <div className="flex flex-wrap gap-1">
+          {(Array.isArray(value) ? value : []).map(ref => {
+            const { label, icon } = relationLabel(pageIndex, ref);
+            return (
+              <span key={`${ref.pageId}:${ref.rowId || ''}`} className="px-1.5 py-0.5 rounded bg-gray-100 dark:bg-gray-700 truncate max-w-full">
+                {icon} {label}
+              </span>
+            );
+          })}
+        </div>
+      );
+    default:
+      return <span className="break-words">{cellToPlainText(column, value, { pageIndex })}</span>;
+  }
+};
+
+const BoardView = ({ groups, groupColumn, titleColumn, cardColumns, pageIndex, onMoveCard, onOpenCard, onAddCard }) => {
+  const [dragRowId, setDragRowId] = useState(null);
+  // Where the dragged card would land: { key, beforeRowId }
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const endDrag = () => {
+    setDragRowId(null);
+    setDropTarget(null);
+  };
+
+  const drop = (e, key, beforeRowId) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const rowId = dragRowId;
+    endDrag();
+    if (rowId && rowId !== beforeRowId) onMoveCard(rowId, key, beforeRowId);
+  };
+
+  if (!groupColumn) {
+    return (
+      <div className="flex-1 flex items-center justify-center p-8 text-sm text-gray-400 text-center">
+        Add a select column to group this board by.
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex-1 overflow-auto p-4">
+      <div className="flex items-start gap-3 min-h-full">
+        {groups.map(group => (
+          <div
+            key={group.key || '__none'}
+            onDragOver={(e) => {
+              if (!dragRowId) return;
+              e.preventDefault();
+              if (dropTarget?.key !== group.key || dropTarget?.beforeRowId) setDropTarget({ key: group.key, beforeRowId: null });
+            }}
+            onDrop={(e) => drop(e, group.key, null)}
+            className={`w-64 shrink-0 flex flex-col max-h-full rounded-lg bg-gray-100 dark:bg-gray-800/60 ${
+              dropTarget?.key === group.key ? 'ring-2 ring-blue-400/60' : ''
+            }`}
+          >
+            <div className="flex items-center gap-2 px-3 py-2 text-sm font-medium">
+              {group.key ? <Tag options={groupColumn.options} value={group.label} /> : <span className="text-gray-500">{group.label}</span>}
+              <span className="text-xs text-gray-400">{group.rows.length}</span>
+            </div>
+
+            <div className="flex-1 overflow-y-auto px-2 pb-2 space-y-2">
+              {group.rows.map(row => {
+                const title = titleColumn ? cellToPlainText(titleColumn, row[titleColumn.id], { pageIndex }) : '';
+                const showLine = dropTarget?.key === group.key && dropTarget.beforeRowId === row.id;
+                return (
+                  <div
+                    key={row.id}
+                    draggable
+                    onDragStart={(e) => {
+                      setDragRowId(row.id);
+                      e.dataTransfer.setData('board_drag', JSON.stringify({ rowId: row.id }));
+                      e.dataTransfer.effectAllowed = 'move';
+                    }}
+                    onDragEnd={endDrag}
+                    onDragOver={(e) => {
+                      if (!dragRowId) return;
+                      e.preventDefault();
+                      e.stopPropagation();
+                      if (!showLine) setDropTarget({ key: group.key, beforeRowId: row.id });
+                    }}
+                    onDrop={(e) => drop(e, group.key, row.id)}
+                    onClick={() => onOpenCard(row.id)}
+                    className={`p-2 rounded-md bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 shadow-sm cursor-pointer hover:border-blue-300 dark:hover:border-blue-700 text-sm space-y-1.5 ${
+                      showLine ? 'border-t-2 border-t-blue-500' : ''
+                    } ${dragRowId === row.id ? 'opacity-50' : ''}`}
+                  >
+                    <div className={`font-medium break-words ${title ? '' : 'text-gray-400'}`}>{title || 'Untitled'}</div>
+                    {cardColumns.map(col => {
+                      if (isEmptyCell(row[col.id])) return null;
+                      return (
+                        <div key={col.id} className="text-xs text-gray-600 dark:text-gray-300" title={col.name}>
+                          <FieldPreview column={col} value={row[col.id]} pageIndex={pageIndex} />
+                        </div>
+                      );
+                    })}
+                  </div>
+                );
+              })}
+              <button onClick={() => onAddCard(group.key)} className="w-full text-left px-2 py-1 text-sm text-gray-400 hover:text-blue-500 rounded hover:bg-gray-200/60 dark:hover:bg-gray-700/60">
+                + New
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default BoardView;
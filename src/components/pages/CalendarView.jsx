@@ -0,0 +1,223 @@
+// CalendarView Component - Month or week calendar of a database page's dated rows
+
+import { useState } from 'react';
+import { dailyNoteKey } from '../../lib/daily-notes';
+import { calendarWeeks, layoutWeek, addDays, daysBetween } from '../../lib/table-views';
+import { formatDateValue, cellToPlainText } from '../../lib/table-columns';
+
+const LANE_HEIGHT = 22;
+const DAY_LABEL_HEIGHT = 26;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const navButtonClass = "px-2 py-1 rounded text-sm text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800";
+
+export const rowLabel = (row, titleColumn, pageIndex) =>
+  (titleColumn && cellToPlainText(titleColumn, row[titleColumn.id], { pageIndex })) || 'Untitled';
+
+// Rows with no dates yet; drag one onto a day to schedule it
+export const UnscheduledTray = ({ rows, titleColumn, pageIndex, onDragStart, onDragEnd, onOpenRow }) => (
+  <div className="w-56 shrink-0 flex flex-col border-l border-gray-200 dark:border-gray-800 bg-gray-50 dark:bg-gray-800/40">
+    <div className="px-3 py-2 text-xs font-semibold text-gray-500 uppercase">
+      Unscheduled <span className="font-normal text-gray-400">{rows.length}</span>
+    </div>
+    <div className="flex-1 overflow-y-auto px-2 pb-2 space-y-1">
+      {rows.length === 0 && <div className="px-1 text-xs text-gray-400">Every row has a date.</div>}
+      {rows.map(row => (
+        <div
+          key={row.id}
+          draggable
+          onDragStart={(e) => {
+            e.dataTransfer.setData('schedule_drag', JSON.stringify({ rowId: row.id, kind: 'schedule' }));
+            e.dataTransfer.effectAllowed = 'move';
+            onDragStart(row.id);
+          }}
+          onDragEnd={onDragEnd}
+          onClick={() => onOpenRow(row.id)}
+          className="px-2 py-1 text-sm rounded bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 cursor-grab truncate hover:border-blue-300 dark:hover:border-blue-700"
+        >
+          {rowLabel(row, titleColumn, pageIndex)}
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+const CalendarView = ({ mode, scheduled, unscheduled, titleColumn, pageIndex, canResize, onChangeDates, onOpenRow, onAddRow, onChangeMode }) => {
+  const today = dailyNoteKey(new Date());
+  const [anchor, setAnchor] = useState(today);
+  // Current drag: { rowId, kind: 'move' | 'end' | 'schedule', offset } (offset = days from the row's start to the grabbed day)
+  const [drag, setDrag] = useState(null);
+  const [overDay, setOverDay] = useState(null);
+
+  const weeks = calendarWeeks(anchor, mode);
+  const isWeek = mode === 'week';
+  const title = isWeek
+    ? `${formatDateValue(weeks[0][0])} – ${formatDateValue(weeks[0][6])}`
+    : new Date(`${anchor.slice(0, 7)}-01T00:00`).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+  const step = (dir) => {
+    if (isWeek) setAnchor(addDays(anchor, dir * 7));
+    else {
+      const [y, m] = anchor.split('-').map(Number);
+      const next = new Date(y, m - 1 + dir, 1);
+      setAnchor(dailyNoteKey(next));
+    }
+  };
+
+  const endDrag = () => {
+    setDrag(null);
+    setOverDay(null);
+  };
+
+  // Bars sit over the day cells, so the week row works out which day the pointer is on
+  const dayAt = (e, week) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return week[Math.max(0, Math.min(6, Math.floor(((e.clientX - rect.left) / rect.width) * 7)))];
+  };
+
+  const dropOn = (e, day) => {
+    e.preventDefault();
+    const current = drag;
+    endDrag();
+    if (!current) return;
+    if (current.kind === 'schedule') {
+      onChangeDates(current.rowId, { start: day, end: day });
+      return;
+    }
+    const item = scheduled.find(i => i.row.id === current.rowId);
+    if (!item) return;
+    if (current.kind === 'end') {
+      onChangeDates(item.row.id, { start: item.start, end: day });
+    } else {
+      const start = addDays(day, -current.offset);
+      if (start !== item.start) onChangeDates(item.row.id, { start, end: addDays(start, daysBetween(item.start, item.end)) });
+    }
+  };
+
+  return (
+    <div className="flex-1 flex min-h-0">
+      <div className="flex-1 flex flex-col min-w-0 overflow-auto p-4">
+        <div className="flex items-center gap-2 mb-3">
+          <button onClick={() => step(-1)} className={navButtonClass} title={isWeek ? 'Previous week' : 'Previous month'}>‹</button>
+          <button onClick={() => setAnchor(today)} className={navButtonClass}>Today</button>
+          <button onClick={() => step(1)} className={navButtonClass} title={isWeek ? 'Next week' : 'Next month'}>›</button>
+          <h3 className="flex-1 text-base font-semibold">{title}</h3>
+          <div className="flex rounded bg-gray-100 dark:bg-gray-800 p-0.5">
+            {['month', 'week'].map(m => (
+              <button
+                key={m}
+                onClick={() => onChangeMode(m)}
+                className={`px-2 py-0.5 rounded text-xs capitalize ${mode === m ? 'bg-white dark:bg-gray-700 shadow-sm font-medium' : 'text-gray-500'}`}
+              >
+                {m}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-7 text-xs text-gray-400 mb-1">
+          {WEEKDAYS.map(d => <div key={d} className="px-2">{d}</div>)}
+        </div>
+
+        <div className="border-l border-t border-gray-200 dark:border-gray-800">
+          {weeks.map(week => {
+            const bars = layoutWeek(scheduled, week);
+            const lanes = bars.reduce((n, bar) => Math.max(n, bar.lane + 1), 0);
+            const height = Math.max(isWeek ? 320 : 96, DAY_LABEL_HEIGHT + lanes * LANE_HEIGHT + 8);
+            return (
+              <div
+                key={week[0]}
+                onDragOver={(e) => {
+                  if (!drag) return;
+                  e.preventDefault();
+                  const day = dayAt(e, week);
+                  if (overDay !== day) setOverDay(day);
+                }}
+                onDrop={(e) => dropOn(e, dayAt(e, week))}
+                className="relative grid grid-cols-7"
+                style={{ height }}
+              >
+                {week.map(day => {
+                  const outside = !isWeek && day.slice(0, 7) !== anchor.slice(0, 7);
+                  return (
+                    <div
+                      key={day}
+                      className={`group/day border-r border-b border-gray-200 dark:border-gray-800 px-1.5 py-1 ${
+                        outside ? 'bg-gray-50/70 dark:bg-gray-800/30' : ''
+                      } ${overDay === day ? 'bg-blue-50 dark:bg-blue-900/20' : ''}`}
+                    >
+                      <div className="flex items-center justify-between text-xs">
+                        <span className={`w-5 h-5 flex items-center justify-center rounded-full ${
+                          day === today ? 'bg-blue-600 text-white font-semibold' : outside ? 'text-gray-300 dark:text-gray-600' : 'text-gray-500'
+                        }`}>
+                          {Number(day.slice(8))}
+                        </span>
+                        <button onClick={() => onAddRow(day)} className="opacity-0 group-hover/day:opacity-100 text-gray-400 hover:text-blue-500 px-1" title="New row on this day">
+                          +
+                        </button>
+                      </div>
+                    </div>
+                  );
+                })}
+
+                {bars.map(({ item, column, span, lane, startsBefore, endsAfter }) => (
+                  <div
+                    key={item.row.id}
+                    draggable
+                    onDragStart={(e) => {
+                      e.dataTransfer.setData('schedule_drag', JSON.stringify({ rowId: item.row.id, kind: 'move' }));
+                      e.dataTransfer.effectAllowed = 'move';
+                      const rect = e.currentTarget.getBoundingClientRect();
+                      const grabbed = Math.min(span - 1, Math.floor((e.clientX - rect.left) / (rect.width / span)));
+                      setDrag({ rowId: item.row.id, kind: 'move', offset: daysBetween(item.start, week[column]) + grabbed });
+                    }}
+                    onDragEnd={endDrag}
+                    onClick={() => onOpenRow(item.row.id)}
+                    className={`absolute flex items-center px-2 text-xs truncate cursor-pointer bg-blue-100 dark:bg-blue-900/50 text-blue-800 dark:text-blue-200 hover:bg-blue-200 dark:hover:bg-blue-900 ${
+                      startsBefore ? '' : 'rounded-l'
+                    } ${endsAfter ? '' : 'rounded-r'} ${drag?.rowId === item.row.id ? 'opacity-50' : ''}`}
+                    style={{
+                      top: DAY_LABEL_HEIGHT + lane * LANE_HEIGHT,
+                      height: LANE_HEIGHT - 3,
+                      left: `calc(${(column / 7) * 100}% + 2px)`,
+                      width: `calc(${(span / 7) * 100}% - 4px)`,
+                    }}
+                    title={`${rowLabel(item.row, titleColumn, pageIndex)} · ${formatDateValue(item.start)}${item.end !== item.start ? ` – ${formatDateValue(item.end)}` : ''}`}
+                  >
+                    <span className="flex-1 truncate">{rowLabel(item.row, titleColumn, pageIndex)}</span>
+                    {canResize && !endsAfter && (
+                      <span
+                        draggable
+                        onDragStart={(e) => {
+                          e.stopPropagation();
+                          e.dataTransfer.setData('schedule_drag', JSON.stringify({ rowId: item.row.id, kind: 'end' }));
+                          e.dataTransfer.effectAllowed = 'move';
+                          setDrag({ rowId: item.row.id, kind: 'end', offset: 0 });
+                        }}
+                        onDragEnd={endDrag}
+                        onClick={(e) => e.stopPropagation()}
+                        className="w-1.5 self-stretch -mr-2 cursor-ew-resize hover:bg-blue-400/60 rounded-r"
+                        title="Drag to change the end date"
+                      />
+                    )}
+                  </div>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <UnscheduledTray
+        rows={unscheduled}
+        titleColumn={titleColumn}
+        pageIndex={pageIndex}
+        onDragStart={(rowId) => setDrag({ rowId, kind: 'schedule', offset: 0 })}
+        onDragEnd={endDrag}
+        onOpenRow={onOpenRow}
+      />
+    </div>
+  );
+};
+
+export default CalendarView;
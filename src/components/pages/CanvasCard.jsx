@@ -0,0 +1,152 @@
+// CanvasCard Component - A linked page, Drive file or database shown as a card on a canvas
+// Cards are drawn from the live workspace, so they follow edits made on the pages they point to.
+
+import { useState } from 'react';
+import { pagePreview, tablePreview, driveThumbnailUrl } from '../../lib/canvas-cards';
+import { getTypeDisplayName } from '../../lib/embed-utils';
+import { ExternalLink } from '../icons';
+
+const LINE_CLASSES = {
+  heading: 'font-semibold text-gray-900 dark:text-gray-100',
+  list: '',
+  quote: 'border-l-2 border-gray-300 pl-2 italic',
+  code: 'font-mono text-xs',
+  media: 'text-gray-400',
+  text: ''
+};
+
+const CardHeader = ({ icon, title, subtitle, onOpen, openTitle }) => (
+  <div className="flex items-start gap-2 px-3 py-2 border-b border-gray-100 dark:border-gray-700">
+    <span className="text-lg leading-6">{icon}</span>
+    <div className="flex-1 min-w-0">
+      <div className="font-medium truncate text-gray-900 dark:text-gray-100">{title}</div>
+      {subtitle && <div className="text-xs text-gray-400 truncate">{subtitle}</div>}
+    </div>
+    {onOpen && (
+      <button
+        onClick={(e) => { e.stopPropagation(); onOpen(); }}
+        className="p-1 rounded text-gray-400 hover:text-purple-600 hover:bg-gray-100 dark:hover:bg-gray-700"
+        title={openTitle}
+      >
+        <ExternalLink size={14}/>
+      </button>
+    )}
+  </div>
+);
+
+const MissingPage = () => (
+  <div className="h-full flex flex-col items-center justify-center gap-1 text-sm text-gray-400 p-4 text-center">
+    <span className="text-2xl">⚠️</span>
+    The linked page was deleted or moved out of reach.
+  </div>
+);
+
+const PageCard = ({ container, entry, onOpenPage }) => {
+  const page = entry.page;
+  const lines = pagePreview(page);
+  const open = () => onOpenPage?.(entry.notebookId, entry.tabId, page.id);
+  return (
+    <div className="h-full flex flex-col cursor-pointer" onDoubleClick={open}>
+      <CardHeader icon={page.icon || '📄'} title={page.name || 'Untitled'} subtitle={entry.path} onOpen={open} openTitle="Open page" />
+      <div className="flex-1 overflow-hidden px-3 py-2 space-y-1 text-sm text-gray-600 dark:text-gray-300">
+        {lines.length === 0 && <div className="text-gray-400 italic">Empty page</div>}
+        {lines.map((line, i) => (
+          <div key={`${container.id}-${i}`} className={`truncate ${LINE_CLASSES[line.kind] || ''}`}>
+            {line.kind === 'list' && <span className="mr-1.5 text-gray-400">•</span>}
+            {line.kind === 'todo' && <input type="checkbox" checked={line.checked} readOnly className="mr-1.5 align-middle pointer-events-none" />}
+            <span className={line.checked ? 'line-through text-gray-400' : ''}>{line.text}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const TableCard = ({ container, entry, pageIndex, onOpenPage, onUpdate }) => {
+  const page = entry.page;
+  const table = tablePreview(page, container.viewId, { pageIndex });
+  const views = page.content?.views || [];
+  const open = () => onOpenPage?.(entry.notebookId, entry.tabId, page.id);
+  return (
+    <div className="h-full flex flex-col">
+      <CardHeader
+        icon={page.icon || '🗂️'}
+        title={page.name || 'Untitled'}
+        subtitle={`${table.total} ${table.total === 1 ? 'row' : 'rows'}`}
+        onOpen={open}
+        openTitle="Open database"
+      />
+      {views.length > 1 && (
+        <div className="flex gap-1 px-3 pt-1.5 overflow-x-auto">
+          {views.map(v => (
+            <button
+              key={v.id}
+              onClick={(e) => { e.stopPropagation(); onUpdate({ viewId: v.id }); }}
+              className={`px-2 py-0.5 text-xs rounded whitespace-nowrap ${v.id === table.view.id ? 'bg-purple-100 text-purple-700' : 'text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+            >
+              {v.name}
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="flex-1 overflow-auto px-1 py-1">
+        <table className="w-full text-xs table-fixed">
+          <thead>
+            <tr className="text-left text-gray-400">
+              {table.columns.map(c => <th key={c.id} className="font-medium px-2 py-1 truncate">{c.name}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {table.rows.map(row => (
+              <tr key={row.id} className="border-t border-gray-100 dark:border-gray-700 text-gray-700 dark:text-gray-200">
+                {row.cells.map((text, i) => <td key={table.columns[i].id} className="px-2 py-1 truncate">{text}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {table.total > table.rows.length && (
+          <button onClick={(e) => { e.stopPropagation(); open(); }} className="px-2 py-1 text-xs text-gray-400 hover:text-purple-600">
+            {table.total - table.rows.length} more…
+          </button>
+        )}
+        {table.total === 0 && <div className="px-2 py-1 text-xs text-gray-400 italic">No rows in this view</div>}
+      </div>
+    </div>
+  );
+};
+
+const DriveCard = ({ container }) => {
+  const [thumbFailed, setThumbFailed] = useState(false);
+  const thumb = !thumbFailed && driveThumbnailUrl(container.embed);
+  const open = () => window.open(container.url, '_blank', 'noopener');
+  return (
+    <div className="h-full flex flex-col cursor-pointer" onDoubleClick={open}>
+      <CardHeader
+        icon={container.embed?.icon || '📁'}
+        title={container.title || 'Drive file'}
+        subtitle={getTypeDisplayName(container.embed?.type)}
+        onOpen={open}
+        openTitle="Open in a new tab"
+      />
+      {thumb ? (
+        <div className="flex-1 min-h-0 overflow-hidden bg-gray-50 dark:bg-gray-900">
+          <img src={thumb} alt="" className="w-full h-full object-cover object-top pointer-events-none" onError={() => setThumbFailed(true)} />
+        </div>
+      ) : (
+        <div className="px-3 py-2 text-xs text-gray-400 break-all">{container.url}</div>
+      )}
+    </div>
+  );
+};
+
+const CanvasCard = ({ container, pageIndex, onOpenPage, onUpdate }) => {
+  if (container.type === 'drive-card') return <DriveCard container={container} />;
+  const entry = pageIndex?.get(container.pageId);
+  if (!entry) return <MissingPage />;
+  if (container.type === 'table-card') {
+    return <TableCard container={container} entry={entry} pageIndex={pageIndex} onOpenPage={onOpenPage} onUpdate={onUpdate} />;
+  }
+  return <PageCard container={container} entry={entry} onOpenPage={onOpenPage} />;
+};
+
+export default CanvasCard;
@@ -0,0 +1,115 @@
+// CanvasCardDialog Component - Pick a page, Drive file or database to put on a canvas as a card
+
+import { useState } from 'react';
+import { CARD_TYPES, driveCardFields } from '../../lib/canvas-cards';
+
+const fieldClass = "w-full px-2 py-1 text-sm border rounded bg-white dark:bg-gray-700 dark:border-gray-600 outline-none focus:border-blue-500";
+
+const PageList = ({ entries, onPick }) => {
+  const [query, setQuery] = useState('');
+  const needle = query.trim().toLowerCase();
+  const matches = entries.filter(e => !needle || (e.page.name || '').toLowerCase().includes(needle)).slice(0, 50);
+  return (
+    <div className="space-y-2">
+      <input autoFocus value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search pages…" className={fieldClass} />
+      <div className="max-h-64 overflow-y-auto -mx-1">
+        {matches.length === 0 && <p className="px-1 py-2 text-sm text-gray-400">No matching pages.</p>}
+        {matches.map(e => (
+          <button
+            key={e.page.id}
+            onClick={() => onPick(e.page)}
+            className="w-full flex items-center gap-2 px-2 py-1.5 rounded text-left hover:bg-purple-50 dark:hover:bg-gray-700"
+          >
+            <span>{e.page.icon || '📄'}</span>
+            <span className="flex-1 min-w-0">
+              <span className="block text-sm truncate">{e.page.name || 'Untitled'}</span>
+              <span className="block text-xs text-gray-400 truncate">{e.path}</span>
+            </span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const DriveForm = ({ onAdd }) => {
+  const [url, setUrl] = useState('');
+  const [title, setTitle] = useState('');
+  const [error, setError] = useState(null);
+
+  const submit = (e) => {
+    e.preventDefault();
+    const fields = driveCardFields(url, title);
+    if (!fields) {
+      setError("That link isn't a Google Drive, Docs, Sheets, Slides or other supported file link.");
+      return;
+    }
+    onAdd(fields);
+  };
+
+  return (
+    <form onSubmit={submit} className="space-y-3">
+      <label className="block space-y-1">
+        <span className="text-xs font-semibold text-gray-500 uppercase">Link</span>
+        <input autoFocus value={url} onChange={(e) => { setUrl(e.target.value); setError(null); }} placeholder="https://docs.google.com/…" className={fieldClass} />
+      </label>
+      <label className="block space-y-1">
+        <span className="text-xs font-semibold text-gray-500 uppercase">Name (optional)</span>
+        <input value={title} onChange={(e) => setTitle(e.target.value)} placeholder="Shown on the card" className={fieldClass} />
+      </label>
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+      <div className="flex justify-end">
+        <button type="submit" disabled={!url.trim()} className="px-3 py-1.5 text-sm rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50">
+          Add card
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const CanvasCardDialog = ({ pageIndex, currentPageId, onAdd, onClose }) => {
+  const [type, setType] = useState('page-card');
+  const entries = [...(pageIndex?.values() || [])].filter(e => e.page.id !== currentPageId);
+  const databases = entries.filter(e => e.page.type === 'database');
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-md flex flex-col border border-gray-200 dark:border-gray-700">
+        <div className="px-5 py-3 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-lg font-medium">Add a card</h3>
+          <p className="text-xs text-gray-500">Cards show the current contents of what they link to.</p>
+        </div>
+
+        <div className="flex gap-1 px-5 pt-3">
+          {CARD_TYPES.map(t => (
+            <button
+              key={t.type}
+              onClick={() => setType(t.type)}
+              className={`px-3 py-1 text-sm rounded ${type === t.type ? 'bg-purple-100 text-purple-700 dark:bg-purple-900/30 dark:text-purple-300' : 'text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="px-5 py-4">
+          {type === 'page-card' && <PageList key="pages" entries={entries} onPick={(page) => onAdd('page-card', { pageId: page.id })} />}
+          {type === 'table-card' && (
+            databases.length
+              ? <PageList key="databases" entries={databases} onPick={(page) => onAdd('table-card', { pageId: page.id, viewId: page.content?.views?.[0]?.id || null })} />
+              : <p className="text-sm text-gray-400">There are no database pages yet.</p>
+          )}
+          {type === 'drive-card' && <DriveForm onAdd={(fields) => onAdd('drive-card', fields)} />}
+        </div>
+
+        <div className="flex px-5 py-3 border-t border-gray-200 dark:border-gray-700">
+          <button onClick={onClose} className="ml-auto px-3 py-1.5 text-sm text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded">
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CanvasCardDialog;
@@ -0,0 +1,88 @@
+// CanvasExportDialog Component - Save a canvas page, or the selected part of it, as SVG, PNG or PDF
+
+import { useState } from 'react';
+import { EXPORT_FORMATS, EXPORT_SCALES } from '../../lib/canvas-export';
+
+const buttonClass = "px-3 py-1.5 text-sm rounded border border-gray-200 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50";
+
+const Choice = ({ label, options, value, onChange }) => (
+  <div className="space-y-1">
+    <div className="text-xs font-semibold text-gray-500 uppercase">{label}</div>
+    <div className="flex flex-wrap gap-1">
+      {options.map(o => (
+        <button
+          key={o.value}
+          onClick={() => onChange(o.value)}
+          disabled={o.disabled}
+          className={`${buttonClass} ${value === o.value ? 'bg-purple-100 text-purple-700 border-purple-300 dark:bg-purple-900/30 dark:text-purple-300' : ''}`}
+        >
+          {o.label}
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+const CanvasExportDialog = ({ hasSelection, onExport, onClose }) => {
+  const [format, setFormat] = useState('png');
+  const [scope, setScope] = useState(hasSelection ? 'selection' : 'all');
+  const [scale, setScale] = useState(2);
+  const [background, setBackground] = useState('white');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await onExport({ format, scale, background, selectionOnly: scope === 'selection' });
+      onClose();
+    } catch (err) {
+      setError(err?.message || 'Export failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-sm flex flex-col border border-gray-200 dark:border-gray-700">
+        <div className="px-5 py-3 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-lg font-medium">Export canvas</h3>
+          <p className="text-xs text-gray-500">Maps are saved as a snapshot of what they show now.</p>
+        </div>
+
+        <div className="px-5 py-4 space-y-4">
+          <Choice label="Format" value={format} onChange={setFormat} options={EXPORT_FORMATS.map(f => ({ value: f.format, label: f.label }))} />
+          <Choice
+            label="Include"
+            value={scope}
+            onChange={setScope}
+            options={[{ value: 'all', label: 'Whole canvas' }, { value: 'selection', label: 'Selection', disabled: !hasSelection }]}
+          />
+          {format !== 'svg' && (
+            <Choice label="Scale" value={scale} onChange={setScale} options={EXPORT_SCALES.map(s => ({ value: s, label: `${s}×` }))} />
+          )}
+          <Choice
+            label="Background"
+            value={background}
+            onChange={setBackground}
+            options={[{ value: 'white', label: 'White' }, { value: 'transparent', label: 'Transparent' }]}
+          />
+          {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+        </div>
+
+        <div className="flex items-center gap-2 px-5 py-3 border-t border-gray-200 dark:border-gray-700">
+          <button onClick={onClose} className="ml-auto px-3 py-1.5 text-sm text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded">
+            Cancel
+          </button>
+          <button disabled={busy} onClick={run} className="px-3 py-1.5 text-sm rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50">
+            {busy ? 'Exporting…' : 'Export'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CanvasExportDialog;
@@ -0,0 +1,61 @@
+// CanvasInkLayer Component - Strokes drawn into one bitmap instead of an SVG each
+// Used when a canvas with a lot of ink is zoomed out: the bitmap is drawn once per zoom step and
+// then only moves with the canvas, so panning doesn't touch the strokes at all.
+
+import { useLayoutEffect, useMemo, useRef } from 'react';
+import { inkBox, paintInk } from '../../lib/canvas-ink';
+
+// Browsers refuse (or silently blank) canvases much larger than this
+const MAX_SIDE = 8192;
+const MAX_AREA = 16 * 1024 * 1024;
+
+const sameList = (a, b) => a.length === b.length && a.every((item, i) => item === b[i]);
+
+const inkBounds = (paths) => {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const p of paths) {
+    const box = inkBox(p);
+    minX = Math.min(minX, box.x);
+    minY = Math.min(minY, box.y);
+    maxX = Math.max(maxX, box.x + box.width);
+    maxY = Math.max(maxY, box.y + box.height);
+  }
+  return { x: Math.floor(minX), y: Math.floor(minY), width: Math.ceil(maxX - minX) + 1, height: Math.ceil(maxY - minY) + 1 };
+};
+
+const CanvasInkLayer = ({ paths, scale }) => {
+  const canvasRef = useRef(null);
+  const drawnRef = useRef(null);
+  const bounds = useMemo(() => (paths.length ? inkBounds(paths) : null), [paths]);
+
+  // Sharp at the zoom step it was drawn for, but never bigger than the browser allows
+  const ratio = bounds
+    ? Math.min(
+        scale * (window.devicePixelRatio || 1),
+        MAX_SIDE / Math.max(bounds.width, bounds.height),
+        Math.sqrt(MAX_AREA / (bounds.width * bounds.height))
+      )
+    : 0;
+
+  useLayoutEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !bounds) return;
+    const drawn = drawnRef.current;
+    if (drawn && drawn.canvas === canvas && drawn.ratio === ratio && sameList(drawn.paths, paths)) return;
+    canvas.width = Math.max(1, Math.round(bounds.width * ratio));
+    canvas.height = Math.max(1, Math.round(bounds.height * ratio));
+    paintInk(canvas.getContext('2d'), paths, { x: bounds.x, y: bounds.y, scale: ratio });
+    drawnRef.current = { canvas, paths, ratio };
+  }, [paths, bounds, ratio]);
+
+  if (!bounds) return null;
+  return (
+    <canvas
+      ref={canvasRef}
+      className="absolute pointer-events-none"
+      style={{ left: bounds.x + 25000, top: bounds.y + 25000, width: bounds.width, height: bounds.height }}
+    />
+  );
+};
+
+export default CanvasInkLayer;
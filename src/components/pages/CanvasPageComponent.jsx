@@ -1,7 +1,7 @@
 // CanvasPageComponent - Freeform canvas with containers and drawing
 // Extracted from Strata index.html Section F
 
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useLayoutEffect, useRef, useCallback, useMemo } from 'react';
 
 const formatTimestamp = (ts) => {
   if (!ts) return null;
@@ -11,22 +11,63 @@ const formatTimestamp = (ts) => {
     time: d.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
   };
 };
-import { generateId, getFormattedDate } from '../../lib/utils';
+import { generateId, getFormattedDate, downloadBlob } from '../../lib/utils';
 import { EMOJIS } from '../../lib/constants';
+import {
+  SHAPES, SHAPE_FILLS, CONNECTOR_STYLES, ANCHORS, createShape, createConnector, anchorPoint, boxAt, endAt,
+  connectorRoute, arrowHeadPath, withoutContainers
+} from '../../lib/canvas-diagram';
+import {
+  GRID_SIZE, ALIGN_MODES, isSelected, unionBounds, boxesIntersect, rectFromPoints, expandGroups, setGroup,
+  duplicateItems, bringToFront, sendToBack, snapOffset, alignOffsets, distributeOffsets, scaleContainer, scalePath, scaleEnd
+} from '../../lib/canvas-arrange';
+import { exportCanvas } from '../../lib/canvas-export';
+import {
+  createFrame, padRect, moveFrameInOrder, itemsInFrame, visibleRect, centerOn, fitTransform, minimapView, toMinimap, fromMinimap, MAX_SCALE
+} from '../../lib/canvas-frames';
+import { isCard, createCard, cardSummary } from '../../lib/canvas-cards';
+import { buildPageIndex } from '../../lib/table-columns';
+import { HIGHLIGHTER_COLORS, finishStroke, inkStyle, inkBox, pathHit, erasePath, pathsInLasso, recognizeShape } from '../../lib/canvas-ink';
+import { createSpatialIndex, syncIndex, queryRect, queryPoint, indexedItem } from '../../lib/canvas-index';
 import {
   Bold, Italic, Underline, Strikethrough, CheckSquare, List, ListOrdered,
-  Undo, Redo, Eraser, MousePointer2, Hand, PenTool, ZoomIn, ZoomOut
+  Undo, Redo, Eraser, MousePointer2, Hand, PenTool, ZoomIn, ZoomOut, Shapes, Spline,
+  AlignStartVertical, AlignCenterVertical, AlignEndVertical, AlignStartHorizontal, AlignCenterHorizontal, AlignEndHorizontal,
+  DistributeHorizontal, DistributeVertical, Group, Ungroup, BringToFront, SendToBack, Grid, Download,
+  Frame, MapIcon, Play, Scan, Focus, ChevronLeft, ChevronRight, X, Highlighter, Lasso, Wand, LayoutTemplate
 } from '../icons';
 import { SlashMenu, ToolbarBtn, UniversalContainer } from '../ui';
 import MapConfigPopup from './MapConfigPopup';
 import MapBlock from './MapBlock';
+import CanvasExportDialog from './CanvasExportDialog';
+import CanvasCard from './CanvasCard';
+import CanvasCardDialog from './CanvasCardDialog';
+import CanvasInkLayer from './CanvasInkLayer';
 
-const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }) => {
+// Height of the drag handle above each container's content
+const HANDLE_HEIGHT = 16;
+const CONNECTOR_COLORS = ['#374151', '#FF0000', '#0000FF', '#008000'];
+const MINIMAP_SIZE = { width: 200, height: 140 };
+// Screen pixels around the pointer that the partial eraser cuts away
+const ERASER_RADIUS = 8;
+// Below this zoom, a canvas with at least INK_BITMAP_PATHS strokes draws them into one bitmap
+const INK_BITMAP_SCALE = 0.5;
+const INK_BITMAP_PATHS = 150;
+// Where the page icon and title sit, so "fit all" keeps them in view
+const TITLE_BOX = { x: 0, y: 0, width: 600, height: 120 };
+const ALIGN_ICONS = {
+  left: AlignStartVertical, center: AlignCenterVertical, right: AlignEndVertical,
+  top: AlignStartHorizontal, middle: AlignCenterHorizontal, bottom: AlignEndHorizontal
+};
+
+const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification, focusContainerId, notebooks, onOpenPage }) => {
   const canvasData = page.canvasData || { containers: [], paths: [], pageTitle: page.name || 'Untitled Page', transform: { x: 32, y: 32, scale: 1 } };
   
   // State
   const [containers, setContainers] = useState(canvasData.containers || []);
   const [paths, setPaths] = useState(canvasData.paths || []);
+  const [connectors, setConnectors] = useState(canvasData.connectors || []);
+  const [frames, setFrames] = useState(canvasData.frames || []);
   const [pageTitle, setPageTitle] = useState(canvasData.pageTitle || page.name || 'Untitled Page');
   const [history, setHistory] = useState({ past: [], future: [] });
   const [appClipboard, setAppClipboard] = useState(null);
@@ -34,17 +75,42 @@ const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }
   const [transform, setTransform] = useState(initialTransform);
   const [cursorPos, setCursorPos] = useState({ x: 0, y: 0 });
   const [tool, setTool] = useState('cursor');
-  const [selectedId, setSelectedId] = useState(null);
-  const [selectedType, setSelectedType] = useState(null);
+  // Selected items: [{ type: 'container' | 'path' | 'connector', id }]
+  const [selection, setSelection] = useState([]);
+  const selectedId = selection.length === 1 ? selection[0].id : null;
+  const selectedType = selection.length === 1 ? selection[0].type : null;
+  const [snapEnabled, setSnapEnabled] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showCardDialog, setShowCardDialog] = useState(false);
+  const [showFrames, setShowFrames] = useState(false);
+  const [showMinimap, setShowMinimap] = useState(true);
+  // Frame whose name is being edited: { id, where: 'canvas' | 'panel' }
+  const [renamingFrame, setRenamingFrame] = useState(null);
+  // Index of the frame on screen in presentation mode, or null
+  const [presenting, setPresenting] = useState(null);
+  const presentFullscreenRef = useRef(false);
+  const rootRef = useRef(null);
+  // Smart guide lines shown while dragging: [{ axis, at, from, to }]
+  const [guides, setGuides] = useState([]);
   const [isSpacePressed, setIsSpacePressed] = useState(false);
   const [slashMenu, setSlashMenu] = useState(null);
   const [mapConfigContainerId, setMapConfigContainerId] = useState(null);
   const [mapConfigPosition, setMapConfigPosition] = useState(null);
   const [brushColor, setBrushColor] = useState('#000000');
   const [brushWidth, setBrushWidth] = useState(2);
+  const [inkMode, setInkMode] = useState('pen'); // 'pen' | 'highlighter'
+  const [highlighterColor, setHighlighterColor] = useState(HIGHLIGHTER_COLORS[0]);
+  const [eraserMode, setEraserMode] = useState('stroke'); // 'stroke' erases whole paths, 'partial' cuts them
+  const [recognizeShapes, setRecognizeShapes] = useState(false);
   const [dragInfo, setDragInfo] = useState(null);
   const [resizeInfo, setResizeInfo] = useState(null);
   const [drawInfo, setDrawInfo] = useState(null);
+  // Connector being drawn, or an end of one being moved: { from, point } | { connectorId, end, point }
+  const [connectInfo, setConnectInfo] = useState(null);
+  const [shapeKind, setShapeKind] = useState('rectangle');
+  const [connectorStyle, setConnectorStyle] = useState('straight');
+  // Rendered size of each container's content, so connectors meet auto-sized text boxes at their edges
+  const [containerSizes, setContainerSizes] = useState({});
   const canvasRef = useRef(null);
   const rafRef = useRef(null);
   const [currentDate] = useState(getFormattedDate());
@@ -58,6 +124,9 @@ const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }
     const data = page.canvasData || {};
     setContainers(data.containers || []);
     setPaths(data.paths || []);
+    setConnectors(data.connectors || []);
+    setFrames(data.frames || []);
+    setPresenting(null);
     const title = data.pageTitle || page.name || 'Untitled Page';
     setPageTitle(title);
     const fallbackTransform = { x: 32, y: 32, scale: 1 };
@@ -99,6 +168,8 @@ const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }
         canvasData: { 
           containers, 
           paths, 
+          connectors,
+          frames,
           pageTitle,
           transform: transformRef.current // Grab the latest transform without triggering a save loop
         },
@@ -109,12 +180,12 @@ const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }
     return () => {
       if (onUpdateTimeoutRef.current) clearTimeout(onUpdateTimeoutRef.current);
     };
-  }, [containers, paths, pageTitle, page.id, transform]);
+  }, [containers, paths, connectors, frames, pageTitle, page.id, transform]);
 
   // History management
   const pushToHistory = () => {
     setHistory(prev => ({
-      past: [...prev.past, { containers, paths }],
+      past: [...prev.past, { containers, paths, connectors, frames }],
       future: []
     }));
   };
@@ -126,11 +197,13 @@ const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }
     
     setHistory({
       past: newPast,
-      future: [{ containers, paths }, ...history.future]
+      future: [{ containers, paths, connectors, frames }, ...history.future]
     });
     
     setContainers(previous.containers);
     setPaths(previous.paths);
+    setConnectors(previous.connectors || []);
+    setFrames(previous.frames || []);
   };
 
   const redo = () => {
@@ -139,73 +212,92 @@ const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }
     const newFuture = history.future.slice(1);
     
     setHistory({
-      past: [...history.past, { containers, paths }],
+      past: [...history.past, { containers, paths, connectors, frames }],
       future: newFuture
     });
     
     setContainers(next.containers);
     setPaths(next.paths);
+    setConnectors(next.connectors || []);
+    setFrames(next.frames || []);
   };
 
-  // Clipboard operations
+  // Selection helpers - picking one member of a group picks the whole group
+  const selectItem = (type, id, e) => {
+    const items = expandGroups([{ type, id }], containers, paths);
+    if (!e?.shiftKey) {
+      setSelection(items);
+      return;
+    }
+    setSelection(prev => isSelected(prev, type, id)
+      ? prev.filter(s => !isSelected(items, s.type, s.id))
+      : [...prev, ...items.filter(i => !isSelected(prev, i.type, i.id))]);
+  };
+
+  const clearSelection = () => setSelection([]);
+
+  // Removing containers takes the connectors attached to them along
+  const removeItems = (items) => {
+    const ids = (type) => new Set(items.filter(i => i.type === type).map(i => i.id));
+    const containerIds = ids('container');
+    const pathIds = ids('path');
+    const connectorIds = ids('connector');
+    const frameIds = ids('frame');
+    setContainers(prev => prev.filter(c => !containerIds.has(c.id)));
+    setPaths(prev => prev.filter(p => !pathIds.has(p.id)));
+    setFrames(prev => prev.filter(f => !frameIds.has(f.id)));
+    setConnectors(prev => withoutContainers(prev.filter(c => !connectorIds.has(c.id)), [...containerIds]));
+  };
+
+  const removeContainer = (id) => removeItems([{ type: 'container', id }]);
+
+  // Clipboard operations work on the whole selection; connectors between two copied containers come along
   const handleCopy = () => {
-    if (!selectedId) return;
-    if (selectedType === 'container' && window.getSelection().toString().length > 0) {
+    if (!selection.length) return;
+    if (window.getSelection().toString().length > 0) {
       return; 
     }
-    if (selectedType === 'container') {
-      const item = containers.find(c => c.id === selectedId);
-      if (item) setAppClipboard({ type: 'container', data: item });
-    } else if (selectedType === 'path') {
-      const item = paths.find(p => p.id === selectedId);
-      if (item) setAppClipboard({ type: 'path', data: item });
-    }
+    const copied = containers.filter(c => isSelected(selection, 'container', c.id));
+    const copiedIds = new Set(copied.map(c => c.id));
+    setAppClipboard({
+      containers: copied,
+      paths: paths.filter(p => isSelected(selection, 'path', p.id)),
+      connectors: connectors.filter(c =>
+        isSelected(selection, 'connector', c.id) || (copiedIds.has(c.from?.containerId) && copiedIds.has(c.to?.containerId))
+      )
+    });
   };
 
   const handleCut = () => {
-    if (!selectedId) return;
-    if (selectedType === 'container' && window.getSelection().toString().length > 0) return;
+    if (!selection.length) return;
+    if (window.getSelection().toString().length > 0) return;
     handleCopy();
     pushToHistory();
-    if (selectedType === 'container') {
-      setContainers(prev => prev.filter(c => c.id !== selectedId));
-    } else {
-      setPaths(prev => prev.filter(p => p.id !== selectedId));
-    }
-    setSelectedId(null);
-    setSelectedType(null);
+    removeItems(selection);
+    clearSelection();
   };
 
   const handleAppPaste = () => {
     if (!appClipboard) return;
     pushToHistory();
-    const newId = generateId();
-    if (appClipboard.type === 'container') {
-      const newContainer = {
-        ...appClipboard.data,
-        id: newId,
-        x: appClipboard.data.x + 20,
-        y: appClipboard.data.y + 20
-      };
-      setContainers(prev => [...prev, newContainer]);
-      setSelectedId(newId);
-      setSelectedType('container');
-    } else if (appClipboard.type === 'path') {
-      const newPath = {
-        ...appClipboard.data,
-        id: newId,
-        x: appClipboard.data.x + 20,
-        y: appClipboard.data.y + 20
-      };
-      setPaths(prev => [...prev, newPath]);
-      setSelectedId(newId);
-      setSelectedType('path');
-    }
+    const pasted = duplicateItems(appClipboard);
+    setContainers(prev => [...prev, ...pasted.containers]);
+    setPaths(prev => [...prev, ...pasted.paths]);
+    setConnectors(prev => [...prev, ...pasted.connectors]);
+    setSelection([
+      ...pasted.containers.map(c => ({ type: 'container', id: c.id })),
+      ...pasted.paths.map(p => ({ type: 'path', id: p.id })),
+      ...pasted.connectors.map(c => ({ type: 'connector', id: c.id }))
+    ]);
+    // Paste again to place the next copy further along
+    setAppClipboard(pasted);
   };
 
   // Global event listeners
   useEffect(() => {
     const handleKeyDown = (e) => {
+      // Presentation mode has its own keys
+      if (presenting !== null) return;
       if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
         e.preventDefault();
         if (e.shiftKey) redo();
@@ -237,18 +329,36 @@ const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }
       if (e.code === 'Space' && !e.repeat && document.activeElement.tagName !== 'DIV') {
         setIsSpacePressed(true);
       }
-      if (e.key === 'Delete' || e.key === 'Backspace') {
-         if (selectedType === 'path' && selectedId) {
-            pushToHistory();
-            setPaths(prev => prev.filter(p => p.id !== selectedId));
-            setSelectedId(null);
-            setSelectedType(null);
-         } else if (selectedType === 'container' && selectedId && document.activeElement.tagName !== 'DIV') {
-            pushToHistory();
-            setContainers(prev => prev.filter(c => c.id !== selectedId));
-            setSelectedId(null);
-            setSelectedType(null);
-         }
+      // The rest act on the selection, not on text being typed
+      const active = document.activeElement;
+      if (active?.isContentEditable || active?.tagName === 'INPUT' || active?.tagName === 'TEXTAREA') return;
+      const mod = e.ctrlKey || e.metaKey;
+      if ((e.key === 'Delete' || e.key === 'Backspace') && selection.length) {
+        pushToHistory();
+        removeItems(selection);
+        clearSelection();
+      } else if (mod && e.key.toLowerCase() === 'a') {
+        e.preventDefault();
+        setSelection([
+          ...containers.map(c => ({ type: 'container', id: c.id })),
+          ...paths.map(p => ({ type: 'path', id: p.id })),
+          ...connectors.map(c => ({ type: 'connector', id: c.id }))
+        ]);
+      } else if (mod && e.key.toLowerCase() === 'g' && selection.length) {
+        e.preventDefault();
+        if (e.shiftKey) ungroupSelection();
+        else groupSelection();
+      } else if (mod && (e.key === ']' || e.key === '[') && selection.length) {
+        e.preventDefault();
+        reorderSelection(e.key === ']' ? 'front' : 'back');
+      } else if (e.shiftKey && !mod && e.code === 'Digit1') {
+        e.preventDefault();
+        zoomToFit();
+      } else if (e.shiftKey && !mod && e.code === 'Digit2' && selection.length) {
+        e.preventDefault();
+        zoomToSelection();
+      } else if (e.key === 'Escape') {
+        clearSelection();
       }
     };
     
@@ -293,7 +403,7 @@ const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }
       window.removeEventListener('keyup', handleKeyUp);
       window.removeEventListener('paste', handlePaste);
     };
-  }, [transform, selectedId, selectedType, history, appClipboard, containers, paths]);
+  }, [transform, selection, history, appClipboard, containers, paths, connectors, frames, presenting]);
 
   // Viewport logic - use useCallback to memoize and use ref for latest transform
   const transformRef = useRef(transform);
@@ -343,6 +453,24 @@ const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }
     };
   }, [handleWheel]);
 
+  // Pan so a container (e.g. a search hit) sits in the middle of the viewport
+  useEffect(() => {
+    if (!focusContainerId || !canvasRef.current) return;
+    const target = containers.find(c => c.id === focusContainerId);
+    if (!target) return;
+    const rect = canvasRef.current.getBoundingClientRect();
+    const canvasOffset = 25000;
+    const scale = transformRef.current.scale;
+    const centerX = target.x + (target.width || 200) / 2;
+    const centerY = target.y + 50;
+    setTransform({
+      x: rect.width / 2 + canvasOffset - (centerX + canvasOffset) * scale,
+      y: rect.height / 2 + canvasOffset - (centerY + canvasOffset) * scale,
+      scale
+    });
+    setSelection([{ type: 'container', id: target.id }]);
+  }, [focusContainerId]);
+
   const getCanvasCoords = (e) => {
     const rect = canvasRef.current.getBoundingClientRect();
     const canvasOffset = 25000;
@@ -352,36 +480,247 @@ const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }
     };
   };
 
-  // Viewport culling: calculate visible area in canvas coordinates
+  // Viewport culling: the visible area in canvas coordinates, padded so scrolling doesn't show gaps
   const getViewportBounds = () => {
     if (!canvasRef.current) return null;
     const rect = canvasRef.current.getBoundingClientRect();
     // Don't cull if canvas hasn't been sized yet
     if (rect.width === 0 || rect.height === 0) return null;
-    
-    const currentTransform = transformRef.current;
-    const canvasOffset = 25000;
-    const padding = 200; // Render slightly outside viewport for smooth scrolling
-    
-    const bounds = {
-      minX: (0 + canvasOffset - currentTransform.x - padding) / currentTransform.scale - canvasOffset,
-      minY: (0 + canvasOffset - currentTransform.y - padding) / currentTransform.scale - canvasOffset,
-      maxX: (rect.width + canvasOffset - currentTransform.x + padding) / currentTransform.scale - canvasOffset,
-      maxY: (rect.height + canvasOffset - currentTransform.y + padding) / currentTransform.scale - canvasOffset
+    const padding = 200 / transformRef.current.scale;
+    return padRect(visibleRect(transformRef.current, rect), padding);
+  };
+
+  // Container boxes in canvas coordinates (content only, below the drag handle) for connectors
+  useLayoutEffect(() => {
+    let changed = false;
+    const next = {};
+    for (const c of containers) {
+      const el = document.getElementById(`container-${c.id}`);
+      const prev = containerSizes[c.id];
+      if (!el) {
+        if (prev) next[c.id] = prev;
+        continue;
+      }
+      const size = { width: el.offsetWidth, height: el.offsetHeight - HANDLE_HEIGHT };
+      if (!prev || prev.width !== size.width || prev.height !== size.height) changed = true;
+      next[c.id] = size;
+    }
+    if (changed || Object.keys(next).length !== Object.keys(containerSizes).length) setContainerSizes(next);
+  }, [containers]);
+
+  const pathBox = (p) => ({ x: p.x, y: p.y, width: p.width || 0, height: p.height || 0 });
+
+  const boxes = new Map(containers.map(c => {
+    const size = containerSizes[c.id];
+    return [c.id, {
+      x: c.x,
+      y: c.y + HANDLE_HEIGHT,
+      width: size?.width ?? c.width ?? 200,
+      height: size?.height ?? c.height ?? (c.type === 'image' ? 200 : 100)
+    }];
+  }));
+
+  // Spatial index of containers, paths and frames, for culling and hit-testing. It is brought up to
+  // date when a list changes, and then only the items whose boxes moved are re-filed.
+  const spatialRef = useRef(null);
+  if (!spatialRef.current) spatialRef.current = { index: createSpatialIndex(), synced: {} };
+  const spatialIndex = spatialRef.current.index;
+  const syncSpatial = (type, items, boxOf, measured) => {
+    const last = spatialRef.current.synced[type];
+    if (last && last.items === items && last.measured === measured) return;
+    syncIndex(spatialIndex, type, items, boxOf, { remeasure: !last || last.measured !== measured });
+    spatialRef.current.synced[type] = { items, measured };
+  };
+  syncSpatial('container', containers, c => boxes.get(c.id), containerSizes);
+  syncSpatial('path', paths, inkBox);
+  syncSpatial('frame', frames, f => f);
+
+  // What is in (or near) the viewport, in drawing order
+  const visibleItems = (type, items) => {
+    const bounds = getViewportBounds();
+    return bounds ? queryRect(spatialIndex, type, bounds) : items;
+  };
+
+  // The topmost stroke under a canvas point
+  const pathAt = (point) => {
+    const tolerance = 4 / transform.scale;
+    return queryPoint(spatialIndex, 'path', point, tolerance).reverse().find(p => pathHit(p, point, tolerance)) || null;
+  };
+
+  // Zoomed out on a lot of ink, unselected strokes are drawn into one bitmap, redrawn at each halving of the zoom
+  const inkBitmap = transform.scale < INK_BITMAP_SCALE && paths.length >= INK_BITMAP_PATHS;
+  const inkBitmapScale = Math.pow(2, Math.ceil(Math.log2(transform.scale)));
+  const bitmapPaths = useMemo(
+    () => (inkBitmap ? paths.filter(p => !isSelected(selection, 'path', p.id)) : []),
+    [inkBitmap, paths, selection]
+  );
+
+  // Cards read the pages they link to from the workspace
+  const pageIndex = useMemo(() => buildPageIndex(notebooks), [notebooks]);
+  const cardContext = useMemo(() => ({ pageIndex, onOpenPage }), [pageIndex, onOpenPage]);
+
+  // --- Navigation: fit, frames, presentation ---
+
+  const viewportSize = () => {
+    const rect = canvasRef.current?.getBoundingClientRect();
+    return { width: rect?.width || window.innerWidth, height: rect?.height || window.innerHeight };
+  };
+
+  const itemBounds = (items) => unionBounds([
+    ...containers.filter(c => isSelected(items, 'container', c.id)).map(c => boxes.get(c.id)),
+    ...paths.filter(p => isSelected(items, 'path', p.id)).map(pathBox),
+    ...frames.filter(f => isSelected(items, 'frame', f.id)),
+    ...connectors.filter(c => isSelected(items, 'connector', c.id)).map(c => {
+      const route = connectorRoute(c, boxes);
+      return rectFromPoints(route.start, route.end);
+    })
+  ]);
+
+  const contentBounds = () => unionBounds([
+    TITLE_BOX,
+    ...containers.map(c => boxes.get(c.id)),
+    ...paths.map(pathBox),
+    ...frames,
+    ...connectors.map(c => {
+      const route = connectorRoute(c, boxes);
+      return rectFromPoints(route.start, route.end);
+    })
+  ]);
+
+  const zoomToRect = (rect, options) => {
+    if (rect) setTransform(fitTransform(rect, viewportSize(), options));
+  };
+
+  const zoomToFit = () => zoomToRect(contentBounds());
+
+  const zoomToSelection = () => zoomToRect(itemBounds(selection));
+
+  const jumpToFrame = (frame) => {
+    zoomToRect(frame, { margin: 32, maxScale: MAX_SCALE });
+    setSelection([{ type: 'frame', id: frame.id }]);
+  };
+
+  const startPresenting = (index = 0) => {
+    if (!frames.length) return;
+    clearSelection();
+    setShowFrames(false);
+    setRenamingFrame(null);
+    setPresenting(index);
+    presentFullscreenRef.current = false;
+    rootRef.current?.requestFullscreen?.().then(() => { presentFullscreenRef.current = true; }).catch(() => {});
+  };
+
+  const stopPresenting = () => {
+    setPresenting(null);
+    if (document.fullscreenElement) document.exitFullscreen?.().catch(() => {});
+  };
+
+  // Each step fits its frame to the screen, again whenever the screen changes size
+  useLayoutEffect(() => {
+    if (presenting === null) return;
+    const frame = frames[presenting];
+    if (!frame) {
+      setPresenting(null);
+      return;
+    }
+    const fit = () => setTransform(fitTransform(frame, viewportSize(), { margin: 24, maxScale: MAX_SCALE }));
+    fit();
+    window.addEventListener('resize', fit);
+    return () => window.removeEventListener('resize', fit);
+  }, [presenting, frames]);
+
+  useEffect(() => {
+    if (presenting === null) return;
+    const handleKeyDown = (e) => {
+      const last = frames.length - 1;
+      if (['ArrowRight', 'ArrowDown', 'PageDown', ' ', 'Enter'].includes(e.key)) {
+        e.preventDefault();
+        setPresenting(i => Math.min(last, i + 1));
+      } else if (['ArrowLeft', 'ArrowUp', 'PageUp', 'Backspace'].includes(e.key)) {
+        e.preventDefault();
+        setPresenting(i => Math.max(0, i - 1));
+      } else if (e.key === 'Home' || e.key === 'End') {
+        e.preventDefault();
+        setPresenting(e.key === 'Home' ? 0 : last);
+      } else if (e.key === 'Escape') {
+        stopPresenting();
+      }
     };
-    
-    return bounds;
+    // Leaving full screen (the browser takes Esc for that) ends the presentation too
+    const handleFullscreenChange = () => {
+      if (!document.fullscreenElement && presentFullscreenRef.current) {
+        presentFullscreenRef.current = false;
+        setPresenting(null);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      document.removeEventListener('fullscreenchange', handleFullscreenChange);
+    };
+  }, [presenting, frames.length]);
+
+  const addFrame = (rect) => {
+    pushToHistory();
+    const frame = createFrame(rect, frames);
+    setFrames(prev => [...prev, frame]);
+    setSelection([{ type: 'frame', id: frame.id }]);
   };
 
-  const isElementVisible = (x, y, width, height) => {
-    const viewport = getViewportBounds();
-    if (!viewport) return true; // Render all if viewport unknown
-    return !(
-      x + (width || 0) < viewport.minX ||
-      x > viewport.maxX ||
-      y + (height || 0) < viewport.minY ||
-      y > viewport.maxY
-    );
+  // A new frame goes around the selection, or else around what is on screen
+  const frameSelectionOrView = () => {
+    const items = selection.filter(i => i.type !== 'frame');
+    const bounds = items.length ? itemBounds(items) : null;
+    const view = visibleRect(transformRef.current, viewportSize());
+    addFrame(bounds ? padRect(bounds, 40) : padRect(view, -Math.min(view.width, view.height) * 0.1));
+  };
+
+  const renameFrame = (id, name) => {
+    setRenamingFrame(null);
+    const frame = frames.find(f => f.id === id);
+    const trimmed = name.trim();
+    if (!frame || !trimmed || trimmed === frame.name) return;
+    pushToHistory();
+    setFrames(prev => prev.map(f => f.id === id ? { ...f, name: trimmed } : f));
+  };
+
+  const reorderFrame = (id, step) => {
+    pushToHistory();
+    setFrames(prev => moveFrameInOrder(prev, id, step));
+  };
+
+  const deleteFrame = (id) => {
+    pushToHistory();
+    setFrames(prev => prev.filter(f => f.id !== id));
+    setSelection(prev => prev.filter(i => !(i.type === 'frame' && i.id === id)));
+  };
+
+  // Dragging a frame by its name moves it along with everything lying inside it
+  const startFrameDrag = (e, frame) => {
+    if (e.button !== 0 || tool !== 'cursor') return;
+    e.stopPropagation();
+    if (e.shiftKey) {
+      selectItem('frame', frame.id, e);
+      return;
+    }
+    const own = [{ type: 'frame', id: frame.id }];
+    setSelection(own);
+    startSelectionDrag(e, [...own, ...expandGroups(itemsInFrame(frame, containers, paths, boxes), containers, paths)]);
+  };
+
+  const startFrameResize = (e, frame) => {
+    e.stopPropagation();
+    e.preventDefault();
+    pushToHistory();
+    setResizeInfo({ type: 'frame', id: frame.id, startX: e.clientX, startY: e.clientY, width: frame.width, height: frame.height });
+  };
+
+  const finishFrameDraw = (info) => {
+    setTool('cursor');
+    const rect = rectFromPoints(info.start, info.point);
+    if (rect.width < 40 || rect.height < 40) return;
+    addFrame(rect);
   };
 
   const handlePointerDown = (e) => {
@@ -402,47 +741,157 @@ const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }
       return;
     }
 
+    if (tool === 'connector' && e.button === 0) {
+      e.preventDefault();
+      setConnectInfo({ from: endAt(coords, boxes), point: coords });
+      clearSelection();
+      return;
+    }
+
+    if (tool === 'shape' && e.target.id === 'canvas-background' && e.button === 0) {
+      pushToHistory();
+      const newShape = createShape(shapeKind, coords);
+      setContainers([...containers, newShape]);
+      setSelection([{ type: 'container', id: newShape.id }]);
+      setTool('cursor');
+      setTimeout(() => {
+        const el = document.getElementById(`editor-${newShape.id}`);
+        if (el) el.focus();
+      }, 50);
+      return;
+    }
+
     if (tool === 'pen') {
       pushToHistory();
+      const highlighter = inkMode === 'highlighter';
+      // Only a stylus reports real pressure; mice and fingers always say 0.5
+      const pressure = !highlighter && e.pointerType === 'pen';
       const newPath = {
         id: generateId(),
-        points: [{ x: coords.x, y: coords.y }],
-        color: brushColor,
-        strokeWidth: brushWidth / transform.scale,
-        isArrow: e.shiftKey,
+        points: [pressure ? { x: coords.x, y: coords.y, p: e.pressure } : { x: coords.x, y: coords.y }],
+        color: highlighter ? highlighterColor : brushColor,
+        strokeWidth: (highlighter ? brushWidth * 4 : brushWidth) / transform.scale,
+        isArrow: e.shiftKey && !highlighter,
+        ...(pressure && { pressure: true }),
+        ...(highlighter && { highlighter: true }),
         bounds: { minX: coords.x, minY: coords.y, maxX: coords.x, maxY: coords.y },
         x: 0, y: 0 
       };
       setDrawInfo({ isDrawing: true, currentPath: newPath });
-      setSelectedId(null);
-      setSelectedType(null);
+      clearSelection();
+      return;
+    }
+
+    if (tool === 'lasso' && e.button === 0) {
+      e.preventDefault();
+      setDragInfo({ type: 'lasso', points: [coords] });
+      clearSelection();
       return;
     }
 
-    if (tool === 'eraser') return;
+    if (tool === 'frame' && e.button === 0) {
+      e.preventDefault();
+      setDragInfo({ type: 'frame', start: coords, point: coords });
+      clearSelection();
+      return;
+    }
 
+    // Strokes in the ink bitmap have no element of their own, so they are found through the index
+    if (tool === 'eraser') {
+      if ((eraserMode === 'partial' || inkBitmap) && e.button === 0) {
+        pushToHistory();
+        setDragInfo({ type: 'erase' });
+        eraseAt(coords);
+      }
+      return;
+    }
+
+    if (inkBitmap && tool === 'cursor' && e.target.id === 'canvas-background' && e.button === 0) {
+      const hit = pathAt(coords);
+      if (hit) {
+        pressPath(e, hit);
+        return;
+      }
+    }
+
+    // Dragging on the background draws a selection marquee; a plain click (on release) starts a text box
     if (e.target.id === 'canvas-background' && e.button === 0) {
-      pushToHistory();
-      setSelectedId(null);
-      setSelectedType(null);
+      setDragInfo({ type: 'marquee', start: coords, point: coords, additive: e.shiftKey });
+    }
+  };
 
-      const newId = generateId();
-      const newContainer = {
-        id: newId,
-        type: 'text',
-        x: coords.x - 10,
-        y: coords.y - 10,
-        content: '',
-        width: null
-      };
-      setContainers([...containers, newContainer]);
-      setSelectedId(newId);
-      setSelectedType('container');
-      setTimeout(() => {
-        const el = document.getElementById(`editor-${newId}`);
-        if (el) el.focus();
-      }, 50);
+  // Pressing a stroke selects it (and its group) and starts moving the selection
+  const pressPath = (e, p) => {
+    if (e.shiftKey) {
+      selectItem('path', p.id, e);
+      return;
     }
+    const items = isSelected(selection, 'path', p.id) ? selection : expandGroups([{ type: 'path', id: p.id }], containers, paths);
+    setSelection(items);
+    startSelectionDrag(e, items);
+  };
+
+  const createTextAt = (coords) => {
+    pushToHistory();
+    const newId = generateId();
+    const newContainer = {
+      id: newId,
+      type: 'text',
+      x: coords.x - 10,
+      y: coords.y - 10,
+      content: '',
+      width: null
+    };
+    setContainers([...containers, newContainer]);
+    setSelection([{ type: 'container', id: newId }]);
+    setTimeout(() => {
+      const el = document.getElementById(`editor-${newId}`);
+      if (el) el.focus();
+    }, 50);
+  };
+
+  const finishMarquee = (info) => {
+    const rect = rectFromPoints(info.start, info.point);
+    if (rect.width * transform.scale < 4 && rect.height * transform.scale < 4) {
+      if (!info.additive) createTextAt(info.start);
+      return;
+    }
+    const hits = [
+      ...queryRect(spatialIndex, 'container', rect).map(c => ({ type: 'container', id: c.id })),
+      ...queryRect(spatialIndex, 'path', rect).filter(p => boxesIntersect(rect, pathBox(p))).map(p => ({ type: 'path', id: p.id })),
+      ...connectors.filter(c => {
+        const route = connectorRoute(c, boxes);
+        return boxesIntersect(rect, rectFromPoints(route.start, route.end));
+      }).map(c => ({ type: 'connector', id: c.id }))
+    ];
+    const items = expandGroups(hits, containers, paths);
+    setSelection(prev => info.additive ? [...prev, ...items.filter(i => !isSelected(prev, i.type, i.id))] : items);
+  };
+
+  // Moving the selection: start positions are kept so each move applies the whole offset again
+  const startSelectionDrag = (e, items) => {
+    pushToHistory();
+    const ids = (type) => new Set(items.filter(i => i.type === type).map(i => i.id));
+    const containerIds = ids('container');
+    const pathIds = ids('path');
+    const connectorIds = ids('connector');
+    const frameIds = ids('frame');
+    const moving = [
+      ...containers.filter(c => containerIds.has(c.id)),
+      ...paths.filter(p => pathIds.has(p.id))
+    ];
+    const movingFrames = frames.filter(f => frameIds.has(f.id));
+    setDragInfo({
+      type: 'selection',
+      startX: e.clientX,
+      startY: e.clientY,
+      containers: new Map(containers.filter(c => containerIds.has(c.id)).map(c => [c.id, { x: c.x, y: c.y }])),
+      paths: new Map(paths.filter(p => pathIds.has(p.id)).map(p => [p.id, { x: p.x, y: p.y }])),
+      connectors: new Map(connectors.filter(c => connectorIds.has(c.id)).map(c => [c.id, { from: c.from, to: c.to }])),
+      frames: new Map(movingFrames.map(f => [f.id, { x: f.x, y: f.y }])),
+      bounds: unionBounds([...moving.map(el => containerIds.has(el.id) ? boxes.get(el.id) : pathBox(el)), ...movingFrames]),
+      targets: visibleItems('container', containers).filter(c => !containerIds.has(c.id)).map(c => boxes.get(c.id))
+    });
   };
 
   const handlePointerMove = (e) => {
@@ -466,40 +915,99 @@ const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }
       return;
     }
 
-    if (dragInfo && dragInfo.type === 'container') {
-       const dx = (e.clientX - dragInfo.startX) / transform.scale;
-       const dy = (e.clientY - dragInfo.startY) / transform.scale;
-       setContainers(prev => prev.map(c => 
-         c.id === dragInfo.id 
-           ? { ...c, x: dragInfo.initialX + dx, y: dragInfo.initialY + dy }
-           : c
-       ));
+    if (dragInfo && (dragInfo.type === 'marquee' || dragInfo.type === 'frame')) {
+       setDragInfo({ ...dragInfo, point: coords });
+       return;
+    }
+
+    if (dragInfo && dragInfo.type === 'lasso') {
+       const last = dragInfo.points[dragInfo.points.length - 1];
+       if (Math.hypot(coords.x - last.x, coords.y - last.y) * transform.scale > 3) setDragInfo({ ...dragInfo, points: [...dragInfo.points, coords] });
+       return;
+    }
+
+    if (dragInfo && dragInfo.type === 'erase') {
+       eraseAt(coords);
        return;
     }
 
-    if (dragInfo && dragInfo.type === 'path') {
-       const dx = (e.clientX - dragInfo.startX) / transform.scale;
-       const dy = (e.clientY - dragInfo.startY) / transform.scale;
-       setPaths(prev => prev.map(p => 
-         p.id === dragInfo.id 
-           ? { ...p, x: dragInfo.initialX + dx, y: dragInfo.initialY + dy }
-           : p
-       ));
+    if (dragInfo && dragInfo.type === 'selection') {
+       let dx = (e.clientX - dragInfo.startX) / transform.scale;
+       let dy = (e.clientY - dragInfo.startY) / transform.scale;
+       // Alt moves freely, without guides or the grid
+       if (dragInfo.bounds && !e.altKey) {
+         const snapped = snapOffset(dragInfo.bounds, dx, dy, {
+           targets: dragInfo.targets,
+           threshold: 6 / transform.scale,
+           grid: snapEnabled ? GRID_SIZE : 0
+         });
+         dx = snapped.dx;
+         dy = snapped.dy;
+         setGuides(snapped.guides);
+       } else {
+         setGuides([]);
+       }
+       const shift = (start) => ({ x: start.x + dx, y: start.y + dy });
+       const shiftEnd = (end) => end.containerId ? end : shift(end);
+       setContainers(prev => prev.map(c => dragInfo.containers.has(c.id) ? { ...c, ...shift(dragInfo.containers.get(c.id)) } : c));
+       setPaths(prev => prev.map(p => dragInfo.paths.has(p.id) ? { ...p, ...shift(dragInfo.paths.get(p.id)) } : p));
+       if (dragInfo.frames.size) {
+         setFrames(prev => prev.map(f => dragInfo.frames.has(f.id) ? { ...f, ...shift(dragInfo.frames.get(f.id)) } : f));
+       }
+       if (dragInfo.connectors.size) {
+         setConnectors(prev => prev.map(c => {
+           const start = dragInfo.connectors.get(c.id);
+           return start ? { ...c, from: shiftEnd(start.from), to: shiftEnd(start.to) } : c;
+         }));
+       }
        return;
     }
 
+    if (connectInfo) {
+      setConnectInfo({ ...connectInfo, point: coords });
+      return;
+    }
+
+    if (resizeInfo && resizeInfo.type === 'selection') {
+      const { bounds } = resizeInfo;
+      const dx = (e.clientX - resizeInfo.startX) / transform.scale;
+      const dy = (e.clientY - resizeInfo.startY) / transform.scale;
+      const factor = Math.max(0.2, (bounds.width + dx) / Math.max(1, bounds.width), (bounds.height + dy) / Math.max(1, bounds.height));
+      // Container positions are the top of the drag handle; scale so their content boxes line up
+      const containerOrigin = { x: bounds.x, y: bounds.y - HANDLE_HEIGHT };
+      setContainers(prev => prev.map(c => resizeInfo.containers.has(c.id) ? scaleContainer(resizeInfo.containers.get(c.id), containerOrigin, factor, containerSizes[c.id]) : c));
+      setPaths(prev => prev.map(p => resizeInfo.paths.has(p.id) ? scalePath(resizeInfo.paths.get(p.id), bounds, factor) : p));
+      setConnectors(prev => prev.map(c => {
+        const start = resizeInfo.connectors.get(c.id);
+        return start ? { ...c, from: scaleEnd(start.from, bounds, factor), to: scaleEnd(start.to, bounds, factor) } : c;
+      }));
+      return;
+    }
+
+    if (resizeInfo && resizeInfo.type === 'frame') {
+      const dx = (e.clientX - resizeInfo.startX) / transform.scale;
+      const dy = (e.clientY - resizeInfo.startY) / transform.scale;
+      setFrames(prev => prev.map(f =>
+        f.id === resizeInfo.id ? { ...f, width: Math.max(80, Math.round(resizeInfo.width + dx)), height: Math.max(60, Math.round(resizeInfo.height + dy)) } : f
+      ));
+      return;
+    }
+
     if (resizeInfo) {
       const dx = (e.clientX - resizeInfo.startX) / transform.scale;
       const newWidth = Math.max(100, resizeInfo.initialWidth + dx);
+      // Shapes also resize vertically
+      const dy = (e.clientY - resizeInfo.startY) / transform.scale;
+      const height = resizeInfo.initialHeight ? { height: Math.max(40, resizeInfo.initialHeight + dy) } : {};
       setContainers(prev => prev.map(c => 
-        c.id === resizeInfo.id ? { ...c, width: newWidth } : c
+        c.id === resizeInfo.id ? { ...c, width: newWidth, ...height } : c
       ));
       return;
     }
 
     if (drawInfo && drawInfo.isDrawing) {
-      const newPoint = { x: coords.x, y: coords.y };
       const current = drawInfo.currentPath;
+      const newPoint = current.pressure ? { x: coords.x, y: coords.y, p: e.pressure } : { x: coords.x, y: coords.y };
       const newBounds = {
           minX: Math.min(current.bounds.minX, newPoint.x),
           minY: Math.min(current.bounds.minY, newPoint.y),
@@ -523,25 +1031,206 @@ const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }
 
     if (drawInfo && drawInfo.isDrawing) {
       const p = drawInfo.currentPath;
-      const finalX = p.bounds.minX;
-      const finalY = p.bounds.minY;
-      const normalizedPoints = p.points.map(pt => ({ x: pt.x - finalX, y: pt.y - finalY }));
-      const finalPath = {
-          ...p,
-          points: normalizedPoints,
-          x: finalX,
-          y: finalY,
-          width: p.bounds.maxX - p.bounds.minX, 
-          height: p.bounds.maxY - p.bounds.minY,
-      };
-      
-      setPaths([...paths, finalPath]);
+      const shape = recognizeShapes && !p.isArrow && !p.highlighter ? recognizeShape(p.points) : null;
+      if (shape) addRecognizedShape(shape, p.color);
+      // Smoothing to a fraction of a screen pixel keeps the look and drops most of the points
+      else setPaths([...paths, finishStroke(p, 0.75 / transform.scale)]);
     }
+    if (dragInfo && dragInfo.type === 'lasso') finishLasso(dragInfo);
+    if (connectInfo) finishConnect(getCanvasCoords(e));
+    if (dragInfo && dragInfo.type === 'marquee') finishMarquee(dragInfo);
+    if (dragInfo && dragInfo.type === 'frame') finishFrameDraw(dragInfo);
+    setGuides([]);
     setDragInfo(null);
     setResizeInfo(null);
     setDrawInfo(null);
   };
 
+  // Whether a free point is too close to a connector end to make a line
+  const tooShort = (end, point) => {
+    const box = end.containerId && boxes.get(end.containerId);
+    const at = box ? anchorPoint(box, end.anchor) : end;
+    return Math.hypot(point.x - at.x, point.y - at.y) < 10;
+  };
+
+  // A new connector's far end (or a moved end) attaches to the container it is dropped on
+  const finishConnect = (point) => {
+    const info = connectInfo;
+    setConnectInfo(null);
+    if (info.connectorId) {
+      const connector = connectors.find(c => c.id === info.connectorId);
+      if (!connector) return;
+      const other = info.end === 'from' ? connector.to : connector.from;
+      const moved = endAt(point, boxes, other.containerId);
+      // Dropping a free end onto the other free end would leave a line of no length
+      if (!moved.containerId && tooShort(other, point)) return;
+      pushToHistory();
+      setConnectors(prev => prev.map(c => c.id === info.connectorId ? { ...c, [info.end]: moved } : c));
+      return;
+    }
+    const to = endAt(point, boxes, info.from.containerId);
+    // A click without a drag between two free points draws nothing
+    if (!to.containerId && tooShort(info.from, point)) return;
+    pushToHistory();
+    const newConnector = createConnector(info.from, to, { style: connectorStyle });
+    setConnectors(prev => [...prev, newConnector]);
+    setSelection([{ type: 'connector', id: newConnector.id }]);
+  };
+
+  // --- Ink: partial eraser, lasso, recognised shapes ---
+
+  // Only strokes the index finds near the eraser are tested; ones cut since the last render aren't
+  // in the index yet, so they are always tested. The stroke eraser gets here only for bitmap ink.
+  const eraseAt = (point) => {
+    const radius = ERASER_RADIUS / transform.scale;
+    const near = queryPoint(spatialIndex, 'path', point, radius);
+    if (eraserMode === 'stroke') {
+      const hits = new Set(near.filter(p => pathHit(p, point, radius)).map(p => p.id));
+      if (hits.size) setPaths(prev => prev.filter(p => !hits.has(p.id)));
+      return;
+    }
+    const nearIds = new Set(near.map(p => p.id));
+    const candidate = (p) => nearIds.has(p.id) || indexedItem(spatialIndex, 'path', p.id) !== p;
+    setPaths(prev => {
+      let changed = false;
+      const next = prev.flatMap(p => {
+        if (!candidate(p)) return [p];
+        const rest = erasePath(p, point, radius);
+        if (!rest) return [p];
+        changed = true;
+        return rest;
+      });
+      return changed ? next : prev;
+    });
+  };
+
+  const finishLasso = (info) => {
+    const around = unionBounds(info.points.map(pt => ({ x: pt.x, y: pt.y, width: 0, height: 0 })));
+    const items = expandGroups(pathsInLasso(around ? queryRect(spatialIndex, 'path', around) : [], info.points), containers, paths);
+    setSelection(items);
+    if (items.length) setTool('cursor');
+  };
+
+  // A stroke recognised as a rectangle or ellipse becomes an outlined shape; an arrow becomes a connector
+  const addRecognizedShape = (shape, color) => {
+    if (shape.shape === 'arrow') {
+      setConnectors(prev => [...prev, createConnector(shape.from, shape.to, { color })]);
+      return;
+    }
+    const { box } = shape;
+    setContainers(prev => [...prev, {
+      ...createShape(shape.shape, box),
+      x: Math.round(box.x),
+      y: Math.round(box.y - HANDLE_HEIGHT),
+      width: Math.max(40, Math.round(box.width)),
+      height: Math.max(30, Math.round(box.height)),
+      fill: 'transparent',
+      stroke: color
+    }]);
+  };
+
+  // New cards go in the middle of the view
+  const addCard = (type, fields) => {
+    const view = visibleRect(transformRef.current, viewportSize());
+    pushToHistory();
+    const card = createCard(type, { x: view.x + view.width / 2, y: view.y + view.height / 2 }, fields);
+    setContainers(prev => [...prev, card]);
+    setSelection([{ type: 'container', id: card.id }]);
+    setShowCardDialog(false);
+    setTool('cursor');
+  };
+
+  const updateConnector = (id, fields) => {
+    pushToHistory();
+    setConnectors(prev => prev.map(c => c.id === id ? { ...c, ...fields } : c));
+  };
+
+  // --- Arrange: groups, z-order, align and distribute ---
+
+  const selectedIds = (type) => new Set(selection.filter(i => i.type === type).map(i => i.id));
+
+  const groupSelection = () => {
+    const containerIds = selectedIds('container');
+    const pathIds = selectedIds('path');
+    if (containerIds.size + pathIds.size < 2) return;
+    pushToHistory();
+    const groupId = generateId();
+    setContainers(prev => setGroup(prev, containerIds, groupId));
+    setPaths(prev => setGroup(prev, pathIds, groupId));
+  };
+
+  const ungroupSelection = () => {
+    pushToHistory();
+    setContainers(prev => setGroup(prev, selectedIds('container'), null));
+    setPaths(prev => setGroup(prev, selectedIds('path'), null));
+  };
+
+  const reorderSelection = (where) => {
+    const reorder = where === 'front' ? bringToFront : sendToBack;
+    pushToHistory();
+    setContainers(prev => reorder(prev, selectedIds('container')));
+    setPaths(prev => reorder(prev, selectedIds('path')));
+    setConnectors(prev => reorder(prev, selectedIds('connector')));
+  };
+
+  // A group lines up as one unit; connectors follow the containers they attach to
+  const arrangeUnits = () => {
+    const units = new Map();
+    const add = (type, el, box) => {
+      const key = el.groupId || `${type}:${el.id}`;
+      const unit = units.get(key) || { key, members: [], boxes: [] };
+      unit.members.push(`${type}:${el.id}`);
+      unit.boxes.push(box);
+      units.set(key, unit);
+    };
+    containers.forEach(c => isSelected(selection, 'container', c.id) && add('container', c, boxes.get(c.id)));
+    paths.forEach(p => isSelected(selection, 'path', p.id) && add('path', p, pathBox(p)));
+    return [...units.values()].map(u => ({ key: u.key, members: u.members, box: unionBounds(u.boxes) }));
+  };
+
+  const moveUnits = (units, offsets) => {
+    const shift = new Map();
+    units.forEach(u => u.members.forEach(m => shift.set(m, offsets.get(u.key))));
+    const move = (type) => (el) => {
+      const d = shift.get(`${type}:${el.id}`);
+      return d && (d.dx || d.dy) ? { ...el, x: el.x + d.dx, y: el.y + d.dy } : el;
+    };
+    pushToHistory();
+    setContainers(prev => prev.map(move('container')));
+    setPaths(prev => prev.map(move('path')));
+  };
+
+  const alignSelection = (mode) => {
+    const units = arrangeUnits();
+    if (units.length > 1) moveUnits(units, alignOffsets(units, mode));
+  };
+
+  const distributeSelection = (axis) => {
+    const units = arrangeUnits();
+    if (units.length > 2) moveUnits(units, distributeOffsets(units, axis));
+  };
+
+  // Box around everything selected, with a handle for resizing it all together
+  // (frames are resized on their own)
+  const resizable = selection.filter(i => i.type !== 'frame');
+  const selectionBounds = resizable.length > 1 ? itemBounds(resizable) : null;
+
+  const startSelectionResize = (e) => {
+    e.stopPropagation();
+    e.preventDefault();
+    pushToHistory();
+    const pick = (list, type) => new Map(list.filter(el => isSelected(selection, type, el.id)).map(el => [el.id, el]));
+    setResizeInfo({
+      type: 'selection',
+      startX: e.clientX,
+      startY: e.clientY,
+      bounds: selectionBounds,
+      containers: pick(containers, 'container'),
+      paths: pick(paths, 'path'),
+      connectors: pick(connectors, 'connector')
+    });
+  };
+
   const execCmd = (command, value = null) => {
     document.execCommand(command, false, value);
     if (selectedId && selectedType === 'container') {
@@ -656,8 +1345,7 @@ const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }
         }
       };
       setContainers([...containers, newContainer]);
-      setSelectedId(newContainer.id);
-      setSelectedType('container');
+      setSelection([{ type: 'container', id: newContainer.id }]);
       // Show config popup
       setTimeout(() => {
         const containerElement = document.getElementById(`container-${newContainer.id}`);
@@ -673,35 +1361,82 @@ const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }
     setSlashMenu(null);
   };
 
-  const getSvgPath = (points, isArrow) => {
-    if (points.length < 2) return '';
-    if (isArrow) {
-       const start = points[0];
-       const end = points[points.length - 1];
-       return `M ${start.x} ${start.y} L ${end.x} ${end.y}`;
-    }
-    let d = `M ${points[0].x} ${points[0].y}`;
-    for (let i = 1; i < points.length; i++) {
-       d += ` L ${points[i].x} ${points[i].y}`;
-    }
-    return d;
+  // Highlighter ink multiplies with what is underneath, like a marker on paper
+  const renderInk = (p) => {
+    const ink = inkStyle(p);
+    return (
+      <path
+        d={ink.d}
+        fill={ink.fill}
+        stroke={ink.stroke}
+        strokeWidth={ink.strokeWidth}
+        opacity={ink.opacity}
+        style={p.highlighter ? { mixBlendMode: 'multiply' } : undefined}
+        strokeLinecap="round"
+        strokeLinejoin="round"
+      />
+    );
+  };
+
+  // Export uses the measured boxes, so auto-sized text boxes come out the size they are on screen
+  const handleExport = async ({ format, scale, background, selectionOnly }) => {
+    const blob = await exportCanvas({ containers, paths, connectors }, {
+      format,
+      scale,
+      background,
+      boxes,
+      selection: selectionOnly ? selection : [],
+      cards: new Map(containers.filter(isCard).map(c => [c.id, cardSummary(c, pageIndex)]))
+    });
+    if (!blob) throw new Error('Nothing to export');
+    downloadBlob(blob, `${pageTitle || 'Canvas'}.${format}`);
   };
 
-  const getArrowHead = (points) => {
-    if (points.length < 2) return null;
-    const end = points[points.length - 1];
-    const start = points[0];
-    const angle = Math.atan2(end.y - start.y, end.x - start.x);
-    const headLen = 10;
-    const x1 = end.x - headLen * Math.cos(angle - Math.PI / 6);
-    const y1 = end.y - headLen * Math.sin(angle - Math.PI / 6);
-    const x2 = end.x - headLen * Math.cos(angle + Math.PI / 6);
-    const y2 = end.y - headLen * Math.sin(angle + Math.PI / 6);
-    return `M ${end.x} ${end.y} L ${x1} ${y1} M ${end.x} ${end.y} L ${x2} ${y2}`;
+  const selectedContainer = selectedType === 'container' ? containers.find(c => c.id === selectedId) : null;
+  const selectedConnector = selectedType === 'connector' ? connectors.find(c => c.id === selectedId) : null;
+
+  const renderArrangeTools = () => {
+    const grouped = [...containers, ...paths].some(el => el.groupId && (isSelected(selection, 'container', el.id) || isSelected(selection, 'path', el.id)));
+    return (
+      <div className="flex gap-1 border-r border-gray-300 pr-2 mr-1">
+        {selection.length > 1 && (
+          <>
+            {ALIGN_MODES.map(mode => {
+              const Icon = ALIGN_ICONS[mode];
+              return <ToolbarBtn key={mode} icon={<Icon size={18}/>} onClick={() => alignSelection(mode)} title={`Align ${mode}`} />;
+            })}
+            <ToolbarBtn icon={<DistributeHorizontal size={18}/>} onClick={() => distributeSelection('x')} title="Distribute horizontally" />
+            <ToolbarBtn icon={<DistributeVertical size={18}/>} onClick={() => distributeSelection('y')} title="Distribute vertically" />
+            <ToolbarBtn icon={<Group size={18}/>} onClick={groupSelection} title="Group (Ctrl+G)" />
+          </>
+        )}
+        {grouped && <ToolbarBtn icon={<Ungroup size={18}/>} onClick={ungroupSelection} title="Ungroup (Ctrl+Shift+G)" />}
+        <ToolbarBtn icon={<Frame size={18}/>} onClick={frameSelectionOrView} title="Frame selection" />
+        <ToolbarBtn icon={<BringToFront size={18}/>} onClick={() => reorderSelection('front')} title="Bring to front (Ctrl+])" />
+        <ToolbarBtn icon={<SendToBack size={18}/>} onClick={() => reorderSelection('back')} title="Send to back (Ctrl+[)" />
+      </div>
+    );
   };
 
   const renderDefaultToolbar = () => (
     <div className="flex gap-1 items-center">
+       {selection.length > 0 && renderArrangeTools()}
+       {selectedContainer?.type === 'shape' && (
+         <div className="flex gap-1 border-r border-gray-300 pr-2 mr-1">
+           {SHAPE_FILLS.map(fill => (
+             <button
+               key={fill}
+               onClick={() => {
+                 pushToHistory();
+                 setContainers(prev => prev.map(c => c.id === selectedContainer.id ? { ...c, fill } : c));
+               }}
+               className={`w-6 h-6 rounded border border-gray-300 ${selectedContainer.fill === fill ? 'ring-2 ring-purple-400' : ''}`}
+               style={{ backgroundColor: fill }}
+               title="Fill"
+             />
+           ))}
+         </div>
+       )}
        <div className="flex gap-1 border-r border-gray-300 pr-2 mr-1">
          <ToolbarBtn icon={<Bold size={18}/>} onClick={() => execCmd('bold')} />
          <ToolbarBtn icon={<Italic size={18}/>} onClick={() => execCmd('italic')} />
@@ -720,17 +1455,108 @@ const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }
     </div>
   );
 
-  const renderDrawToolbar = () => (
+  const renderShapeToolbar = () => (
     <div className="flex gap-3 items-center">
        <div className="flex gap-1 border-r border-gray-300 pr-3">
-          {['#000000', '#FF0000', '#0000FF', '#008000'].map(c => (
+          {SHAPES.map(s => (
+             <button
+                key={s.shape}
+                onClick={() => setShapeKind(s.shape)}
+                className={`px-2 py-1 text-xs rounded ${shapeKind === s.shape ? 'bg-purple-100 text-purple-700' : 'hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+             >
+                {s.label}
+             </button>
+          ))}
+       </div>
+       <span className="text-xs text-gray-400">Click the canvas to place it</span>
+    </div>
+  );
+
+  // Style and arrowhead buttons change the selected connector, and set the style for the next one
+  const renderConnectorToolbar = () => (
+    <div className="flex gap-3 items-center">
+       <div className="flex gap-1 border-r border-gray-300 pr-3">
+          {CONNECTOR_STYLES.map(s => (
+             <button
+                key={s.style}
+                onClick={() => {
+                  setConnectorStyle(s.style);
+                  if (selectedConnector) updateConnector(selectedConnector.id, { style: s.style });
+                }}
+                className={`px-2 py-1 text-xs rounded ${(selectedConnector?.style || connectorStyle) === s.style ? 'bg-purple-100 text-purple-700' : 'hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+             >
+                {s.label}
+             </button>
+          ))}
+       </div>
+       {selectedConnector && (
+         <>
+           <div className="flex gap-1 border-r border-gray-300 pr-3">
+              <button
+                 onClick={() => updateConnector(selectedConnector.id, { startArrow: !selectedConnector.startArrow })}
+                 className={`px-2 py-1 text-xs rounded ${selectedConnector.startArrow ? 'bg-purple-100 text-purple-700' : 'hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                 title="Arrow at the start"
+              >
+                 ◀ Start
+              </button>
+              <button
+                 onClick={() => updateConnector(selectedConnector.id, { endArrow: !selectedConnector.endArrow })}
+                 className={`px-2 py-1 text-xs rounded ${selectedConnector.endArrow ? 'bg-purple-100 text-purple-700' : 'hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                 title="Arrow at the end"
+              >
+                 End ▶
+              </button>
+           </div>
+           <div className="flex gap-1 border-r border-gray-300 pr-3">
+              {CONNECTOR_COLORS.map(color => (
+                 <button
+                    key={color}
+                    onClick={() => updateConnector(selectedConnector.id, { color })}
+                    className={`w-6 h-6 rounded-full border border-gray-200 ${selectedConnector.color === color ? 'scale-110 ring-2 ring-purple-400' : ''}`}
+                    style={{ backgroundColor: color }}
+                 />
+              ))}
+           </div>
+           <input
+              id="connector-label-input"
+              value={selectedConnector.label || ''}
+              onFocus={pushToHistory}
+              onChange={(e) => setConnectors(prev => prev.map(c => c.id === selectedConnector.id ? { ...c, label: e.target.value } : c))}
+              onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+              placeholder="Label"
+              className="w-32 px-2 py-1 text-xs border rounded bg-white dark:bg-gray-700 dark:border-gray-600 outline-none focus:border-purple-400"
+           />
+         </>
+       )}
+       {!selectedConnector && <span className="text-xs text-gray-400">Drag from one container to another</span>}
+       <div className="flex gap-1">
+         <ToolbarBtn icon={<Undo size={18}/>} onClick={undo} title="Undo (Ctrl+Z)" />
+         <ToolbarBtn icon={<Redo size={18}/>} onClick={redo} title="Redo (Ctrl+Y)" />
+       </div>
+    </div>
+  );
+
+  const renderDrawToolbar = () => {
+    const highlighter = inkMode === 'highlighter';
+    const colors = highlighter ? HIGHLIGHTER_COLORS : ['#000000', '#FF0000', '#0000FF', '#008000'];
+    const color = highlighter ? highlighterColor : brushColor;
+    const inking = tool === 'pen';
+    return (
+    <div className="flex gap-3 items-center">
+       <div className="flex gap-1 border-r border-gray-300 pr-3">
+          <ToolbarBtn icon={<PenTool size={18}/>} onClick={() => { setTool('pen'); setInkMode('pen'); }} active={inking && !highlighter} title="Pen (pressure-sensitive with a stylus)" />
+          <ToolbarBtn icon={<Highlighter size={18}/>} onClick={() => { setTool('pen'); setInkMode('highlighter'); }} active={inking && highlighter} title="Highlighter" />
+          <ToolbarBtn icon={<Lasso size={18}/>} onClick={() => setTool('lasso')} active={tool === 'lasso'} title="Lasso (select ink)" />
+       </div>
+       <div className="flex gap-1 border-r border-gray-300 pr-3">
+          {colors.map(c => (
              <button
                 key={c}
-                onClick={() => tool !== 'eraser' && setBrushColor(c)}
-                disabled={tool === 'eraser'}
+                onClick={() => inking && (highlighter ? setHighlighterColor(c) : setBrushColor(c))}
+                disabled={!inking}
                 className={`w-6 h-6 rounded-full border border-gray-200 transition-transform 
-                   ${brushColor === c ? 'scale-110 ring-2 ring-purple-400' : ''}
-                   ${tool === 'eraser' ? 'opacity-50 cursor-not-allowed' : ''}`}
+                   ${color === c ? 'scale-110 ring-2 ring-purple-400' : ''}
+                   ${!inking ? 'opacity-50 cursor-not-allowed' : ''}`}
                 style={{ backgroundColor: c }}
              />
           ))}
@@ -747,23 +1573,158 @@ const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }
           />
           <div className="w-3 h-3 bg-black rounded-full"/>
        </div>
-       <div className="flex gap-1 border-r border-gray-300 pr-3">
+       <div className="flex gap-1 items-center border-r border-gray-300 pr-3">
           <ToolbarBtn 
              icon={<Eraser size={18} className={tool === 'eraser' ? 'text-red-600' : ''}/>} 
              onClick={() => setTool(tool === 'eraser' ? 'pen' : 'eraser')} 
              active={tool === 'eraser'}
              title="Eraser Mode"
           />
+          {tool === 'eraser' && (
+            <select
+              value={eraserMode}
+              onChange={(e) => setEraserMode(e.target.value)}
+              className="text-xs border border-gray-300 dark:border-gray-600 rounded px-1 py-1 bg-white dark:bg-gray-700"
+              title="What the eraser removes"
+            >
+              <option value="stroke">Whole strokes</option>
+              <option value="partial">Partial</option>
+            </select>
+          )}
+          <ToolbarBtn
+             icon={<Wand size={18}/>}
+             onClick={() => setRecognizeShapes(!recognizeShapes)}
+             active={recognizeShapes}
+             title="Shape recognition: turn rough rectangles, circles and arrows into clean shapes"
+          />
        </div>
        <div className="flex gap-1">
          <ToolbarBtn icon={<Undo size={18}/>} onClick={undo} title="Undo (Ctrl+Z)" />
          <ToolbarBtn icon={<Redo size={18}/>} onClick={redo} title="Redo (Ctrl+Y)" />
        </div>
     </div>
+    );
+  };
+
+  // Frames in presentation order: click to jump, arrows to reorder, double-click to rename
+  const renderFramesPanel = () => (
+    <div
+      className="absolute right-4 top-4 z-50 w-64 max-h-[60%] flex flex-col bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg select-none"
+      onPointerDown={(e) => e.stopPropagation()}
+    >
+      <div className="flex items-center justify-between px-3 py-2 border-b border-gray-200 dark:border-gray-700">
+        <span className="text-xs font-semibold text-gray-500 uppercase">Frames</span>
+        <div className="flex gap-1">
+          <button onClick={frameSelectionOrView} className="px-2 py-0.5 text-xs rounded hover:bg-gray-100 dark:hover:bg-gray-700" title="Frame the selection, or what is on screen">
+            + Frame
+          </button>
+          <button
+            disabled={!frames.length}
+            onClick={() => startPresenting(0)}
+            className="px-2 py-0.5 text-xs rounded bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-40"
+          >
+            Present
+          </button>
+        </div>
+      </div>
+      <div className="overflow-y-auto py-1">
+        {frames.length === 0 && (
+          <p className="px-3 py-2 text-xs text-gray-400">No frames yet. Use the frame tool to mark regions of the board, then present them in order.</p>
+        )}
+        {frames.map((f, i) => (
+          <div key={f.id} className={`group flex items-center gap-1 px-2 py-1 text-sm ${isSelected(selection, 'frame', f.id) ? 'bg-purple-50 dark:bg-purple-900/20' : 'hover:bg-gray-50 dark:hover:bg-gray-700/50'}`}>
+            <span className="w-5 text-xs text-gray-400 text-right">{i + 1}</span>
+            {renamingFrame?.id === f.id && renamingFrame.where === 'panel' ? (
+              <input
+                autoFocus
+                defaultValue={f.name}
+                onBlur={(e) => renameFrame(f.id, e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') e.currentTarget.blur();
+                  if (e.key === 'Escape') { e.currentTarget.value = f.name; e.currentTarget.blur(); }
+                }}
+                className="flex-1 min-w-0 text-sm px-1 border border-purple-300 rounded outline-none bg-white dark:bg-gray-700"
+              />
+            ) : (
+              <button
+                onClick={() => jumpToFrame(f)}
+                onDoubleClick={() => setRenamingFrame({ id: f.id, where: 'panel' })}
+                className="flex-1 min-w-0 text-left truncate"
+                title="Click to go there, double-click to rename"
+              >
+                {f.name}
+              </button>
+            )}
+            <div className="flex opacity-0 group-hover:opacity-100">
+              <button disabled={i === 0} onClick={() => reorderFrame(f.id, -1)} className="px-1 text-gray-400 hover:text-gray-700 disabled:opacity-30" title="Earlier">↑</button>
+              <button disabled={i === frames.length - 1} onClick={() => reorderFrame(f.id, 1)} className="px-1 text-gray-400 hover:text-gray-700 disabled:opacity-30" title="Later">↓</button>
+              <button onClick={() => startPresenting(i)} className="px-1 text-gray-400 hover:text-purple-600" title="Present from here"><Play size={12}/></button>
+              <button onClick={() => deleteFrame(f.id)} className="px-1 text-gray-400 hover:text-red-500" title="Delete frame (its contents stay)"><X size={12}/></button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
   );
 
+  // Everything on the board in miniature, with the viewport; click or drag to move the view
+  const renderMinimap = () => {
+    const viewport = viewportSize();
+    const visible = visibleRect(transform, viewport);
+    const view = minimapView(padRect(unionBounds([contentBounds(), visible]), 40), MINIMAP_SIZE);
+    const panTo = (e) => {
+      const rect = e.currentTarget.getBoundingClientRect();
+      setTransform(centerOn(fromMinimap(view, { x: e.clientX - rect.left, y: e.clientY - rect.top }), viewport, transform.scale));
+    };
+    return (
+      <div
+        className="absolute right-4 bottom-4 z-40 bg-white/90 dark:bg-gray-800/90 border border-gray-200 dark:border-gray-700 rounded-lg shadow-md overflow-hidden"
+        onPointerDown={(e) => {
+          e.stopPropagation();
+          e.currentTarget.setPointerCapture(e.pointerId);
+          panTo(e);
+        }}
+        onPointerMove={(e) => {
+          e.stopPropagation();
+          if (e.buttons === 1) panTo(e);
+        }}
+        onPointerUp={(e) => e.stopPropagation()}
+      >
+        <svg width={MINIMAP_SIZE.width} height={MINIMAP_SIZE.height} className="block cursor-pointer">
+          {frames.map(f => <rect key={f.id} {...toMinimap(view, f)} fill="none" stroke="#a855f7" strokeDasharray="3 2" />)}
+          {paths.map(p => <rect key={p.id} {...toMinimap(view, pathBox(p))} fill="#d1d5db" />)}
+          {containers.map(c => <rect key={c.id} {...toMinimap(view, boxes.get(c.id))} fill="#9ca3af" rx={1} />)}
+          <rect {...toMinimap(view, visible)} fill="rgba(59, 130, 246, 0.1)" stroke="#3b82f6" strokeWidth={1.5} />
+        </svg>
+      </div>
+    );
+  };
+
+  // The canvas can't be edited while presenting; clicks are caught by this overlay
+  const renderPresentationControls = () => {
+    const frame = frames[presenting];
+    return (
+      <div className="absolute inset-0 z-50" onPointerDown={(e) => e.stopPropagation()}>
+        <div className="absolute bottom-6 left-1/2 -translate-x-1/2 flex items-center gap-3 px-3 py-1.5 rounded-full bg-gray-900/80 text-white text-sm shadow-lg select-none">
+          <button disabled={presenting === 0} onClick={() => setPresenting(presenting - 1)} className="p-1 rounded-full hover:bg-white/20 disabled:opacity-30" title="Previous (←)">
+            <ChevronLeft size={16}/>
+          </button>
+          <span className="min-w-[8rem] text-center">
+            {frame?.name} <span className="text-gray-400">{presenting + 1} / {frames.length}</span>
+          </span>
+          <button disabled={presenting === frames.length - 1} onClick={() => setPresenting(presenting + 1)} className="p-1 rounded-full hover:bg-white/20 disabled:opacity-30" title="Next (→)">
+            <ChevronRight size={16}/>
+          </button>
+          <button onClick={stopPresenting} className="p-1 rounded-full hover:bg-white/20" title="End presentation (Esc)">
+            <X size={16}/>
+          </button>
+        </div>
+      </div>
+    );
+  };
+
   return (
-    <div className="h-full w-full flex flex-col overflow-hidden font-sans bg-[#f8f8f8] dark:bg-gray-800 text-gray-900 dark:text-gray-100">
+    <div ref={rootRef} className="h-full w-full flex flex-col overflow-hidden font-sans bg-[#f8f8f8] dark:bg-gray-800 text-gray-900 dark:text-gray-100">
       <style>{`
         ul { list-style-type: disc; padding-left: 20px; }
         ul ul { list-style-type: circle; padding-left: 20px; }
@@ -778,17 +1739,34 @@ const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }
       `}</style>
 
       {/* Toolbar */}
-      <div className="py-2 bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 flex items-center px-4 shadow-sm shrink-0 z-50 justify-between select-none">
+      <div className={`py-2 bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 flex items-center px-4 shadow-sm shrink-0 z-50 justify-between select-none ${presenting !== null ? 'hidden' : ''}`}>
         <div className="flex items-center gap-2">
            <div className="flex bg-gray-100 dark:bg-gray-700 rounded-lg p-1 gap-1 mr-4">
               <ToolbarBtn active={tool === 'cursor'} onClick={() => setTool('cursor')} icon={<MousePointer2 size={18}/>} title="Select (V)" />
               <ToolbarBtn active={tool === 'hand' || isSpacePressed} onClick={() => setTool('hand')} icon={<Hand size={18}/>} title="Pan (Space / Middle Mouse)" />
-              <ToolbarBtn active={tool === 'pen' || tool === 'eraser'} onClick={() => setTool('pen')} icon={<PenTool size={18} className={tool === 'pen' || tool === 'eraser' ? 'text-purple-600' : ''}/>} title="Draw (P)" />
+              <ToolbarBtn active={['pen', 'eraser', 'lasso'].includes(tool)} onClick={() => setTool('pen')} icon={<PenTool size={18} className={['pen', 'eraser', 'lasso'].includes(tool) ? 'text-purple-600' : ''}/>} title="Draw (P)" />
+              <ToolbarBtn active={tool === 'shape'} onClick={() => setTool('shape')} icon={<Shapes size={18}/>} title="Shapes" />
+              <ToolbarBtn active={tool === 'connector'} onClick={() => setTool('connector')} icon={<Spline size={18}/>} title="Connector" />
+              <ToolbarBtn active={tool === 'frame'} onClick={() => setTool('frame')} icon={<Frame size={18}/>} title="Frame (drag to mark a region)" />
+              <ToolbarBtn onClick={() => setShowCardDialog(true)} icon={<LayoutTemplate size={18}/>} title="Add a page, Drive file or database card" />
            </div>
            <div className="h-6 w-[1px] bg-gray-300 mx-2"/>
-           {(tool === 'pen' || tool === 'eraser') ? renderDrawToolbar() : renderDefaultToolbar()}
+           {['pen', 'eraser', 'lasso'].includes(tool) ? renderDrawToolbar()
+             : tool === 'shape' ? renderShapeToolbar()
+             : (tool === 'connector' || selectedConnector) ? renderConnectorToolbar()
+             : renderDefaultToolbar()}
         </div>
         <div className="flex items-center gap-4 text-sm text-gray-500">
+           <button
+             onClick={() => setShowFrames(!showFrames)}
+             className={`px-2 py-1 text-xs rounded border ${showFrames ? 'bg-purple-100 text-purple-700 border-purple-300' : 'bg-gray-50 hover:bg-gray-100 dark:bg-gray-700 dark:border-gray-600'}`}
+           >
+             Frames{frames.length ? ` (${frames.length})` : ''}
+           </button>
+           <ToolbarBtn onClick={() => startPresenting(0)} icon={<Play size={18}/>} title={frames.length ? 'Present frames in order' : 'Add frames to present them'} />
+           <ToolbarBtn active={showMinimap} onClick={() => setShowMinimap(!showMinimap)} icon={<MapIcon size={18}/>} title="Minimap" />
+           <ToolbarBtn onClick={() => setShowExport(true)} icon={<Download size={18}/>} title="Export as SVG, PNG or PDF" />
+           <ToolbarBtn active={snapEnabled} onClick={() => setSnapEnabled(!snapEnabled)} icon={<Grid size={18}/>} title="Snap to grid (hold Alt while dragging to move freely)" />
            <div className="flex items-center gap-2 bg-gray-50 px-2 py-1 rounded border">
               <span className="text-xs font-mono">{Math.round(transform.scale * 100)}%</span>
               <div className="flex gap-1">
@@ -798,6 +1776,12 @@ const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }
                  <button className="hover:bg-gray-200 p-0.5 rounded" onClick={() => handleWheel({altKey: true, deltaY: -100, clientX: window.innerWidth/2, clientY: window.innerHeight/2, preventDefault: () => {}})}>
                    <ZoomIn size={14}/>
                  </button>
+                 <button className="hover:bg-gray-200 p-0.5 rounded" onClick={zoomToFit} title="Zoom to fit all (Shift+1)">
+                   <Scan size={14}/>
+                 </button>
+                 <button className="hover:bg-gray-200 p-0.5 rounded disabled:opacity-40" disabled={!selection.length} onClick={zoomToSelection} title="Zoom to selection (Shift+2)">
+                   <Focus size={14}/>
+                 </button>
               </div>
            </div>
         </div>
@@ -808,7 +1792,7 @@ const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }
         ref={canvasRef}
         className={`flex-1 overflow-hidden relative 
           ${(tool === 'hand' || isSpacePressed) ? 'cursor-grab active:cursor-grabbing' : 
-            (tool === 'pen') ? 'cursor-crosshair' : 
+            (tool === 'pen' || tool === 'lasso' || tool === 'connector' || tool === 'shape' || tool === 'frame') ? 'cursor-crosshair' : 
             (tool === 'eraser') ? 'cursor-cell' : 'cursor-default'}`}
         style={{ touchAction: 'none' }}
         onPointerDown={handlePointerDown}
@@ -823,6 +1807,7 @@ const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }
              left: '-25000px',
              top: '-25000px',
              transform: `translate(${transform.x}px, ${transform.y}px) scale(${transform.scale})`,
+             transition: presenting !== null ? 'transform 0.4s ease' : undefined,
              backgroundSize: '20px 20px',
              backgroundPosition: `${(25000 % 20)}px ${(25000 % 20)}px`,
              width: '50000px',
@@ -877,36 +1862,77 @@ const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }
              </div>
            </div>
 
+           {/* Frames - underneath everything; only the name and the corner handle take clicks */}
+           {visibleItems('frame', frames).map(f => {
+             const selected = isSelected(selection, 'frame', f.id);
+             return (
+               <div
+                 key={f.id}
+                 className={`absolute pointer-events-none rounded-md border-2 bg-white/40 dark:bg-gray-900/20 ${selected ? 'border-purple-500' : 'border-dashed border-gray-300 dark:border-gray-600'}`}
+                 style={{ left: f.x + 25000, top: f.y + 25000, width: f.width, height: f.height }}
+               >
+                 {/* Counter-scaled so the name stays readable at any zoom */}
+                 <div className="absolute left-0 bottom-full pb-1 origin-bottom-left pointer-events-auto" style={{ transform: `scale(${1 / transform.scale})` }}>
+                   {renamingFrame?.id === f.id && renamingFrame.where === 'canvas' ? (
+                     <input
+                       autoFocus
+                       defaultValue={f.name}
+                       onBlur={(e) => renameFrame(f.id, e.target.value)}
+                       onKeyDown={(e) => {
+                         if (e.key === 'Enter') e.currentTarget.blur();
+                         if (e.key === 'Escape') { e.currentTarget.value = f.name; e.currentTarget.blur(); }
+                       }}
+                       onPointerDown={(e) => e.stopPropagation()}
+                       className="text-xs px-1 py-0.5 border border-purple-300 rounded outline-none bg-white dark:bg-gray-700"
+                     />
+                   ) : (
+                     <div
+                       className={`text-xs font-medium px-1 whitespace-nowrap select-none ${selected ? 'text-purple-600' : 'text-gray-500 hover:text-gray-800 dark:hover:text-gray-200'} ${tool === 'cursor' && presenting === null ? 'cursor-move' : ''}`}
+                       onPointerDown={(e) => presenting === null && startFrameDrag(e, f)}
+                       onDoubleClick={() => presenting === null && setRenamingFrame({ id: f.id, where: 'canvas' })}
+                       title="Drag to move the frame and what is inside it; double-click to rename"
+                     >
+                       {f.name}
+                     </div>
+                   )}
+                 </div>
+                 {selected && selection.length === 1 && tool === 'cursor' && (
+                   <div
+                     className="absolute -right-1.5 -bottom-1.5 w-3 h-3 bg-white border-2 border-purple-500 rounded-sm cursor-nwse-resize pointer-events-auto"
+                     onPointerDown={(e) => startFrameResize(e, f)}
+                   />
+                 )}
+               </div>
+             );
+           })}
+
            {/* Paths */}
-           {paths.filter(p => isElementVisible(p.x, p.y, p.width, p.height)).map(p => (
+           {inkBitmap && <CanvasInkLayer paths={bitmapPaths} scale={inkBitmapScale} />}
+           {visibleItems('path', paths).filter(p => !inkBitmap || isSelected(selection, 'path', p.id)).map(p => (
               <div
                 key={p.id}
-                className={`absolute pointer-events-auto hover:ring-1 hover:ring-purple-200 ${selectedId === p.id && selectedType === 'path' ? 'ring-1 ring-purple-500 bg-purple-50/10' : ''}`}
+                className={`absolute pointer-events-auto hover:ring-1 hover:ring-purple-200 ${isSelected(selection, 'path', p.id) ? 'ring-1 ring-purple-500 bg-purple-50/10' : ''}`}
                 style={{ left: p.x + 25000, top: p.y + 25000, width: p.width, height: p.height, cursor: tool === 'cursor' ? 'move' : (tool === 'eraser' ? 'cell' : 'inherit') }}
                 onPointerDown={(e) => {
                    if (e.button === 1) return;
                    if (tool === 'cursor') {
                       e.stopPropagation();
-                      setSelectedId(p.id);
-                      setSelectedType('path');
-                      pushToHistory();
-                      setDragInfo({ type: 'path', startX: e.clientX, startY: e.clientY, initialX: p.x, initialY: p.y, id: p.id });
-                   } else if (tool === 'eraser') {
+                      pressPath(e, p);
+                   } else if (tool === 'eraser' && eraserMode === 'stroke') {
                       e.stopPropagation();
                       pushToHistory();
                       setPaths(prev => prev.filter(item => item.id !== p.id));
                    }
                 }}
                 onPointerEnter={(e) => {
-                   if (tool === 'eraser' && e.buttons === 1) {
+                   if (tool === 'eraser' && eraserMode === 'stroke' && e.buttons === 1) {
                       pushToHistory();
                       setPaths(prev => prev.filter(item => item.id !== p.id));
                    }
                 }}
               >
                  <svg width="100%" height="100%" viewBox={`0 0 ${p.width} ${p.height}`} className="overflow-visible block">
-                    <path d={getSvgPath(p.points, p.isArrow)} stroke={p.color} strokeWidth={p.strokeWidth * 2} fill="none" strokeLinecap="round" strokeLinejoin="round" />
-                    {p.isArrow && <path d={getArrowHead(p.points)} stroke={p.color} strokeWidth={p.strokeWidth * 2} fill="none" strokeLinecap="round" strokeLinejoin="round" />}
+                    {renderInk(p)}
                  </svg>
               </div>
            ))}
@@ -914,49 +1940,243 @@ const CanvasPageComponent = ({ page, onUpdate, saveToHistory, showNotification }
            {/* Active Draw - render live drawing path */}
            {drawInfo && drawInfo.isDrawing && drawInfo.currentPath.points.length > 0 && (
              <svg className="absolute pointer-events-none overflow-visible z-50" style={{ left: '0', top: '0', width: '50000px', height: '50000px' }}>
-               <g>
-                  <path d={getSvgPath(drawInfo.currentPath.points.map(p => ({ x: p.x + 25000, y: p.y + 25000 })), drawInfo.currentPath.isArrow)} stroke={drawInfo.currentPath.color} strokeWidth={drawInfo.currentPath.strokeWidth * 2} fill="none" strokeLinecap="round" strokeLinejoin="round" />
-                  {drawInfo.currentPath.isArrow && <path d={getArrowHead(drawInfo.currentPath.points.map(p => ({ x: p.x + 25000, y: p.y + 25000 })))} stroke={drawInfo.currentPath.color} strokeWidth={drawInfo.currentPath.strokeWidth * 2} fill="none" strokeLinecap="round" strokeLinejoin="round" />}
+               <g transform="translate(25000 25000)">
+                  {renderInk(drawInfo.currentPath)}
                </g>
              </svg>
            )}
 
+           {/* Connectors */}
+           <svg className="absolute pointer-events-none overflow-visible z-10" style={{ left: '0', top: '0', width: '50000px', height: '50000px' }}>
+             <g transform="translate(25000 25000)">
+               {connectors.map(c => {
+                 if (connectInfo?.connectorId === c.id) return null;
+                 const route = connectorRoute(c, boxes);
+                 const selected = isSelected(selection, 'connector', c.id);
+                 // End handles only for a lone connector, so a group drag isn't mistaken for re-attaching
+                 const showEnds = selected && selection.length === 1;
+                 return (
+                   <g key={c.id}>
+                     {selected && <path d={route.d} stroke="#a855f7" strokeOpacity={0.3} strokeWidth={8} fill="none" strokeLinejoin="round" />}
+                     <path d={route.d} stroke={c.color} strokeWidth={2} fill="none" strokeLinejoin="round" strokeLinecap="round" />
+                     {c.endArrow && <path d={arrowHeadPath(route.end, route.endFrom)} fill={c.color} />}
+                     {c.startArrow && <path d={arrowHeadPath(route.start, route.startFrom)} fill={c.color} />}
+                     {c.label && (
+                       <text
+                         x={route.mid.x}
+                         y={route.mid.y}
+                         textAnchor="middle"
+                         dominantBaseline="middle"
+                         fontSize={13}
+                         fill={c.color}
+                         strokeWidth={4}
+                         paintOrder="stroke"
+                         className="stroke-[#f8f8f8] dark:stroke-gray-800"
+                       >
+                         {c.label}
+                       </text>
+                     )}
+                     {/* Wide invisible stroke so thin lines are easy to click */}
+                     <path
+                       d={route.d}
+                       stroke="transparent"
+                       strokeWidth={12}
+                       fill="none"
+                       pointerEvents={['cursor', 'connector', 'eraser'].includes(tool) ? 'stroke' : 'none'}
+                       style={{ cursor: tool === 'eraser' ? 'cell' : 'pointer' }}
+                       onPointerDown={(e) => {
+                         if (e.button !== 0) return;
+                         e.stopPropagation();
+                         if (tool === 'eraser') {
+                           pushToHistory();
+                           setConnectors(prev => prev.filter(item => item.id !== c.id));
+                           return;
+                         }
+                         if (e.shiftKey || !selected) selectItem('connector', c.id, e);
+                         else if (selection.length > 1) startSelectionDrag(e, selection);
+                       }}
+                       onDoubleClick={() => setTimeout(() => document.getElementById('connector-label-input')?.focus(), 0)}
+                     />
+                     {showEnds && [['from', route.start], ['to', route.end]].map(([end, point]) => (
+                       <circle
+                         key={end}
+                         cx={point.x}
+                         cy={point.y}
+                         r={5}
+                         fill="white"
+                         stroke="#a855f7"
+                         strokeWidth={2}
+                         pointerEvents="all"
+                         style={{ cursor: 'move' }}
+                         onPointerDown={(e) => {
+                           if (e.button !== 0) return;
+                           e.stopPropagation();
+                           setConnectInfo({ connectorId: c.id, end, point: getCanvasCoords(e) });
+                         }}
+                       />
+                     ))}
+                   </g>
+                 );
+               })}
+
+               {/* Connector being drawn, snapping to the container under the pointer */}
+               {connectInfo && (() => {
+                 const moving = connectInfo.connectorId && connectors.find(c => c.id === connectInfo.connectorId);
+                 const preview = moving
+                   ? { ...moving, [connectInfo.end]: endAt(connectInfo.point, boxes, (connectInfo.end === 'from' ? moving.to : moving.from).containerId) }
+                   : { from: connectInfo.from, to: endAt(connectInfo.point, boxes, connectInfo.from.containerId), style: connectorStyle, endArrow: true, color: '#a855f7' };
+                 const route = connectorRoute(preview, boxes);
+                 return (
+                   <g opacity={0.7}>
+                     <path d={route.d} stroke={preview.color} strokeWidth={2} strokeDasharray="6 4" fill="none" strokeLinejoin="round" />
+                     {preview.endArrow && <path d={arrowHeadPath(route.end, route.endFrom)} fill={preview.color} />}
+                     {preview.startArrow && <path d={arrowHeadPath(route.start, route.startFrom)} fill={preview.color} />}
+                   </g>
+                 );
+               })()}
+
+               {/* Anchor points of the container a connector would attach to */}
+               {(tool === 'connector' || connectInfo) && (() => {
+                 const hoverId = boxAt(connectInfo ? connectInfo.point : cursorPos, boxes, 8);
+                 const box = hoverId && boxes.get(hoverId);
+                 return box && ANCHORS.map(anchor => {
+                   const p = anchorPoint(box, anchor);
+                   return <circle key={anchor} cx={p.x} cy={p.y} r={4} fill="white" stroke="#3b82f6" strokeWidth={2} />;
+                 });
+               })()}
+             </g>
+           </svg>
+
+           {/* Smart guides while dragging */}
+           {guides.length > 0 && (
+             <svg className="absolute pointer-events-none overflow-visible z-40" style={{ left: '0', top: '0', width: '50000px', height: '50000px' }}>
+               <g transform="translate(25000 25000)">
+                 {guides.map((g, i) => g.axis === 'x'
+                   ? <line key={i} x1={g.at} x2={g.at} y1={g.from} y2={g.to} stroke="#ec4899" strokeWidth={1 / transform.scale} />
+                   : <line key={i} x1={g.from} x2={g.to} y1={g.at} y2={g.at} stroke="#ec4899" strokeWidth={1 / transform.scale} />
+                 )}
+               </g>
+             </svg>
+           )}
+
+           {/* Marquee */}
+           {dragInfo?.type === 'marquee' && (() => {
+             const rect = rectFromPoints(dragInfo.start, dragInfo.point);
+             return (
+               <div
+                 className="absolute pointer-events-none border border-blue-400 bg-blue-400/10 z-40"
+                 style={{ left: rect.x + 25000, top: rect.y + 25000, width: rect.width, height: rect.height }}
+               />
+             );
+           })()}
+
+           {/* Lasso being drawn */}
+           {dragInfo?.type === 'lasso' && dragInfo.points.length > 1 && (
+             <svg className="absolute pointer-events-none overflow-visible z-50" style={{ left: '0', top: '0', width: '50000px', height: '50000px' }}>
+               <polygon
+                 transform="translate(25000 25000)"
+                 points={dragInfo.points.map(pt => `${pt.x},${pt.y}`).join(' ')}
+                 fill="rgba(168, 85, 247, 0.08)"
+                 stroke="#a855f7"
+                 strokeWidth={1.5 / transform.scale}
+                 strokeDasharray={`${4 / transform.scale} ${3 / transform.scale}`}
+               />
+             </svg>
+           )}
+
+           {/* Partial eraser footprint */}
+           {tool === 'eraser' && eraserMode === 'partial' && (
+             <div
+               className="absolute pointer-events-none rounded-full border border-red-400 bg-red-400/10 z-50"
+               style={{
+                 left: cursorPos.x + 25000 - ERASER_RADIUS / transform.scale,
+                 top: cursorPos.y + 25000 - ERASER_RADIUS / transform.scale,
+                 width: ERASER_RADIUS * 2 / transform.scale,
+                 height: ERASER_RADIUS * 2 / transform.scale
+               }}
+             />
+           )}
+
+           {/* Frame being drawn */}
+           {dragInfo?.type === 'frame' && (() => {
+             const rect = rectFromPoints(dragInfo.start, dragInfo.point);
+             return (
+               <div
+                 className="absolute pointer-events-none rounded-md border-2 border-dashed border-purple-400 bg-purple-400/5 z-40"
+                 style={{ left: rect.x + 25000, top: rect.y + 25000, width: rect.width, height: rect.height }}
+               />
+             );
+           })()}
+
+           {/* Multi-selection box with a handle that resizes everything in it */}
+           {selectionBounds && tool === 'cursor' && (
+             <div
+               className="absolute pointer-events-none border border-dashed border-purple-400 z-40"
+               style={{ left: selectionBounds.x + 25000 - 4, top: selectionBounds.y + 25000 - 4, width: selectionBounds.width + 8, height: selectionBounds.height + 8 }}
+             >
+               <div
+                 className="absolute -right-1.5 -bottom-1.5 w-3 h-3 bg-white border-2 border-purple-500 rounded-sm cursor-nwse-resize pointer-events-auto"
+                 onPointerDown={startSelectionResize}
+               />
+             </div>
+           )}
+
            {/* Containers */}
-           {containers.filter(container => {
-             const containerHeight = container.type === 'image' ? 200 : (container.type === 'map' ? (container.height || 300) : 100);
-             return isElementVisible(container.x, container.y, container.width || 200, containerHeight);
-           }).map(container => (
+           {visibleItems('container', containers).map(container => (
              <UniversalContainer
                key={container.id}
                container={container}
                scale={transform.scale}
-               isSelected={selectedId === container.id}
-               onSelect={() => { setSelectedId(container.id); setSelectedType('container'); }}
+               isSelected={isSelected(selection, 'container', container.id)}
+               inert={tool === 'connector' || tool === 'shape' || tool === 'frame' || tool === 'lasso' || presenting !== null}
+               onSelect={(e) => {
+                 if (e.shiftKey) selectItem('container', container.id, e);
+                 else if (!isSelected(selection, 'container', container.id)) selectItem('container', container.id);
+               }}
                onUpdate={(fields) => setContainers(prev => prev.map(c => c.id === container.id ? { ...c, ...fields } : c))}
                onDragStart={(e) => {
                  if (e.button === 1) return;
                  e.stopPropagation();
-                 pushToHistory();
-                 setSelectedId(container.id);
-                 setSelectedType('container');
-                 setDragInfo({ type: 'container', startX: e.clientX, startY: e.clientY, initialX: container.x, initialY: container.y, id: container.id });
+                 // Shift-click adds to the selection (on click) instead of dragging
+                 if (e.shiftKey) return;
+                 const items = isSelected(selection, 'container', container.id) ? selection : expandGroups([{ type: 'container', id: container.id }], containers, paths);
+                 setSelection(items);
+                 startSelectionDrag(e, items);
                }}
                onResizeStart={(e) => {
                  e.stopPropagation();
                  e.preventDefault();
                  pushToHistory();
-                 setSelectedId(container.id);
-                 setSelectedType('container');
+                 setSelection([{ type: 'container', id: container.id }]);
                  const el = document.getElementById(`container-${container.id}`);
-                 setResizeInfo({ isResizing: true, startX: e.clientX, initialWidth: container.width || (el ? el.offsetWidth : 200), id: container.id });
+                 setResizeInfo({
+                   isResizing: true,
+                   startX: e.clientX,
+                   startY: e.clientY,
+                   initialWidth: container.width || (el ? el.offsetWidth : 200),
+                   initialHeight: container.type === 'shape' || isCard(container) ? container.height : null,
+                   id: container.id
+                 });
                }}
-               onDelete={() => { pushToHistory(); setContainers(prev => prev.filter(c => c.id !== container.id)); }}
+               onDelete={() => { pushToHistory(); removeContainer(container.id); }}
                onSlash={(x, y) => setSlashMenu({ x, y, containerId: container.id })}
                MapBlock={MapBlock}
+               CanvasCard={CanvasCard}
+               cardContext={cardContext}
              />
            ))}
          </div>
+
+         {showFrames && presenting === null && renderFramesPanel()}
+         {showMinimap && presenting === null && renderMinimap()}
+         {presenting !== null && renderPresentationControls()}
       </div>
+      {showCardDialog && (
+        <CanvasCardDialog pageIndex={pageIndex} currentPageId={page.id} onAdd={addCard} onClose={() => setShowCardDialog(false)} />
+      )}
+      {showExport && (
+        <CanvasExportDialog hasSelection={selection.length > 0} onExport={handleExport} onClose={() => setShowExport(false)} />
+      )}
       {slashMenu && <SlashMenu x={slashMenu.x} y={slashMenu.y} onSelect={handleSlashCommand} onClose={() => setSlashMenu(null)} />}
       {mapConfigContainerId && mapConfigPosition && (() => {
           const configContainer = containers.find(c => c.id === mapConfigContainerId);
@@ -1,15 +1,293 @@
 // CellEditor Component - Smart table cell input switching by type
 // Extracted from Strata index.html Section F
 
-const CellEditor = ({ type, value, options, onChange }) => {
-  const baseClass = "w-full h-full p-2 bg-transparent border-none outline-none focus:ring-2 focus:ring-blue-500/50 focus:bg-blue-50 dark:focus:bg-blue-900/20 transition-colors";
+import { useEffect, useId, useRef, useState } from 'react';
+import { generateId } from '../../lib/utils';
+import { tagColor, formatDateValue, relationLabel, sameRef } from '../../lib/table-columns';
+
+const baseClass = "w-full h-full p-2 bg-transparent border-none outline-none focus:ring-2 focus:ring-blue-500/50 focus:bg-blue-50 dark:focus:bg-blue-900/20 transition-colors";
+const popoverClass = "absolute left-0 top-full mt-1 z-30 w-64 max-h-72 overflow-y-auto bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-xl p-1 text-sm";
+
+// Popover editors close on a click anywhere else
+function useCellPopover() {
+  const [open, setOpen] = useState(false);
+  const ref = useRef(null);
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false);
+    };
+    const onKey = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+    document.addEventListener('mousedown', onDown);
+    document.addEventListener('keydown', onKey);
+    return () => {
+      document.removeEventListener('mousedown', onDown);
+      document.removeEventListener('keydown', onKey);
+    };
+  }, [open]);
+  return { open, setOpen, ref };
+}
+
+export const Tag = ({ options, value }) => (
+  <span className={`inline-flex items-center max-w-full px-1.5 py-0.5 rounded text-xs whitespace-nowrap ${tagColor(options, value)}`}>
+    <span className="truncate">{value}</span>
+  </span>
+);
+
+const MultiSelectCell = ({ value, options, onChange, onAddOption }) => {
+  const { open, setOpen, ref } = useCellPopover();
+  const [query, setQuery] = useState('');
+  const selected = Array.isArray(value) ? value : (value ? [value] : []);
+  const toggle = (opt) => onChange(selected.includes(opt) ? selected.filter(v => v !== opt) : [...selected, opt]);
+  const matches = (options || []).filter(opt => opt.toLowerCase().includes(query.trim().toLowerCase()));
+  const canCreate = query.trim() && onAddOption && !(options || []).some(opt => opt.toLowerCase() === query.trim().toLowerCase());
+
+  const create = () => {
+    const name = query.trim();
+    onAddOption(name);
+    onChange([...selected, name]);
+    setQuery('');
+  };
+
+  return (
+    <div ref={ref} className="relative h-full">
+      <div data-cell-trigger onClick={() => setOpen(true)} className="flex flex-wrap gap-1 p-2 min-h-[36px] cursor-pointer">
+        {selected.map(v => <Tag key={v} options={options} value={v} />)}
+        {selected.length === 0 && <span className="text-gray-400">Empty</span>}
+      </div>
+      {open && (
+        <div className={popoverClass}>
+          <input
+            autoFocus
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                if (canCreate) create();
+                else if (matches[0]) toggle(matches[0]);
+              }
+            }}
+            placeholder="Search or add an option"
+            className="w-full px-2 py-1.5 mb-1 rounded bg-gray-100 dark:bg-gray-700 outline-none"
+          />
+          {matches.map(opt => (
+            <button key={opt} onClick={() => toggle(opt)} className="w-full flex items-center gap-2 px-2 py-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700 text-left">
+              <span className="w-4 text-blue-500">{selected.includes(opt) ? '✓' : ''}</span>
+              <Tag options={options} value={opt} />
+            </button>
+          ))}
+          {canCreate && (
+            <button onClick={create} className="w-full px-2 py-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700 text-left text-gray-500">
+              + Create "{query.trim()}"
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ChecklistCell = ({ value, onChange }) => {
+  const { open, setOpen, ref } = useCellPopover();
+  const [draft, setDraft] = useState('');
+  const items = Array.isArray(value) ? value : [];
+  const done = items.filter(item => item.checked).length;
+  const update = (id, changes) => onChange(items.map(item => (item.id === id ? { ...item, ...changes } : item)));
+
+  return (
+    <div ref={ref} className="relative h-full">
+      <div data-cell-trigger onClick={() => setOpen(true)} className="flex items-center gap-2 p-2 min-h-[36px] cursor-pointer">
+        {items.length === 0 ? (
+          <span className="text-gray-400">Empty</span>
+        ) : (
+          <>
+            <span className={`text-xs font-mono ${done === items.length ? 'text-green-600' : 'text-gray-500'}`}>{done}/{items.length}</span>
+            <div className="flex-1 h-1.5 rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+              <div className="h-full bg-green-500" style={{ width: `${(done / items.length) * 100}%` }} />
+            </div>
+          </>
+        )}
+      </div>
+      {open && (
+        <div className={popoverClass}>
+          {items.map(item => (
+            <div key={item.id} className="group/item flex items-center gap-2 px-2 py-1">
+              <input
+                type="checkbox"
+                checked={!!item.checked}
+                onChange={(e) => update(item.id, { checked: e.target.checked })}
+                className="w-4 h-4 rounded border-gray-300 text-blue-600 cursor-pointer"
+              />
+              <input
+                value={item.text}
+                onChange={(e) => update(item.id, { text: e.target.value })}
+                className={`flex-1 min-w-0 bg-transparent outline-none ${item.checked ? 'line-through text-gray-400' : ''}`}
+              />
+              <button onClick={() => onChange(items.filter(i => i.id !== item.id))} className="opacity-0 group-hover/item:opacity-100 text-gray-400 hover:text-red-500">&times;</button>
+            </div>
+          ))}
+          <input
+            autoFocus
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && draft.trim()) {
+                e.preventDefault();
+                onChange([...items, { id: generateId(), text: draft.trim(), checked: false }]);
+                setDraft('');
+              }
+            }}
+            placeholder="Add an item"
+            className="w-full px-2 py-1.5 mt-1 rounded bg-gray-100 dark:bg-gray-700 outline-none"
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+const RelationCell = ({ value, onChange, relation }) => {
+  const { open, setOpen, ref } = useCellPopover();
+  const [query, setQuery] = useState('');
+  const refs = Array.isArray(value) ? value : [];
+  const isLinked = (target) => refs.some(r => sameRef(r, target));
+  const toggle = (target) => onChange(isLinked(target) ? refs.filter(r => !sameRef(r, target)) : [...refs, target]);
+  const q = query.trim().toLowerCase();
+  const matches = (relation?.targets || []).filter(t => !q || t.label.toLowerCase().includes(q)).slice(0, 50);
+
+  return (
+    <div ref={ref} className="relative h-full">
+      <div data-cell-trigger onClick={() => setOpen(true)} className="flex flex-wrap gap-1 p-2 min-h-[36px] cursor-pointer">
+        {refs.map(r => {
+          const { label, icon, missing } = relationLabel(relation?.pageIndex || new Map(), r);
+          return (
+            <button
+              key={`${r.pageId}:${r.rowId || ''}`}
+              onClick={(e) => {
+                e.stopPropagation();
+                if (!missing) relation?.onOpen?.(r);
+              }}
+              className={`inline-flex items-center gap-1 max-w-full px-1.5 py-0.5 rounded text-xs bg-gray-100 dark:bg-gray-700 hover:underline ${missing ? 'text-gray-400 line-through' : 'text-blue-600 dark:text-blue-400'}`}
+              title={missing ? label : `Open ${label}`}
+            >
+              <span>{icon}</span>
+              <span className="truncate">{label}</span>
+            </button>
+          );
+        })}
+        {refs.length === 0 && <span className="text-gray-400">Empty</span>}
+      </div>
+      {open && (
+        <div className={popoverClass}>
+          <input
+            autoFocus
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search pages"
+            className="w-full px-2 py-1.5 mb-1 rounded bg-gray-100 dark:bg-gray-700 outline-none"
+          />
+          {matches.length === 0 && <div className="px-2 py-1 text-gray-400">Nothing to link</div>}
+          {matches.map(t => (
+            <button key={`${t.ref.pageId}:${t.ref.rowId || ''}`} onClick={() => toggle(t.ref)} className="w-full flex items-center gap-2 px-2 py-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700 text-left">
+              <span className="w-4 text-blue-500">{isLinked(t.ref) ? '✓' : ''}</span>
+              <span>{t.icon}</span>
+              <span className="flex-1 min-w-0 truncate">{t.label}</span>
+              <span className="text-[10px] text-gray-400 truncate max-w-[40%]">{t.detail}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const initials = (name) => name.split(/[\s@.]+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('');
+
+const PersonCell = ({ value, onChange, people }) => {
+  const listId = useId();
+  return (
+    <div className="flex items-center h-full pl-2 gap-1">
+      {value && (
+        <span className="w-5 h-5 shrink-0 rounded-full bg-blue-500 text-white text-[10px] font-semibold flex items-center justify-center">{initials(value)}</span>
+      )}
+      <input
+        type="text"
+        list={listId}
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value)}
+        className={baseClass}
+        placeholder="Empty"
+      />
+      <datalist id={listId}>
+        {(people || []).map(name => <option key={name} value={name} />)}
+      </datalist>
+    </div>
+  );
+};
+
+// Formula results are read-only; errors show in place with the reason on hover
+const FormulaCell = ({ value }) => {
+  if (value && typeof value === 'object') {
+    return (
+      <div className="flex items-center h-full p-2 text-xs text-red-500 cursor-help" title={value.error}>
+        ⚠ #ERROR
+      </div>
+    );
+  }
+  let text = value ?? '';
+  if (typeof value === 'boolean') text = value ? '✓' : '✗';
+  else if (typeof value === 'number') text = value.toLocaleString(undefined, { maximumFractionDigits: 10 });
+  else if (/^\d{4}-\d{2}-\d{2}$/.test(value || '')) text = formatDateValue(value);
+  return (
+    <div className={`flex items-center h-full p-2 text-gray-700 dark:text-gray-300 select-text ${typeof value === 'number' ? 'justify-end font-mono' : ''}`} title="Calculated by the column's formula">
+      <span className="truncate">{text}</span>
+    </div>
+  );
+};
+
+// Numbers are edited as text: a complete number is saved as it is typed, while "-", "." or "1e" wait
+// for the next key. seed = { text } is the key that opened the editor from the grid.
+const NumberCell = ({ value, seed, onChange }) => {
+  const [draft, setDraft] = useState(null);
+  const [seeded, setSeeded] = useState(seed);
+  if (seed !== seeded) {
+    setSeeded(seed);
+    if (seed) setDraft(seed.text);
+  }
+
+  const type = (text) => {
+    setDraft(text);
+    if (text.trim() === '') onChange('');
+    else if (Number.isFinite(Number(text))) onChange(Number(text));
+  };
+
+  return (
+    <input
+      type="text"
+      inputMode="decimal"
+      value={draft ?? value ?? ''}
+      onChange={(e) => type(e.target.value)}
+      onBlur={() => setDraft(null)}
+      className={`${baseClass} font-mono text-right`}
+      placeholder="0"
+    />
+  );
+};
+
+const CellEditor = ({ type, value, options, onChange, onAddOption, relation, people, seed }) => {
+  if (type === 'formula') {
+    return <FormulaCell value={value} />;
+  }
 
   if (type === 'boolean') {
     return (
       <div className="flex items-center justify-center h-full w-full">
-        <input 
-          type="checkbox" 
-          checked={!!value} 
+        <input
+          type="checkbox"
+          checked={!!value}
           onChange={(e) => onChange(e.target.checked)}
           className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 cursor-pointer"
         />
@@ -19,36 +297,89 @@ const CellEditor = ({ type, value, options, onChange }) => {
 
   if (type === 'select') {
     return (
-      <select 
-        value={value || ''} 
-        onChange={(e) => onChange(e.target.value)}
-        className={`${baseClass} appearance-none cursor-pointer`}
-      >
-        <option value="" disabled className="text-gray-400">Select...</option>
-        {options?.map(opt => (
-          <option key={opt} value={opt}>{opt}</option>
-        ))}
-      </select>
+      <div className="relative h-full">
+        <select
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          className={`${baseClass} appearance-none cursor-pointer ${value ? 'text-transparent' : ''}`}
+        >
+          <option value="" className="text-gray-400">Select...</option>
+          {options?.map(opt => (
+            <option key={opt} value={opt} className="text-gray-900 dark:text-gray-100">{opt}</option>
+          ))}
+        </select>
+        {value && (
+          <div className="absolute inset-0 flex items-center px-2 pointer-events-none">
+            <Tag options={options} value={value} />
+          </div>
+        )}
+      </div>
     );
   }
 
+  if (type === 'multi-select') {
+    return <MultiSelectCell value={value} options={options} onChange={onChange} onAddOption={onAddOption} />;
+  }
+
+  if (type === 'checkbox-list') {
+    return <ChecklistCell value={value} onChange={onChange} />;
+  }
+
+  if (type === 'relation') {
+    return <RelationCell value={value} onChange={onChange} relation={relation} />;
+  }
+
   if (type === 'number') {
+    return <NumberCell value={value} seed={seed} onChange={onChange} />;
+  }
+
+  if (type === 'date') {
     return (
-      <input 
-        type="number" 
-        value={value || ''} 
-        onChange={(e) => onChange(parseFloat(e.target.value))}
-        className={`${baseClass} font-mono text-right`}
-        placeholder="0"
+      <input
+        type="date"
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value)}
+        className={`${baseClass} ${value ? '' : 'text-gray-400'}`}
+        title={formatDateValue(value)}
       />
     );
   }
 
+  if (type === 'url' || type === 'email') {
+    const href = type === 'email' ? `mailto:${value}` : (/^[a-z][a-z0-9+.-]*:/i.test(value || '') ? value : `https://${value}`);
+    return (
+      <div className="flex items-center h-full group/link">
+        <input
+          type={type}
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          className={`${baseClass} ${value ? 'text-blue-600 dark:text-blue-400 underline' : ''}`}
+          placeholder={type === 'email' ? 'name@example.com' : 'https://'}
+        />
+        {value && (
+          <a
+            href={href}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="px-2 opacity-0 group-hover/link:opacity-100 text-gray-400 hover:text-blue-500"
+            title={type === 'email' ? 'Send email' : 'Open link'}
+          >
+            ↗
+          </a>
+        )}
+      </div>
+    );
+  }
+
+  if (type === 'person') {
+    return <PersonCell value={value} onChange={onChange} people={people} />;
+  }
+
   // Default Text
   return (
-    <input 
-      type="text" 
-      value={value || ''} 
+    <input
+      type="text"
+      value={value || ''}
       onChange={(e) => onChange(e.target.value)}
       className={baseClass}
       placeholder="Empty"
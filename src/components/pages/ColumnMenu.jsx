@@ -0,0 +1,204 @@
+// ColumnMenu Component - Rename, retype, edit options of, or delete a TablePage column
+
+import { useEffect, useRef, useState } from 'react';
+import { COLUMN_TYPES, hasOptions, tagColor } from '../../lib/table-columns';
+import { FORMULA_FUNCTIONS, formulaSyntaxError } from '../../lib/formula';
+
+const inputClass = "w-full px-2 py-1 text-sm border rounded dark:bg-gray-700 dark:border-gray-600 outline-none focus:border-blue-500";
+
+const OptionRow = ({ option, options, onRename, onRemove }) => {
+  const [draft, setDraft] = useState(option);
+  useEffect(() => setDraft(option), [option]);
+  const commit = () => {
+    const name = draft.trim();
+    if (!name || name === option || options.includes(name)) setDraft(option);
+    else onRename(name);
+  };
+  return (
+    <div className="group/opt flex items-center gap-1">
+      <span className={`w-3 h-3 shrink-0 rounded ${tagColor(options, option)}`} />
+      <input
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+        className="flex-1 min-w-0 px-1 py-0.5 text-sm bg-transparent outline-none rounded focus:bg-gray-100 dark:focus:bg-gray-700"
+      />
+      <button onClick={onRemove} className="opacity-0 group-hover/opt:opacity-100 text-gray-400 hover:text-red-500 px-1" title="Remove option">&times;</button>
+    </div>
+  );
+};
+
+// Formula text is saved on blur once it parses; a syntax error is shown while typing
+export const FormulaInput = ({ formula, columns, onSave, autoFocus }) => {
+  const [draft, setDraft] = useState(formula || '');
+  useEffect(() => setDraft(formula || ''), [formula]);
+  const error = draft.trim() ? formulaSyntaxError(draft) : null;
+  return (
+    <div className="space-y-1">
+      <textarea
+        autoFocus={autoFocus}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={() => !error && draft !== (formula || '') && onSave(draft)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            e.target.blur();
+          }
+        }}
+        rows={3}
+        spellCheck={false}
+        placeholder={'e.g. {Price} * {Qty}'}
+        className={`${inputClass} font-mono text-xs resize-y`}
+      />
+      {error && <p className="text-[10px] text-red-500">{error}</p>}
+      <div className="flex flex-wrap gap-1">
+        {columns.map(c => (
+          <button
+            key={c.id}
+            type="button"
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => setDraft(d => `${d}{${c.name}}`)}
+            className="px-1.5 py-0.5 rounded bg-gray-100 dark:bg-gray-700 text-[10px] hover:bg-gray-200 dark:hover:bg-gray-600"
+          >
+            {c.name}
+          </button>
+        ))}
+      </div>
+      <p className="text-[10px] text-gray-400 leading-snug">
+        Operators + - * / % ^ &amp; = != &lt; &gt; and or not. Functions: {FORMULA_FUNCTIONS.join(', ')}.
+      </p>
+    </div>
+  );
+};
+
+const ColumnMenu = ({ column, columns, databasePages, onChange, onRenameOption, onDelete, onClose }) => {
+  const ref = useRef(null);
+  const [name, setName] = useState(column.name);
+  const [newOption, setNewOption] = useState('');
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const options = column.options || [];
+
+  useEffect(() => {
+    const onDown = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) onClose();
+    };
+    const onKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('mousedown', onDown);
+    document.addEventListener('keydown', onKey);
+    return () => {
+      document.removeEventListener('mousedown', onDown);
+      document.removeEventListener('keydown', onKey);
+    };
+  }, [onClose]);
+
+  const commitName = () => {
+    if (name.trim() && name.trim() !== column.name) onChange({ name: name.trim() });
+    else setName(column.name);
+  };
+
+  const addOption = () => {
+    const opt = newOption.trim();
+    if (opt && !options.includes(opt)) onChange({ options: [...options, opt] });
+    setNewOption('');
+  };
+
+  return (
+    <div
+      ref={ref}
+      className={`absolute left-0 top-full mt-1 z-30 ${column.type === 'formula' ? 'w-80' : 'w-60'} bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-xl p-3 space-y-3 text-left font-normal text-gray-800 dark:text-gray-100 normal-case`}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="space-y-1">
+        <label className="text-[10px] font-semibold text-gray-500 uppercase">Name</label>
+        <input
+          autoFocus
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={commitName}
+          onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+          className={inputClass}
+        />
+      </div>
+
+      <div className="space-y-1">
+        <label className="text-[10px] font-semibold text-gray-500 uppercase">Type</label>
+        <select value={column.type} onChange={(e) => onChange({ type: e.target.value })} className={inputClass}>
+          {COLUMN_TYPES.map(t => (
+            <option key={t.type} value={t.type}>{t.icon}  {t.label}</option>
+          ))}
+        </select>
+        <p className="text-[10px] text-gray-400">
+          {column.type === 'formula' ? 'Results are kept as values in the new type.' : 'Existing cells are converted to the new type.'}
+        </p>
+      </div>
+
+      {hasOptions(column.type) && (
+        <div className="space-y-1">
+          <label className="text-[10px] font-semibold text-gray-500 uppercase">Options</label>
+          {options.map(opt => (
+            <OptionRow
+              key={opt}
+              option={opt}
+              options={options}
+              onRename={(next) => onRenameOption(opt, next)}
+              onRemove={() => onChange({ options: options.filter(o => o !== opt) })}
+            />
+          ))}
+          <input
+            value={newOption}
+            onChange={(e) => setNewOption(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                addOption();
+              }
+            }}
+            onBlur={addOption}
+            placeholder="Add an option"
+            className={inputClass}
+          />
+        </div>
+      )}
+
+      {column.type === 'formula' && (
+        <div className="space-y-1">
+          <label className="text-[10px] font-semibold text-gray-500 uppercase">Formula</label>
+          <FormulaInput
+            formula={column.formula}
+            columns={columns.filter(c => c.id !== column.id)}
+            onSave={(formula) => onChange({ formula })}
+          />
+        </div>
+      )}
+
+      {column.type === 'relation' && (
+        <div className="space-y-1">
+          <label className="text-[10px] font-semibold text-gray-500 uppercase">Links to</label>
+          <select
+            value={column.relation?.pageId || ''}
+            onChange={(e) => onChange({ relation: { pageId: e.target.value || null } })}
+            className={inputClass}
+          >
+            <option value="">Any Strata page</option>
+            {databasePages.map(p => (
+              <option key={p.id} value={p.id}>Rows of {p.icon} {p.name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <button
+        onClick={() => (confirmDelete ? onDelete() : setConfirmDelete(true))}
+        className={`w-full py-1.5 text-sm rounded ${confirmDelete ? 'bg-red-500 text-white hover:bg-red-600' : 'text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20'}`}
+      >
+        {confirmDelete ? 'Click again to delete column' : 'Delete column'}
+      </button>
+    </div>
+  );
+};
+
+export default ColumnMenu;
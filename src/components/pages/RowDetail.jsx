@@ -0,0 +1,54 @@
+// RowDetail Component - Every field of one database row, opened from a board card
+
+import { useEffect } from 'react';
+import { columnTypeInfo } from '../../lib/table-columns';
+import CellEditor from './CellEditor';
+
+const RowDetail = ({ row, columns, title, onCellChange, onAddOption, relationProps, people, onDelete, onClose }) => {
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', onKey);
+    return () => document.removeEventListener('keydown', onKey);
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-lg max-h-[80vh] flex flex-col border border-gray-200 dark:border-gray-700">
+        <div className="flex items-center gap-2 px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="flex-1 min-w-0 truncate text-lg font-medium">{title}</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 px-1 text-lg">&times;</button>
+        </div>
+        <div className="flex-1 overflow-y-auto p-4 space-y-1">
+          {columns.map(col => (
+            <div key={col.id} className="flex items-start gap-3">
+              <div className="w-32 shrink-0 py-2 text-xs text-gray-500 truncate">
+                <span className="opacity-50 mr-1">{columnTypeInfo(col.type).icon}</span>
+                {col.name}
+              </div>
+              <div className="flex-1 min-w-0 min-h-[36px] relative rounded hover:bg-gray-50 dark:hover:bg-gray-700/50">
+                <CellEditor
+                  type={col.type}
+                  value={row[col.id]}
+                  options={col.options}
+                  onChange={(val) => onCellChange(row.id, col.id, val)}
+                  onAddOption={(opt) => onAddOption(col.id, opt)}
+                  relation={relationProps[col.id]}
+                  people={people}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+        <div className="flex justify-end px-4 py-3 border-t border-gray-200 dark:border-gray-700">
+          <button onClick={onDelete} className="px-3 py-1.5 text-sm text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded">
+            Delete row
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RowDetail;
@@ -0,0 +1,178 @@
+// SheetSyncDialog Component - Link a TablePage to a Google Sheet tab, pick the conflict policy and see how syncing went
+
+import { useState } from 'react';
+import { CONFLICT_POLICIES } from '../../lib/sheet-sync';
+
+const fieldClass = "px-2 py-1 text-sm border rounded bg-white dark:bg-gray-700 dark:border-gray-600 outline-none focus:border-blue-500";
+const buttonClass = "px-3 py-1.5 text-sm rounded border border-gray-200 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50";
+
+const PolicyChoice = ({ policy, onChange }) => (
+  <div className="space-y-1">
+    <div className="text-xs font-semibold text-gray-500 uppercase">When a cell is edited in both places</div>
+    {CONFLICT_POLICIES.map(p => (
+      <label key={p.policy} className="flex items-start gap-2 text-sm cursor-pointer">
+        <input type="radio" checked={policy === p.policy} onChange={() => onChange(p.policy)} className="mt-1" />
+        <span>
+          <span className="font-medium">{p.label}</span>
+          <span className="block text-xs text-gray-500">{p.description}</span>
+        </span>
+      </label>
+    ))}
+  </div>
+);
+
+const SheetSyncDialog = ({ binding, pageName, actions, rowLabel, onBind, onChangePolicy, onUnbind, onClearConflicts, onSyncNow, onClose }) => {
+  const [policy, setPolicy] = useState('strata');
+  // Spreadsheet chosen in the Drive picker, waiting for a tab: { id, name, url, tabs, tab }
+  const [picked, setPicked] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = async (task) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await task();
+    } catch (err) {
+      setError(err?.message || 'Google Sheets request failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const createSheet = () =>
+    run(async () => {
+      const target = await actions.createSpreadsheet(pageName || 'Untitled table', 'Strata');
+      onBind(target, policy);
+    });
+
+  const chooseSheet = () =>
+    actions.pickSpreadsheet((file) =>
+      run(async () => {
+        const { spreadsheetName, url, tabs } = await actions.listSheetTabs(file.id);
+        setPicked({ id: file.id, name: spreadsheetName || file.name, url: url || file.url, tabs, tab: tabs[0] || '' });
+      })
+    );
+
+  const conflicts = binding?.conflicts || [];
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-lg max-h-[85vh] flex flex-col border border-gray-200 dark:border-gray-700">
+        <div className="px-5 py-3 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-lg font-medium">Google Sheet sync</h3>
+          <p className="text-xs text-gray-500">
+            Rows and columns are written to a Sheet tab and edits made there come back here. The last column holds each row's id; leave it in place.
+          </p>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-5 py-4 space-y-4">
+          {!binding && !actions && (
+            <p className="text-sm text-gray-500">Sign in with Google to link this table to a Sheet.</p>
+          )}
+
+          {!binding && actions && (
+            <>
+              <PolicyChoice policy={policy} onChange={setPolicy} />
+              {picked ? (
+                <div className="space-y-2">
+                  <div className="text-sm">
+                    <span className="text-gray-500">Spreadsheet:</span> <span className="font-medium">{picked.name}</span>
+                  </div>
+                  <label className="flex items-center gap-2 text-sm">
+                    <span className="text-gray-500">Tab</span>
+                    <select value={picked.tab} onChange={(e) => setPicked({ ...picked, tab: e.target.value })} className={fieldClass}>
+                      {picked.tabs.map(tab => <option key={tab} value={tab}>{tab}</option>)}
+                    </select>
+                  </label>
+                  <p className="text-xs text-gray-500">
+                    Lines already in the tab are added as rows, and headers this table doesn't have become new columns.
+                  </p>
+                  <div className="flex gap-2">
+                    <button
+                      disabled={busy || !picked.tab}
+                      onClick={() => onBind({ spreadsheetId: picked.id, spreadsheetName: picked.name, sheetName: picked.tab, url: picked.url }, policy)}
+                      className="px-3 py-1.5 text-sm rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      Link this tab
+                    </button>
+                    <button onClick={() => setPicked(null)} className={buttonClass}>Back</button>
+                  </div>
+                </div>
+              ) : (
+                <div className="flex flex-wrap gap-2">
+                  <button disabled={busy} onClick={createSheet} className="px-3 py-1.5 text-sm rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50">
+                    Create a new Sheet
+                  </button>
+                  <button disabled={busy} onClick={chooseSheet} className={buttonClass}>Choose an existing Sheet…</button>
+                </div>
+              )}
+            </>
+          )}
+
+          {binding && (
+            <>
+              <div className="text-sm space-y-1">
+                <div>
+                  <span className="text-gray-500">Linked to</span>{' '}
+                  {binding.url ? (
+                    <a href={binding.url} target="_blank" rel="noopener noreferrer" className="font-medium text-blue-600 dark:text-blue-400 hover:underline">
+                      {binding.spreadsheetName || 'Google Sheet'}
+                    </a>
+                  ) : (
+                    <span className="font-medium">{binding.spreadsheetName || 'Google Sheet'}</span>
+                  )}
+                  <span className="text-gray-500"> · tab </span>
+                  <span className="font-medium">{binding.sheetName}</span>
+                </div>
+                <div className="text-xs text-gray-500">
+                  {binding.syncedAt ? `Last changes synced ${new Date(binding.syncedAt).toLocaleString()}` : 'Waiting for the first sync'}
+                  {!actions && ' · sign in with Google to keep syncing'}
+                </div>
+                {binding.error && (
+                  <div className="text-xs text-red-600 dark:text-red-400">⚠ Last sync failed: {binding.error}</div>
+                )}
+              </div>
+
+              <PolicyChoice policy={binding.conflictPolicy || 'strata'} onChange={onChangePolicy} />
+
+              <div className="space-y-1">
+                <div className="flex items-center justify-between">
+                  <span className="text-xs font-semibold text-gray-500 uppercase">Recent conflicts</span>
+                  {conflicts.length > 0 && (
+                    <button onClick={onClearConflicts} className="text-xs text-gray-400 hover:text-gray-600 dark:hover:text-gray-200">Clear</button>
+                  )}
+                </div>
+                {conflicts.length === 0 && <p className="text-xs text-gray-400">None so far.</p>}
+                <ul className="space-y-1">
+                  {conflicts.map((c, i) => (
+                    <li key={i} className="text-xs rounded bg-amber-50 dark:bg-amber-900/20 px-2 py-1">
+                      <span className="font-medium">{c.rowId ? `${rowLabel(c.rowId)} · ${c.column}` : `Column name ${c.column}`}</span>
+                      <span className="text-gray-500"> — Strata “{c.strata}”, Sheet “{c.sheet}”; kept the {c.kept === 'sheet' ? 'Sheet' : 'Strata'} value</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </>
+          )}
+
+          {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+        </div>
+
+        <div className="flex items-center gap-2 px-5 py-3 border-t border-gray-200 dark:border-gray-700">
+          {binding && (
+            <>
+              <button onClick={onUnbind} className="px-3 py-1.5 text-sm rounded text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20">Unlink</button>
+              <button disabled={!actions} onClick={onSyncNow} className={buttonClass}>Sync now</button>
+            </>
+          )}
+          <button onClick={onClose} className="ml-auto px-3 py-1.5 text-sm text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SheetSyncDialog;
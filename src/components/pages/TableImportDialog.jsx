@@ -0,0 +1,142 @@
+// TableImportDialog Component - Preview a CSV/TSV file and choose column types before importing it into a TablePage
+
+import { useMemo, useState } from 'react';
+import { COLUMN_TYPES } from '../../lib/table-columns';
+import { parseDelimited, detectDelimiter, importPreview } from '../../lib/table-csv';
+
+const DELIMITERS = [
+  { value: ',', label: 'Comma' },
+  { value: '\t', label: 'Tab' },
+  { value: ';', label: 'Semicolon' },
+];
+const PREVIEW_ROWS = 8;
+const fieldClass = "px-2 py-1 text-xs border rounded bg-white dark:bg-gray-700 dark:border-gray-600 outline-none focus:border-blue-500";
+
+const TableImportDialog = ({ fileName, text, defaultMode, onImport, onClose }) => {
+  const [delimiter, setDelimiter] = useState(() => detectDelimiter(text));
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mode, setMode] = useState(defaultMode);
+  // Per-column changes to the guessed preview, by position: { name, type, skip }
+  const [overrides, setOverrides] = useState({});
+
+  const matrix = useMemo(() => parseDelimited(text, delimiter), [text, delimiter]);
+  const base = useMemo(() => importPreview(matrix, hasHeader), [matrix, hasHeader]);
+  const columns = base.columns.map((col, i) => ({ ...col, ...overrides[i] }));
+  const setOverride = (i, changes) => setOverrides(o => ({ ...o, [i]: { ...o[i], ...changes } }));
+  const importable = columns.some(c => !c.skip) && base.rows.length > 0;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-4xl max-h-[85vh] flex flex-col border border-gray-200 dark:border-gray-700">
+        <div className="px-5 py-3 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-lg font-medium">Import {fileName}</h3>
+          <p className="text-xs text-gray-500">{base.rows.length} rows, {columns.length} columns. Check the column types before importing.</p>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4 px-5 py-3 text-sm border-b border-gray-200 dark:border-gray-700">
+          <label className="flex items-center gap-2">
+            <span className="text-xs text-gray-500">Separator</span>
+            <select
+              value={delimiter}
+              onChange={(e) => {
+                setDelimiter(e.target.value);
+                setOverrides({});
+              }}
+              className={fieldClass}
+            >
+              {DELIMITERS.map(d => <option key={d.label} value={d.value}>{d.label}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={hasHeader}
+              onChange={(e) => {
+                setHasHeader(e.target.checked);
+                setOverrides({});
+              }}
+              className="w-4 h-4 rounded border-gray-300 text-blue-600"
+            />
+            <span className="text-xs">First row is column names</span>
+          </label>
+          <div className="flex items-center gap-2 ml-auto">
+            <span className="text-xs text-gray-500">Rows</span>
+            <select value={mode} onChange={(e) => setMode(e.target.value)} className={fieldClass}>
+              <option value="append">Add to this table</option>
+              <option value="replace">Replace this table</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-auto">
+          <table className="text-xs border-collapse">
+            <thead className="sticky top-0 bg-gray-50 dark:bg-gray-900">
+              <tr>
+                {columns.map((col, i) => (
+                  <th key={i} className={`p-2 text-left align-top border-b border-gray-200 dark:border-gray-700 min-w-[140px] ${col.skip ? 'opacity-40' : ''}`}>
+                    <div className="space-y-1">
+                      <div className="flex items-center gap-1">
+                        <input
+                          type="checkbox"
+                          checked={!col.skip}
+                          onChange={(e) => setOverride(i, { skip: !e.target.checked })}
+                          className="w-3.5 h-3.5 rounded border-gray-300 text-blue-600"
+                          title="Import this column"
+                        />
+                        <input
+                          value={col.name}
+                          onChange={(e) => setOverride(i, { name: e.target.value })}
+                          className={`${fieldClass} flex-1 min-w-0 font-medium`}
+                        />
+                      </div>
+                      <select
+                        value={col.type}
+                        onChange={(e) => setOverride(i, { type: e.target.value })}
+                        disabled={col.skip}
+                        className={`${fieldClass} w-full`}
+                      >
+                        {COLUMN_TYPES.filter(t => t.type !== 'formula' && t.type !== 'relation').map(t => (
+                          <option key={t.type} value={t.type}>{t.icon}  {t.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {base.rows.slice(0, PREVIEW_ROWS).map((row, r) => (
+                <tr key={r}>
+                  {row.map((cell, i) => (
+                    <td key={i} className={`px-2 py-1 border-b border-gray-100 dark:border-gray-800 max-w-[240px] truncate ${columns[i]?.skip ? 'opacity-40' : ''}`}>
+                      {cell}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {base.rows.length > PREVIEW_ROWS && (
+            <p className="px-2 py-2 text-xs text-gray-400">…and {base.rows.length - PREVIEW_ROWS} more rows</p>
+          )}
+          {base.rows.length === 0 && <p className="p-4 text-sm text-gray-400">No rows found in this file.</p>}
+        </div>
+
+        <div className="flex justify-end gap-2 px-5 py-3 border-t border-gray-200 dark:border-gray-700">
+          <button onClick={onClose} className="px-3 py-2 text-sm text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded">
+            Cancel
+          </button>
+          <button
+            disabled={!importable}
+            onClick={() => onImport({ columns, rows: base.rows }, mode)}
+            className="px-3 py-2 text-sm bg-blue-600 text-white hover:bg-blue-700 rounded disabled:opacity-50"
+          >
+            Import {base.rows.length} rows
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TableImportDialog;
@@ -1,36 +1,104 @@
 // TablePage Component - Database/Table page for structured data
 // Extracted from Strata index.html Section F
 
-import { memo, useState, useEffect, useRef, useCallback } from 'react';
-import { generateUUID } from '../../lib/utils';
+import { memo, useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { generateUUID, downloadBlob } from '../../lib/utils';
 import { DEFAULT_SCHEMA, DEFAULT_ROWS } from '../../lib/constants';
+import {
+  COLUMN_TYPES,
+  columnTypeInfo,
+  hasOptions,
+  emptyCellValue,
+  buildPageIndex,
+  relationTargets,
+  updateColumn,
+  renameColumnOption,
+  deleteColumn,
+  cellToPlainText,
+} from '../../lib/table-columns';
+import {
+  getViews,
+  createView,
+  updateView,
+  pruneViewColumn,
+  applyView,
+  toggleSortKey,
+  moveColumn,
+  orderedColumns,
+  boardGroupColumn,
+  groupRowsForBoard,
+  moveBoardCard,
+  renameBoardGroup,
+  viewDateColumns,
+  scheduleRows,
+  dateRangeCells,
+  timelineZoom,
+  aggregationsFor,
+  aggregateColumn,
+} from '../../lib/table-views';
+import { evaluateFormulas, renameFormulaReferences, isFormulaError } from '../../lib/formula';
+import { parseDelimited, applyImport, viewToCSV, pasteBlock } from '../../lib/table-csv';
+import { createSheetBinding } from '../../lib/sheet-sync';
+import { stepCell, rangeBounds, inRange, rangeToText, clearRange, fillDown } from '../../lib/table-grid';
 import CellEditor from './CellEditor';
+import ColumnMenu, { FormulaInput } from './ColumnMenu';
+import TableViewBar from './TableViewBar';
+import BoardView from './BoardView';
+import CalendarView from './CalendarView';
+import TimelineView from './TimelineView';
+import RowDetail from './RowDetail';
+import TableImportDialog from './TableImportDialog';
+import SheetSyncDialog from './SheetSyncDialog';
 
 // Helper function for column type icons
 function getColumnIcon(type) {
-  switch (type) {
-    case 'number': return <span className="opacity-50 text-xs">#</span>;
-    case 'boolean': return <span className="opacity-50 text-xs">☑</span>;
-    case 'select': return <span className="opacity-50 text-xs">▼</span>;
-    default: return <span className="opacity-50 text-xs">Aa</span>;
-  }
+  return <span className="opacity-50 text-xs">{columnTypeInfo(type).icon}</span>;
 }
 
-const TablePage = memo(({ page, onUpdate }) => {
+const viewStorageKey = (pageId) => `strata_table_view_${pageId}`;
+
+// Keeps content fields other than schema and rows (saved views, board order, ...) across edits
+const contentToState = (content = {}) => ({
+  ...content,
+  schema: content.schema || DEFAULT_SCHEMA,
+  rows: content.rows || DEFAULT_ROWS
+});
+
+const TablePage = memo(({ page, onUpdate, notebooks, onOpenPage, userName, sheetActions }) => {
   // --- Initialization & Default Data ---
-  const [data, setData] = useState(() => {
-    const content = page?.content || {};
-    return {
-      schema: content.schema || DEFAULT_SCHEMA,
-      rows: content.rows || DEFAULT_ROWS
-    };
-  });
+  const [data, setData] = useState(() => contentToState(page?.content));
 
   // State for the custom "Add Column" modal
   const [isAddingColumn, setIsAddingColumn] = useState(false);
   const [newColName, setNewColName] = useState('');
   const [newColType, setNewColType] = useState('text');
   const [newColOptions, setNewColOptions] = useState('');
+  const [newColRelation, setNewColRelation] = useState('');
+  const [newColFormula, setNewColFormula] = useState('');
+
+  // The view being shown is remembered per page on this device
+  const [activeViewId, setActiveViewId] = useState(() => (page?.id ? localStorage.getItem(viewStorageKey(page.id)) : null));
+  const [menuColumnId, setMenuColumnId] = useState(null);
+  const closeColumnMenu = useCallback(() => setMenuColumnId(null), []);
+  // Column being resized ({ columnId, width }) and column being dragged to a new position
+  const [resizing, setResizing] = useState(null);
+  const dragColumnRef = useRef(null);
+  // Row open in the detail dialog (board cards)
+  const [openRowId, setOpenRowId] = useState(null);
+  const closeRowDetail = useCallback(() => setOpenRowId(null), []);
+  // File picked for import ({ name, text }), shown in the preview dialog
+  const [importFile, setImportFile] = useState(null);
+  const importInputRef = useRef(null);
+  const [showSheetSync, setShowSheetSync] = useState(false);
+  // Keyboard grid: selected range by row and column id (so it follows rows when the view re-sorts),
+  // the cell whose editor has focus, and that cell's value before editing for Esc
+  const gridRef = useRef(null);
+  const [cursor, setCursor] = useState(null);
+  const [editingCell, setEditingCell] = useState(null);
+  const editStartRef = useRef(null);
+  // Key typed on a selected number cell, handed to its editor as text: { rowId, colId, text }
+  const [numberSeed, setNumberSeed] = useState(null);
+  const mouseSelectingRef = useRef(false);
 
   // Track the current page ID to detect navigation changes
   const lastPageIdRef = useRef(page?.id);
@@ -39,14 +107,24 @@ const TablePage = memo(({ page, onUpdate }) => {
   useEffect(() => {
     if (page?.id && page.id !== lastPageIdRef.current) {
       lastPageIdRef.current = page.id;
-      const content = page.content || {};
-      setData({
-        schema: content.schema || DEFAULT_SCHEMA,
-        rows: content.rows || DEFAULT_ROWS
-      });
+      setData(contentToState(page.content));
+      setActiveViewId(localStorage.getItem(viewStorageKey(page.id)));
+      setMenuColumnId(null);
+      setOpenRowId(null);
+      setShowSheetSync(false);
+      setCursor(null);
     }
   }, [page]);
 
+  // Syncing with a Google Sheet writes pulled rows straight into the page; pick them up here
+  const sheetStamp = `${page?.content?.sheetSync?.syncedAt || ''}|${page?.content?.sheetSync?.error || ''}`;
+  const sheetStampRef = useRef(sheetStamp);
+  useEffect(() => {
+    if (sheetStamp === sheetStampRef.current) return;
+    sheetStampRef.current = sheetStamp;
+    if (page?.id === lastPageIdRef.current) setData(contentToState(page.content));
+  }, [page, sheetStamp]);
+
   // Debounced save to parent
   const saveData = useCallback((newData) => {
     setData(newData);
@@ -55,26 +133,455 @@ const TablePage = memo(({ page, onUpdate }) => {
     }
   }, [page, onUpdate]);
 
+  // --- Relations & People ---
+
+  const pageIndex = useMemo(() => buildPageIndex(notebooks), [notebooks]);
+  const columns = useMemo(() => data.schema?.columns || [], [data.schema]);
+
+  const databasePages = useMemo(
+    () => [...pageIndex.values()].map(entry => entry.page).filter(p => p.type === 'database' && p.id !== page?.id),
+    [pageIndex, page?.id]
+  );
+
+  const relationProps = useMemo(() => {
+    const byColumn = {};
+    for (const col of columns) {
+      if (col.type !== 'relation') continue;
+      byColumn[col.id] = {
+        pageIndex,
+        targets: relationTargets(pageIndex, col, page?.id),
+        onOpen: (ref) => {
+          const entry = pageIndex.get(ref.pageId);
+          if (entry && onOpenPage) onOpenPage(entry.notebookId, entry.tabId, ref.pageId);
+        }
+      };
+    }
+    return byColumn;
+  }, [columns, pageIndex, page?.id, onOpenPage]);
+
+  // Everyone already named in a person column, plus the signed-in user
+  const people = useMemo(() => {
+    const names = new Set(userName ? [userName] : []);
+    const personCols = columns.filter(c => c.type === 'person');
+    data.rows.forEach(row => personCols.forEach(col => row[col.id] && names.add(row[col.id])));
+    return [...names].sort();
+  }, [columns, data.rows, userName]);
+
+  // --- Views ---
+
+  // Rows with formula columns worked out; recomputed whenever a cell changes
+  const computed = useMemo(
+    () => ({ ...data, rows: evaluateFormulas(data.rows, columns, { pageIndex }) }),
+    [data, columns, pageIndex]
+  );
+
+  const views = getViews(data);
+  const view = views.find(v => v.id === activeViewId) || views[0];
+  const { rows: displayRows, columns: displayColumns } = useMemo(
+    () => applyView(computed, view, { pageIndex }),
+    [computed, view, pageIndex]
+  );
+  const aggregations = view.aggregations || {};
+  const hasFooter = displayColumns.some(col => aggregations[col.id]);
+
+  const isBoard = view.type === 'board';
+  const isDated = view.type === 'calendar' || view.type === 'timeline';
+  const groupColumn = isBoard ? boardGroupColumn(columns, view) : null;
+  const boardGroups = useMemo(
+    () => (groupColumn ? groupRowsForBoard(displayRows, groupColumn, view) : []),
+    [displayRows, groupColumn, view]
+  );
+  const titleColumn = columns.find(c => c.type === 'text') || columns[0];
+  const cardColumns = orderedColumns(columns, view).filter(c => (view.cardFields || []).includes(c.id) && c.id !== groupColumn?.id);
+  const { startColumn, endColumn } = viewDateColumns(columns, view);
+  const schedule = useMemo(
+    () => (isDated ? scheduleRows(displayRows, startColumn, endColumn) : { scheduled: [], unscheduled: [] }),
+    [isDated, displayRows, startColumn, endColumn]
+  );
+  const openRow = openRowId ? computed.rows.find(r => r.id === openRowId) : null;
+
+  const selectView = (viewId) => {
+    setActiveViewId(viewId);
+    if (page?.id) localStorage.setItem(viewStorageKey(page.id), viewId);
+  };
+
+  const changeView = (viewId, changes) => {
+    saveData(updateView(data, viewId, changes));
+  };
+
+  // A new view starts as a copy of the one being looked at
+  const addView = () => {
+    const copy = { ...view };
+    delete copy.id;
+    const newView = createView(`View ${views.length + 1}`, { ...copy, name: `View ${views.length + 1}` });
+    saveData({ ...data, views: [...views, newView] });
+    selectView(newView.id);
+  };
+
+  const deleteView = (viewId) => {
+    const remaining = views.filter(v => v.id !== viewId);
+    saveData({ ...data, views: remaining });
+    if (viewId === view.id) selectView(remaining[0].id);
+  };
+
+  const startResize = (e, col) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    const startWidth = e.currentTarget.parentElement.offsetWidth;
+    let width = startWidth;
+    const onMove = (ev) => {
+      width = Math.max(80, startWidth + ev.clientX - startX);
+      setResizing({ columnId: col.id, width });
+    };
+    const onUp = () => {
+      document.removeEventListener('mousemove', onMove);
+      document.removeEventListener('mouseup', onUp);
+      setResizing(null);
+      if (width !== startWidth) changeView(view.id, v => ({ ...v, columnWidths: { ...(v.columnWidths || {}), [col.id]: width } }));
+    };
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+  };
+
+  const dropColumn = (targetId) => {
+    const dragged = dragColumnRef.current;
+    dragColumnRef.current = null;
+    if (!dragged || dragged === targetId) return;
+    changeView(view.id, { columnOrder: moveColumn(columns, view, dragged, targetId) });
+  };
+
   // --- Handlers ---
 
-  const handleCellChange = (rowId, colId, value) => {
-    const newRows = data.rows.map(row => 
-      row.id === rowId ? { ...row, [colId]: value } : row
+  // `base` lets callers change other content (e.g. board order) in the same save
+  const handleCellChange = (rowId, colId, value, base = data) => {
+    handleRowChange(rowId, { [colId]: value }, base);
+  };
+
+  const handleRowChange = (rowId, changes, base = data) => {
+    const newRows = base.rows.map(row => 
+      row.id === rowId ? { ...row, ...changes } : row
     );
-    saveData({ ...data, rows: newRows });
+    saveData({ ...base, rows: newRows });
   };
 
-  const addRow = () => {
+  const addRow = (values = {}) => {
     const newRow = { id: generateUUID() };
-    const columns = data.schema?.columns || [];
     columns.forEach(col => {
-      newRow[col.id] = col.type === 'boolean' ? false : '';
+      newRow[col.id] = emptyCellValue(col.type);
     });
+    Object.assign(newRow, values);
     saveData({ ...data, rows: [...data.rows, newRow] });
+    return newRow;
   };
 
   const deleteRow = (rowId) => {
     saveData({ ...data, rows: data.rows.filter(r => r.id !== rowId) });
+    if (rowId === openRowId) setOpenRowId(null);
+  };
+
+  // Dropping a card saves its place in the board column and, across columns, its new group value
+  const moveCard = (rowId, toKey, beforeRowId) => {
+    const boardOrder = moveBoardCard(boardGroups, view.boardOrder, rowId, toKey, beforeRowId);
+    const next = updateView(data, view.id, v => ({ ...v, groupBy: groupColumn.id, boardOrder }));
+    const row = data.rows.find(r => r.id === rowId);
+    if ((row?.[groupColumn.id] || '') !== toKey) handleCellChange(rowId, groupColumn.id, toKey, next);
+    else saveData(next);
+  };
+
+  // Moving or resizing on the calendar or timeline rewrites the row's date cells
+  const changeRowDates = (rowId, range) => {
+    if (startColumn) handleRowChange(rowId, dateRangeCells(range, startColumn, endColumn));
+  };
+
+  const addDatedRow = (day) => {
+    const row = addRow(startColumn ? { [startColumn.id]: day } : {});
+    setOpenRowId(row.id);
+  };
+
+  const addCard = (groupKey) => {
+    const row = addRow(groupColumn ? { [groupColumn.id]: groupKey } : {});
+    setOpenRowId(row.id);
+  };
+
+  const changeColumn = (colId, changes) => {
+    const col = columns.find(c => c.id === colId);
+    let base = data;
+    // A formula column turned into another type keeps its results as plain values
+    if (col?.type === 'formula' && changes.type && changes.type !== 'formula') {
+      base = {
+        ...data,
+        rows: data.rows.map((row, i) => {
+          const result = computed.rows[i]?.[colId];
+          return { ...row, [colId]: isFormulaError(result) ? '' : result };
+        })
+      };
+    }
+    let next = updateColumn(base, colId, changes, { pageIndex });
+    if (col && changes.name && changes.name !== col.name) next = renameFormulaReferences(next, col.name, changes.name);
+    saveData(next);
+  };
+
+  const setAggregation = (colId, kind) => {
+    changeView(view.id, v => ({ ...v, aggregations: { ...(v.aggregations || {}), [colId]: kind || undefined } }));
+  };
+
+  const addColumnOption = (colId, option) => {
+    const col = columns.find(c => c.id === colId);
+    if (col && !(col.options || []).includes(option)) changeColumn(colId, { options: [...(col.options || []), option] });
+  };
+
+  const removeColumn = (colId) => {
+    saveData(pruneViewColumn(deleteColumn(data, colId), colId));
+    setMenuColumnId(null);
+  };
+
+  // Click sorts by the column alone; Shift+click adds it as another sort key
+  const toggleSort = (colId, add) => {
+    changeView(view.id, v => ({ ...v, sorts: toggleSortKey(v.sorts, colId, add) }));
+  };
+
+  // --- Import / Export ---
+
+  const readImportFile = async (file) => {
+    if (!file) return;
+    setImportFile({ name: file.name, text: await file.text() });
+  };
+
+  const importRows = (preview, mode) => {
+    saveData(applyImport(data, preview, mode));
+    setImportFile(null);
+  };
+
+  // Exports what the current view shows: its filter, sort, column order and visible columns
+  const exportCsv = () => {
+    const csv = viewToCSV(displayRows, displayColumns, { pageIndex });
+    downloadBlob(new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' }), `${page?.name || 'Table'} - ${view.name}.csv`);
+  };
+
+  // --- Google Sheet sync ---
+
+  const bindSheet = (target, policy) => saveData({ ...data, sheetSync: createSheetBinding(target, policy) });
+
+  const unbindSheet = () => {
+    const next = { ...data };
+    delete next.sheetSync;
+    saveData(next);
+    setShowSheetSync(false);
+  };
+
+  const changeSheetSync = (changes) => saveData({ ...data, sheetSync: { ...data.sheetSync, ...changes } });
+
+  // A block copied from a spreadsheet (tabs between cells, a line per row) fills cells from this one on
+  const pasteCells = (e, rowId, colId) => {
+    const text = e.clipboardData.getData('text/plain').replace(/\r?\n$/, '');
+    if (!/[\t\n]/.test(text)) return;
+    e.preventDefault();
+    saveData(pasteBlock(data, parseDelimited(text, '\t'), displayRows, displayColumns, rowId, colId));
+  };
+
+  // --- Keyboard grid ---
+
+  const positionOf = (ref) => ({
+    row: displayRows.findIndex(r => r.id === ref?.rowId),
+    col: displayColumns.findIndex(c => c.id === ref?.colId),
+  });
+  const refAt = ({ row, col }) => ({ rowId: displayRows[row]?.id, colId: displayColumns[col]?.id });
+  const focusPos = cursor ? positionOf(cursor.focus) : null;
+  const anchorPos = cursor ? positionOf(cursor.anchor) : null;
+  const hasCursor = !!focusPos && focusPos.row >= 0 && focusPos.col >= 0;
+  const selection = hasCursor ? rangeBounds(anchorPos.row >= 0 && anchorPos.col >= 0 ? anchorPos : focusPos, focusPos) : null;
+  const isSingleCell = !selection || (selection.top === selection.bottom && selection.left === selection.right);
+  const isCell = (a, b) => !!a && !!b && a.rowId === b.rowId && a.colId === b.colId;
+
+  const cellElement = (ref) =>
+    gridRef.current?.querySelector(`tr[data-row-id="${CSS.escape(ref.rowId)}"] > td[data-col-id="${CSS.escape(ref.colId)}"]`);
+
+  useEffect(() => {
+    if (cursor?.focus) cellElement(cursor.focus)?.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [cursor?.focus]);
+
+  const selectCell = (ref, extend = false) => setCursor(c => ({ anchor: extend && c ? c.anchor : ref, focus: ref }));
+
+  const leaveEdit = () => {
+    editStartRef.current = null;
+    gridRef.current?.focus({ preventScroll: true });
+  };
+
+  // Enter, F2 or typing on a selected cell moves into its editor; typed text replaces the value
+  const startEdit = (ref, typed) => {
+    const column = columns.find(c => c.id === ref.colId);
+    const row = data.rows.find(r => r.id === ref.rowId);
+    if (!column || !row || column.type === 'formula') return;
+    if (column.type === 'boolean') {
+      handleCellChange(ref.rowId, ref.colId, !row[ref.colId]);
+      return;
+    }
+    editStartRef.current = { ...ref, value: row[ref.colId] };
+    if (typed !== undefined) {
+      // The number editor keeps the key as text, so "-" or "." can start a number
+      if (column.type === 'number') setNumberSeed({ ...ref, text: typed });
+      handleCellChange(ref.rowId, ref.colId, column.type === 'number' ? (/\d/.test(typed) ? Number(typed) : '') : typed);
+    }
+    setTimeout(() => {
+      const cell = cellElement(ref);
+      const input = cell?.querySelector('input:not([type="checkbox"]), select');
+      if (!input) {
+        cell?.querySelector('[data-cell-trigger]')?.click();
+        return;
+      }
+      input.focus();
+      if (typed !== undefined && input.type === 'text') input.setSelectionRange(input.value.length, input.value.length);
+    }, 0);
+  };
+
+  const cancelEdit = () => {
+    const start = editStartRef.current;
+    const row = start && data.rows.find(r => r.id === start.rowId);
+    if (row && row[start.colId] !== start.value) handleCellChange(start.rowId, start.colId, start.value);
+    leaveEdit();
+  };
+
+  const moveCursor = (key, extend = false, jump = false) => {
+    const next = stepCell(focusPos, key, { rows: displayRows.length, cols: displayColumns.length, jump });
+    selectCell(refAt(next), extend);
+  };
+
+  // Focus inside a cell means its editor is in use; focus on the grid itself means moving around
+  const onGridFocus = (e) => {
+    const td = e.target.closest?.('td[data-col-id]');
+    const rowId = td?.parentElement?.dataset.rowId;
+    if (!td || !rowId) {
+      setEditingCell(null);
+      return;
+    }
+    const ref = { rowId, colId: td.dataset.colId };
+    setEditingCell(ref);
+    setCursor({ anchor: ref, focus: ref });
+    if (!isCell(editStartRef.current, ref)) {
+      editStartRef.current = { ...ref, value: data.rows.find(r => r.id === rowId)?.[ref.colId] };
+    }
+  };
+
+  const onGridKeyDown = (e) => {
+    if (e.defaultPrevented || e.nativeEvent.isComposing) return;
+    const cell = e.target.closest('td[data-col-id]');
+    if (cell) {
+      // Popover editors save each change as it is made, so Esc just closes them
+      const popover = !!cell.querySelector('[data-cell-trigger]');
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        if (popover) leaveEdit();
+        else cancelEdit();
+      } else if (!popover && ((e.key === 'Enter' && !e.shiftKey) || e.key === 'Tab')) {
+        e.preventDefault();
+        leaveEdit();
+        moveCursor(e.key === 'Tab' && e.shiftKey ? 'ShiftTab' : e.key);
+      }
+      return;
+    }
+    if (e.target !== gridRef.current || !displayRows.length || !displayColumns.length) return;
+
+    const mod = e.metaKey || e.ctrlKey;
+    if (!hasCursor) {
+      if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Tab', 'Enter', 'Home', 'End'].includes(e.key)) {
+        e.preventDefault();
+        selectCell(refAt({ row: 0, col: 0 }));
+      }
+      return;
+    }
+    const focusRef = refAt(focusPos);
+    const focusColumn = displayColumns[focusPos.col];
+    switch (e.key) {
+      case 'ArrowUp':
+      case 'ArrowDown':
+      case 'ArrowLeft':
+      case 'ArrowRight':
+        e.preventDefault();
+        moveCursor(e.key, e.shiftKey, mod);
+        return;
+      case 'Home':
+      case 'End':
+        e.preventDefault();
+        moveCursor(e.key, e.shiftKey, mod);
+        return;
+      case 'Tab':
+        e.preventDefault();
+        moveCursor(e.shiftKey ? 'ShiftTab' : 'Tab');
+        return;
+      case 'Enter':
+        e.preventDefault();
+        if (e.shiftKey) moveCursor('ShiftEnter');
+        else if (focusColumn.type === 'formula') moveCursor('Enter');
+        else startEdit(focusRef);
+        return;
+      case 'F2':
+        e.preventDefault();
+        startEdit(focusRef);
+        return;
+      case 'Escape':
+        selectCell(focusRef);
+        return;
+      case 'Delete':
+      case 'Backspace':
+        e.preventDefault();
+        saveData(clearRange(data, displayRows, displayColumns, selection));
+        return;
+      default:
+    }
+    if (mod && e.key.toLowerCase() === 'd') {
+      e.preventDefault();
+      saveData(fillDown(data, displayRows, displayColumns, selection));
+    } else if (mod && e.key.toLowerCase() === 'a') {
+      e.preventDefault();
+      setCursor({ anchor: refAt({ row: 0, col: 0 }), focus: refAt({ row: displayRows.length - 1, col: displayColumns.length - 1 }) });
+    } else if (e.key === ' ' && focusColumn.type === 'boolean') {
+      e.preventDefault();
+      startEdit(focusRef);
+    } else if (e.key.length === 1 && !mod && !e.altKey && ['text', 'number', 'url', 'email', 'person'].includes(focusColumn.type)) {
+      e.preventDefault();
+      startEdit(focusRef, e.key);
+    }
+  };
+
+  // Copy, cut and paste work on the selected range while no editor has focus
+  const copyRange = (e, cut = false) => {
+    if (e.target !== gridRef.current || !selection) return;
+    e.preventDefault();
+    e.clipboardData.setData('text/plain', rangeToText(displayRows, displayColumns, selection, { pageIndex }));
+    if (cut) saveData(clearRange(data, displayRows, displayColumns, selection));
+  };
+
+  const pasteRange = (e) => {
+    if (e.target !== gridRef.current || !selection) return;
+    e.preventDefault();
+    const text = e.clipboardData.getData('text/plain').replace(/\r?\n$/, '');
+    let block = parseDelimited(text, '\t');
+    if (!block.length) return;
+    // One copied value fills the whole selection
+    if (block.length === 1 && block[0].length === 1 && !isSingleCell) {
+      block = Array.from({ length: selection.bottom - selection.top + 1 }, () => Array(selection.right - selection.left + 1).fill(block[0][0]));
+    }
+    const start = refAt({ row: selection.top, col: selection.left });
+    saveData(pasteBlock(data, block, displayRows, displayColumns, start.rowId, start.colId));
+  };
+
+  // The first click selects a cell; a click on the selected cell (or a checkbox or link) edits it
+  const onCellMouseDown = (e, ref) => {
+    if (e.button !== 0 || isCell(editingCell, ref)) return;
+    if (e.shiftKey && cursor) {
+      e.preventDefault();
+      selectCell(ref, true);
+      gridRef.current?.focus({ preventScroll: true });
+      return;
+    }
+    const wasSelected = isSingleCell && isCell(cursor?.focus, ref);
+    selectCell(ref);
+    mouseSelectingRef.current = true;
+    if (wasSelected || e.target.closest('a, button, input[type="checkbox"]')) return;
+    e.preventDefault();
+    gridRef.current?.focus({ preventScroll: true });
   };
 
   const submitAddColumn = (e) => {
@@ -82,7 +589,7 @@ const TablePage = memo(({ page, onUpdate }) => {
     if (!newColName.trim()) return;
 
     let options = undefined;
-    if (newColType === 'select') {
+    if (hasOptions(newColType)) {
       options = newColOptions ? newColOptions.split(',').map(s => s.trim()).filter(s => s) : ['Option 1'];
       if (options.length === 0) options = ['Option 1'];
     }
@@ -92,7 +599,9 @@ const TablePage = memo(({ page, onUpdate }) => {
       name: newColName, 
       type: newColType, 
       width: 150, 
-      options 
+      options,
+      ...(newColType === 'relation' && { relation: { pageId: newColRelation || null } }),
+      ...(newColType === 'formula' && { formula: newColFormula })
     };
 
     const currentSchema = data.schema || { columns: [] };
@@ -110,6 +619,8 @@ const TablePage = memo(({ page, onUpdate }) => {
     setNewColName('');
     setNewColType('text');
     setNewColOptions('');
+    setNewColRelation('');
+    setNewColFormula('');
     setIsAddingColumn(false);
   };
 
@@ -119,14 +630,95 @@ const TablePage = memo(({ page, onUpdate }) => {
     <div className="flex flex-col h-full bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 overflow-hidden relative">
       
       {/* Toolbar */}
-      <div className="flex items-center gap-2 p-2 border-b border-gray-200 dark:border-gray-800 bg-gray-50 dark:bg-gray-800">
-        <h2 className="text-sm font-semibold text-gray-500 uppercase tracking-wider px-2">Table Database</h2>
-        <div className="flex-1"></div>
-      </div>
+      <TableViewBar
+        views={views}
+        view={view}
+        columns={columns}
+        shownCount={displayRows.length}
+        totalCount={data.rows.length}
+        onSelectView={selectView}
+        onAddView={addView}
+        onUpdateView={changeView}
+        onDeleteView={deleteView}
+        onImport={() => importInputRef.current?.click()}
+        onExport={exportCsv}
+        sheetSync={data.sheetSync}
+        onOpenSheetSync={sheetActions || data.sheetSync ? () => setShowSheetSync(true) : null}
+      />
+      <input
+        ref={importInputRef}
+        type="file"
+        accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+        className="hidden"
+        onChange={(e) => {
+          readImportFile(e.target.files[0]);
+          e.target.value = '';
+        }}
+      />
+
+      {isBoard && (
+        <BoardView
+          groups={boardGroups}
+          groupColumn={groupColumn}
+          titleColumn={titleColumn}
+          cardColumns={cardColumns}
+          pageIndex={pageIndex}
+          onMoveCard={moveCard}
+          onOpenCard={setOpenRowId}
+          onAddCard={addCard}
+        />
+      )}
+
+      {isDated && !startColumn && (
+        <div className="flex-1 flex items-center justify-center p-8 text-sm text-gray-400 text-center">
+          Add a date column to place rows on the {view.type}.
+        </div>
+      )}
+
+      {view.type === 'calendar' && startColumn && (
+        <CalendarView
+          mode={view.calendarMode || 'month'}
+          scheduled={schedule.scheduled}
+          unscheduled={schedule.unscheduled}
+          titleColumn={titleColumn}
+          pageIndex={pageIndex}
+          canResize={!!endColumn}
+          onChangeDates={changeRowDates}
+          onOpenRow={setOpenRowId}
+          onAddRow={addDatedRow}
+          onChangeMode={(calendarMode) => changeView(view.id, { calendarMode })}
+        />
+      )}
+
+      {view.type === 'timeline' && startColumn && (
+        <TimelineView
+          zoom={timelineZoom(view)}
+          scheduled={schedule.scheduled}
+          unscheduled={schedule.unscheduled}
+          titleColumn={titleColumn}
+          pageIndex={pageIndex}
+          canResize={!!endColumn}
+          onChangeDates={changeRowDates}
+          onOpenRow={setOpenRowId}
+          onChangeZoom={(zoom) => changeView(view.id, { timelineZoom: zoom })}
+        />
+      )}
 
       {/* Table Container */}
+      {!isBoard && !isDated && (
       <div className="flex-1 overflow-auto p-4 group">
-        <div className="relative">
+        <div
+          ref={gridRef}
+          tabIndex={0}
+          onFocus={onGridFocus}
+          onBlur={(e) => !e.currentTarget.contains(e.relatedTarget) && setEditingCell(null)}
+          onKeyDown={onGridKeyDown}
+          onCopy={copyRange}
+          onCut={(e) => copyRange(e, true)}
+          onPaste={pasteRange}
+          onMouseUp={() => { mouseSelectingRef.current = false; }}
+          className="relative outline-none"
+        >
           <table className="w-full border-collapse text-sm">
             <thead>
               <tr>
@@ -134,23 +726,71 @@ const TablePage = memo(({ page, onUpdate }) => {
                 <th className="w-12 border-b-2 border-gray-300 dark:border-gray-700"></th>
                 
                 {/* Data Columns */}
-                {(data.schema?.columns || []).map(col => (
-                  <th key={col.id} className="text-left font-medium text-gray-500 p-2 border-b-2 border-gray-300 dark:border-gray-700 min-w-[100px]" style={{ width: col.width }}>
-                    <div className="flex items-center gap-1">
+                {displayColumns.map(col => {
+                  const sortIndex = (view.sorts || []).findIndex(s => s.columnId === col.id);
+                  const sortKey = view.sorts?.[sortIndex];
+                  return (
+                  <th
+                    key={col.id}
+                    draggable={!resizing && menuColumnId !== col.id}
+                    onDragStart={(e) => {
+                      dragColumnRef.current = col.id;
+                      e.dataTransfer.effectAllowed = 'move';
+                    }}
+                    onDragOver={(e) => dragColumnRef.current && e.preventDefault()}
+                    onDrop={(e) => {
+                      e.preventDefault();
+                      dropColumn(col.id);
+                    }}
+                    className="relative text-left font-medium text-gray-500 p-2 border-b-2 border-gray-300 dark:border-gray-700 min-w-[80px]"
+                    style={{ width: resizing?.columnId === col.id ? resizing.width : col.width }}
+                  >
+                    <div className="group/header flex items-center gap-1">
                       {getColumnIcon(col.type)}
-                      <span>{col.name}</span>
+                      <button onClick={(e) => toggleSort(col.id, e.shiftKey)} className="flex-1 min-w-0 text-left truncate hover:text-gray-800 dark:hover:text-gray-200" title="Sort (Shift+click to add a sort key)">
+                        {col.name}
+                        {sortKey && (
+                          <span className="ml-1 text-blue-500">
+                            {sortKey.direction === 'asc' ? '↑' : '↓'}
+                            {view.sorts.length > 1 && <sup>{sortIndex + 1}</sup>}
+                          </span>
+                        )}
+                      </button>
+                      <button
+                        onClick={() => setMenuColumnId(menuColumnId === col.id ? null : col.id)}
+                        className="opacity-0 group-hover/header:opacity-100 px-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700"
+                        title="Edit column"
+                      >
+                        ⋯
+                      </button>
                     </div>
+                    {menuColumnId === col.id && (
+                      <ColumnMenu
+                        column={col}
+                        columns={columns}
+                        databasePages={databasePages}
+                        onChange={(changes) => changeColumn(col.id, changes)}
+                        onRenameOption={(from, to) => saveData(renameBoardGroup(renameColumnOption(data, col.id, from, to), col.id, from, to))}
+                        onDelete={() => removeColumn(col.id)}
+                        onClose={closeColumnMenu}
+                      />
+                    )}
+                    <div
+                      onMouseDown={(e) => startResize(e, col)}
+                      className="absolute top-0 right-0 bottom-0 w-1.5 cursor-col-resize hover:bg-blue-400/60"
+                    />
                   </th>
-                ))}
+                  );
+                })}
               </tr>
             </thead>
             <tbody>
-              {data.rows.map((row, index) => (
-                <tr key={row.id} className="group hover:bg-gray-50 dark:hover:bg-gray-800/50">
+              {displayRows.map((row, rowIndex) => (
+                <tr key={row.id} data-row-id={row.id} className="group hover:bg-gray-50 dark:hover:bg-gray-800/50">
                   {/* Number / Handle with Delete Button */}
                   <td className="text-center text-gray-400 text-xs border-b border-gray-200 dark:border-gray-800">
                     <div className="flex items-center justify-center gap-1">
-                      <span>{index + 1}</span>
+                      <span>{rowIndex + 1}</span>
                       <button 
                         onClick={() => deleteRow(row.id)}
                         className="opacity-0 group-hover:opacity-100 text-gray-400 hover:text-red-500 p-1 transition-opacity"
@@ -162,13 +802,28 @@ const TablePage = memo(({ page, onUpdate }) => {
                   </td>
 
                   {/* Cells */}
-                  {(data.schema?.columns || []).map(col => (
-                    <td key={col.id} className="border-b border-gray-200 dark:border-gray-800 p-0 relative">
+                  {displayColumns.map((col, colIndex) => (
+                    <td
+                      key={col.id}
+                      data-col-id={col.id}
+                      onPaste={(e) => pasteCells(e, row.id, col.id)}
+                      onMouseDown={(e) => onCellMouseDown(e, { rowId: row.id, colId: col.id })}
+                      onMouseEnter={(e) => e.buttons === 1 && mouseSelectingRef.current && !editingCell && selectCell({ rowId: row.id, colId: col.id }, true)}
+                      className={`border-b border-gray-200 dark:border-gray-800 p-0 relative ${
+                        !isSingleCell && inRange(selection, rowIndex, colIndex) ? 'bg-blue-50 dark:bg-blue-900/20' : ''
+                      } ${
+                        hasCursor && focusPos.row === rowIndex && focusPos.col === colIndex ? 'outline-2 -outline-offset-2 outline-blue-500' : ''
+                      }`}
+                    >
                       <CellEditor 
                         type={col.type} 
                         value={row[col.id]} 
                         options={col.options}
                         onChange={(val) => handleCellChange(row.id, col.id, val)} 
+                        onAddOption={(opt) => addColumnOption(col.id, opt)}
+                        relation={relationProps[col.id]}
+                        people={people}
+                        seed={isCell(numberSeed, { rowId: row.id, colId: col.id }) ? numberSeed : null}
                       />
                     </td>
                   ))}
@@ -177,13 +832,47 @@ const TablePage = memo(({ page, onUpdate }) => {
               
               {/* "Add Row" Bottom Row */}
               <tr>
-                <td colSpan={(data.schema?.columns?.length || 0) + 1} className="p-2 border-b border-transparent">
-                  <button onClick={addRow} className="flex items-center gap-2 text-gray-400 hover:text-blue-500 text-sm py-2">
+                <td colSpan={displayColumns.length + 1} className="p-2 border-b border-transparent">
+                  <button onClick={() => addRow()} className="flex items-center gap-2 text-gray-400 hover:text-blue-500 text-sm py-2">
                     <span>+ New Row</span>
                   </button>
                 </td>
               </tr>
             </tbody>
+
+            {/* Footer totals (per view) */}
+            <tfoot>
+              <tr className="group/foot">
+                <td className={hasFooter ? 'border-t border-gray-200 dark:border-gray-800' : ''}></td>
+                {displayColumns.map(col => {
+                  const kind = aggregations[col.id];
+                  const info = aggregationsFor(col.type).find(a => a.kind === kind);
+                  return (
+                    <td key={col.id} className={`relative p-0 text-xs text-gray-500 ${hasFooter ? 'border-t border-gray-200 dark:border-gray-800' : ''}`}>
+                      <div className={`flex items-center justify-end gap-1 px-2 py-1.5 ${info ? '' : 'opacity-0 group-hover/foot:opacity-100'}`}>
+                        {info ? (
+                          <>
+                            <span className="text-gray-400">{info.label}</span>
+                            <span className="font-mono text-gray-700 dark:text-gray-200">{aggregateColumn(displayRows, col, kind, { pageIndex })}</span>
+                          </>
+                        ) : (
+                          <span className="text-gray-400">Calculate ▾</span>
+                        )}
+                      </div>
+                      <select
+                        value={info ? kind : ''}
+                        onChange={(e) => setAggregation(col.id, e.target.value)}
+                        className="absolute inset-0 w-full opacity-0 cursor-pointer"
+                        title="Footer total"
+                      >
+                        <option value="">None</option>
+                        {aggregationsFor(col.type).map(a => <option key={a.kind} value={a.kind}>{a.label}</option>)}
+                      </select>
+                    </td>
+                  );
+                })}
+              </tr>
+            </tfoot>
           </table>
           
           {/* Vertical Add Column Bar */}
@@ -197,6 +886,49 @@ const TablePage = memo(({ page, onUpdate }) => {
           </button>
         </div>
       </div>
+      )}
+
+      {openRow && (
+        <RowDetail
+          row={openRow}
+          columns={orderedColumns(columns, view)}
+          title={cellToPlainText(titleColumn, openRow[titleColumn?.id], { pageIndex }) || 'Untitled'}
+          onCellChange={handleCellChange}
+          onAddOption={addColumnOption}
+          relationProps={relationProps}
+          people={people}
+          onDelete={() => deleteRow(openRow.id)}
+          onClose={closeRowDetail}
+        />
+      )}
+
+      {importFile && (
+        <TableImportDialog
+          fileName={importFile.name}
+          text={importFile.text}
+          defaultMode={data.rows.every(row => DEFAULT_ROWS.some(r => r.id === row.id)) ? 'replace' : 'append'}
+          onImport={importRows}
+          onClose={() => setImportFile(null)}
+        />
+      )}
+
+      {showSheetSync && (
+        <SheetSyncDialog
+          binding={data.sheetSync}
+          pageName={page?.name}
+          actions={sheetActions}
+          rowLabel={(rowId) => {
+            const row = data.rows.find(r => r.id === rowId);
+            return (row && cellToPlainText(titleColumn, row[titleColumn?.id], { pageIndex })) || 'Deleted row';
+          }}
+          onBind={bindSheet}
+          onChangePolicy={(conflictPolicy) => changeSheetSync({ conflictPolicy })}
+          onUnbind={unbindSheet}
+          onClearConflicts={() => changeSheetSync({ conflicts: [] })}
+          onSyncNow={() => sheetActions?.syncNow(page.id)}
+          onClose={() => setShowSheetSync(false)}
+        />
+      )}
 
       {/* Custom Add Column Modal */}
       {isAddingColumn && (
@@ -224,14 +956,36 @@ const TablePage = memo(({ page, onUpdate }) => {
                 onChange={e => setNewColType(e.target.value)}
                 className="w-full p-2 border rounded dark:bg-gray-700 dark:border-gray-600"
               >
-                <option value="text">Text</option>
-                <option value="number">Number</option>
-                <option value="boolean">Checkbox</option>
-                <option value="select">Select (Dropdown)</option>
+                {COLUMN_TYPES.map(t => (
+                  <option key={t.type} value={t.type}>{t.label}</option>
+                ))}
               </select>
             </div>
 
-            {newColType === 'select' && (
+            {newColType === 'relation' && (
+              <div className="space-y-1">
+                <label className="text-xs font-semibold text-gray-500 uppercase">Links to</label>
+                <select 
+                  value={newColRelation} 
+                  onChange={e => setNewColRelation(e.target.value)}
+                  className="w-full p-2 border rounded dark:bg-gray-700 dark:border-gray-600"
+                >
+                  <option value="">Any Strata page</option>
+                  {databasePages.map(p => (
+                    <option key={p.id} value={p.id}>Rows of {p.icon} {p.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {newColType === 'formula' && (
+              <div className="space-y-1">
+                <label className="text-xs font-semibold text-gray-500 uppercase">Formula</label>
+                <FormulaInput formula={newColFormula} columns={columns} onSave={setNewColFormula} />
+              </div>
+            )}
+
+            {hasOptions(newColType) && (
               <div className="space-y-1">
                 <label className="text-xs font-semibold text-gray-500 uppercase">Options</label>
                 <input 
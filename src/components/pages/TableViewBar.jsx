@@ -0,0 +1,359 @@
+// TableViewBar Component - Saved view tabs plus layout, sort, filter and column panels for TablePage
+
+import { useEffect, useRef, useState } from 'react';
+import { generateId } from '../../lib/utils';
+import { columnTypeInfo, hasOptions } from '../../lib/table-columns';
+import { VIEW_TYPES, filterOperators, orderedColumns, boardGroupColumn, viewDateColumns } from '../../lib/table-views';
+
+const panelClass = "absolute right-0 top-full mt-1 z-30 w-80 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-xl p-3 text-sm space-y-2";
+const fieldClass = "px-2 py-1 text-xs border rounded bg-white dark:bg-gray-700 dark:border-gray-600 outline-none focus:border-blue-500";
+
+function usePanel() {
+  const [open, setOpen] = useState(null);
+  const ref = useRef(null);
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(null);
+    };
+    document.addEventListener('mousedown', onDown);
+    return () => document.removeEventListener('mousedown', onDown);
+  }, [open]);
+  return { open, setOpen, ref };
+}
+
+const SortPanel = ({ view, columns, onChange }) => {
+  const sorts = view.sorts || [];
+  const unused = columns.filter(c => !sorts.some(s => s.columnId === c.id));
+  const setSorts = (next) => onChange({ sorts: next });
+
+  return (
+    <div className={panelClass}>
+      {sorts.length === 0 && <div className="text-xs text-gray-400">No sorts. Click a column header to sort; Shift+click adds another key.</div>}
+      {sorts.map((s, i) => (
+        <div key={s.columnId} className="flex items-center gap-2">
+          <span className="w-10 text-xs text-gray-400">{i === 0 ? 'Sort' : 'then'}</span>
+          <select
+            value={s.columnId}
+            onChange={(e) => setSorts(sorts.map(x => (x.columnId === s.columnId ? { ...x, columnId: e.target.value } : x)))}
+            className={`${fieldClass} flex-1 min-w-0`}
+          >
+            {columns.filter(c => c.id === s.columnId || unused.includes(c)).map(c => (
+              <option key={c.id} value={c.id}>{c.name}</option>
+            ))}
+          </select>
+          <select
+            value={s.direction}
+            onChange={(e) => setSorts(sorts.map(x => (x.columnId === s.columnId ? { ...x, direction: e.target.value } : x)))}
+            className={fieldClass}
+          >
+            <option value="asc">Ascending</option>
+            <option value="desc">Descending</option>
+          </select>
+          <button onClick={() => setSorts(sorts.filter(x => x.columnId !== s.columnId))} className="text-gray-400 hover:text-red-500 px-1">&times;</button>
+        </div>
+      ))}
+      {unused.length > 0 && (
+        <button onClick={() => setSorts([...sorts, { columnId: unused[0].id, direction: 'asc' }])} className="text-xs text-blue-500 hover:underline">
+          + Add sort
+        </button>
+      )}
+    </div>
+  );
+};
+
+const FilterValueInput = ({ column, rule, onChange }) => {
+  const op = filterOperators(column.type).find(o => o.op === rule.op);
+  if (!op || op.noValue) return null;
+  if (hasOptions(column.type)) {
+    return (
+      <select value={rule.value || ''} onChange={(e) => onChange(e.target.value)} className={`${fieldClass} flex-1 min-w-0`}>
+        <option value="">Any</option>
+        {(column.options || []).map(opt => <option key={opt} value={opt}>{opt}</option>)}
+      </select>
+    );
+  }
+  return (
+    <input
+      type={column.type === 'number' ? 'number' : column.type === 'date' ? 'date' : 'text'}
+      value={rule.value ?? ''}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder="Value"
+      className={`${fieldClass} flex-1 min-w-0`}
+    />
+  );
+};
+
+const FilterPanel = ({ view, columns, onChange }) => {
+  const filter = view.filter || { mode: 'and', rules: [] };
+  const rules = filter.rules || [];
+  const setRules = (next) => onChange({ filter: { ...filter, rules: next } });
+  const updateRule = (id, changes) => setRules(rules.map(r => (r.id === id ? { ...r, ...changes } : r)));
+
+  return (
+    <div className={panelClass}>
+      {rules.length === 0 && <div className="text-xs text-gray-400">No filters. Rows are shown when they match every (or any) rule.</div>}
+      {rules.map((rule, i) => {
+        const column = columns.find(c => c.id === rule.columnId) || columns[0];
+        const ops = filterOperators(column?.type);
+        return (
+          <div key={rule.id} className="flex items-center gap-1">
+            {i === 0 ? (
+              <span className="w-12 text-xs text-gray-400">Where</span>
+            ) : i === 1 ? (
+              <select value={filter.mode} onChange={(e) => onChange({ filter: { ...filter, mode: e.target.value } })} className={`${fieldClass} w-12`}>
+                <option value="and">and</option>
+                <option value="or">or</option>
+              </select>
+            ) : (
+              <span className="w-12 text-xs text-gray-400">{filter.mode}</span>
+            )}
+            <select
+              value={rule.columnId}
+              onChange={(e) => {
+                const next = columns.find(c => c.id === e.target.value);
+                updateRule(rule.id, { columnId: next.id, op: filterOperators(next.type)[0].op, value: '' });
+              }}
+              className={`${fieldClass} w-24`}
+            >
+              {columns.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+            <select value={rule.op} onChange={(e) => updateRule(rule.id, { op: e.target.value })} className={`${fieldClass} w-24`}>
+              {ops.map(o => <option key={o.op} value={o.op}>{o.label}</option>)}
+            </select>
+            {column && <FilterValueInput column={column} rule={rule} onChange={(value) => updateRule(rule.id, { value })} />}
+            <button onClick={() => setRules(rules.filter(r => r.id !== rule.id))} className="text-gray-400 hover:text-red-500 px-1 ml-auto">&times;</button>
+          </div>
+        );
+      })}
+      {columns.length > 0 && (
+        <button
+          onClick={() => setRules([...rules, { id: generateId(), columnId: columns[0].id, op: filterOperators(columns[0].type)[0].op, value: '' }])}
+          className="text-xs text-blue-500 hover:underline"
+        >
+          + Add filter
+        </button>
+      )}
+    </div>
+  );
+};
+
+const ColumnsPanel = ({ view, columns, onChange }) => {
+  const ordered = orderedColumns(columns, view);
+  const hidden = view.hiddenColumns || [];
+  const move = (index, delta) => {
+    const ids = ordered.map(c => c.id);
+    const [id] = ids.splice(index, 1);
+    ids.splice(index + delta, 0, id);
+    onChange({ columnOrder: ids });
+  };
+
+  return (
+    <div className={panelClass}>
+      {ordered.map((col, i) => (
+        <div key={col.id} className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={!hidden.includes(col.id)}
+            onChange={(e) => onChange({ hiddenColumns: e.target.checked ? hidden.filter(id => id !== col.id) : [...hidden, col.id] })}
+            className="w-4 h-4 rounded border-gray-300 text-blue-600 cursor-pointer"
+          />
+          <span className="opacity-50 text-xs w-5">{columnTypeInfo(col.type).icon}</span>
+          <span className="flex-1 min-w-0 truncate">{col.name}</span>
+          <button disabled={i === 0} onClick={() => move(i, -1)} className="px-1 text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 disabled:opacity-30">↑</button>
+          <button disabled={i === ordered.length - 1} onClick={() => move(i, 1)} className="px-1 text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 disabled:opacity-30">↓</button>
+        </div>
+      ))}
+      {Object.keys(view.columnWidths || {}).length > 0 && (
+        <button onClick={() => onChange({ columnWidths: {} })} className="text-xs text-blue-500 hover:underline">Reset column widths</button>
+      )}
+    </div>
+  );
+};
+
+const LayoutPanel = ({ view, columns, onChange }) => {
+  const selectColumns = columns.filter(c => c.type === 'select');
+  const groupColumn = boardGroupColumn(columns, view);
+  const cardFields = view.cardFields || [];
+  const dateColumns = columns.filter(c => c.type === 'date');
+  const { startColumn, endColumn } = viewDateColumns(columns, view);
+
+  return (
+    <div className={panelClass}>
+      <div className="flex gap-1">
+        {VIEW_TYPES.map(t => (
+          <button
+            key={t.type}
+            onClick={() => onChange({ type: t.type })}
+            className={`flex-1 py-1 rounded text-xs ${(view.type || 'table') === t.type ? 'bg-blue-50 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400 font-medium' : 'text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+          >
+            {t.label}
+          </button>
+        ))}
+      </div>
+
+      {view.type === 'board' && (
+        <>
+          <div className="flex items-center gap-2">
+            <span className="w-20 text-xs text-gray-400">Group by</span>
+            {selectColumns.length > 0 ? (
+              <select
+                value={groupColumn?.id || ''}
+                onChange={(e) => onChange({ groupBy: e.target.value, boardOrder: {} })}
+                className={`${fieldClass} flex-1 min-w-0`}
+              >
+                {selectColumns.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+              </select>
+            ) : (
+              <span className="text-xs text-gray-400">No select columns yet</span>
+            )}
+          </div>
+          <div className="text-xs text-gray-400">Card fields</div>
+          {orderedColumns(columns, view).filter(c => c.id !== groupColumn?.id).map(col => (
+            <label key={col.id} className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={cardFields.includes(col.id)}
+                onChange={(e) => onChange({ cardFields: e.target.checked ? [...cardFields, col.id] : cardFields.filter(id => id !== col.id) })}
+                className="w-4 h-4 rounded border-gray-300 text-blue-600 cursor-pointer"
+              />
+              <span className="opacity-50 text-xs w-5">{columnTypeInfo(col.type).icon}</span>
+              <span className="flex-1 min-w-0 truncate">{col.name}</span>
+            </label>
+          ))}
+        </>
+      )}
+
+      {(view.type === 'calendar' || view.type === 'timeline') && (
+        dateColumns.length === 0 ? (
+          <div className="text-xs text-gray-400">Add a date column to place rows on the {view.type}.</div>
+        ) : (
+          <>
+            <div className="flex items-center gap-2">
+              <span className="w-20 text-xs text-gray-400">Date</span>
+              <select value={startColumn?.id || ''} onChange={(e) => onChange({ dateColumn: e.target.value })} className={`${fieldClass} flex-1 min-w-0`}>
+                {dateColumns.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+              </select>
+            </div>
+            <div className="flex items-center gap-2">
+              <span className="w-20 text-xs text-gray-400">End date</span>
+              <select value={endColumn?.id || ''} onChange={(e) => onChange({ endDateColumn: e.target.value || null })} className={`${fieldClass} flex-1 min-w-0`}>
+                <option value="">None (single day)</option>
+                {dateColumns.filter(c => c.id !== startColumn?.id).map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+              </select>
+            </div>
+          </>
+        )
+      )}
+    </div>
+  );
+};
+
+const TableViewBar = ({ views, view, columns, shownCount, totalCount, onSelectView, onAddView, onUpdateView, onDeleteView, onImport, onExport, sheetSync, onOpenSheetSync }) => {
+  const { open, setOpen, ref } = usePanel();
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameDraft, setRenameDraft] = useState('');
+  const sortCount = (view.sorts || []).length;
+  const filterCount = (view.filter?.rules || []).length;
+  const hiddenCount = (view.hiddenColumns || []).length;
+
+  const commitRename = () => {
+    if (renameDraft.trim()) onUpdateView(renamingId, { name: renameDraft.trim() });
+    setRenamingId(null);
+  };
+
+  const buttonClass = (active) =>
+    `px-2 py-1 rounded text-xs ${active ? 'text-blue-600 dark:text-blue-400 bg-blue-50 dark:bg-blue-900/30' : 'text-gray-500 hover:bg-gray-200 dark:hover:bg-gray-700'}`;
+
+  return (
+    <div className="flex items-center gap-2 p-2 border-b border-gray-200 dark:border-gray-800 bg-gray-50 dark:bg-gray-800">
+      <div className="flex items-center gap-1 flex-1 min-w-0 overflow-x-auto">
+        {views.map(v => (
+          renamingId === v.id ? (
+            <input
+              key={v.id}
+              autoFocus
+              value={renameDraft}
+              onChange={(e) => setRenameDraft(e.target.value)}
+              onBlur={commitRename}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') e.target.blur();
+                if (e.key === 'Escape') setRenamingId(null);
+              }}
+              className={`${fieldClass} w-28`}
+            />
+          ) : (
+            <button
+              key={v.id}
+              onClick={() => onSelectView(v.id)}
+              onDoubleClick={() => {
+                setRenamingId(v.id);
+                setRenameDraft(v.name);
+              }}
+              className={`group/view flex items-center gap-1 px-2 py-1 rounded text-xs font-medium whitespace-nowrap ${
+                v.id === view.id ? 'bg-white dark:bg-gray-700 shadow-sm text-gray-800 dark:text-gray-100' : 'text-gray-500 hover:bg-gray-200 dark:hover:bg-gray-700'
+              }`}
+              title="Double-click to rename"
+            >
+              {v.name}
+              {views.length > 1 && v.id === view.id && (
+                <span
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onDeleteView(v.id);
+                  }}
+                  className="opacity-0 group-hover/view:opacity-100 text-gray-400 hover:text-red-500"
+                  title="Delete view"
+                >
+                  &times;
+                </span>
+              )}
+            </button>
+          )
+        ))}
+        <button onClick={onAddView} className="px-2 py-1 rounded text-xs text-gray-400 hover:bg-gray-200 dark:hover:bg-gray-700" title="Save the current setup as a new view">
+          + View
+        </button>
+      </div>
+
+      {shownCount !== totalCount && (
+        <span className="text-xs text-gray-400 whitespace-nowrap">{shownCount} of {totalCount} rows</span>
+      )}
+      <div ref={ref} className="relative flex items-center gap-1">
+        <button onClick={() => setOpen(open === 'layout' ? null : 'layout')} className={buttonClass(false)}>
+          {VIEW_TYPES.find(t => t.type === (view.type || 'table'))?.label || 'Table'}
+        </button>
+        <button onClick={() => setOpen(open === 'filter' ? null : 'filter')} className={buttonClass(filterCount > 0)}>
+          Filter{filterCount ? ` (${filterCount})` : ''}
+        </button>
+        <button onClick={() => setOpen(open === 'sort' ? null : 'sort')} className={buttonClass(sortCount > 0)}>
+          Sort{sortCount ? ` (${sortCount})` : ''}
+        </button>
+        {(view.type || 'table') === 'table' && (
+          <button onClick={() => setOpen(open === 'columns' ? null : 'columns')} className={buttonClass(hiddenCount > 0)}>
+            Columns{hiddenCount ? ` (${hiddenCount} hidden)` : ''}
+          </button>
+        )}
+        <span className="w-px h-4 bg-gray-300 dark:bg-gray-600 mx-1" />
+        <button onClick={onImport} className={buttonClass(false)} title="Import rows from a CSV or TSV file">Import</button>
+        <button onClick={onExport} className={buttonClass(false)} title="Download this view as CSV">Export</button>
+        {onOpenSheetSync && (
+          <button
+            onClick={onOpenSheetSync}
+            className={`${buttonClass(!!sheetSync)} flex items-center gap-1`}
+            title={sheetSync ? `Synced with ${sheetSync.spreadsheetName || 'a Google Sheet'} (${sheetSync.sheetName})` : 'Sync this table with a Google Sheet'}
+          >
+            {sheetSync && <span className={`w-1.5 h-1.5 rounded-full ${sheetSync.error ? 'bg-red-500' : 'bg-green-500'}`} />}
+            Sheet
+          </button>
+        )}
+        {open === 'layout' && <LayoutPanel view={view} columns={columns} onChange={(changes) => onUpdateView(view.id, changes)} />}
+        {open === 'filter' && <FilterPanel view={view} columns={columns} onChange={(changes) => onUpdateView(view.id, changes)} />}
+        {open === 'sort' && <SortPanel view={view} columns={columns} onChange={(changes) => onUpdateView(view.id, changes)} />}
+        {open === 'columns' && <ColumnsPanel view={view} columns={columns} onChange={(changes) => onUpdateView(view.id, changes)} />}
+      </div>
+    </div>
+  );
+};
+
+export default TableViewBar;
@@ -0,0 +1,205 @@
+// TimelineView Component - Gantt-style bars of a database page's dated rows
+
+import { useState } from 'react';
+import { dailyNoteKey } from '../../lib/daily-notes';
+import { TIMELINE_ZOOMS, addDays, daysBetween, weekdayOf } from '../../lib/table-views';
+import { formatDateValue } from '../../lib/table-columns';
+import { UnscheduledTray, rowLabel } from './CalendarView';
+
+const ROW_HEIGHT = 32;
+const navButtonClass = "px-2 py-1 rounded text-sm text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800";
+
+const TimelineView = ({ zoom, scheduled, unscheduled, titleColumn, pageIndex, canResize, onChangeDates, onOpenRow, onChangeZoom }) => {
+  const today = dailyNoteKey(new Date());
+  const lead = Math.floor(zoom.days / 4);
+  const [windowStart, setWindowStart] = useState(() => addDays(today, -lead));
+  // Bar being moved or resized with the pointer: { rowId, edge: 'move' | 'start' | 'end', delta } (delta in days)
+  const [pointerDrag, setPointerDrag] = useState(null);
+  // Unscheduled row being dragged in from the tray
+  const [trayRowId, setTrayRowId] = useState(null);
+
+  const { dayWidth, days } = zoom;
+  const windowEnd = addDays(windowStart, days - 1);
+  const dayKeys = Array.from({ length: days }, (_, i) => addDays(windowStart, i));
+  const items = [...scheduled].sort((a, b) => (a.start === b.start ? 0 : a.start < b.start ? -1 : 1));
+
+  // Range an item would have with the drag in progress applied
+  const previewRange = (item) => {
+    if (pointerDrag?.rowId !== item.row.id) return item;
+    const { edge, delta } = pointerDrag;
+    if (edge === 'move') return { start: addDays(item.start, delta), end: addDays(item.end, delta) };
+    if (edge === 'start') {
+      const start = addDays(item.start, delta);
+      return start <= item.end ? { start, end: item.end } : { start: item.end, end: start };
+    }
+    const end = addDays(item.end, delta);
+    return end >= item.start ? { start: item.start, end } : { start: end, end: item.start };
+  };
+
+  const startPointerDrag = (e, item, edge) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    let delta = 0;
+    setPointerDrag({ rowId: item.row.id, edge, delta });
+    const onMove = (ev) => {
+      const next = Math.round((ev.clientX - startX) / dayWidth);
+      if (next !== delta) {
+        delta = next;
+        setPointerDrag({ rowId: item.row.id, edge, delta });
+      }
+    };
+    const onUp = () => {
+      document.removeEventListener('mousemove', onMove);
+      document.removeEventListener('mouseup', onUp);
+      setPointerDrag(null);
+      // A bar that was pressed without moving opens its row
+      if (delta === 0) {
+        if (edge === 'move') onOpenRow(item.row.id);
+        return;
+      }
+      const range = { start: item.start, end: item.end };
+      if (edge === 'move') onChangeDates(item.row.id, { start: addDays(range.start, delta), end: addDays(range.end, delta) });
+      else if (edge === 'start') onChangeDates(item.row.id, { start: addDays(range.start, delta), end: range.end });
+      else onChangeDates(item.row.id, { start: range.start, end: addDays(range.end, delta) });
+    };
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+  };
+
+  const dropFromTray = (e) => {
+    e.preventDefault();
+    const rowId = trayRowId;
+    setTrayRowId(null);
+    if (!rowId) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const day = addDays(windowStart, Math.max(0, Math.min(days - 1, Math.floor((e.clientX - rect.left) / dayWidth))));
+    onChangeDates(rowId, { start: day, end: day });
+  };
+
+  const months = dayKeys.filter((day, i) => i === 0 || day.endsWith('-01'));
+
+  return (
+    <div className="flex-1 flex min-h-0">
+      <div className="flex-1 flex flex-col min-w-0 p-4">
+        <div className="flex items-center gap-2 mb-3">
+          <button onClick={() => setWindowStart(addDays(windowStart, -Math.floor(days / 2)))} className={navButtonClass} title="Earlier">‹</button>
+          <button onClick={() => setWindowStart(addDays(today, -lead))} className={navButtonClass}>Today</button>
+          <button onClick={() => setWindowStart(addDays(windowStart, Math.floor(days / 2)))} className={navButtonClass} title="Later">›</button>
+          <h3 className="flex-1 text-base font-semibold">{formatDateValue(windowStart)} – {formatDateValue(windowEnd)}</h3>
+          <div className="flex rounded bg-gray-100 dark:bg-gray-800 p-0.5">
+            {TIMELINE_ZOOMS.map(z => (
+              <button
+                key={z.zoom}
+                onClick={() => onChangeZoom(z.zoom)}
+                className={`px-2 py-0.5 rounded text-xs ${zoom.zoom === z.zoom ? 'bg-white dark:bg-gray-700 shadow-sm font-medium' : 'text-gray-500'}`}
+              >
+                {z.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex-1 min-h-0 overflow-auto border border-gray-200 dark:border-gray-800 rounded">
+          <div className="flex min-w-max">
+            {/* Row names */}
+            <div className="sticky left-0 z-10 w-48 shrink-0 bg-white dark:bg-gray-900 border-r border-gray-200 dark:border-gray-800">
+              <div className="h-12 border-b border-gray-200 dark:border-gray-800" />
+              {items.map(item => (
+                <button
+                  key={item.row.id}
+                  onClick={() => onOpenRow(item.row.id)}
+                  className="block w-full text-left px-3 text-sm truncate border-b border-gray-100 dark:border-gray-800 hover:bg-gray-50 dark:hover:bg-gray-800/50"
+                  style={{ height: ROW_HEIGHT, lineHeight: `${ROW_HEIGHT}px` }}
+                >
+                  {rowLabel(item.row, titleColumn, pageIndex)}
+                </button>
+              ))}
+            </div>
+
+            {/* Grid */}
+            <div
+              className="relative min-h-[12rem]"
+              style={{ width: days * dayWidth }}
+              onDragOver={(e) => trayRowId && e.preventDefault()}
+              onDrop={dropFromTray}
+            >
+              <div className="h-12 border-b border-gray-200 dark:border-gray-800 relative text-xs text-gray-500">
+                {months.map(day => (
+                  <span key={day} className="absolute top-1 px-1 font-medium whitespace-nowrap" style={{ left: daysBetween(windowStart, day) * dayWidth }}>
+                    {new Date(`${day}T00:00`).toLocaleDateString('en-US', { month: 'short', year: 'numeric' })}
+                  </span>
+                ))}
+                {dayWidth >= 16 && dayKeys.map((day, i) => (
+                  <span key={day} className={`absolute bottom-1 text-center ${day === today ? 'text-blue-600 font-semibold' : ''}`} style={{ left: i * dayWidth, width: dayWidth }}>
+                    {Number(day.slice(8))}
+                  </span>
+                ))}
+              </div>
+
+              {/* Weekends and today */}
+              {dayWidth >= 16 && dayKeys.map((day, i) => {
+                const weekday = weekdayOf(day);
+                return (weekday === 0 || weekday === 6) && (
+                  <div key={day} className="absolute top-12 bottom-0 bg-gray-50 dark:bg-gray-800/40" style={{ left: i * dayWidth, width: dayWidth }} />
+                );
+              })}
+              {today >= windowStart && today <= windowEnd && (
+                <div className="absolute top-12 bottom-0 w-px bg-blue-500/70" style={{ left: (daysBetween(windowStart, today) + 0.5) * dayWidth }} />
+              )}
+
+              {items.map(item => {
+                const range = previewRange(item);
+                const visible = range.end >= windowStart && range.start <= windowEnd;
+                const left = daysBetween(windowStart, range.start) * dayWidth;
+                const width = (daysBetween(range.start, range.end) + 1) * dayWidth;
+                return (
+                  <div key={item.row.id} className="relative border-b border-gray-100 dark:border-gray-800" style={{ height: ROW_HEIGHT }}>
+                    {visible && (
+                      <div
+                        onMouseDown={(e) => startPointerDrag(e, item, 'move')}
+                        className={`group/bar absolute top-1.5 bottom-1.5 flex items-center rounded bg-blue-500/80 hover:bg-blue-500 text-white text-xs px-2 cursor-grab select-none ${
+                          pointerDrag?.rowId === item.row.id ? 'ring-2 ring-blue-300 cursor-grabbing' : ''
+                        }`}
+                        style={{ left, width: Math.max(width, 6) }}
+                        title={`${formatDateValue(range.start)}${range.end !== range.start ? ` – ${formatDateValue(range.end)}` : ''}`}
+                      >
+                        {canResize && (
+                          <span
+                            onMouseDown={(e) => startPointerDrag(e, item, 'start')}
+                            className="absolute left-0 top-0 bottom-0 w-1.5 cursor-ew-resize opacity-0 group-hover/bar:opacity-100 bg-white/40 rounded-l"
+                          />
+                        )}
+                        {width >= 48 && <span className="truncate">{rowLabel(item.row, titleColumn, pageIndex)}</span>}
+                        {canResize && (
+                          <span
+                            onMouseDown={(e) => startPointerDrag(e, item, 'end')}
+                            className="absolute right-0 top-0 bottom-0 w-1.5 cursor-ew-resize opacity-0 group-hover/bar:opacity-100 bg-white/40 rounded-r"
+                          />
+                        )}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+              {items.length === 0 && (
+                <div className="p-4 text-sm text-gray-400">No dated rows yet. Drag a row from the tray onto the timeline.</div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <UnscheduledTray
+        rows={unscheduled}
+        titleColumn={titleColumn}
+        pageIndex={pageIndex}
+        onDragStart={setTrayRowId}
+        onDragEnd={() => setTrayRowId(null)}
+        onOpenRow={onOpenRow}
+      />
+    </div>
+  );
+};
+
+export default TimelineView;
@@ -1,8 +1,19 @@
-// UniversalContainer - Container component for canvas elements (text, images, maps)
+// UniversalContainer - Container component for canvas elements (text, images, maps, shapes, cards)
 // Extracted from Strata index.html (lines 2532-2671)
 
 import { useRef, useLayoutEffect } from 'react';
 import { GripHorizontal, X } from '../icons';
+import { shapeOutline } from '../../lib/canvas-diagram';
+import { isCard } from '../../lib/canvas-cards';
+
+const ShapeOutline = ({ container }) => {
+  const { tag: Tag, attrs } = shapeOutline(container.shape, container.width, container.height);
+  return (
+    <svg className="absolute inset-0 pointer-events-none overflow-visible" width={container.width} height={container.height}>
+      <Tag {...attrs} fill={container.fill || '#ffffff'} stroke={container.stroke || 'none'} strokeWidth={2} />
+    </svg>
+  );
+};
 
 const UniversalContainer = ({ 
   container, 
@@ -14,12 +25,17 @@ const UniversalContainer = ({
   onResizeStart, 
   onDelete, 
   onSlash,
-  MapBlock // MapBlock component passed as prop to avoid circular dependency
+  inert, // Lets clicks through to the canvas (e.g. while drawing connectors)
+  MapBlock, // MapBlock component passed as prop to avoid circular dependency
+  CanvasCard, // Likewise for page, Drive and database cards
+  cardContext // { pageIndex, onOpenPage } for cards
 }) => {
   const contentRef = useRef(null);
+  const isShape = container.type === 'shape';
+  const isCardType = isCard(container);
 
   useLayoutEffect(() => {
-    if (container.type === 'text' && contentRef.current && contentRef.current.innerHTML !== container.content) {
+    if ((container.type === 'text' || container.type === 'shape') && contentRef.current && contentRef.current.innerHTML !== container.content) {
       contentRef.current.innerHTML = container.content;
     }
   }, [container.content, container.type]);
@@ -80,6 +96,7 @@ const UniversalContainer = ({
   return (
     <div 
       id={`container-${container.id}`}
+      inert={inert || undefined}
       className={`absolute group flex flex-col ${isSelected ? 'z-30' : 'z-20'}`}
       style={{ 
         left: container.x + 25000, 
@@ -88,7 +105,7 @@ const UniversalContainer = ({
         maxWidth: container.type === 'text' ? '600px' : 'none',
         minWidth: '100px'
       }}
-      onClick={(e) => { e.stopPropagation(); onSelect(); }}
+      onClick={(e) => { e.stopPropagation(); onSelect(e); }}
     >
       {/* Drag Handle */}
       <div 
@@ -107,7 +124,7 @@ const UniversalContainer = ({
 
       {/* Content Area */}
       <div className={`
-        relative bg-white dark:bg-gray-800 shadow-sm dark:shadow-gray-900/50
+        relative ${isShape ? (container.shape === 'sticky' ? 'shadow-md' : '') : isCardType ? 'bg-white dark:bg-gray-800 shadow-md rounded-b' : 'bg-white dark:bg-gray-800 shadow-sm dark:shadow-gray-900/50'}
         ${isSelected ? 'border border-gray-300 dark:border-gray-600 ring-1 ring-purple-500/20' : 'border border-transparent hover:border-gray-200 dark:hover:border-gray-600'}
       `}>
         {isSelected && (
@@ -120,18 +137,40 @@ const UniversalContainer = ({
               <X size={10} />
             </button>
             
-            {/* Resize Handle */}
-            <div 
-              className="absolute top-0 right-[-6px] h-full w-4 cursor-ew-resize flex items-center justify-center z-40 opacity-0 hover:opacity-100"
-              onMouseDown={onResizeStart}
-            >
-              <div className="w-1 h-8 bg-blue-300 rounded-full"/>
-            </div>
+            {/* Resize Handle - shapes and cards resize from the corner, in both directions */}
+            {isShape || isCardType ? (
+              <div
+                className="absolute -right-1.5 -bottom-1.5 w-3 h-3 bg-white border-2 border-blue-400 rounded-sm cursor-nwse-resize z-40"
+                onMouseDown={onResizeStart}
+              />
+            ) : (
+              <div 
+                className="absolute top-0 right-[-6px] h-full w-4 cursor-ew-resize flex items-center justify-center z-40 opacity-0 hover:opacity-100"
+                onMouseDown={onResizeStart}
+              >
+                <div className="w-1 h-8 bg-blue-300 rounded-full"/>
+              </div>
+            )}
           </>
         )}
 
         {/* Content based on type */}
-        {container.type === 'text' ? (
+        {isShape ? (
+          <div className="relative flex items-center justify-center" style={{ width: container.width, height: container.height }}>
+            <ShapeOutline container={container} />
+            <div
+              id={`editor-${container.id}`}
+              ref={contentRef}
+              contentEditable
+              suppressContentEditableWarning
+              className={`relative outline-none px-3 py-2 max-w-full max-h-full overflow-hidden text-center text-gray-900 ${container.shape === 'sticky' ? 'self-start w-full text-left' : ''}`}
+              onInput={handleInput}
+              onKeyDown={handleKeyDown}
+              onBlur={handleInput}
+              style={{ cursor: 'text', minWidth: '1em' }}
+            />
+          </div>
+        ) : container.type === 'text' ? (
           <div
             id={`editor-${container.id}`}
             ref={contentRef}
@@ -144,6 +183,10 @@ const UniversalContainer = ({
             onBlur={handleInput}
             style={{ cursor: 'text' }}
           />
+        ) : isCardType && CanvasCard ? (
+          <div className="overflow-hidden" style={{ width: container.width, height: container.height }}>
+            <CanvasCard container={container} {...cardContext} onUpdate={onUpdate} />
+          </div>
         ) : container.type === 'map' && MapBlock ? (
           <div className="p-0" style={{ height: container.height || 300 }}>
             <MapBlock 
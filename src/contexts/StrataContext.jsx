@@ -32,13 +32,17 @@ export function StrataProvider({ children }) {
     loadFromDrive,
     triggerStructureSync,
     triggerContentSync,
+    syncSheetNow,
     syncSubtree,
     syncFolderMeta,
     syncPageFile,
+    syncTemplate,
     persistTree,
     syncIndex,
     syncRenameToDrive,
     queueDriveDelete,
+    queueDriveRestore,
+    queueDrivePurge,
     moveItemInDrive,
     hasInitialLoadCompleted,
     markInitialLoadComplete,
@@ -73,6 +77,12 @@ export function StrataProvider({ children }) {
   const [showEditEmbed, setShowEditEmbed] = useState(false);
   const [favoritesExpanded, setFavoritesExpanded] = useState(false);
   const [syncConflict, setSyncConflict] = useState(null);
+  const [showSearch, setShowSearch] = useState(false);
+  const [searchTarget, setSearchTarget] = useState(null);
+  const [versionHistoryPage, setVersionHistoryPage] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [showTemplateGallery, setShowTemplateGallery] = useState(false);
+  const [saveTemplatePageId, setSaveTemplatePageId] = useState(null);
 
   // Editing states
   const [editingPageId, setEditingPageId] = useState(null);
@@ -141,13 +151,17 @@ export function StrataProvider({ children }) {
     loadFromDrive,
     triggerStructureSync,
     triggerContentSync,
+    syncSheetNow,
     syncSubtree,
     syncFolderMeta,
     syncPageFile,
+    syncTemplate,
     persistTree,
     syncIndex,
     syncRenameToDrive,
     queueDriveDelete,
+    queueDriveRestore,
+    queueDrivePurge,
     moveItemInDrive,
     hasInitialLoadCompleted,
     markInitialLoadComplete,
@@ -201,6 +215,18 @@ export function StrataProvider({ children }) {
     setFavoritesExpanded,
     syncConflict,
     setSyncConflict,
+    showSearch,
+    setShowSearch,
+    searchTarget,
+    setSearchTarget,
+    versionHistoryPage,
+    setVersionHistoryPage,
+    showTrash,
+    setShowTrash,
+    showTemplateGallery,
+    setShowTemplateGallery,
+    saveTemplatePageId,
+    setSaveTemplatePageId,
     // Editing states
     editingPageId,
     setEditingPageId,
@@ -1,6 +1,6 @@
 import { useCallback } from 'react';
 import { COLORS } from '../lib/constants';
-import { generateId, getNextTabColor, updatePageInData } from '../lib/utils';
+import { generateId, getNextTabColor, updatePageInData, downloadBlob } from '../lib/utils';
 import {
   createDefaultPage,
   createCanvasPage,
@@ -8,6 +8,15 @@ import {
   createDatabasePage
 } from '../lib/page-factories';
 import { parseEmbedUrl } from '../lib/embed-utils';
+import { treeToRows } from '../lib/tree-operations';
+import { pageToMarkdown, markdownToPageContent, markdownFileTitle, markdownSafeName, tabsToMarkdownFiles } from '../lib/markdown';
+import { createZip } from '../lib/zip';
+import { createTrashEntry, addToTrash, pagesInDrive, restoreFromTrash, purgeFromTrash } from '../lib/trash';
+import { BUILTIN_TEMPLATES, pageToTemplate, instantiateTemplate, templateVariables } from '../lib/templates';
+import { dailyNoteKey, dailyNoteDate, findDailyNote, formatDailyNoteName, resolveDailyNotesTab } from '../lib/daily-notes';
+import { hasTombstone, pendingPageIds } from '../lib/sync-outbox';
+import { isLinkPage } from '../lib/sync-merge';
+import * as GoogleAPI from '../lib/google-api';
 import { useStrata } from '../contexts/StrataContext';
 import { usePageContent } from './usePageContent';
 
@@ -19,14 +28,18 @@ export function useAppActions() {
   const {
     data,
     setData,
+    settings,
     saveToHistory,
     triggerContentSync,
     syncSubtree,
     syncFolderMeta,
     syncPageFile,
+    syncTemplate,
     persistTree,
     syncIndex,
     queueDriveDelete,
+    queueDriveRestore,
+    queueDrivePurge,
     moveItemInDrive,
     showNotification,
     activeNotebookId,
@@ -53,6 +66,8 @@ export function useAppActions() {
     setTabIconPicker,
     setPageIconPicker,
     setIconSearchTerm,
+    setViewedEmbedPages,
+    userName,
   } = useStrata();
 
   const { flushAndClearSync } = usePageContent();
@@ -126,6 +141,38 @@ export function useAppActions() {
     [flushAndClearSync, setData, activeNotebookId, activeTabId, data.notebooks, setActivePageId, setEditingPageId, setEditingTabId, setEditingNotebookId]
   );
 
+  const navigateToPage = useCallback(
+    (notebookId, tabId, pageId) => {
+      const page = data.notebooks.find((nb) => nb.id === notebookId)?.tabs.find((t) => t.id === tabId)?.pages.find((p) => p.id === pageId);
+      if (!page) return;
+      flushAndClearSync();
+      localStorage.setItem(`strata_history_nb_${notebookId}`, tabId);
+      localStorage.setItem(`strata_history_tab_${tabId}`, pageId);
+      setActiveNotebookId(notebookId);
+      setActiveTabId(tabId);
+      setActivePageId(pageId);
+      setEditingPageId(null);
+      setEditingTabId(null);
+      setEditingNotebookId(null);
+      if (page.embedUrl && setViewedEmbedPages) {
+        setViewedEmbedPages((prev) => new Set([...prev, pageId]));
+      }
+      setData((prev) => ({
+        ...prev,
+        notebooks: prev.notebooks.map((nb) =>
+          nb.id === notebookId
+            ? {
+                ...nb,
+                activeTabId: tabId,
+                tabs: nb.tabs.map((t) => (t.id === tabId ? { ...t, activePageId: pageId } : t)),
+              }
+            : nb
+        ),
+      }));
+    },
+    [data.notebooks, flushAndClearSync, setData, setActiveNotebookId, setActiveTabId, setActivePageId, setEditingPageId, setEditingTabId, setEditingNotebookId, setViewedEmbedPages]
+  );
+
   const getStarredPages = useCallback(() => {
     const starred = [];
     data.notebooks.forEach((nb) => {
@@ -426,10 +473,16 @@ export function useAppActions() {
         }
       };
 
+      let trashEntry = null;
+      // Pages with no queued edits are current in Drive; the trash keeps only a stub of those
+      const pending = pendingPageIds();
+      const inDrive = (page) => !!page.driveFileId && !isLinkPage(page) && !pending.has(page.id);
+
       if (type === 'notebook') {
         const notebook = newData.notebooks.find((n) => n.id === id);
         if (notebook) collectDriveIds(notebook, 'notebook');
         const idx = newData.notebooks.findIndex((n) => n.id === id);
+        if (notebook) trashEntry = createTrashEntry('notebook', notebook, { index: idx, driveIds: driveIdsToDelete, inDrive });
         if (activeNotebookId === id) {
           if (idx < newData.notebooks.length - 1) nextId = newData.notebooks[idx + 1].id;
           else if (idx > 0) nextId = newData.notebooks[idx - 1].id;
@@ -465,6 +518,7 @@ export function useAppActions() {
             const tab = nb.tabs.find((t) => t.id === id);
             if (tab) collectDriveIds(tab, 'tab');
             const idx = nb.tabs.findIndex((t) => t.id === id);
+            if (tab) trashEntry = createTrashEntry('tab', tab, { notebook: nb, index: idx, driveIds: driveIdsToDelete, inDrive });
             if (activeTabId === id) {
               if (idx < nb.tabs.length - 1) nextId = nb.tabs[idx + 1].id;
               else if (idx > 0) nextId = nb.tabs[idx - 1].id;
@@ -477,6 +531,7 @@ export function useAppActions() {
               const page = tab.pages.find((p) => p.id === id);
               if (page) collectDriveIds(page, 'page');
               const idx = tab.pages.findIndex((p) => p.id === id);
+              if (page) trashEntry = createTrashEntry('page', page, { notebook: nb, tab, index: idx, driveIds: driveIdsToDelete, inDrive });
               if (activePageId === id) {
                 if (idx < tab.pages.length - 1) nextId = tab.pages[idx + 1].id;
                 else if (idx > 0) nextId = tab.pages[idx - 1].id;
@@ -491,12 +546,19 @@ export function useAppActions() {
         }
       }
 
+      let expiredDriveIds = [];
+      if (trashEntry) {
+        const added = addToTrash(newData.trash, trashEntry);
+        newData.trash = added.trash;
+        expiredDriveIds = added.driveIds;
+      }
       if (driveIdsToDelete.length > 0) queueDriveDelete(driveIdsToDelete, newData);
+      if (expiredDriveIds.length > 0) queueDrivePurge(expiredDriveIds, newData);
       setData(newData);
       if (itemToDelete?.id === id) setItemToDelete(null);
       if (activeTabMenu?.id === id) setActiveTabMenu(null);
       if (selectedBlockId === id) setSelectedBlockId(null);
-      showNotification(`${type.charAt(0).toUpperCase() + type.slice(1)} deleted`, 'success');
+      showNotification(`${type.charAt(0).toUpperCase() + type.slice(1)} moved to Trash`, 'success');
       if (driveIdsToDelete.length === 0) syncIndex(newData);
     },
     [
@@ -511,6 +573,7 @@ export function useAppActions() {
       showNotification,
       syncIndex,
       queueDriveDelete,
+      queueDrivePurge,
       itemToDelete,
       activeTabMenu,
       selectedBlockId,
@@ -803,6 +866,305 @@ export function useAppActions() {
     [data, setData, triggerContentSync]
   );
 
+  const exportPageMarkdown = useCallback(
+    (page) => {
+      if (!page) return;
+      downloadBlob(new Blob([pageToMarkdown(page)], { type: 'text/markdown' }), `${markdownSafeName(page.name)}.md`);
+    },
+    []
+  );
+
+  const exportTabsMarkdown = useCallback(
+    (kind, id) => {
+      const notebook = kind === 'notebook' ? data.notebooks.find((nb) => nb.id === id) : data.notebooks.find((nb) => nb.tabs.some((t) => t.id === id));
+      const tabs = kind === 'notebook' ? notebook?.tabs : notebook?.tabs.filter((t) => t.id === id);
+      if (!tabs) return;
+      const files = tabsToMarkdownFiles(tabs, kind === 'notebook');
+      if (!files.length) {
+        showNotification('No block pages to export', 'error');
+        return;
+      }
+      const name = kind === 'notebook' ? notebook.name : tabs[0].name;
+      downloadBlob(createZip(files), `${markdownSafeName(name)}.zip`);
+      showNotification(`Exported ${files.length} page${files.length === 1 ? '' : 's'}`, 'success');
+    },
+    [data.notebooks, showNotification]
+  );
+
+  const importMarkdownFiles = useCallback(
+    async (files, tabId = activeTabId) => {
+      const notebook = data.notebooks.find((nb) => nb.tabs.some((t) => t.id === tabId));
+      if (!notebook || !files?.length) return;
+      let pages;
+      try {
+        pages = await Promise.all(
+          Array.from(files).map(async (file) => {
+            const tree = markdownToPageContent(await file.text());
+            return { ...createDefaultPage(markdownFileTitle(file.name)), content: tree, rows: treeToRows(tree) };
+          })
+        );
+      } catch (err) {
+        console.error('Markdown import failed:', err);
+        showNotification('Could not read Markdown file', 'error');
+        return;
+      }
+      saveToHistory();
+      const lastId = pages[pages.length - 1].id;
+      const next = {
+        ...data,
+        notebooks: data.notebooks.map((nb) =>
+          nb.id !== notebook.id ? nb : { ...nb, tabs: nb.tabs.map((t) => (t.id !== tabId ? t : { ...t, pages: [...t.pages, ...pages], activePageId: lastId })) }
+        ),
+      };
+      setData(next);
+      if (notebook.id === activeNotebookId && tabId === activeTabId) setActivePageId(lastId);
+      pages.forEach((page) => syncSubtree(next, { notebookId: notebook.id, tabId, pageId: page.id }));
+      showNotification(`Imported ${pages.length} page${pages.length === 1 ? '' : 's'}`, 'success');
+    },
+    [data, setData, activeNotebookId, activeTabId, saveToHistory, syncSubtree, showNotification, setActivePageId]
+  );
+
+  // Restored content goes out as a normal patchPage op, which writes a new Drive revision
+  const restorePageVersion = useCallback(
+    ({ notebookId, tabId, pageId }, fields) => {
+      if (!fields?.content) return;
+      saveToHistory();
+      const next = updatePageInData(data, { notebookId, tabId, pageId }, (p) => ({
+        ...p,
+        content: fields.content,
+        rows: fields.rows || treeToRows(fields.content),
+      }));
+      setData(next);
+      triggerContentSync(pageId, next);
+      showNotification('Version restored', 'success');
+    },
+    [data, setData, saveToHistory, triggerContentSync, showNotification]
+  );
+
+  const copyPageVersionAsNew = useCallback(
+    ({ notebookId, tabId, pageId }, fields, label) => {
+      const source = data.notebooks.find((nb) => nb.id === notebookId)?.tabs.find((t) => t.id === tabId)?.pages.find((p) => p.id === pageId);
+      if (!source || !fields?.content) return;
+      saveToHistory();
+      const newPage = {
+        ...createDefaultPage(`${source.name || 'Untitled'} (${label})`),
+        icon: source.icon,
+        cover: source.cover,
+        content: fields.content,
+        rows: fields.rows || treeToRows(fields.content),
+      };
+      const next = {
+        ...data,
+        notebooks: data.notebooks.map((nb) =>
+          nb.id !== notebookId
+            ? nb
+            : {
+                ...nb,
+                tabs: nb.tabs.map((t) => {
+                  if (t.id !== tabId) return t;
+                  const pages = [...t.pages];
+                  pages.splice(pages.findIndex((p) => p.id === pageId) + 1, 0, newPage);
+                  return { ...t, pages, activePageId: newPage.id };
+                }),
+              }
+        ),
+      };
+      setData(next);
+      if (notebookId === activeNotebookId && tabId === activeTabId) setActivePageId(newPage.id);
+      syncSubtree(next, { notebookId, tabId, pageId: newPage.id });
+      showNotification('Version copied to a new page', 'success');
+    },
+    [data, setData, activeNotebookId, activeTabId, saveToHistory, syncSubtree, showNotification, setActivePageId]
+  );
+
+  // Conflicted copies carry conflictOf until the user has looked at them
+  const resolvePageConflict = useCallback(
+    (copyPageId) => {
+      setData((prev) => ({
+        ...prev,
+        notebooks: prev.notebooks.map((nb) => ({
+          ...nb,
+          tabs: nb.tabs.map((t) =>
+            t.pages.some((p) => p.id === copyPageId)
+              ? { ...t, pages: t.pages.map((p) => (p.id === copyPageId ? { ...p, conflictOf: undefined } : p)) }
+              : t
+          ),
+        })),
+      }));
+    },
+    [setData]
+  );
+
+  const addPageFromTemplate = useCallback(
+    (template) => {
+      const notebook = data.notebooks.find((nb) => nb.id === activeNotebookId);
+      const tab = notebook?.tabs.find((t) => t.id === activeTabId);
+      if (!tab) return;
+      saveToHistory();
+      const newPage = instantiateTemplate(template, templateVariables({ notebook, tab, userName }));
+      const newData = {
+        ...data,
+        notebooks: data.notebooks.map((nb) =>
+          nb.id !== activeNotebookId
+            ? nb
+            : { ...nb, tabs: nb.tabs.map((t) => (t.id !== activeTabId ? t : { ...t, pages: [...t.pages, newPage], activePageId: newPage.id })) }
+        ),
+      };
+      setData(newData);
+      setActivePageId(newPage.id);
+      showNotification(`Page created from "${template.name}"`, 'success');
+      syncSubtree(newData, { notebookId: activeNotebookId, tabId: activeTabId, pageId: newPage.id });
+    },
+    [data, setData, activeNotebookId, activeTabId, userName, saveToHistory, syncSubtree, showNotification, setActivePageId]
+  );
+
+  const saveAsTemplate = useCallback(
+    (pageId, meta) => {
+      const page = data.notebooks.flatMap((nb) => nb.tabs).flatMap((t) => t.pages).find((p) => p.id === pageId);
+      if (!page) return;
+      const template = pageToTemplate(page, meta);
+      const next = { ...data, templates: [template, ...(data.templates || [])] };
+      setData(next);
+      syncTemplate(next, template.id);
+      showNotification(`Saved "${template.name}" as a template`, 'success');
+    },
+    [data, setData, syncTemplate, showNotification]
+  );
+
+  const deleteTemplate = useCallback(
+    (templateId) => {
+      const template = (data.templates || []).find((t) => t.id === templateId);
+      if (!template) return;
+      const next = { ...data, templates: data.templates.filter((t) => t.id !== templateId) };
+      setData(next);
+      if (template.driveFileId) queueDrivePurge([template.driveFileId], next);
+      else persistTree(next);
+      showNotification('Template deleted', 'success');
+    },
+    [data, setData, queueDrivePurge, persistTree, showNotification]
+  );
+
+  // Templates listed from the _templates folder win over local copies; local ones not on Drive yet stay,
+  // and ones deleted here whose Drive delete is still queued stay gone
+  const mergeRemoteTemplates = useCallback(
+    (listed) => {
+      const remote = listed.filter((t) => !hasTombstone(t.driveFileId));
+      setData((prev) => {
+        const remoteIds = new Set(remote.map((t) => t.id));
+        const pending = (prev.templates || []).filter((t) => !t.driveFileId && !remoteIds.has(t.id));
+        return { ...prev, templates: [...pending, ...remote].sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0)) };
+      });
+    },
+    [setData]
+  );
+
+  // Opens the daily note for a day, creating it (from the daily notes template, if one is set) when missing
+  const openDailyNote = useCallback(
+    (date = new Date()) => {
+      const target = resolveDailyNotesTab(data, settings, { notebookId: activeNotebookId, tabId: activeTabId });
+      if (!target) {
+        showNotification('Choose a daily notes tab in Settings first', 'error');
+        return;
+      }
+      const { notebook, tab } = target;
+      const format = settings.dailyNotesFormat;
+      const key = dailyNoteKey(date);
+      const existing = findDailyNote(tab, key, format);
+      if (existing) {
+        navigateToPage(notebook.id, tab.id, existing.id);
+        return;
+      }
+
+      saveToHistory();
+      const name = formatDailyNoteName(date, format);
+      const template = settings.dailyNotesTemplateId
+        ? [...BUILTIN_TEMPLATES, ...(data.templates || [])].find((t) => t.id === settings.dailyNotesTemplateId)
+        : null;
+      const newPage = template
+        ? { ...instantiateTemplate(template, templateVariables({ notebook, tab, userName, now: date })), name }
+        : createDefaultPage(name);
+      newPage.dailyDate = key;
+      if (newPage.type === 'canvas' && newPage.canvasData) newPage.canvasData.pageTitle = name;
+      if (!template) newPage.icon = '📅';
+
+      // Keep daily notes in date order when filling in a past day
+      const later = tab.pages.findIndex((p) => (dailyNoteDate(p, format) || '') > key);
+      const pages = later === -1 ? [...tab.pages, newPage] : [...tab.pages.slice(0, later), newPage, ...tab.pages.slice(later)];
+      const newData = {
+        ...data,
+        notebooks: data.notebooks.map((nb) =>
+          nb.id !== notebook.id
+            ? nb
+            : { ...nb, activeTabId: tab.id, tabs: nb.tabs.map((t) => (t.id !== tab.id ? t : { ...t, pages, activePageId: newPage.id })) }
+        ),
+      };
+      flushAndClearSync();
+      setData(newData);
+      localStorage.setItem(`strata_history_nb_${notebook.id}`, tab.id);
+      localStorage.setItem(`strata_history_tab_${tab.id}`, newPage.id);
+      setActiveNotebookId(notebook.id);
+      setActiveTabId(tab.id);
+      setActivePageId(newPage.id);
+      setEditingPageId(null);
+      setEditingTabId(null);
+      setEditingNotebookId(null);
+      showNotification(`Daily note for ${name} created`, 'success');
+      syncSubtree(newData, { notebookId: notebook.id, tabId: tab.id, pageId: newPage.id });
+    },
+    [data, setData, settings, activeNotebookId, activeTabId, userName, saveToHistory, navigateToPage, flushAndClearSync, syncSubtree, showNotification, setActiveNotebookId, setActiveTabId, setActivePageId, setEditingPageId, setEditingTabId, setEditingNotebookId]
+  );
+
+  // Pages the trash holds as stubs are read back from their Drive files (in _STRATA_TRASH) first
+  const restoreTrashEntry = useCallback(
+    async (entryId) => {
+      const entry = (data.trash || []).find((e) => e.id === entryId);
+      if (!entry) return;
+      const stubs = pagesInDrive(entry);
+      const pages = await Promise.all(
+        stubs.map((page) =>
+          GoogleAPI.loadPageFile({
+            id: page.driveFileId,
+            name: `${page.name}.json`,
+            etag: page.driveEtag,
+            properties: { strata_appId: page.id, strata_pageType: page.type, strata_icon: page.icon },
+          })
+        )
+      );
+      if (pages.some((page) => page.contentUnavailable)) {
+        showNotification('Could not read the deleted pages from Drive; try again when signed in and online', 'error');
+        return;
+      }
+      const fetched = new Map(stubs.map((stub, i) => [stub.id, { ...pages[i], id: stub.id }]));
+      const result = restoreFromTrash(data, entryId, fetched);
+      if (!result) {
+        showNotification('Nothing to restore into: add a notebook and tab first', 'error');
+        return;
+      }
+      saveToHistory();
+      const { data: next, location, driveIds } = result;
+      setData(next);
+      flushAndClearSync();
+      setActiveNotebookId(location.notebookId);
+      setActiveTabId(location.tabId);
+      setActivePageId(location.pageId);
+      queueDriveRestore(driveIds, next);
+      showNotification('Restored from Trash', 'success');
+    },
+    [data, setData, saveToHistory, flushAndClearSync, queueDriveRestore, showNotification, setActiveNotebookId, setActiveTabId, setActivePageId]
+  );
+
+  // Without entryIds the whole trash is emptied
+  const purgeTrashEntries = useCallback(
+    (entryIds) => {
+      const { data: next, driveIds } = purgeFromTrash(data, entryIds);
+      setData(next);
+      if (driveIds.length > 0) queueDrivePurge(driveIds, next);
+      else persistTree(next);
+      showNotification(entryIds ? 'Deleted permanently' : 'Trash emptied', 'success');
+    },
+    [data, setData, queueDrivePurge, persistTree, showNotification]
+  );
+
   return {
     addNotebook,
     addTab,
@@ -822,6 +1184,7 @@ export function useAppActions() {
     selectNotebook,
     selectTab,
     selectPage,
+    navigateToPage,
     getStarredPages,
     flushAndClearSync,
     updateTabColor,
@@ -831,5 +1194,18 @@ export function useAppActions() {
     handleCanvasUpdate,
     handleTableUpdate,
     handleMermaidUpdate,
+    exportPageMarkdown,
+    exportTabsMarkdown,
+    importMarkdownFiles,
+    restorePageVersion,
+    copyPageVersionAsNew,
+    resolvePageConflict,
+    restoreTrashEntry,
+    purgeTrashEntries,
+    addPageFromTemplate,
+    saveAsTemplate,
+    deleteTemplate,
+    mergeRemoteTemplates,
+    openDailyNote,
   };
 }
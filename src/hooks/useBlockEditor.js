@@ -196,8 +196,10 @@ export function useBlockEditor() {
     [setData, triggerContentSync, activeIdsRef]
   );
 
+  // options.content replaces the block's stored content (used by Markdown input rules,
+  // which strip their trigger prefix before the latest keystroke has been saved)
   const changeBlockType = useCallback(
-    (blockId, newType) => {
+    (blockId, newType, options = {}) => {
       const found = pageTree ? findBlockInTree(pageTree, blockId) : null;
       const block = found ? found.block : null;
       if (!block) {
@@ -205,9 +207,9 @@ export function useBlockEditor() {
         return;
       }
       const cur = block.type;
-      const curContent = block.content || '';
+      const curContent = options.content ?? block.content ?? '';
       const curUrl = block.url || '';
-      const textLike = ['text', 'h1', 'h2', 'h3', 'h4', 'ul', 'ol', 'todo', 'link'];
+      const textLike = ['text', 'h1', 'h2', 'h3', 'h4', 'quote', 'ul', 'ol', 'todo', 'link'];
       const isTextLike = (t) => textLike.includes(t);
       const mediaStructural = ['image', 'video', 'divider', 'gdoc', 'map'];
 
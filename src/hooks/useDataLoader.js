@@ -4,14 +4,16 @@ import { log } from '../lib/logger';
 import { useStrata } from '../contexts/StrataContext';
 import {
   clearGuestBaseline,
+  getPageBases,
   guestWorkspaceHasEdits,
   installGuestWorkspace,
   isGuestTree,
   pendingPageIds,
   persistNotebookData,
+  recordPageBases,
   tombstoneIdSet,
 } from '../lib/sync-outbox';
-import { mergeDriveWithLocal } from '../lib/sync-merge';
+import { findPageContext, isLinkPage, mergeDriveWithLocal } from '../lib/sync-merge';
 
 /**
  * Hook for loading data from Drive or localStorage on mount.
@@ -31,11 +33,14 @@ export function useDataLoader() {
     markInitialLoadComplete,
     beginAuthenticatedLoad,
     triggerContentSync,
+    syncSubtree,
     setSyncConflict,
   } = useStrata();
 
   const triggerContentSyncRef = useRef(triggerContentSync);
   triggerContentSyncRef.current = triggerContentSync;
+  const syncSubtreeRef = useRef(syncSubtree);
+  syncSubtreeRef.current = syncSubtree;
   const lastAuthKeyRef = useRef(null);
 
   useEffect(() => {
@@ -96,20 +101,40 @@ export function useDataLoader() {
             const next = driveData?.notebooks?.length ? driveData : createInitialData();
             applyTree(next);
           } else {
+            const conflicts = [];
+            const mergedPageIds = [];
             const merged = mergeDriveWithLocal(localRaw, driveData, {
               tombstoneIds: tombstoneIdSet(),
               pendingPageIds: pendingPageIds(),
+              bases: getPageBases(),
+              conflicts,
+              mergedPageIds,
             });
             const hasTree = merged?.notebooks?.length > 0;
             if (hasTree) {
               applyTree(merged);
               enqueueRecoveryPatches(localRaw, driveData, triggerContentSyncRef.current);
+              mergedPageIds.forEach((pageId) => triggerContentSyncRef.current(pageId));
+              // Conflicted copies hold the Drive version that lost; they are written like new pages
+              conflicts.forEach(({ copyId }) => {
+                const found = findPageContext(merged, copyId);
+                if (found) syncSubtreeRef.current(merged, { notebookId: found.notebook.id, tabId: found.tab.id, pageId: copyId });
+              });
+              if (conflicts.length) {
+                log('SYNC', 'loadData: merge conflicts', conflicts);
+                showNotification(
+                  `Edited on another device: ${conflicts.length} page${conflicts.length === 1 ? '' : 's'} kept as conflicted cop${conflicts.length === 1 ? 'y' : 'ies'}`,
+                  'error'
+                );
+              }
             } else if (driveData?.notebooks?.length) {
               applyTree(driveData);
             } else {
               applyTree(createInitialData());
             }
           }
+          // Drive now holds these versions; the next merge diffs against them
+          recordPageBases(collectLoadedPages(driveData));
         } catch (error) {
           console.error('Error loading from Drive:', error);
           showNotification('Failed to load from Drive. Using local data as fallback.', 'error');
@@ -184,3 +209,15 @@ function enqueueRecoveryPatches(localData, driveData, triggerContentSync) {
     }
   }
 }
+
+function collectLoadedPages(driveData) {
+  const pages = [];
+  for (const nb of driveData?.notebooks || []) {
+    for (const tab of nb.tabs || []) {
+      for (const page of tab.pages || []) {
+        if (!page.contentUnavailable && !isLinkPage(page)) pages.push(page);
+      }
+    }
+  }
+  return pages;
+}
@@ -2,7 +2,8 @@ import { useEffect } from 'react';
 import { useStrata } from '../contexts/StrataContext';
 
 /**
- * Hook for focus effects: focus inputs when editing, focus page nav when switching.
+ * Hook for focus effects: focus inputs when editing, focus page nav when switching,
+ * and reveal the block a search result jumped to.
  */
 export function useFocusEffects() {
   const {
@@ -15,6 +16,8 @@ export function useFocusEffects() {
     notebookInputRefs,
     tabInputRefs,
     activePageId,
+    searchTarget,
+    setSearchTarget,
   } = useStrata();
 
   useEffect(() => {
@@ -37,6 +40,22 @@ export function useFocusEffects() {
     }
   }, [activePageId, shouldFocusTitle, titleInputRef, setShouldFocusTitle]);
 
+  // Scroll to and briefly highlight the block or table row a search result pointed at
+  useEffect(() => {
+    if (!searchTarget || searchTarget.pageId !== activePageId) return undefined;
+    const timer = setTimeout(() => {
+      const id = CSS.escape(searchTarget.targetId);
+      const el = document.querySelector(`[data-block-id="${id}"], [data-row-id="${id}"]`);
+      if (el) {
+        el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        el.classList.add('ring-2', 'ring-yellow-400');
+        setTimeout(() => el.classList.remove('ring-2', 'ring-yellow-400'), 1500);
+      }
+      setSearchTarget(null);
+    }, 150);
+    return () => clearTimeout(timer);
+  }, [searchTarget, activePageId, setSearchTarget]);
+
   useEffect(() => {
     if (editingNotebookId) {
       setTimeout(() => {
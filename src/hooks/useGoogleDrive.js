@@ -5,6 +5,8 @@ import { reconcileData } from '../lib/reconciler';
 import {
   enqueueOp,
   enqueueTrash,
+  enqueuePurge,
+  cancelTrash,
   peekOp,
   hasPendingOps,
   persistNotebookData,
@@ -12,9 +14,18 @@ import {
   SyncNotReadyError,
   getLiveTree,
   getSyncState,
+  getChangesToken,
+  setChangesToken,
+  recordPageBases,
 } from '../lib/sync-outbox';
 import { processSyncOp } from '../lib/sync-engine';
-import { findPageContext, isLinkPage } from '../lib/sync-merge';
+import { fetchRemoteChanges, applyRemoteChanges } from '../lib/sync-changes';
+import { findDriveEntity, findPageContext, isLinkPage } from '../lib/sync-merge';
+import { isSheetBound } from '../lib/sheet-sync';
+
+const CHANGES_POLL_MS = 30000;
+// Database pages bound to a Google Sheet check the Sheet for edits this often
+const SHEET_POLL_MS = 60000;
 
 function pageHasStrataFile(page) {
   if (!page) return false;
@@ -24,6 +35,22 @@ function pageHasStrataFile(page) {
 
 function enqueueMissingParent(op, data) {
   if (!op || !data) return;
+  if (op.type === 'untrash') {
+    const found = findDriveEntity(data, op.driveId);
+    if (!found) return;
+    if (found.entityType !== 'notebook' && !found.notebook.driveFolderId) {
+      enqueueOp(
+        { type: 'ensureFolder', entityType: 'notebook', appId: found.notebook.id },
+        `folder:${found.notebook.id}`
+      );
+    } else if (found.entityType === 'page' && !found.tab.driveFolderId) {
+      enqueueOp(
+        { type: 'ensureFolder', entityType: 'tab', appId: found.tab.id, notebookId: found.notebook.id },
+        `folder:${found.tab.id}`
+      );
+    }
+    return;
+  }
   if (op.type === 'ensureFolder' && op.entityType === 'tab' && op.notebookId) {
     const notebook = (data.notebooks || []).find((nb) => nb.id === op.notebookId);
     if (notebook && !notebook.driveFolderId) {
@@ -369,15 +396,27 @@ export function useGoogleDrive(data, setData, showNotification) {
 
   const triggerContentSync = useCallback(
     (pageId, tree) => {
-      persistSnapshot(tree);
+      const snapshot = persistSnapshot(tree);
       if (pageId) {
         enqueueOp({ type: 'patchPage', pageId }, `patch:${pageId}`);
+        if (isSheetBound(findPageContext(snapshot, pageId)?.page)) {
+          enqueueOp({ type: 'syncSheet', pageId }, `sheet:${pageId}`);
+        }
       }
       kickWorker();
     },
     [persistSnapshot, kickWorker]
   );
 
+  const syncSheetNow = useCallback(
+    (pageId) => {
+      if (!pageId) return;
+      enqueueOp({ type: 'syncSheet', pageId }, `sheet:${pageId}`);
+      kickWorker();
+    },
+    [kickWorker]
+  );
+
   const queueDriveDelete = useCallback(
     (driveIds, tree) => {
       persistSnapshot(tree);
@@ -388,6 +427,29 @@ export function useGoogleDrive(data, setData, showNotification) {
     [persistSnapshot, kickWorker]
   );
 
+  // Restore from the Trash view: cancel trash ops still queued, move the rest out of _STRATA_TRASH.
+  // Restored items that never reached Drive get the usual ensure ops.
+  const queueDriveRestore = useCallback(
+    (driveIds, tree) => {
+      const snapshot = persistSnapshot(tree);
+      for (const driveId of cancelTrash(driveIds)) {
+        enqueueOp({ type: 'untrash', driveId }, `untrash:${driveId}`);
+      }
+      enqueueStructureFromTree(snapshot);
+      kickWorker();
+    },
+    [persistSnapshot, enqueueStructureFromTree, kickWorker]
+  );
+
+  const queueDrivePurge = useCallback(
+    (driveIds, tree) => {
+      persistSnapshot(tree);
+      enqueuePurge(driveIds);
+      kickWorker();
+    },
+    [persistSnapshot, kickWorker]
+  );
+
   const moveItemInDrive = useCallback(
     (itemId, newParentId, oldParentId, tree) => {
       if (!itemId || !newParentId || !oldParentId) return;
@@ -464,6 +526,16 @@ export function useGoogleDrive(data, setData, showNotification) {
     [persistSnapshot, kickWorker]
   );
 
+  const syncTemplate = useCallback(
+    (tree, templateId) => {
+      persistSnapshot(tree);
+      if (!templateId) return;
+      enqueueOp({ type: 'saveTemplate', templateId }, `template:${templateId}`);
+      kickWorker();
+    },
+    [persistSnapshot, kickWorker]
+  );
+
   const persistTree = useCallback(
     (tree) => {
       persistSnapshot(tree);
@@ -516,12 +588,15 @@ export function useGoogleDrive(data, setData, showNotification) {
       const rootFolderId = await GoogleAPI.getOrCreateRootFolder();
       log('SYNC', 'loadFromDrive: root folder', { rootFolderId });
 
+      // Taken before the full load so the changes feed replays anything edited while it runs
+      const startPageToken = await GoogleAPI.getStartPageToken().catch(() => null);
       const driveData = await GoogleAPI.loadFromDriveStructure(rootFolderId);
 
       if (driveData && driveData.notebooks) {
         log('SYNC', 'loadFromDrive: loaded from Drive', { notebookCount: driveData.notebooks.length });
         const reconciled = reconcileData(driveData);
         setDriveRootFolderId(rootFolderId);
+        if (startPageToken) setChangesToken(startPageToken);
         if (cacheKey) {
           const cacheEntry = { data: reconciled, timestamp: Date.now() };
           try {
@@ -562,6 +637,88 @@ export function useGoogleDrive(data, setData, showNotification) {
     setHasInitialLoadCompleted(false);
   }, []);
 
+  // Incremental pull: merge pages and folders changed on other devices into the live tree
+  const pullLockRef = useRef(false);
+  const pullRemoteChanges = useCallback(async () => {
+    if (pullLockRef.current || !rootFolderRef.current) return;
+    pullLockRef.current = true;
+    try {
+      const token = getChangesToken();
+      if (!token) {
+        setChangesToken(await GoogleAPI.getStartPageToken());
+        return;
+      }
+      const { changes, newPageToken } = await GoogleAPI.getDriveChanges(token, rootFolderRef.current);
+      const remote = await fetchRemoteChanges(dataRef.current, changes, rootFolderRef.current);
+      if (remote) {
+        const { data: next, conflicts, mergedPageIds, loadedPages } = applyRemoteChanges(dataRef.current, remote);
+        if (next !== dataRef.current) {
+          log('SYNC', 'pullRemoteChanges: merged', { changes: changes.length, merged: mergedPageIds.length, conflicts: conflicts.length });
+          setDataAndRef(next);
+        }
+        recordPageBases(loadedPages);
+        // Pages merged from both sides go back to Drive so the other device picks up this side
+        for (const pageId of mergedPageIds) {
+          enqueueOp({ type: 'patchPage', pageId }, `patch:${pageId}`);
+        }
+        // A conflicted copy holds the Drive version that lost; it gets a file of its own like a new page
+        for (const { copyId } of conflicts) {
+          const found = findPageContext(next, copyId);
+          if (found) syncSubtree(next, { notebookId: found.notebook.id, tabId: found.tab.id, pageId: copyId });
+        }
+        if (mergedPageIds.length) kickWorker();
+        if (conflicts.length) {
+          showNotification?.(
+            `Edited on another device: ${conflicts.length} page${conflicts.length === 1 ? '' : 's'} kept as conflicted cop${conflicts.length === 1 ? 'y' : 'ies'}`,
+            'error'
+          );
+        }
+      }
+      setChangesToken(newPageToken);
+    } catch (error) {
+      log('ERROR', 'Error pulling Drive changes:', error);
+    } finally {
+      pullLockRef.current = false;
+    }
+  }, [setDataAndRef, kickWorker, showNotification, syncSubtree]);
+
+  useEffect(() => {
+    if (!hasInitialLoadCompleted || !isAuthenticated || !driveRootFolderId) return;
+    const poll = () => {
+      if (document.visibilityState === 'visible') pullRemoteChanges();
+    };
+    const timer = setInterval(poll, CHANGES_POLL_MS);
+    window.addEventListener('focus', poll);
+    document.addEventListener('visibilitychange', poll);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('focus', poll);
+      document.removeEventListener('visibilitychange', poll);
+    };
+  }, [hasInitialLoadCompleted, isAuthenticated, driveRootFolderId, pullRemoteChanges]);
+
+  // Edits made in a bound Google Sheet are not part of the Drive changes pulled above, so those pages poll
+  useEffect(() => {
+    if (!hasInitialLoadCompleted || !isAuthenticated || !driveRootFolderId) return;
+    const poll = () => {
+      if (document.visibilityState !== 'visible') return;
+      let queued = false;
+      for (const nb of dataRef.current?.notebooks || []) {
+        for (const tab of nb.tabs || []) {
+          for (const page of tab.pages || []) {
+            if (!isSheetBound(page)) continue;
+            enqueueOp({ type: 'syncSheet', pageId: page.id }, `sheet:${page.id}`);
+            queued = true;
+          }
+        }
+      }
+      if (queued) kickWorker();
+    };
+    poll();
+    const timer = setInterval(poll, SHEET_POLL_MS);
+    return () => clearInterval(timer);
+  }, [hasInitialLoadCompleted, isAuthenticated, driveRootFolderId, kickWorker]);
+
   const syncRenameToDrive = useCallback(
     (type, id) => {
       const currentData = dataRef.current;
@@ -645,13 +802,17 @@ export function useGoogleDrive(data, setData, showNotification) {
     loadFromDrive,
     triggerStructureSync,
     triggerContentSync,
+    syncSheetNow,
     syncSubtree,
     syncFolderMeta,
     syncPageFile,
+    syncTemplate,
     persistTree,
     syncIndex,
     syncRenameToDrive,
     queueDriveDelete,
+    queueDriveRestore,
+    queueDrivePurge,
     moveItemInDrive,
   };
 }
@@ -24,9 +24,10 @@ export function useKeyboardNavigation() {
     showSettings,
     showDriveUrlModal,
     shouldFocusPageRef,
+    setShowSearch,
   } = useStrata();
 
-  const { selectNotebook, selectTab, selectPage } = useAppActions();
+  const { selectNotebook, selectTab, selectPage, openDailyNote } = useAppActions();
   const { handleRemoveBlock } = useBlockEditor();
 
   useEffect(() => {
@@ -37,6 +38,19 @@ export function useKeyboardNavigation() {
         : e.ctrlKey && (e.key.toLowerCase() === 'y' || (e.shiftKey && e.key.toLowerCase() === 'z'));
       const undoKey = (e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !e.shiftKey;
 
+      if ((e.ctrlKey || e.metaKey) && !e.shiftKey && !e.altKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setShowSearch?.((open) => !open);
+        return;
+      }
+
+      // e.code, since Option+D types a symbol on macOS
+      if ((e.ctrlKey || e.metaKey) && e.altKey && !e.shiftKey && e.code === 'KeyD') {
+        e.preventDefault();
+        openDailyNote?.();
+        return;
+      }
+
       if (redoKey) {
         e.preventDefault();
         redo?.();
@@ -55,12 +69,14 @@ export function useKeyboardNavigation() {
 
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [undo, redo, selectedBlockId, handleRemoveBlock, setSelectedBlockId, setBlockMenu]);
+  }, [undo, redo, selectedBlockId, handleRemoveBlock, setSelectedBlockId, setBlockMenu, setShowSearch, openDailyNote]);
 
   useEffect(() => {
     const handleNavKeyDown = (e) => {
       const mod = e.ctrlKey || e.metaKey;
       if (!mod) return;
+      // Already handled by the focused element (e.g. Ctrl+arrows in a table grid)
+      if (e.defaultPrevented) return;
 
       const el = document.activeElement;
       const tag = el?.tagName?.toLowerCase();
@@ -0,0 +1,274 @@
+// Arranging canvas items: selection boxes, snapping, alignment, z-order and groups
+// Boxes are { x, y, width, height } in canvas coordinates. A selection is a list of
+// { type: 'container' | 'path' | 'connector', id }; containers and paths that share a groupId
+// are selected, moved and copied together.
+
+import { generateId } from './utils';
+import { copyConnector } from './canvas-diagram';
+
+// Matches the background grid
+export const GRID_SIZE = 20;
+
+export const ALIGN_MODES = ['left', 'center', 'right', 'top', 'middle', 'bottom'];
+
+export const isSelected = (selection, type, id) => selection.some((item) => item.type === type && item.id === id);
+
+/**
+ * Pure function: the smallest box around other boxes
+ * @param {Array} boxes
+ * @returns {Object|null} { x, y, width, height }
+ */
+export const unionBounds = (boxes) => {
+  const list = boxes.filter(Boolean);
+  if (!list.length) return null;
+  const minX = Math.min(...list.map((b) => b.x));
+  const minY = Math.min(...list.map((b) => b.y));
+  const maxX = Math.max(...list.map((b) => b.x + b.width));
+  const maxY = Math.max(...list.map((b) => b.y + b.height));
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+};
+
+/**
+ * Pure function: whether two boxes overlap
+ */
+export const boxesIntersect = (a, b) =>
+  a.x <= b.x + b.width && a.x + a.width >= b.x && a.y <= b.y + b.height && a.y + a.height >= b.y;
+
+/**
+ * Pure function: a rectangle from two corners dragged in any direction
+ */
+export const rectFromPoints = (a, b) => ({
+  x: Math.min(a.x, b.x),
+  y: Math.min(a.y, b.y),
+  width: Math.abs(b.x - a.x),
+  height: Math.abs(b.y - a.y),
+});
+
+// --- Groups ---
+
+/**
+ * Pure function: a selection widened to whole groups
+ * @param {Array} selection
+ * @param {Array} containers
+ * @param {Array} paths
+ * @returns {Array} Selection
+ */
+export const expandGroups = (selection, containers, paths) => {
+  const lists = { container: containers, path: paths };
+  const groupIds = new Set(
+    selection.map((item) => lists[item.type]?.find((el) => el.id === item.id)?.groupId).filter(Boolean)
+  );
+  if (!groupIds.size) return selection;
+  const out = [...selection];
+  for (const [type, list] of Object.entries(lists)) {
+    for (const el of list) {
+      if (el.groupId && groupIds.has(el.groupId) && !out.some((item) => item.type === type && item.id === el.id)) out.push({ type, id: el.id });
+    }
+  }
+  return out;
+};
+
+/**
+ * Pure function: list with the selected items given a shared groupId (or, with ungroup, none)
+ * @param {Array} list - Containers or paths
+ * @param {Set<string>} ids
+ * @param {string|null} groupId - null to ungroup
+ * @returns {Array}
+ */
+export const setGroup = (list, ids, groupId) =>
+  list.map((el) => {
+    if (!ids.has(el.id)) return el;
+    const next = { ...el, groupId };
+    if (!groupId) delete next.groupId;
+    return next;
+  });
+
+/**
+ * Pure function: copies of copied items for pasting, with new ids, shifted down and right
+ * Connectors between two copied containers attach to the copies; group ids are renewed so the
+ * copies form their own groups.
+ * @param {Object} clip - { containers, paths, connectors }
+ * @param {number} offset
+ * @returns {Object} { containers, paths, connectors }
+ */
+export const duplicateItems = (clip, offset = 20) => {
+  const ids = new Map();
+  const groups = new Map();
+  const regroup = (el) => {
+    if (!el.groupId) return el;
+    if (!groups.has(el.groupId)) groups.set(el.groupId, generateId());
+    return { ...el, groupId: groups.get(el.groupId) };
+  };
+  const copy = (el) => {
+    const id = generateId();
+    ids.set(el.id, id);
+    return regroup({ ...el, id, x: el.x + offset, y: el.y + offset });
+  };
+  const containers = (clip.containers || []).map(copy);
+  const paths = (clip.paths || []).map(copy);
+  const reattach = (end) => (end.containerId && ids.has(end.containerId) ? { ...end, containerId: ids.get(end.containerId) } : end);
+  const connectors = (clip.connectors || []).map((c) => {
+    const moved = copyConnector(c, offset);
+    return { ...moved, from: reattach(moved.from), to: reattach(moved.to) };
+  });
+  return { containers, paths, connectors };
+};
+
+// --- Z-order ---
+
+/**
+ * Pure function: list with some items moved to the end (painted last, so on top)
+ */
+export const bringToFront = (list, ids) => [...list.filter((el) => !ids.has(el.id)), ...list.filter((el) => ids.has(el.id))];
+
+/**
+ * Pure function: list with some items moved to the start (painted first, so underneath)
+ */
+export const sendToBack = (list, ids) => [...list.filter((el) => ids.has(el.id)), ...list.filter((el) => !ids.has(el.id))];
+
+// --- Snapping ---
+
+const edges = (box, axis) =>
+  axis === 'x' ? [box.x, box.x + box.width / 2, box.x + box.width] : [box.y, box.y + box.height / 2, box.y + box.height];
+
+const snapAxis = (moving, targets, axis, threshold) => {
+  let best = null;
+  for (const target of targets) {
+    for (const to of edges(target, axis)) {
+      for (const from of edges(moving, axis)) {
+        const diff = to - from;
+        if (Math.abs(diff) <= threshold && (!best || Math.abs(diff) < Math.abs(best.diff))) best = { diff, at: to, target };
+      }
+    }
+  }
+  return best;
+};
+
+/**
+ * Pure function: a drag offset adjusted so the moving box lines up with other boxes (smart guides)
+ * or, failing that, with the grid
+ * @param {Object} box - Moving box before the drag
+ * @param {number} dx - Drag offset
+ * @param {number} dy
+ * @param {Object} options - { targets: [box], threshold, grid: size or 0 }
+ * @returns {Object} { dx, dy, guides: [{ axis: 'x' | 'y', at, from, to }] }
+ */
+export const snapOffset = (box, dx, dy, { targets = [], threshold = 6, grid = 0 } = {}) => {
+  const moved = { ...box, x: box.x + dx, y: box.y + dy };
+  const guides = [];
+  const result = { dx, dy };
+
+  for (const axis of ['x', 'y']) {
+    const key = axis === 'x' ? 'dx' : 'dy';
+    const hit = snapAxis(moved, targets, axis, threshold);
+    if (hit) {
+      result[key] += hit.diff;
+      guides.push({ axis, at: hit.at, target: hit.target });
+    } else if (grid) {
+      const start = moved[axis];
+      result[key] += Math.round(start / grid) * grid - start;
+    }
+  }
+
+  const final = { ...box, x: box.x + result.dx, y: box.y + result.dy };
+  return {
+    ...result,
+    guides: guides.map(({ axis, at, target }) => {
+      const [a, b] = axis === 'x' ? ['y', 'height'] : ['x', 'width'];
+      return {
+        axis,
+        at,
+        from: Math.min(final[a], target[a]),
+        to: Math.max(final[a] + final[b], target[a] + target[b]),
+      };
+    }),
+  };
+};
+
+// --- Align and distribute ---
+
+/**
+ * Pure function: how far each box moves to line up with the others
+ * @param {Array} entries - [{ key, box }]
+ * @param {string} mode - One of ALIGN_MODES
+ * @returns {Map} key -> { dx, dy }
+ */
+export const alignOffsets = (entries, mode) => {
+  const bounds = unionBounds(entries.map((e) => e.box));
+  const out = new Map();
+  for (const { key, box } of entries) {
+    let dx = 0;
+    let dy = 0;
+    if (mode === 'left') dx = bounds.x - box.x;
+    else if (mode === 'center') dx = bounds.x + bounds.width / 2 - (box.x + box.width / 2);
+    else if (mode === 'right') dx = bounds.x + bounds.width - (box.x + box.width);
+    else if (mode === 'top') dy = bounds.y - box.y;
+    else if (mode === 'middle') dy = bounds.y + bounds.height / 2 - (box.y + box.height / 2);
+    else if (mode === 'bottom') dy = bounds.y + bounds.height - (box.y + box.height);
+    out.set(key, { dx, dy });
+  }
+  return out;
+};
+
+/**
+ * Pure function: how far each box moves so the gaps between them are equal
+ * The first and last boxes along the axis stay where they are.
+ * @param {Array} entries - [{ key, box }]
+ * @param {string} axis - 'x' | 'y'
+ * @returns {Map} key -> { dx, dy }
+ */
+export const distributeOffsets = (entries, axis) => {
+  const size = axis === 'x' ? 'width' : 'height';
+  const sorted = [...entries].sort((a, b) => a.box[axis] - b.box[axis]);
+  const out = new Map(entries.map((e) => [e.key, { dx: 0, dy: 0 }]));
+  if (sorted.length < 3) return out;
+  const first = sorted[0].box;
+  const last = sorted[sorted.length - 1].box;
+  const used = sorted.reduce((sum, e) => sum + e.box[size], 0);
+  const gap = (last[axis] + last[size] - first[axis] - used) / (sorted.length - 1);
+  let pos = first[axis];
+  for (const { key, box } of sorted) {
+    out.set(key, axis === 'x' ? { dx: pos - box.x, dy: 0 } : { dx: 0, dy: pos - box.y });
+    pos += box[size] + gap;
+  }
+  return out;
+};
+
+// --- Group resize ---
+
+/**
+ * Pure function: a container scaled about a point
+ * @param {Object} container
+ * @param {Object} origin - { x, y }
+ * @param {number} factor
+ * @param {Object} size - Rendered { width } for auto-width containers
+ * @returns {Object}
+ */
+export const scaleContainer = (container, origin, factor, size) => {
+  const scaled = {
+    ...container,
+    x: origin.x + (container.x - origin.x) * factor,
+    y: origin.y + (container.y - origin.y) * factor,
+    width: Math.max(40, (container.width || size?.width || 200) * factor),
+  };
+  if (container.height) scaled.height = Math.max(30, container.height * factor);
+  return scaled;
+};
+
+/**
+ * Pure function: a drawn path scaled about a point
+ */
+export const scalePath = (path, origin, factor) => ({
+  ...path,
+  x: origin.x + (path.x - origin.x) * factor,
+  y: origin.y + (path.y - origin.y) * factor,
+  width: (path.width || 0) * factor,
+  height: (path.height || 0) * factor,
+  points: path.points.map((pt) => ({ ...pt, x: pt.x * factor, y: pt.y * factor })),
+});
+
+/**
+ * Pure function: a free connector end scaled about a point (attached ends follow their container)
+ */
+export const scaleEnd = (end, origin, factor) =>
+  end.containerId ? end : { x: origin.x + (end.x - origin.x) * factor, y: origin.y + (end.y - origin.y) * factor };
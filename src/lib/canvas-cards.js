@@ -0,0 +1,176 @@
+// Cards that bring the rest of the workspace onto a canvas
+// A card is a canvas container that refers to something kept elsewhere: another Strata page, a
+// Drive file or a database page. Only the reference is stored; what the card shows is read from the
+// workspace each time it is drawn, so it stays current.
+//
+// page card  = { id, type: 'page-card', pageId, x, y, width, height }
+// drive card = { id, type: 'drive-card', url, title, embed: { type, fileId, embedUrl, icon }, x, y, width, height }
+// table card = { id, type: 'table-card', pageId, viewId, x, y, width, height }
+
+import { generateId } from './utils';
+import { parseEmbedUrl, getTypeDisplayName } from './embed-utils';
+import { normalizePageContent } from './tree-operations';
+import { htmlToPlainText } from './search-index';
+import { cellToPlainText } from './table-columns';
+import { getViews, applyView } from './table-views';
+import { evaluateFormulas } from './formula';
+
+export const CARD_TYPES = [
+  { type: 'page-card', label: 'Page', width: 280, height: 200 },
+  { type: 'drive-card', label: 'Drive file', width: 280, height: 200 },
+  { type: 'table-card', label: 'Database', width: 440, height: 240 },
+];
+
+export const isCard = (container) => CARD_TYPES.some((t) => t.type === container?.type);
+
+/**
+ * Create a card centred on a canvas point
+ * @param {string} type - One of CARD_TYPES
+ * @param {Object} point - { x, y }
+ * @param {Object} fields - pageId / viewId, or url / title / embed
+ * @returns {Object} Container
+ */
+export const createCard = (type, point, fields) => {
+  const def = CARD_TYPES.find((t) => t.type === type) || CARD_TYPES[0];
+  return {
+    id: generateId(),
+    type: def.type,
+    x: Math.round(point.x - def.width / 2),
+    y: Math.round(point.y - def.height / 2),
+    width: def.width,
+    height: def.height,
+    ...fields,
+  };
+};
+
+/**
+ * Pure function: the fields of a Drive card for a pasted link
+ * @param {string} url
+ * @param {string} title - Name to show; defaults to the kind of file
+ * @returns {Object|null} { url, title, embed }, or null when the link isn't one we can embed
+ */
+export const driveCardFields = (url, title = '') => {
+  const parsed = parseEmbedUrl(url);
+  if (!parsed) return null;
+  return {
+    url: parsed.originalUrl || url.trim(),
+    title: title.trim() || getTypeDisplayName(parsed.type),
+    embed: { type: parsed.type, fileId: parsed.fileId, embedUrl: parsed.embedUrl, icon: parsed.icon },
+  };
+};
+
+/**
+ * Pure function: Drive's thumbnail of a file, for files that have an id
+ */
+export const driveThumbnailUrl = (embed, width = 560) =>
+  embed?.fileId && embed.type !== 'miro' ? `https://drive.google.com/thumbnail?id=${encodeURIComponent(embed.fileId)}&sz=w${width}` : null;
+
+// --- Previews ---
+
+const collectBlocks = (nodes, out) => {
+  for (const node of nodes || []) {
+    if (!node) continue;
+    if (node.type === 'row' || node.type === 'column') collectBlocks(node.children, out);
+    else out.push(node);
+  }
+  return out;
+};
+
+const BLOCK_KINDS = { h1: 'heading', h2: 'heading', h3: 'heading', h4: 'heading', ul: 'list', ol: 'list', todo: 'todo', quote: 'quote' };
+const MEDIA_LABELS = { image: '🖼️ Image', video: '🎬 Video', map: '🗺️ Map', gdoc: '📄 Google file', link: '🔗 Link', divider: null };
+
+/**
+ * Pure function: the first few lines of a page, for a page card
+ * @param {Object} page
+ * @param {number} limit - Lines to return
+ * @returns {Array} [{ kind: 'heading' | 'list' | 'todo' | 'quote' | 'text' | 'code' | 'media', text, checked? }]
+ */
+export const pagePreview = (page, limit = 5) => {
+  if (!page) return [];
+  if (page.type === 'database') {
+    const rows = page.content?.rows?.length || 0;
+    return [{ kind: 'media', text: `${rows} ${rows === 1 ? 'row' : 'rows'}` }];
+  }
+  if (page.type === 'canvas') {
+    return (page.canvasData?.containers || [])
+      .filter((c) => c.type === 'text' || c.type === 'shape')
+      .map((c) => ({ kind: 'text', text: htmlToPlainText(c.content) }))
+      .filter((line) => line.text)
+      .slice(0, limit);
+  }
+  if (page.type === 'mermaid' || page.type === 'code') {
+    const code = page.code ?? page.mermaidCode ?? page.codeContent ?? '';
+    return code.split('\n').filter((l) => l.trim()).slice(0, limit).map((text) => ({ kind: 'code', text }));
+  }
+  if (page.embedUrl) return [{ kind: 'media', text: getTypeDisplayName(page.type) }];
+
+  const lines = [];
+  for (const block of collectBlocks(normalizePageContent(page)?.children, [])) {
+    if (lines.length >= limit) break;
+    if (block.type in MEDIA_LABELS) {
+      if (MEDIA_LABELS[block.type]) lines.push({ kind: 'media', text: block.type === 'link' && block.url ? `🔗 ${block.url}` : MEDIA_LABELS[block.type] });
+      continue;
+    }
+    const text = htmlToPlainText(block.content);
+    if (!text) continue;
+    const line = { kind: BLOCK_KINDS[block.type] || 'text', text };
+    if (block.type === 'todo') line.checked = /data-checked="true"/.test(block.content || '');
+    lines.push(line);
+  }
+  return lines;
+};
+
+/**
+ * Pure function: a database page's rows as one of its views shows them, cut down to fit a card
+ * @param {Object} page - Database page
+ * @param {string} viewId - Saved view; the first view when missing
+ * @param {Object} ctx - { pageIndex } for relation and formula values
+ * @param {Object} options - { maxRows, maxColumns }
+ * @returns {Object} { view, columns: [{ id, name }], rows: [{ id, cells: [text] }], total }
+ */
+export const tablePreview = (page, viewId, ctx = {}, { maxRows = 8, maxColumns = 4 } = {}) => {
+  const content = page?.content || {};
+  const columns = content.schema?.columns || [];
+  const views = getViews(content);
+  const view = views.find((v) => v.id === viewId) || views[0];
+  const computed = { ...content, rows: evaluateFormulas(content.rows || [], columns, ctx) };
+  const shown = applyView(computed, view, ctx);
+  const cols = shown.columns.slice(0, maxColumns);
+  return {
+    view,
+    columns: cols.map((c) => ({ id: c.id, name: c.name })),
+    rows: shown.rows.slice(0, maxRows).map((row) => ({ id: row.id, cells: cols.map((c) => cellToPlainText(c, row[c.id], ctx)) })),
+    total: shown.rows.length,
+  };
+};
+
+/**
+ * Pure function: what a card says, in plain text (for exports, which have no live workspace)
+ * @param {Object} container - Card
+ * @param {Map} pageIndex - pageId -> { page } (buildPageIndex)
+ * @returns {Object} { icon, title, subtitle, lines: [text], table: tablePreview result or null }
+ */
+export const cardSummary = (container, pageIndex) => {
+  if (container.type === 'drive-card') {
+    return {
+      icon: container.embed?.icon || '📁',
+      title: container.title || 'Drive file',
+      subtitle: getTypeDisplayName(container.embed?.type),
+      lines: [container.url],
+      table: null,
+    };
+  }
+  const page = pageIndex?.get(container.pageId)?.page;
+  if (!page) return { icon: '⚠️', title: 'Missing page', subtitle: 'The page was deleted or moved out of reach', lines: [], table: null };
+  if (container.type === 'table-card') {
+    const table = tablePreview(page, container.viewId, { pageIndex });
+    return { icon: page.icon || '🗂️', title: page.name || 'Untitled', subtitle: `${table.view.name} · ${table.total} ${table.total === 1 ? 'row' : 'rows'}`, lines: [], table };
+  }
+  return {
+    icon: page.icon || '📄',
+    title: page.name || 'Untitled',
+    subtitle: pageIndex.get(container.pageId).path || '',
+    lines: pagePreview(page).map((line) => line.text),
+    table: null,
+  };
+};
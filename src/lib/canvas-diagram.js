@@ -0,0 +1,260 @@
+// Shapes and connectors for canvas pages
+// Shapes are containers of type 'shape'; connectors live in canvasData.connectors and join two
+// ends, each either attached to a container's anchor (so the line follows the container when it
+// moves) or pinned to a canvas point.
+//
+// shape container = { id, type: 'shape', shape: 'rectangle' | 'ellipse' | 'diamond' | 'sticky',
+//   x, y, width, height, content (HTML), fill, stroke }
+// connector = {
+//   id, from: end, to: end, style: 'straight' | 'elbow' | 'curved',
+//   startArrow: boolean, endArrow: boolean, label, color,
+// }
+// end = { containerId, anchor: 'top' | 'right' | 'bottom' | 'left' } | { x, y }
+
+import { generateId } from './utils';
+
+export const SHAPES = [
+  { shape: 'rectangle', label: 'Rectangle', width: 160, height: 90, fill: '#ffffff', stroke: '#374151' },
+  { shape: 'ellipse', label: 'Ellipse', width: 160, height: 100, fill: '#ffffff', stroke: '#374151' },
+  { shape: 'diamond', label: 'Diamond', width: 160, height: 120, fill: '#ffffff', stroke: '#374151' },
+  { shape: 'sticky', label: 'Sticky note', width: 180, height: 180, fill: '#fef08a', stroke: 'none' },
+];
+
+export const SHAPE_FILLS = ['#ffffff', '#fef08a', '#bbf7d0', '#bfdbfe', '#fbcfe8', '#fed7aa'];
+
+export const CONNECTOR_STYLES = [
+  { style: 'straight', label: 'Straight' },
+  { style: 'elbow', label: 'Elbow' },
+  { style: 'curved', label: 'Curved' },
+];
+
+export const ANCHORS = ['top', 'right', 'bottom', 'left'];
+
+// Distance an elbow or curve leaves an anchor before turning
+const LEAD = 24;
+const NORMALS = { top: { x: 0, y: -1 }, right: { x: 1, y: 0 }, bottom: { x: 0, y: 1 }, left: { x: -1, y: 0 } };
+
+/**
+ * Create a shape container centred on a canvas point
+ * @param {string} shape - One of SHAPES
+ * @param {Object} point - { x, y }
+ * @returns {Object} Container
+ */
+export const createShape = (shape, point) => {
+  const def = SHAPES.find((s) => s.shape === shape) || SHAPES[0];
+  return {
+    id: generateId(),
+    type: 'shape',
+    shape: def.shape,
+    x: Math.round(point.x - def.width / 2),
+    y: Math.round(point.y - def.height / 2),
+    width: def.width,
+    height: def.height,
+    content: '',
+    fill: def.fill,
+    stroke: def.stroke,
+  };
+};
+
+export const createConnector = (from, to, overrides = {}) => ({
+  id: generateId(),
+  from,
+  to,
+  style: 'straight',
+  startArrow: false,
+  endArrow: true,
+  label: '',
+  color: '#374151',
+  ...overrides,
+});
+
+/**
+ * Pure function: SVG outline of a shape inside a width x height box
+ * @returns {Object} { tag: 'rect' | 'ellipse' | 'polygon', attrs }
+ */
+export const shapeOutline = (shape, width, height) => {
+  if (shape === 'ellipse') return { tag: 'ellipse', attrs: { cx: width / 2, cy: height / 2, rx: width / 2 - 1, ry: height / 2 - 1 } };
+  if (shape === 'diamond') {
+    return { tag: 'polygon', attrs: { points: `${width / 2},1 ${width - 1},${height / 2} ${width / 2},${height - 1} 1,${height / 2}` } };
+  }
+  return { tag: 'rect', attrs: { x: 1, y: 1, width: width - 2, height: height - 2, rx: shape === 'sticky' ? 2 : 6 } };
+};
+
+// --- Geometry ---
+
+/**
+ * Pure function: point of a box's anchor (the middle of that side)
+ * @param {Object} box - { x, y, width, height }
+ * @param {string} anchor
+ * @returns {Object} { x, y }
+ */
+export const anchorPoint = (box, anchor) => {
+  if (anchor === 'top') return { x: box.x + box.width / 2, y: box.y };
+  if (anchor === 'bottom') return { x: box.x + box.width / 2, y: box.y + box.height };
+  if (anchor === 'left') return { x: box.x, y: box.y + box.height / 2 };
+  return { x: box.x + box.width, y: box.y + box.height / 2 };
+};
+
+/**
+ * Pure function: the anchor of a box closest to a point
+ */
+export const nearestAnchor = (box, point) =>
+  ANCHORS.reduce((best, anchor) => {
+    const p = anchorPoint(box, anchor);
+    const d = Math.hypot(p.x - point.x, p.y - point.y);
+    return d < best.d ? { anchor, d } : best;
+  }, { anchor: 'right', d: Infinity }).anchor;
+
+/**
+ * Pure function: id of the topmost box under a point
+ * @param {Object} point - { x, y }
+ * @param {Map} boxes - containerId -> { x, y, width, height }, in paint order
+ * @param {number} margin - Extra reach around each box
+ * @returns {string|null}
+ */
+export const boxAt = (point, boxes, margin = 0) => {
+  let hit = null;
+  for (const [id, b] of boxes) {
+    if (point.x >= b.x - margin && point.x <= b.x + b.width + margin && point.y >= b.y - margin && point.y <= b.y + b.height + margin) hit = id;
+  }
+  return hit;
+};
+
+/**
+ * Pure function: an end for a point - the nearest anchor of the box under it, or the point itself
+ * @param {Object} point - { x, y }
+ * @param {Map} boxes
+ * @param {string} skipId - Container the other end is already attached to
+ * @returns {Object} end
+ */
+export const endAt = (point, boxes, skipId = null) => {
+  const id = boxAt(point, boxes, 8);
+  if (!id || id === skipId) return { x: point.x, y: point.y };
+  return { containerId: id, anchor: nearestAnchor(boxes.get(id), point) };
+};
+
+const resolveEnd = (end, boxes) => {
+  const box = end?.containerId && boxes.get(end.containerId);
+  if (box) return { ...anchorPoint(box, end.anchor), side: end.anchor };
+  return { x: end?.x ?? 0, y: end?.y ?? 0, side: null };
+};
+
+const lead = (p) => (p.side ? { x: p.x + NORMALS[p.side].x * LEAD, y: p.y + NORMALS[p.side].y * LEAD } : { x: p.x, y: p.y });
+
+const isHorizontal = (side) => side === 'left' || side === 'right';
+
+const elbowPoints = (a, b) => {
+  const a1 = lead(a);
+  const b1 = lead(b);
+  // A free end turns toward whichever way is further to go
+  const horizontal = a.side ? isHorizontal(a.side) : b.side ? !isHorizontal(b.side) : Math.abs(b.x - a.x) >= Math.abs(b.y - a.y);
+  const middle = horizontal
+    ? [{ x: (a1.x + b1.x) / 2, y: a1.y }, { x: (a1.x + b1.x) / 2, y: b1.y }]
+    : [{ x: a1.x, y: (a1.y + b1.y) / 2 }, { x: b1.x, y: (a1.y + b1.y) / 2 }];
+  const points = [a, a1, ...middle, b1, b];
+  // Drop repeated points so arrowheads point along a real segment
+  return points.filter((p, i) => i === 0 || p.x !== points[i - 1].x || p.y !== points[i - 1].y);
+};
+
+const bezierPoint = (p0, p1, p2, p3, t) => {
+  const u = 1 - t;
+  return {
+    x: u * u * u * p0.x + 3 * u * u * t * p1.x + 3 * u * t * t * p2.x + t * t * t * p3.x,
+    y: u * u * u * p0.y + 3 * u * u * t * p1.y + 3 * u * t * t * p2.y + t * t * t * p3.y,
+  };
+};
+
+/**
+ * Pure function: how a connector is drawn right now
+ * @param {Object} connector
+ * @param {Map} boxes - containerId -> { x, y, width, height }
+ * @returns {Object} { d, start, end, startFrom, endFrom, mid } - startFrom / endFrom are the points
+ *   the line arrives from at each end, for pointing arrowheads
+ */
+export const connectorRoute = (connector, boxes) => {
+  const a = resolveEnd(connector.from, boxes);
+  const b = resolveEnd(connector.to, boxes);
+  const start = { x: a.x, y: a.y };
+  const end = { x: b.x, y: b.y };
+
+  if (connector.style === 'elbow') {
+    const points = elbowPoints(a, b);
+    // Both ends on the same free point leave nothing to route
+    if (points.length < 2) return { d: `M ${a.x} ${a.y}`, start, end, startFrom: end, endFrom: start, mid: start };
+    const middle = Math.floor((points.length - 1) / 2);
+    return {
+      d: points.map((p, i) => `${i ? 'L' : 'M'} ${p.x} ${p.y}`).join(' '),
+      start,
+      end,
+      startFrom: points[1] || end,
+      endFrom: points[points.length - 2] || start,
+      mid: { x: (points[middle].x + points[middle + 1].x) / 2, y: (points[middle].y + points[middle + 1].y) / 2 },
+    };
+  }
+
+  if (connector.style === 'curved') {
+    const reach = Math.max(LEAD * 2, Math.hypot(b.x - a.x, b.y - a.y) / 3);
+    const control = (p, other) => {
+      if (!p.side) return { x: p.x + (other.x - p.x) / 3, y: p.y + (other.y - p.y) / 3 };
+      return { x: p.x + NORMALS[p.side].x * reach, y: p.y + NORMALS[p.side].y * reach };
+    };
+    const c1 = control(a, b);
+    const c2 = control(b, a);
+    return {
+      d: `M ${a.x} ${a.y} C ${c1.x} ${c1.y} ${c2.x} ${c2.y} ${b.x} ${b.y}`,
+      start,
+      end,
+      startFrom: bezierPoint(a, c1, c2, b, 0.1),
+      endFrom: bezierPoint(a, c1, c2, b, 0.9),
+      mid: bezierPoint(a, c1, c2, b, 0.5),
+    };
+  }
+
+  return {
+    d: `M ${a.x} ${a.y} L ${b.x} ${b.y}`,
+    start,
+    end,
+    startFrom: end,
+    endFrom: start,
+    mid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+  };
+};
+
+/**
+ * Pure function: filled arrowhead path with its tip at a point
+ * @param {Object} tip - { x, y }
+ * @param {Object} from - Point the line arrives from
+ * @param {number} size
+ * @returns {string} SVG path data
+ */
+export const arrowHeadPath = (tip, from, size = 10) => {
+  const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+  const x1 = tip.x - size * Math.cos(angle - Math.PI / 7);
+  const y1 = tip.y - size * Math.sin(angle - Math.PI / 7);
+  const x2 = tip.x - size * Math.cos(angle + Math.PI / 7);
+  const y2 = tip.y - size * Math.sin(angle + Math.PI / 7);
+  return `M ${tip.x} ${tip.y} L ${x1} ${y1} L ${x2} ${y2} Z`;
+};
+
+// --- Editing ---
+
+/**
+ * Pure function: connectors left after containers are removed
+ * Lines attached to a removed container go with it.
+ * @param {Array} connectors
+ * @param {Array<string>} containerIds
+ * @returns {Array}
+ */
+export const withoutContainers = (connectors, containerIds) =>
+  (connectors || []).filter((c) => !containerIds.includes(c.from?.containerId) && !containerIds.includes(c.to?.containerId));
+
+/**
+ * Pure function: a copy of a connector for pasting, offset where its ends are free
+ * @param {Object} connector
+ * @param {number} offset
+ * @returns {Object}
+ */
+export const copyConnector = (connector, offset = 20) => {
+  const shift = (end) => (end.containerId ? { ...end } : { x: end.x + offset, y: end.y + offset });
+  return { ...connector, id: generateId(), from: shift(connector.from), to: shift(connector.to) };
+};
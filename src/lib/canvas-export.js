@@ -0,0 +1,373 @@
+// Exporting canvas pages as SVG, PNG or PDF
+// The whole canvas, or just the selected items, is drawn into one standalone SVG: text and shape
+// content as XHTML inside <foreignObject>, images as <image>, maps as a static snapshot of their
+// map tiles with the markers on top, then drawn paths and connectors. PNG and PDF are rasterised
+// from that SVG.
+//
+// options = {
+//   boxes: Map containerId -> { x, y, width, height } (content boxes, as the canvas measures them),
+//   selection: [{ type, id }] (empty for the whole canvas),
+//   background: 'transparent' | 'white', padding,
+//   cards: Map containerId -> cardSummary (what page, Drive and database cards say, read from the workspace),
+// }
+
+import { shapeOutline, connectorRoute, arrowHeadPath } from './canvas-diagram';
+import { inkStyle } from './canvas-ink';
+import { unionBounds, isSelected } from './canvas-arrange';
+import { createImagePdf, deflate } from './pdf';
+
+export const EXPORT_FORMATS = [
+  { format: 'svg', label: 'SVG', mimeType: 'image/svg+xml' },
+  { format: 'png', label: 'PNG', mimeType: 'image/png' },
+  { format: 'pdf', label: 'PDF', mimeType: 'application/pdf' },
+];
+
+export const EXPORT_SCALES = [1, 2, 3];
+
+const TILE_SIZE = 256;
+const TILE_URL = 'https://tile.openstreetmap.org';
+const MAP_ATTRIBUTION = '© OpenStreetMap contributors';
+// CSS pixels are 1/96 inch, PDF points 1/72
+const PX_TO_PT = 0.75;
+
+const escapeXml = (value) =>
+  String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const attrs = (obj) => Object.entries(obj).map(([k, v]) => ` ${k}="${escapeXml(v)}"`).join('');
+
+// Editor HTML as well-formed XHTML, which <foreignObject> needs
+const toXhtml = (html) => {
+  if (typeof document === 'undefined') return escapeXml(String(html || '').replace(/<[^>]*>/g, ' '));
+  const doc = document.implementation.createHTMLDocument('');
+  const div = doc.createElement('div');
+  div.innerHTML = html || '';
+  const serializer = new XMLSerializer();
+  return [...div.childNodes].map((node) => serializer.serializeToString(node)).join('');
+};
+
+// --- What gets exported ---
+
+/**
+ * Pure function: the items an export covers
+ * With a selection, connectors come along when selected or when both their ends are on selected containers.
+ * @param {Object} canvasData - { containers, paths, connectors }
+ * @param {Array} selection - [{ type, id }], empty for everything
+ * @returns {Object} { containers, paths, connectors }
+ */
+export const exportItems = (canvasData, selection = []) => {
+  const containers = canvasData.containers || [];
+  const paths = canvasData.paths || [];
+  const connectors = canvasData.connectors || [];
+  if (!selection.length) return { containers, paths, connectors };
+  const picked = containers.filter((c) => isSelected(selection, 'container', c.id));
+  const ids = new Set(picked.map((c) => c.id));
+  return {
+    containers: picked,
+    paths: paths.filter((p) => isSelected(selection, 'path', p.id)),
+    connectors: connectors.filter(
+      (c) => isSelected(selection, 'connector', c.id) || (ids.has(c.from?.containerId) && ids.has(c.to?.containerId))
+    ),
+  };
+};
+
+const boxOf = (container, boxes) =>
+  boxes?.get(container.id) || {
+    x: container.x,
+    y: container.y,
+    width: container.width || 200,
+    height: container.height || (container.type === 'image' ? 200 : 100),
+  };
+
+/**
+ * Pure function: the area an export shows, padded
+ * @param {Object} items - From exportItems
+ * @param {Map} boxes
+ * @param {number} padding
+ * @returns {Object|null} { x, y, width, height }
+ */
+export const exportBounds = (items, boxes, padding = 24) => {
+  const parts = [
+    ...items.containers.map((c) => boxOf(c, boxes)),
+    ...items.paths.map((p) => {
+      const reach = (p.strokeWidth || 2) + 10;
+      return { x: p.x - reach, y: p.y - reach, width: (p.width || 0) + reach * 2, height: (p.height || 0) + reach * 2 };
+    }),
+    ...items.connectors.flatMap((c) => {
+      const route = connectorRoute(c, boxes || new Map());
+      const label = c.label ? [{ x: route.mid.x - c.label.length * 4, y: route.mid.y - 10, width: c.label.length * 8, height: 20 }] : [];
+      return [route.start, route.end, route.startFrom, route.endFrom, route.mid]
+        .map((p) => ({ x: p.x - 12, y: p.y - 12, width: 24, height: 24 }))
+        .concat(label);
+    }),
+  ];
+  const bounds = unionBounds(parts);
+  if (!bounds) return null;
+  return {
+    x: Math.floor(bounds.x - padding),
+    y: Math.floor(bounds.y - padding),
+    width: Math.ceil(bounds.width + padding * 2),
+    height: Math.ceil(bounds.height + padding * 2),
+  };
+};
+
+// --- Maps ---
+
+const project = (lat, lng, zoom) => {
+  const world = TILE_SIZE * 2 ** zoom;
+  const sin = Math.sin((Math.max(-85, Math.min(85, lat)) * Math.PI) / 180);
+  return {
+    x: ((lng + 180) / 360) * world,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * world,
+  };
+};
+
+/**
+ * Pure function: the map tiles and marker positions covering a width x height view of a map
+ * @param {Object} mapData - { center: [lat, lng], zoom, markers: [{ lat, lng, label }] }
+ * @param {number} width
+ * @param {number} height
+ * @returns {Object} { tiles: [{ href, x, y }], markers: [{ x, y, label }] } - positions inside the view
+ */
+export const mapSnapshot = (mapData, width, height) => {
+  const zoom = Math.round(mapData?.zoom ?? 13);
+  const [lat, lng] = mapData?.center || [40.7128, -74.006];
+  const center = project(lat, lng, zoom);
+  const left = center.x - width / 2;
+  const top = center.y - height / 2;
+  const count = 2 ** zoom;
+  const tiles = [];
+  for (let ty = Math.floor(top / TILE_SIZE); ty * TILE_SIZE < top + height; ty++) {
+    if (ty < 0 || ty >= count) continue;
+    for (let tx = Math.floor(left / TILE_SIZE); tx * TILE_SIZE < left + width; tx++) {
+      const wrapped = ((tx % count) + count) % count;
+      tiles.push({ href: `${TILE_URL}/${zoom}/${wrapped}/${ty}.png`, x: tx * TILE_SIZE - left, y: ty * TILE_SIZE - top });
+    }
+  }
+  const markers = (mapData?.markers || []).map((m) => {
+    const p = project(m.lat, m.lng, zoom);
+    return { x: p.x - left, y: p.y - top, label: m.label || '' };
+  });
+  return { tiles, markers };
+};
+
+// --- Drawing ---
+
+const drawnPath = (path) => {
+  if (!path.points?.length) return '';
+  const ink = inkStyle(path);
+  return `<path${attrs({
+    d: ink.d,
+    fill: ink.fill,
+    stroke: ink.stroke,
+    'stroke-width': ink.strokeWidth,
+    'stroke-linecap': 'round',
+    'stroke-linejoin': 'round',
+    ...(ink.opacity < 1 && { opacity: ink.opacity, style: 'mix-blend-mode:multiply' }),
+  })}/>`;
+};
+
+const htmlBox = (box, html, style) =>
+  `<foreignObject${attrs({ x: box.x, y: box.y, width: box.width, height: box.height })}>` +
+  `<div xmlns="http://www.w3.org/1999/xhtml" class="content" style="${style}">${toXhtml(html)}</div></foreignObject>`;
+
+// A card as it looks on the canvas: icon and title over a few lines or a small table
+const cardHtml = (summary) => {
+  const head = `<div style="display:flex;gap:8px;padding:8px 12px;border-bottom:1px solid #f3f4f6">` +
+    `<span style="font-size:18px">${escapeXml(summary.icon)}</span><div style="min-width:0">` +
+    `<div style="font-weight:500;white-space:nowrap;overflow:hidden;text-overflow:ellipsis">${escapeXml(summary.title)}</div>` +
+    `<div style="font-size:12px;color:#9ca3af;white-space:nowrap;overflow:hidden;text-overflow:ellipsis">${escapeXml(summary.subtitle)}</div></div></div>`;
+  const cell = 'padding:4px 8px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;text-align:left';
+  const body = summary.table
+    ? `<table style="width:100%;table-layout:fixed;border-collapse:collapse;font-size:12px;margin:4px 0">` +
+      `<tr>${summary.table.columns.map((col) => `<th style="${cell};font-weight:500;color:#9ca3af">${escapeXml(col.name)}</th>`).join('')}</tr>` +
+      summary.table.rows.map((row) => `<tr style="border-top:1px solid #f3f4f6">${row.cells.map((text) => `<td style="${cell}">${escapeXml(text)}</td>`).join('')}</tr>`).join('') +
+      '</table>'
+    : `<div style="padding:8px 12px;font-size:14px;color:#4b5563">${summary.lines.map((line) =>
+      `<div style="white-space:nowrap;overflow:hidden;text-overflow:ellipsis">${escapeXml(line)}</div>`).join('')}</div>`;
+  return head + body;
+};
+
+const drawContainer = (c, box, cards) => {
+  if (cards?.has(c.id)) {
+    return `<rect${attrs({ ...box, fill: '#ffffff', stroke: '#e5e7eb', rx: 4 })}/>` + htmlBox(box, cardHtml(cards.get(c.id)), 'width:100%;height:100%');
+  }
+  if (c.type === 'shape') {
+    const { tag, attrs: outline } = shapeOutline(c.shape, box.width, box.height);
+    const sticky = c.shape === 'sticky';
+    const layout = sticky
+      ? 'width:100%;height:100%;padding:8px 12px;text-align:left'
+      : 'width:100%;height:100%;padding:8px 12px;display:flex;flex-direction:column;justify-content:center;text-align:center';
+    return `<g transform="translate(${box.x} ${box.y})">` +
+      `<${tag}${attrs({ ...outline, fill: c.fill || '#ffffff', stroke: c.stroke || 'none', 'stroke-width': 2 })}/></g>` +
+      htmlBox(box, c.content, layout);
+  }
+  if (c.type === 'text') {
+    return `<rect${attrs({ ...box, fill: '#ffffff' })}/>` + htmlBox(box, c.content, 'padding:8px 12px');
+  }
+  if (c.type === 'map') {
+    const { tiles, markers } = mapSnapshot(c.mapData, box.width, box.height);
+    const clip = `clip-${c.id}`;
+    return `<clipPath id="${escapeXml(clip)}"><rect${attrs({ ...box })}/></clipPath>` +
+      `<g clip-path="url(#${escapeXml(clip)})"><rect${attrs({ ...box, fill: '#e5e7eb' })}/>` +
+      `<g transform="translate(${box.x} ${box.y})">` +
+      tiles.map((t) => `<image${attrs({ href: t.href, x: t.x, y: t.y, width: TILE_SIZE, height: TILE_SIZE })}/>`).join('') +
+      markers.map((m) =>
+        `<g transform="translate(${m.x} ${m.y})"><path d="M 0 0 C -3 -8 -9 -12 -9 -18 A 9 9 0 1 1 9 -18 C 9 -12 3 -8 0 0 Z" fill="#2563eb" stroke="#ffffff" stroke-width="1.5"/>` +
+        `<circle cy="-18" r="3.5" fill="#ffffff"/>${m.label ? `<title>${escapeXml(m.label)}</title>` : ''}</g>`
+      ).join('') +
+      `<text${attrs({ x: box.width - 4, y: box.height - 4, 'text-anchor': 'end', 'font-size': 10, fill: '#374151', stroke: '#ffffff', 'stroke-width': 3, 'paint-order': 'stroke' })}>${escapeXml(MAP_ATTRIBUTION)}</text>` +
+      '</g></g>';
+  }
+  // Images keep the small inset they have on the canvas
+  return `<rect${attrs({ ...box, fill: '#ffffff' })}/>` +
+    `<image${attrs({ href: c.content || '', x: box.x + 4, y: box.y + 4, width: Math.max(0, box.width - 8), height: Math.max(0, box.height - 8), preserveAspectRatio: 'xMidYMid meet' })}/>`;
+};
+
+const drawConnector = (c, boxes) => {
+  const route = connectorRoute(c, boxes);
+  const color = c.color || '#374151';
+  let out = `<path${attrs({ d: route.d, stroke: color, 'stroke-width': 2, fill: 'none', 'stroke-linejoin': 'round', 'stroke-linecap': 'round' })}/>`;
+  if (c.endArrow) out += `<path${attrs({ d: arrowHeadPath(route.end, route.endFrom), fill: color })}/>`;
+  if (c.startArrow) out += `<path${attrs({ d: arrowHeadPath(route.start, route.startFrom), fill: color })}/>`;
+  if (c.label) {
+    out += `<text${attrs({
+      x: route.mid.x, y: route.mid.y, 'text-anchor': 'middle', 'dominant-baseline': 'middle', 'font-size': 13,
+      fill: color, stroke: '#ffffff', 'stroke-width': 4, 'paint-order': 'stroke',
+    })}>${escapeXml(c.label)}</text>`;
+  }
+  return out;
+};
+
+/**
+ * Pure function: a canvas, or the selected part of it, as a standalone SVG document
+ * Images and map tiles are still linked by URL; run inlineImages before saving.
+ * @param {Object} canvasData - { containers, paths, connectors }
+ * @param {Object} options - See the top of this file
+ * @returns {Object|null} { svg, width, height } - null when there is nothing to export
+ */
+export const canvasToSvg = (canvasData, { boxes = new Map(), selection = [], background = 'transparent', padding = 24, cards = new Map() } = {}) => {
+  const items = exportItems(canvasData, selection);
+  const bounds = exportBounds(items, boxes, padding);
+  if (!bounds) return null;
+
+  // Connectors sit under containers and drawn paths on top, as on the canvas
+  const body = [
+    ...items.connectors.map((c) => drawConnector(c, boxes)),
+    ...items.containers.map((c) => drawContainer(c, boxOf(c, boxes), cards)),
+    ...items.paths.map((p) => `<g transform="translate(${p.x} ${p.y})">${drawnPath(p)}</g>`),
+  ].join('\n');
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${bounds.width}" height="${bounds.height}" viewBox="${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}">`,
+    '<style>.content{box-sizing:border-box;overflow:hidden;font:16px/1.5 ui-sans-serif,system-ui,sans-serif;color:#111827;word-wrap:break-word}' +
+      '.content *{box-sizing:border-box}.content p{margin:0}.content ul,.content ol{margin:0;padding-left:1.5em}' +
+      '.content input[type=checkbox]{margin-right:8px;vertical-align:middle}</style>',
+    background === 'white' ? `<rect${attrs({ ...bounds, fill: '#ffffff' })}/>` : '',
+    body,
+    '</svg>',
+  ].join('\n');
+  return { svg, width: bounds.width, height: bounds.height };
+};
+
+// --- Files ---
+
+const blobToDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+/**
+ * Replace linked images (pictures, map tiles) with data URLs, so the SVG stands alone and can be
+ * drawn onto a canvas without tainting it. Images that can't be fetched are left linked.
+ * @param {string} svg
+ * @returns {Promise<string>}
+ */
+export const inlineImages = async (svg) => {
+  const urls = [...new Set([...svg.matchAll(/ href="(https?:[^"]+)"/g)].map((m) => m[1]))];
+  const inlined = new Map();
+  await Promise.all(urls.map(async (escaped) => {
+    const url = escaped.replace(/&quot;/g, '"').replace(/&gt;/g, '>').replace(/&lt;/g, '<').replace(/&amp;/g, '&');
+    try {
+      const response = await fetch(url, { mode: 'cors' });
+      if (!response.ok) return;
+      inlined.set(escaped, await blobToDataUrl(await response.blob()));
+    } catch {
+      // Leave it linked
+    }
+  }));
+  return svg.replace(/ href="(https?:[^"]+)"/g, (match, url) => (inlined.has(url) ? ` href="${inlined.get(url)}"` : match));
+};
+
+/**
+ * Draw an SVG onto a canvas element
+ * @param {string} svg
+ * @param {Object} size - { width, height } of the SVG
+ * @param {number} scale - Pixels per SVG unit
+ * @param {string} background - 'transparent' | 'white'
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export const rasterizeSvg = async (svg, { width, height }, scale = 2, background = 'transparent') => {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d');
+    if (background === 'white') {
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    return canvas;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+/**
+ * A one-page PDF of a rasterised canvas, page sized to the drawing at 96 pixels per inch
+ * Transparent pixels stay transparent through the image's alpha mask.
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} size - { width, height } in CSS pixels
+ * @returns {Promise<Blob>}
+ */
+export const canvasToPdf = async (canvas, { width, height }) => {
+  const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  const pixels = canvas.width * canvas.height;
+  const rgb = new Uint8Array(pixels * 3);
+  const alpha = new Uint8Array(pixels);
+  let opaque = true;
+  for (let i = 0; i < pixels; i++) {
+    rgb[i * 3] = data[i * 4];
+    rgb[i * 3 + 1] = data[i * 4 + 1];
+    rgb[i * 3 + 2] = data[i * 4 + 2];
+    alpha[i] = data[i * 4 + 3];
+    if (alpha[i] !== 255) opaque = false;
+  }
+  return createImagePdf(
+    { pixelWidth: canvas.width, pixelHeight: canvas.height, rgb: await deflate(rgb), alpha: opaque ? null : await deflate(alpha) },
+    { width: width * PX_TO_PT, height: height * PX_TO_PT }
+  );
+};
+
+/**
+ * Export a canvas, or its selection, as a file
+ * @param {Object} canvasData
+ * @param {Object} options - { format: 'svg' | 'png' | 'pdf', scale, background, boxes, selection, cards }
+ * @returns {Promise<Blob|null>} null when there is nothing to export
+ */
+export const exportCanvas = async (canvasData, { format = 'png', scale = 2, background = 'transparent', ...options } = {}) => {
+  const drawn = canvasToSvg(canvasData, { ...options, background });
+  if (!drawn) return null;
+  const svg = await inlineImages(drawn.svg);
+  if (format === 'svg') return new Blob([svg], { type: 'image/svg+xml' });
+  const canvas = await rasterizeSvg(svg, drawn, scale, background);
+  if (format === 'pdf') return canvasToPdf(canvas, drawn);
+  return new Promise((resolve, reject) => canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not create the image'))), 'image/png'));
+};
@@ -0,0 +1,163 @@
+// Frames and viewport navigation for canvas pages
+// Frames are named regions kept in canvasData.frames; their order is the order presentation mode
+// steps through them. The viewport is the page's transform { x, y, scale }: the canvas background
+// sits at -CANVAS_OFFSET and is translated then scaled, so canvas point p shows on screen at
+// -CANVAS_OFFSET + x + (p + CANVAS_OFFSET) * scale.
+//
+// frame = { id, name, x, y, width, height }
+
+import { generateId } from './utils';
+
+export const CANVAS_OFFSET = 25000;
+export const MIN_SCALE = 0.1;
+export const MAX_SCALE = 5;
+
+const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
+
+// --- Frames ---
+
+/**
+ * Pure function: the next unused "Frame N" name
+ */
+export const nextFrameName = (frames) => {
+  const taken = new Set((frames || []).map((f) => f.name));
+  let n = (frames || []).length + 1;
+  while (taken.has(`Frame ${n}`)) n++;
+  return `Frame ${n}`;
+};
+
+/**
+ * Create a frame over a canvas rectangle
+ * @param {Object} rect - { x, y, width, height }
+ * @param {Array} frames - Existing frames, for the default name
+ * @returns {Object} Frame
+ */
+export const createFrame = (rect, frames = []) => ({
+  id: generateId(),
+  name: nextFrameName(frames),
+  x: Math.round(rect.x),
+  y: Math.round(rect.y),
+  width: Math.round(rect.width),
+  height: Math.round(rect.height),
+});
+
+/**
+ * Pure function: a rectangle grown by a margin on every side (for framing a selection)
+ */
+export const padRect = (rect, margin) => ({
+  x: rect.x - margin,
+  y: rect.y - margin,
+  width: rect.width + margin * 2,
+  height: rect.height + margin * 2,
+});
+
+/**
+ * Pure function: frames with one moved a step earlier or later in the presentation order
+ * @param {Array} frames
+ * @param {string} id
+ * @param {number} step - -1 or 1
+ * @returns {Array}
+ */
+export const moveFrameInOrder = (frames, id, step) => {
+  const from = frames.findIndex((f) => f.id === id);
+  const to = from + step;
+  if (from < 0 || to < 0 || to >= frames.length) return frames;
+  const next = [...frames];
+  [next[from], next[to]] = [next[to], next[from]];
+  return next;
+};
+
+const encloses = (outer, box) =>
+  box.x >= outer.x && box.y >= outer.y && box.x + box.width <= outer.x + outer.width && box.y + box.height <= outer.y + outer.height;
+
+/**
+ * Pure function: the items lying wholly inside a frame, which move along with it
+ * @param {Object} frame
+ * @param {Array} containers
+ * @param {Array} paths
+ * @param {Map} boxes - containerId -> { x, y, width, height }
+ * @returns {Array} Selection items
+ */
+export const itemsInFrame = (frame, containers, paths, boxes) => [
+  ...containers.filter((c) => boxes.get(c.id) && encloses(frame, boxes.get(c.id))).map((c) => ({ type: 'container', id: c.id })),
+  ...paths
+    .filter((p) => encloses(frame, { x: p.x, y: p.y, width: p.width || 0, height: p.height || 0 }))
+    .map((p) => ({ type: 'path', id: p.id })),
+];
+
+// --- Viewport ---
+
+/**
+ * Pure function: the part of the canvas the viewport shows
+ * @param {Object} transform - { x, y, scale }
+ * @param {Object} viewport - { width, height } of the canvas element
+ * @returns {Object} { x, y, width, height } in canvas coordinates
+ */
+export const visibleRect = (transform, viewport) => ({
+  x: (CANVAS_OFFSET - transform.x) / transform.scale - CANVAS_OFFSET,
+  y: (CANVAS_OFFSET - transform.y) / transform.scale - CANVAS_OFFSET,
+  width: viewport.width / transform.scale,
+  height: viewport.height / transform.scale,
+});
+
+/**
+ * Pure function: the transform that puts a canvas point in the middle of the viewport
+ */
+export const centerOn = (point, viewport, scale) => ({
+  x: viewport.width / 2 + CANVAS_OFFSET - (point.x + CANVAS_OFFSET) * scale,
+  y: viewport.height / 2 + CANVAS_OFFSET - (point.y + CANVAS_OFFSET) * scale,
+  scale,
+});
+
+/**
+ * Pure function: the transform that fits a canvas rectangle in the viewport, centred
+ * @param {Object} rect - { x, y, width, height }
+ * @param {Object} viewport - { width, height }
+ * @param {Object} options - { margin: screen pixels kept free around it, maxScale }
+ * @returns {Object} { x, y, scale }
+ */
+export const fitTransform = (rect, viewport, { margin = 48, maxScale = 2 } = {}) => {
+  const room = (size) => Math.max(1, size - margin * 2);
+  const scale = clamp(
+    Math.min(room(viewport.width) / Math.max(1, rect.width), room(viewport.height) / Math.max(1, rect.height)),
+    MIN_SCALE,
+    maxScale
+  );
+  return centerOn({ x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 }, viewport, scale);
+};
+
+// --- Minimap ---
+
+/**
+ * Pure function: how a minimap of a given size draws a canvas area
+ * The area is scaled to fit and centred.
+ * @param {Object} world - { x, y, width, height } canvas area to show
+ * @param {Object} size - { width, height } of the minimap
+ * @returns {Object} { scale, x, y } - minimap point = (canvas point - world corner) * scale + { x, y }
+ */
+export const minimapView = (world, size) => {
+  const scale = Math.min(size.width / Math.max(1, world.width), size.height / Math.max(1, world.height));
+  return {
+    scale,
+    x: (size.width - world.width * scale) / 2 - world.x * scale,
+    y: (size.height - world.height * scale) / 2 - world.y * scale,
+  };
+};
+
+/**
+ * Pure function: a canvas rectangle in minimap coordinates
+ */
+export const toMinimap = (view, rect) => ({
+  x: rect.x * view.scale + view.x,
+  y: rect.y * view.scale + view.y,
+  width: rect.width * view.scale,
+  height: rect.height * view.scale,
+});
+
+/**
+ * Pure function: the canvas point under a minimap point
+ */
+export const fromMinimap = (view, point) => ({
+  x: (point.x - view.x) / view.scale,
+  y: (point.y - view.y) / view.scale,
+});
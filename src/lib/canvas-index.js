@@ -0,0 +1,195 @@
+// Spatial index for canvas pages
+// A quadtree over canvas coordinates, so the page can find what lies in the viewport or under the
+// pointer without looking at every item. Each item sits in the smallest node that wholly holds its
+// box; an item straddling a node's centre lines stays in that node, and anything outside the world
+// stays in the root. The index is kept in step with the page's lists by syncIndex, which only moves
+// the items whose boxes changed.
+//
+// This module has no imports so the benchmark (scripts/bench-canvas-index.js) can run it in Node.
+//
+// index = { root: node, types: Map(type -> Map(id -> entry)) }
+// node  = { x, y, width, height, depth, entries: [entry], children: [node x4] | null }
+// entry = { type, id, item, box: { x, y, width, height }, order, node }
+
+// The canvas background is 50000px square with canvas point 0,0 in its middle
+const WORLD = { x: -25000, y: -25000, width: 50000, height: 50000 };
+const MAX_ENTRIES = 16;
+const MAX_DEPTH = 12;
+
+const makeNode = (x, y, width, height, depth) => ({ x, y, width, height, depth, entries: [], children: null });
+
+const intersects = (a, b) => a.x <= b.x + b.width && b.x <= a.x + a.width && a.y <= b.y + b.height && b.y <= a.y + a.height;
+
+const contains = (outer, box) =>
+  box.x >= outer.x && box.y >= outer.y && box.x + box.width <= outer.x + outer.width && box.y + box.height <= outer.y + outer.height;
+
+const sameBox = (a, b) => a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+
+// Boxes are copied so later changes to the item can't move it inside the tree unnoticed
+const toBox = (box) => ({ x: box?.x || 0, y: box?.y || 0, width: Math.max(0, box?.width || 0), height: Math.max(0, box?.height || 0) });
+
+const split = (node) => {
+  const w = node.width / 2;
+  const h = node.height / 2;
+  const depth = node.depth + 1;
+  node.children = [
+    makeNode(node.x, node.y, w, h, depth),
+    makeNode(node.x + w, node.y, w, h, depth),
+    makeNode(node.x, node.y + h, w, h, depth),
+    makeNode(node.x + w, node.y + h, w, h, depth),
+  ];
+  const keep = [];
+  for (const entry of node.entries) {
+    const child = node.children.find((c) => contains(c, entry.box));
+    if (child) {
+      child.entries.push(entry);
+      entry.node = child;
+    } else {
+      keep.push(entry);
+    }
+  }
+  node.entries = keep;
+};
+
+const insertEntry = (node, entry) => {
+  while (node.children) {
+    const child = node.children.find((c) => contains(c, entry.box));
+    if (!child) break;
+    node = child;
+  }
+  node.entries.push(entry);
+  entry.node = node;
+  if (!node.children && node.entries.length > MAX_ENTRIES && node.depth < MAX_DEPTH) split(node);
+};
+
+// Nodes are not merged back when they empty; a split node costs four small objects
+const removeEntry = (entry) => {
+  const list = entry.node.entries;
+  const at = list.indexOf(entry);
+  if (at >= 0) list.splice(at, 1);
+  entry.node = null;
+};
+
+const collect = (node, rect, type, out) => {
+  for (const entry of node.entries) {
+    if (entry.type === type && intersects(entry.box, rect)) out.push(entry);
+  }
+  if (!node.children) return;
+  for (const child of node.children) {
+    if (intersects(child, rect)) collect(child, rect, type, out);
+  }
+};
+
+const entriesOf = (index, type) => {
+  if (!index.types.has(type)) index.types.set(type, new Map());
+  return index.types.get(type);
+};
+
+/**
+ * Create an empty index
+ * @param {Object} world - { x, y, width, height } area the tree divides; defaults to the whole canvas
+ * @returns {Object} Index
+ */
+export const createSpatialIndex = (world = WORLD) => ({
+  root: makeNode(world.x, world.y, world.width, world.height, 0),
+  types: new Map(),
+});
+
+/**
+ * Add an item, or move it if it is already there
+ * @param {Object} index
+ * @param {string} type - 'container', 'path', 'frame', ...
+ * @param {Object} item - Anything with an id; handed back by queries
+ * @param {Object} box - { x, y, width, height } in canvas coordinates
+ * @param {number} order - Position in the page's list, so queries can keep the drawing order
+ */
+export const insertItem = (index, type, item, box, order = 0) => {
+  const entries = entriesOf(index, type);
+  const next = toBox(box);
+  const entry = entries.get(item.id);
+  if (entry) {
+    entry.item = item;
+    entry.order = order;
+    if (sameBox(entry.box, next)) return;
+    removeEntry(entry);
+    entry.box = next;
+    insertEntry(index.root, entry);
+    return;
+  }
+  const created = { type, id: item.id, item, box: next, order, node: null };
+  entries.set(item.id, created);
+  insertEntry(index.root, created);
+};
+
+/**
+ * Take an item out of the index
+ */
+export const removeItem = (index, type, id) => {
+  const entries = entriesOf(index, type);
+  const entry = entries.get(id);
+  if (!entry) return;
+  removeEntry(entry);
+  entries.delete(id);
+};
+
+/**
+ * Bring the items of one type in line with a list
+ * Items are compared by identity, as the page replaces an item whenever it edits it, so after an
+ * edit only the edited items are looked at again.
+ * @param {Object} index
+ * @param {string} type
+ * @param {Array} items - The current list; its order becomes the query order
+ * @param {Function} boxOf - item -> { x, y, width, height }
+ * @param {Object} options - { remeasure: true when boxOf may give unchanged items a new box }
+ * @returns {Object} { added, moved, removed } counts
+ */
+export const syncIndex = (index, type, items, boxOf, { remeasure = false } = {}) => {
+  const entries = entriesOf(index, type);
+  const counts = { added: 0, moved: 0, removed: 0 };
+  let found = 0;
+  items.forEach((item, order) => {
+    const entry = entries.get(item.id);
+    if (entry) found++;
+    if (entry && entry.item === item && !remeasure) {
+      entry.order = order;
+      return;
+    }
+    const box = boxOf(item);
+    if (!entry) counts.added++;
+    else if (!sameBox(entry.box, toBox(box))) counts.moved++;
+    insertItem(index, type, item, box, order);
+  });
+  // Every entry was matched by an item, so nothing was deleted
+  if (found === entries.size - counts.added) return counts;
+  const ids = new Set(items.map((item) => item.id));
+  for (const id of [...entries.keys()]) {
+    if (ids.has(id)) continue;
+    removeItem(index, type, id);
+    counts.removed++;
+  }
+  return counts;
+};
+
+/**
+ * The items of a type whose boxes touch a rectangle, in list order
+ * @param {Object} index
+ * @param {string} type
+ * @param {Object} rect - { x, y, width, height }
+ * @returns {Array} Items
+ */
+export const queryRect = (index, type, rect) => {
+  const found = [];
+  collect(index.root, rect, type, found);
+  return found.sort((a, b) => a.order - b.order).map((entry) => entry.item);
+};
+
+/**
+ * The items of a type whose boxes come within a radius of a point, in list order
+ */
+export const queryPoint = (index, type, point, radius = 0) =>
+  queryRect(index, type, { x: point.x - radius, y: point.y - radius, width: radius * 2, height: radius * 2 });
+
+/**
+ * The item the index holds for an id, to tell whether a list item is the one it was last synced with
+ */
+export const indexedItem = (index, type, id) => index.types.get(type)?.get(id)?.item;
@@ -0,0 +1,424 @@
+// Ink for canvas pages: pen strokes, highlighter, partial erasing, lasso, shape recognition and the
+// bitmap that stands in for the strokes when a busy canvas is zoomed out
+// Drawn paths live in canvasData.paths with their points relative to the path's top-left corner.
+// A pen stroke drawn with a stylus keeps each point's pressure and is drawn as a filled outline
+// whose width follows it; other strokes are drawn as plain lines of strokeWidth * 2.
+//
+// path = {
+//   id, x, y, width, height, points: [{ x, y, p? }], color, strokeWidth,
+//   pressure?: true, highlighter?: true, isArrow?: true, groupId?
+// }
+
+import { generateId } from './utils';
+
+// Highlighter ink is laid down under text-like opacity so what is underneath shows through
+export const HIGHLIGHTER_OPACITY = 0.35;
+export const HIGHLIGHTER_COLORS = ['#FDE047', '#86EFAC', '#93C5FD', '#F9A8D4'];
+
+// Thinnest a pressure stroke gets, as a share of its full width
+const MIN_PRESSURE_WIDTH = 0.25;
+
+const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+// --- Building paths ---
+
+/**
+ * Pure function: a path from absolute canvas points, with its box worked out
+ * @param {Object} template - Path fields to keep (color, strokeWidth, ...)
+ * @param {Array} points - [{ x, y, p? }] in canvas coordinates
+ * @returns {Object} Path
+ */
+export const pathFromPoints = (template, points) => {
+  const minX = Math.min(...points.map((pt) => pt.x));
+  const minY = Math.min(...points.map((pt) => pt.y));
+  const maxX = Math.max(...points.map((pt) => pt.x));
+  const maxY = Math.max(...points.map((pt) => pt.y));
+  const { bounds: _bounds, ...rest } = template;
+  return {
+    ...rest,
+    x: minX,
+    y: minY,
+    width: maxX - minX,
+    height: maxY - minY,
+    points: points.map((pt) => (pt.p === undefined ? { x: pt.x - minX, y: pt.y - minY } : { x: pt.x - minX, y: pt.y - minY, p: pt.p })),
+  };
+};
+
+/**
+ * Pure function: a path's points in canvas coordinates
+ */
+export const absolutePoints = (path) => path.points.map((pt) => ({ ...pt, x: pt.x + path.x, y: pt.y + path.y }));
+
+/**
+ * Pure function: points with the jitter of a hand-drawn line averaged out
+ * The ends stay where they were drawn.
+ * @param {Array} points
+ * @param {number} passes
+ * @returns {Array}
+ */
+export const smoothPoints = (points, passes = 2) => {
+  let out = points;
+  for (let n = 0; n < passes && out.length > 2; n++) {
+    out = out.map((pt, i) => {
+      if (i === 0 || i === out.length - 1) return pt;
+      const prev = out[i - 1];
+      const next = out[i + 1];
+      const avg = { x: (prev.x + pt.x * 2 + next.x) / 4, y: (prev.y + pt.y * 2 + next.y) / 4 };
+      return pt.p === undefined ? avg : { ...avg, p: (prev.p + pt.p * 2 + next.p) / 4 };
+    });
+  }
+  return out;
+};
+
+/**
+ * Pure function: the fewest points that keep a line within a tolerance of the original
+ * (Ramer-Douglas-Peucker). Points where the pressure changes noticeably are kept too.
+ * @param {Array} points
+ * @param {number} tolerance - Canvas units
+ * @returns {Array}
+ */
+export const simplifyPoints = (points, tolerance = 0.75) => {
+  if (points.length < 3) return points;
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+  const stack = [[0, points.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    const a = points[first];
+    const b = points[last];
+    const length = distance(a, b);
+    let worst = -1;
+    let worstIndex = -1;
+    for (let i = first + 1; i < last; i++) {
+      const pt = points[i];
+      const off = length
+        ? Math.abs((b.x - a.x) * (a.y - pt.y) - (a.x - pt.x) * (b.y - a.y)) / length
+        : distance(a, pt);
+      let err = off / tolerance;
+      if (pt.p !== undefined) {
+        const t = length ? ((pt.x - a.x) * (b.x - a.x) + (pt.y - a.y) * (b.y - a.y)) / (length * length) : 0;
+        err = Math.max(err, Math.abs(pt.p - (a.p + (b.p - a.p) * Math.max(0, Math.min(1, t)))) / 0.1);
+      }
+      if (err > worst) {
+        worst = err;
+        worstIndex = i;
+      }
+    }
+    if (worst > 1) {
+      keep[worstIndex] = true;
+      stack.push([first, worstIndex], [worstIndex, last]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+};
+
+/**
+ * Pure function: a finished stroke smoothed and thinned out, ready to store
+ * @param {Object} path - Path being drawn, with absolute points
+ * @param {number} tolerance - Canvas units (a fraction of a screen pixel at the current zoom)
+ * @returns {Object} Path
+ */
+export const finishStroke = (path, tolerance) => {
+  const points = path.isArrow ? [path.points[0], path.points[path.points.length - 1]] : simplifyPoints(smoothPoints(path.points), tolerance);
+  return pathFromPoints(path, points);
+};
+
+// --- Drawing ---
+
+const round = (n) => Math.round(n * 100) / 100;
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+/**
+ * Pure function: SVG path data for a line through points, rounded off between them
+ */
+export const inkLine = (points) => {
+  if (points.length < 2) return '';
+  if (points.length === 2) return `M ${round(points[0].x)} ${round(points[0].y)} L ${round(points[1].x)} ${round(points[1].y)}`;
+  let d = `M ${round(points[0].x)} ${round(points[0].y)}`;
+  for (let i = 1; i < points.length - 1; i++) {
+    const mid = midpoint(points[i], points[i + 1]);
+    d += ` Q ${round(points[i].x)} ${round(points[i].y)} ${round(mid.x)} ${round(mid.y)}`;
+  }
+  const last = points[points.length - 1];
+  return `${d} L ${round(last.x)} ${round(last.y)}`;
+};
+
+/**
+ * Pure function: SVG path data for the outline of a stroke whose width follows pen pressure
+ * The outline runs up one side, round the end cap, back down the other side and round the start.
+ * @param {Array} points - [{ x, y, p }]
+ * @param {number} width - Width at full pressure
+ * @returns {string}
+ */
+export const pressureOutline = (points, width) => {
+  if (!points.length) return '';
+  const half = (pt) => (width / 2) * (MIN_PRESSURE_WIDTH + (1 - MIN_PRESSURE_WIDTH) * (pt.p ?? 0.5));
+  if (points.length === 1) {
+    const r = round(half(points[0]));
+    const { x, y } = points[0];
+    return `M ${round(x - r)} ${round(y)} A ${r} ${r} 0 1 0 ${round(x + r)} ${round(y)} A ${r} ${r} 0 1 0 ${round(x - r)} ${round(y)} Z`;
+  }
+  const left = [];
+  const right = [];
+  points.forEach((pt, i) => {
+    const prev = points[Math.max(0, i - 1)];
+    const next = points[Math.min(points.length - 1, i + 1)];
+    const length = distance(prev, next) || 1;
+    const nx = -(next.y - prev.y) / length;
+    const ny = (next.x - prev.x) / length;
+    const w = half(pt);
+    left.push({ x: pt.x + nx * w, y: pt.y + ny * w });
+    right.push({ x: pt.x - nx * w, y: pt.y - ny * w });
+  });
+  const capEnd = round(half(points[points.length - 1]));
+  const capStart = round(half(points[0]));
+  const side = (list) => list.map((pt) => `L ${round(pt.x)} ${round(pt.y)}`).join(' ');
+  const endRight = right[right.length - 1];
+  return `M ${round(left[0].x)} ${round(left[0].y)} ${side(left.slice(1))} ` +
+    `A ${capEnd} ${capEnd} 0 0 0 ${round(endRight.x)} ${round(endRight.y)} ${side(right.slice(0, -1).reverse())} ` +
+    `A ${capStart} ${capStart} 0 0 0 ${round(left[0].x)} ${round(left[0].y)} Z`;
+};
+
+/**
+ * Pure function: how to draw a path, in the path's own coordinates
+ * @param {Object} path
+ * @returns {Object} { d, fill, stroke, strokeWidth, opacity } - fill is set for pressure outlines,
+ *   stroke and strokeWidth for plain lines; opacity is below 1 for the highlighter
+ */
+export const inkStyle = (path) => {
+  const points = path.points || [];
+  const width = (path.strokeWidth || 2) * 2;
+  const opacity = path.highlighter ? HIGHLIGHTER_OPACITY : 1;
+  if (path.pressure && !path.isArrow) return { d: pressureOutline(points, width), fill: path.color, stroke: 'none', strokeWidth: 0, opacity };
+  if (!path.isArrow) return { d: inkLine(points), fill: 'none', stroke: path.color, strokeWidth: width, opacity };
+  const start = points[0];
+  const end = points[points.length - 1];
+  if (!start || !end) return { d: '', fill: 'none', stroke: path.color, strokeWidth: width, opacity };
+  const angle = Math.atan2(end.y - start.y, end.x - start.x);
+  const wing = (turn) => `M ${round(end.x)} ${round(end.y)} L ${round(end.x - 10 * Math.cos(angle + turn))} ${round(end.y - 10 * Math.sin(angle + turn))}`;
+  return {
+    d: `M ${round(start.x)} ${round(start.y)} L ${round(end.x)} ${round(end.y)} ${wing(-Math.PI / 6)} ${wing(Math.PI / 6)}`,
+    fill: 'none',
+    stroke: path.color,
+    strokeWidth: width,
+    opacity,
+  };
+};
+
+// --- Erasing ---
+
+// Extra points along long segments so an eraser passing between two stored points still cuts there
+const densify = (points, step) => {
+  const out = [points[0]];
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const n = Math.floor(distance(a, b) / step);
+    for (let k = 1; k <= n; k++) {
+      const t = k / (n + 1);
+      const pt = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+      out.push(a.p === undefined ? pt : { ...pt, p: a.p + (b.p - a.p) * t });
+    }
+    out.push(b);
+  }
+  return out;
+};
+
+/**
+ * Pure function: what is left of a path after erasing a circle out of it
+ * The stroke is cut where the eraser touches it; each remaining piece becomes its own path (the
+ * first keeps the original id). Arrows are erased whole.
+ * @param {Object} path
+ * @param {Object} center - { x, y } in canvas coordinates
+ * @param {number} radius
+ * @returns {Array|null} Remaining paths, or null when the eraser missed
+ */
+export const erasePath = (path, center, radius) => {
+  const reach = radius + (path.strokeWidth || 2);
+  if (center.x < path.x - reach || center.x > path.x + path.width + reach || center.y < path.y - reach || center.y > path.y + path.height + reach) return null;
+  const points = densify(absolutePoints(path), Math.max(0.5, radius / 2));
+  const hit = points.map((pt) => distance(pt, center) <= reach);
+  if (!hit.some(Boolean)) return null;
+  if (path.isArrow) return [];
+
+  const pieces = [];
+  let run = [];
+  points.forEach((pt, i) => {
+    if (!hit[i]) run.push(pt);
+    else if (run.length) {
+      pieces.push(run);
+      run = [];
+    }
+  });
+  if (run.length) pieces.push(run);
+
+  return pieces
+    .filter((piece) => piece.length > 1)
+    .map((piece, i) => pathFromPoints({ ...path, id: i === 0 ? path.id : generateId() }, simplifyPoints(piece, 0.5)));
+};
+
+// --- Hit-testing ---
+
+/**
+ * Pure function: the box a path's ink covers, stroke width included (for the spatial index)
+ */
+export const inkBox = (path) => {
+  const reach = path.strokeWidth || 2;
+  return { x: path.x - reach, y: path.y - reach, width: (path.width || 0) + reach * 2, height: (path.height || 0) + reach * 2 };
+};
+
+const segmentDistance = (pt, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const len = dx * dx + dy * dy;
+  const t = len ? Math.max(0, Math.min(1, ((pt.x - a.x) * dx + (pt.y - a.y) * dy) / len)) : 0;
+  return Math.hypot(pt.x - (a.x + t * dx), pt.y - (a.y + t * dy));
+};
+
+/**
+ * Pure function: whether a point is on a path's ink, give or take a tolerance
+ * @param {Object} path
+ * @param {Object} point - { x, y } in canvas coordinates
+ * @param {number} tolerance - Canvas units
+ * @returns {boolean}
+ */
+export const pathHit = (path, point, tolerance = 0) => {
+  const points = absolutePoints(path);
+  if (!points.length) return false;
+  const reach = (path.strokeWidth || 2) + tolerance;
+  if (points.length === 1) return distance(points[0], point) <= reach;
+  for (let i = 1; i < points.length; i++) {
+    if (segmentDistance(point, points[i - 1], points[i]) <= reach) return true;
+  }
+  return false;
+};
+
+// --- Lasso ---
+
+/**
+ * Pure function: whether a point lies inside a polygon (even-odd rule)
+ */
+export const pointInPolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) && point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+};
+
+/**
+ * Pure function: the paths drawn wholly inside a lasso
+ * @param {Array} paths
+ * @param {Array} lasso - [{ x, y }] in canvas coordinates
+ * @returns {Array} Selection items
+ */
+export const pathsInLasso = (paths, lasso) => {
+  if (lasso.length < 3) return [];
+  return paths
+    .filter((p) => p.points?.length && absolutePoints(p).every((pt) => pointInPolygon(pt, lasso)))
+    .map((p) => ({ type: 'path', id: p.id }));
+};
+
+// --- Shape recognition ---
+
+const polygonArea = (points) => {
+  let area = 0;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) area += (points[j].x + points[i].x) * (points[j].y - points[i].y);
+  return Math.abs(area / 2);
+};
+
+const lengthOf = (points) => points.reduce((sum, pt, i) => (i ? sum + distance(points[i - 1], pt) : 0), 0);
+
+/**
+ * Pure function: the clean shape a rough stroke looks like, if any
+ * Closed strokes that fill their box are rectangles, closed round ones ellipses (or circles when
+ * nearly as wide as tall). An open stroke that runs out straight and then doubles back near its far
+ * end is an arrow pointing that way.
+ * @param {Array} points - [{ x, y }] in canvas coordinates
+ * @returns {Object|null} { shape: 'rectangle' | 'ellipse', box } | { shape: 'arrow', from, to }
+ */
+export const recognizeShape = (points) => {
+  if (points.length < 5) return null;
+  const xs = points.map((pt) => pt.x);
+  const ys = points.map((pt) => pt.y);
+  const box = { x: Math.min(...xs), y: Math.min(...ys), width: Math.max(...xs) - Math.min(...xs), height: Math.max(...ys) - Math.min(...ys) };
+  const size = Math.hypot(box.width, box.height);
+  if (size < 20) return null;
+
+  const start = points[0];
+  const end = points[points.length - 1];
+  const closed = distance(start, end) < size * 0.2 && lengthOf(points) > size * 1.5;
+
+  if (closed) {
+    if (Math.min(box.width, box.height) < size * 0.15) return null;
+    const fill = polygonArea(points) / (box.width * box.height);
+    const cx = box.x + box.width / 2;
+    const cy = box.y + box.height / 2;
+    const roundness = points.reduce((sum, pt) => sum + Math.abs(Math.hypot((pt.x - cx) / (box.width / 2), (pt.y - cy) / (box.height / 2)) - 1), 0) / points.length;
+    if (fill > 0.88) return { shape: 'rectangle', box };
+    if (fill > 0.65 && roundness < 0.12) {
+      const ratio = box.width / box.height;
+      if (ratio > 0.8 && ratio < 1.25) {
+        const d = (box.width + box.height) / 2;
+        return { shape: 'ellipse', box: { x: cx - d / 2, y: cy - d / 2, width: d, height: d } };
+      }
+      return { shape: 'ellipse', box };
+    }
+    return null;
+  }
+
+  // The tip is the point farthest from where the stroke began; the shaft must be straight up to it
+  let tipIndex = 0;
+  points.forEach((pt, i) => {
+    if (distance(start, pt) > distance(start, points[tipIndex])) tipIndex = i;
+  });
+  const tip = points[tipIndex];
+  const shaft = distance(start, tip);
+  const head = points.slice(tipIndex + 1);
+  if (shaft < 40 || head.length < 2) return null;
+  const dir = { x: (tip.x - start.x) / shaft, y: (tip.y - start.y) / shaft };
+  const offLine = (pt) => Math.abs((pt.x - start.x) * dir.y - (pt.y - start.y) * dir.x);
+  if (points.slice(0, tipIndex).some((pt) => offLine(pt) > shaft * 0.12)) return null;
+  // The head doubles back behind the tip, spreading to the side without wandering far
+  const headReach = Math.max(...head.map((pt) => distance(pt, tip)));
+  const behind = head.every((pt) => (pt.x - tip.x) * dir.x + (pt.y - tip.y) * dir.y < shaft * 0.05);
+  const spread = Math.max(...head.map((pt) => Math.abs((pt.x - tip.x) * dir.y - (pt.y - tip.y) * dir.x)));
+  if (!behind || headReach < shaft * 0.08 || headReach > shaft * 0.6 || spread < headReach * 0.3) return null;
+  return { shape: 'arrow', from: { x: start.x, y: start.y }, to: { x: tip.x, y: tip.y } };
+};
+
+// --- Bitmap ---
+
+/**
+ * Draw paths onto a 2D canvas context the way the page draws them as SVG
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array} paths
+ * @param {Object} view - { x, y, scale }: the canvas point at the bitmap's corner, and bitmap pixels per canvas unit
+ */
+export const paintInk = (ctx, paths, view) => {
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  for (const path of paths) {
+    const ink = inkStyle(path);
+    if (!ink.d) continue;
+    ctx.setTransform(view.scale, 0, 0, view.scale, (path.x - view.x) * view.scale, (path.y - view.y) * view.scale);
+    ctx.globalAlpha = ink.opacity;
+    ctx.globalCompositeOperation = path.highlighter ? 'multiply' : 'source-over';
+    const shape = new Path2D(ink.d);
+    if (ink.fill !== 'none') {
+      ctx.fillStyle = ink.fill;
+      ctx.fill(shape);
+    }
+    if (ink.stroke !== 'none') {
+      ctx.strokeStyle = ink.stroke;
+      ctx.lineWidth = ink.strokeWidth;
+      ctx.stroke(shape);
+    }
+  }
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalAlpha = 1;
+  ctx.globalCompositeOperation = 'source-over';
+};
@@ -50,6 +50,7 @@ export const SLASH_COMMANDS = [
   { cmd: 'ul', aliases: ['ul', 'bullet', 'list'], label: 'Bullet List', desc: 'Unordered list', type: 'ul' },
   { cmd: 'ol', aliases: ['ol', 'numbered', 'ordered'], label: 'Numbered List', desc: 'Ordered list', type: 'ol' },
   { cmd: 'todo', aliases: ['todo', 'checkbox', 'task'], label: 'Todo List', desc: 'Checkbox list', type: 'todo' },
+  { cmd: 'quote', aliases: ['quote', 'blockquote', 'cite'], label: 'Quote', desc: 'Indented quotation', type: 'quote' },
   { cmd: 'img', aliases: ['img', 'image', 'pic', 'picture'], label: 'Image', desc: 'Embed an image', type: 'image' },
   { cmd: 'vid', aliases: ['vid', 'video', 'youtube'], label: 'Video', desc: 'Embed YouTube video', type: 'video' },
   { cmd: 'link', aliases: ['link', 'url', 'bookmark'], label: 'Link', desc: 'Web bookmark', type: 'link' },
@@ -101,6 +102,10 @@ export const DEFAULT_SETTINGS = {
   condensedView: false,
   limitBackgroundPages: false,
   maxBackgroundPages: 10,
+  dailyNotesNotebookId: null, // Daily notes tab; the active tab is used when unset
+  dailyNotesTabId: null,
+  dailyNotesFormat: 'YYYY-MM-DD',
+  dailyNotesTemplateId: null,
 };
 
 // --- Default Table Schema ---
@@ -0,0 +1,277 @@
+// Three-way merge of page content against the last version both devices agreed on (the "base").
+// Block pages merge per block, table pages per row and cell, canvas pages per container and path.
+// When both sides changed the same item the local value wins and the item is reported as a conflict,
+// so the caller can keep the remote value in a conflicted copy.
+
+import { TREE_VERSION } from './constants';
+import { normalizePageContent, treeToRows, insertBlockAfterInTree } from './tree-operations';
+
+// Page fields that take part in a merge; everything else (Drive ids, etags, ...) stays local
+const META_FIELDS = ['name', 'icon', 'cover', 'starred'];
+const CODE_FIELDS = ['code', 'mermaidCode', 'codeType'];
+
+const stable = (value) => (value === undefined ? undefined : JSON.stringify(value));
+
+const isLayoutNode = (node) => node && (node.type === 'row' || node.type === 'column');
+
+/**
+ * Pure function: three-way merge of a single value
+ * Missing values (undefined) mean "deleted" or "not created yet".
+ * @returns {Object} { value, conflict } - on conflict the local value is kept (or the remote one if local deleted it)
+ */
+export const mergeValue = (base, local, remote) => {
+  const [b, l, r] = [stable(base), stable(local), stable(remote)];
+  if (l === r) return { value: local, conflict: false };
+  if (l === b) return { value: remote, conflict: false };
+  if (r === b) return { value: local, conflict: false };
+  return { value: local !== undefined ? local : remote, conflict: true };
+};
+
+/**
+ * Pure function: field-by-field three-way merge of two records (table rows, settings objects)
+ * @returns {Object} { value, conflictFields } - value is undefined when the record was deleted
+ */
+export const mergeRecord = (base, local, remote) => {
+  if (!local || !remote) {
+    const whole = mergeValue(base, local, remote);
+    return { value: whole.value, conflictFields: whole.conflict ? ['*'] : [] };
+  }
+  const value = {};
+  const conflictFields = [];
+  for (const key of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+    const field = mergeValue(base?.[key], local[key], remote[key]);
+    if (field.conflict) conflictFields.push(key);
+    if (field.value !== undefined) value[key] = field.value;
+  }
+  return { value, conflictFields };
+};
+
+const orderOf = (items) => (items || []).map((item) => item.id);
+
+/**
+ * Pure function: merge lists of items keyed by id
+ * Order comes from the side that reordered the list; items missing from that order are placed
+ * after their neighbour from the other side.
+ * @param {Array} base - Items at the last sync
+ * @param {Array} local - Local items
+ * @param {Array} remote - Remote items
+ * @param {string} kind - Conflict kind reported for this list ('row', 'container', ...)
+ * @param {boolean} perField - Merge items field by field instead of as whole values
+ * @returns {Object} { items, conflicts }
+ */
+export const mergeKeyedList = (base, local, remote, kind, perField = false) => {
+  const byId = (items) => new Map((items || []).filter(Boolean).map((item) => [item.id, item]));
+  const [b, l, r] = [byId(base), byId(local), byId(remote)];
+  const merged = new Map();
+  const conflicts = [];
+
+  for (const id of new Set([...l.keys(), ...r.keys()])) {
+    if (perField) {
+      const result = mergeRecord(b.get(id), l.get(id), r.get(id));
+      result.conflictFields.forEach((field) => conflicts.push(field === '*' ? { kind, id } : { kind, id, field }));
+      if (result.value !== undefined) merged.set(id, result.value);
+    } else {
+      const result = mergeValue(b.get(id), l.get(id), r.get(id));
+      if (result.conflict) conflicts.push({ kind, id });
+      if (result.value !== undefined) merged.set(id, result.value);
+    }
+  }
+
+  const localReordered = stable(orderOf(local)) !== stable(orderOf(base));
+  const order = orderOf(localReordered ? local : remote).filter((id) => merged.has(id));
+  const placed = new Set(order);
+  let anchor = -1;
+  for (const id of orderOf(localReordered ? remote : local)) {
+    if (placed.has(id)) {
+      anchor = order.indexOf(id);
+      continue;
+    }
+    if (!merged.has(id)) continue;
+    order.splice(anchor + 1, 0, id);
+    placed.add(id);
+    anchor += 1;
+  }
+
+  return { items: order.map((id) => merged.get(id)), conflicts };
+};
+
+const indexBlocks = (nodes, out = new Map()) => {
+  for (const node of nodes || []) {
+    if (!node) continue;
+    if (isLayoutNode(node)) indexBlocks(node.children, out);
+    else out.set(node.id, node);
+  }
+  return out;
+};
+
+// Rows/columns with block ids in place of blocks; equal skeletons mean nothing was added, removed or moved
+const skeleton = (nodes) =>
+  (nodes || []).filter(Boolean).map((node) =>
+    isLayoutNode(node) ? { id: node.id, type: node.type, width: node.width, children: skeleton(node.children) } : node.id
+  );
+
+// Swap in merged blocks, drop deleted ones and prune rows/columns left empty
+const rebuildLayout = (nodes, resolved) => {
+  const out = [];
+  for (const node of nodes || []) {
+    if (!node) continue;
+    if (node.type === 'row') {
+      const columns = (node.children || [])
+        .map((col) => (col.type === 'column' ? { ...col, children: rebuildLayout(col.children, resolved) } : col))
+        .filter((col) => col.type !== 'column' || col.children.length > 0);
+      if (columns.length) out.push({ ...node, children: columns });
+    } else if (node.type === 'column') {
+      const children = rebuildLayout(node.children, resolved);
+      if (children.length) out.push({ ...node, children });
+    } else if (resolved.has(node.id)) {
+      out.push(resolved.get(node.id));
+    }
+  }
+  return out;
+};
+
+/**
+ * Pure function: three-way merge of block trees by block id
+ * @param {Object} base - Tree at the last sync
+ * @param {Object} local - Local tree
+ * @param {Object} remote - Remote tree
+ * @returns {Object} { tree, conflicts } where conflicts are { kind: 'block', id }
+ */
+export const mergeBlockTrees = (base, local, remote) => {
+  const [b, l, r] = [base, local, remote].map((tree) => indexBlocks(tree?.children));
+  const resolved = new Map();
+  const conflicts = [];
+  for (const id of new Set([...l.keys(), ...r.keys()])) {
+    const result = mergeValue(b.get(id), l.get(id), r.get(id));
+    if (result.conflict) conflicts.push({ kind: 'block', id });
+    if (result.value !== undefined) resolved.set(id, result.value);
+  }
+
+  const localMoved = stable(skeleton(local?.children)) !== stable(skeleton(base?.children));
+  const layout = localMoved ? local : remote;
+  const other = localMoved ? remote : local;
+  let tree = { version: TREE_VERSION, children: rebuildLayout(layout?.children, resolved) };
+
+  // Blocks the merge kept but the chosen layout lacks (e.g. added on the other side)
+  const placed = new Set(indexBlocks(tree.children).keys());
+  let anchor = null;
+  for (const id of indexBlocks(other?.children).keys()) {
+    if (placed.has(id)) {
+      anchor = id;
+      continue;
+    }
+    if (!resolved.has(id)) continue;
+    tree = anchor
+      ? insertBlockAfterInTree(tree, anchor, resolved.get(id))
+      : { ...tree, children: [resolved.get(id), ...tree.children] };
+    placed.add(id);
+    anchor = id;
+  }
+
+  return { tree, conflicts };
+};
+
+const omit = (obj, keys) => Object.fromEntries(Object.entries(obj || {}).filter(([key]) => !keys.includes(key)));
+
+const mergeTableContent = (base, local, remote) => {
+  const columns = mergeKeyedList(base?.schema?.columns, local?.schema?.columns, remote?.schema?.columns, 'column');
+  const rows = mergeKeyedList(base?.rows, local?.rows, remote?.rows, 'row', true);
+  const schema = mergeRecord(omit(base?.schema, ['columns']), omit(local?.schema, ['columns']), omit(remote?.schema, ['columns'])).value;
+  const rest = mergeRecord(omit(base, ['schema', 'rows']), omit(local, ['schema', 'rows']), omit(remote, ['schema', 'rows'])).value;
+  return {
+    content: { ...rest, schema: { ...schema, columns: columns.items }, rows: rows.items },
+    conflicts: [...columns.conflicts, ...rows.conflicts],
+  };
+};
+
+const mergeCanvasData = (base, local, remote) => {
+  const containers = mergeKeyedList(base?.containers, local?.containers, remote?.containers, 'container');
+  const paths = mergeKeyedList(base?.paths, local?.paths, remote?.paths, 'path');
+  const connectors = mergeKeyedList(base?.connectors, local?.connectors, remote?.connectors, 'connector');
+  const frames = mergeKeyedList(base?.frames, local?.frames, remote?.frames, 'frame');
+  // Viewport and title are per-device state; a clash there is not worth a conflicted copy
+  const keys = ['containers', 'paths', 'connectors', 'frames'];
+  const rest = mergeRecord(omit(base, keys), omit(local, keys), omit(remote, keys)).value;
+  return {
+    canvasData: { ...rest, containers: containers.items, paths: paths.items, connectors: connectors.items, frames: frames.items },
+    conflicts: [...containers.conflicts, ...paths.conflicts, ...connectors.conflicts, ...frames.conflicts],
+  };
+};
+
+/**
+ * Pure function: the parts of a page a merge compares, as stored for the next merge base
+ * @param {Object} page - Page object
+ * @returns {Object} Snapshot safe to JSON-serialize
+ */
+export const pageMergeSnapshot = (page) => {
+  const snapshot = { type: page.type || 'block' };
+  for (const key of META_FIELDS) if (page[key] !== undefined) snapshot[key] = page[key];
+  if (page.type === 'canvas') snapshot.canvasData = page.canvasData;
+  else if (page.type === 'database') snapshot.content = page.content;
+  else if (page.type === 'mermaid' || page.type === 'code') CODE_FIELDS.forEach((key) => { snapshot[key] = page[key]; });
+  else if (!page.embedUrl) snapshot.content = normalizePageContent(page);
+  return JSON.parse(JSON.stringify(snapshot));
+};
+
+/**
+ * Pure function: a short fingerprint of a merge snapshot, to tell whether a page changed since its base
+ * (cyrb53, a fast 53-bit string hash; not for security)
+ * @param {Object} snapshot - From pageMergeSnapshot
+ * @returns {string}
+ */
+export const snapshotHash = (snapshot) => {
+  const text = JSON.stringify(snapshot);
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+};
+
+/**
+ * Pure function: three-way merge of a page's content
+ * @param {Object|null} base - Snapshot from pageMergeSnapshot at the last sync; without one, every difference is a conflict
+ * @param {Object} local - Local page
+ * @param {Object} remote - Page as loaded from Drive
+ * @returns {Object} { fields, conflicts } - fields to spread over the local page; conflicts list content items both sides changed
+ */
+export const mergePageContent = (base, local, remote) => {
+  const mine = pageMergeSnapshot(local);
+  const theirs = pageMergeSnapshot(remote);
+  const fields = {};
+  let conflicts = [];
+
+  // Metadata clashes resolve to the local value without a conflicted copy
+  for (const key of META_FIELDS) {
+    const result = mergeValue(base?.[key], mine[key], theirs[key]);
+    if (result.value !== undefined) fields[key] = result.value;
+  }
+
+  if (mine.type === 'canvas') {
+    const result = mergeCanvasData(base?.canvasData, mine.canvasData, theirs.canvasData);
+    fields.canvasData = result.canvasData;
+    conflicts = result.conflicts;
+  } else if (mine.type === 'database') {
+    const result = mergeTableContent(base?.content, mine.content, theirs.content);
+    fields.content = result.content;
+    conflicts = result.conflicts;
+  } else if (mine.type === 'mermaid' || mine.type === 'code') {
+    for (const key of CODE_FIELDS) {
+      const result = mergeValue(base?.[key], mine[key], theirs[key]);
+      if (result.conflict && key === 'code') conflicts.push({ kind: 'code', id: key });
+      fields[key] = result.value;
+    }
+  } else if (mine.content) {
+    const result = mergeBlockTrees(base?.content, mine.content, theirs.content || { version: TREE_VERSION, children: [] });
+    fields.content = result.tree;
+    fields.rows = treeToRows(result.tree);
+    conflicts = result.conflicts;
+  }
+
+  return { fields, conflicts };
+};
@@ -0,0 +1,168 @@
+// Daily notes
+// A daily note is a page with `dailyDate` ('YYYY-MM-DD', local time) in the tab chosen in settings.
+// Pages made by hand before daily notes existed are recognized by a name in the configured format.
+
+export const DEFAULT_DAILY_NOTE_FORMAT = 'YYYY-MM-DD';
+
+export const DAILY_NOTE_FORMATS = ['YYYY-MM-DD', 'dddd, MMMM D, YYYY', 'ddd D MMM YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY'];
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Longest tokens first so MMMM is not read as MM + MM
+const TOKEN_RE = /YYYY|MMMM|MMM|MM|M|DD|D|dddd|ddd/g;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Pure function: date key for a day
+ * @param {Date} date
+ * @returns {string} 'YYYY-MM-DD' in local time
+ */
+export const dailyNoteKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Pure function: Date (local midnight) for a date key
+ * @param {string} key - 'YYYY-MM-DD'
+ * @returns {Date}
+ */
+export const dateFromKey = (key) => {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
+
+/**
+ * Pure function: page name for a day
+ * @param {Date} date
+ * @param {string} format - Tokens YYYY, MMMM, MMM, MM, M, DD, D, dddd, ddd; anything else is kept
+ * @returns {string}
+ */
+export const formatDailyNoteName = (date, format = DEFAULT_DAILY_NOTE_FORMAT) =>
+  (format || DEFAULT_DAILY_NOTE_FORMAT).replace(TOKEN_RE, (token) => {
+    switch (token) {
+      case 'YYYY': return String(date.getFullYear());
+      case 'MMMM': return MONTHS[date.getMonth()];
+      case 'MMM': return MONTHS[date.getMonth()].slice(0, 3);
+      case 'MM': return pad(date.getMonth() + 1);
+      case 'M': return String(date.getMonth() + 1);
+      case 'DD': return pad(date.getDate());
+      case 'D': return String(date.getDate());
+      case 'dddd': return WEEKDAYS[date.getDay()];
+      case 'ddd': return WEEKDAYS[date.getDay()].slice(0, 3);
+      default: return token;
+    }
+  });
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Pure function: read a date back out of a page name
+ * Formats without a year take it from the page's createdAt.
+ * @param {string} name - Page name
+ * @param {string} format - Daily note name format
+ * @param {number} createdAt - Page creation timestamp
+ * @returns {string|null} Date key, or null when the name does not match the format
+ */
+export const parseDailyNoteName = (name, format = DEFAULT_DAILY_NOTE_FORMAT, createdAt = null) => {
+  const tokens = [];
+  const source = (format || DEFAULT_DAILY_NOTE_FORMAT).split(TOKEN_RE);
+  const found = (format || DEFAULT_DAILY_NOTE_FORMAT).match(TOKEN_RE) || [];
+  let pattern = '';
+  source.forEach((literal, i) => {
+    pattern += escapeRegExp(literal);
+    const token = found[i];
+    if (!token) return;
+    tokens.push(token);
+    if (token === 'MMMM' || token === 'dddd') pattern += '([A-Za-z]+)';
+    else if (token === 'MMM' || token === 'ddd') pattern += '([A-Za-z]{3})';
+    else if (token === 'YYYY') pattern += '(\\d{4})';
+    else pattern += '(\\d{1,2})';
+  });
+  const match = new RegExp(`^${pattern}$`, 'i').exec((name || '').trim());
+  if (!match) return null;
+
+  let year = createdAt ? new Date(createdAt).getFullYear() : new Date().getFullYear();
+  let month = null;
+  let day = null;
+  tokens.forEach((token, i) => {
+    const value = match[i + 1];
+    if (token === 'YYYY') year = Number(value);
+    else if (token === 'MM' || token === 'M') month = Number(value) - 1;
+    else if (token === 'DD' || token === 'D') day = Number(value);
+    else if (token === 'MMMM' || token === 'MMM') {
+      const idx = MONTHS.findIndex((m) => m.toLowerCase().startsWith(value.toLowerCase()));
+      if (idx >= 0) month = idx;
+    }
+  });
+  if (month === null || day === null) return null;
+  const date = new Date(year, month, day);
+  // Rejects 02/31 and the like, which Date would roll over into the next month
+  if (date.getMonth() !== month || date.getDate() !== day) return null;
+  return dailyNoteKey(date);
+};
+
+/**
+ * Pure function: date key a page stands for in the daily notes tab
+ * @param {Object} page
+ * @param {string} format - Daily note name format
+ * @returns {string|null}
+ */
+export const dailyNoteDate = (page, format) => page.dailyDate || parseDailyNoteName(page.name, format, page.createdAt);
+
+/**
+ * Pure function: the daily note for a day in a tab
+ * @param {Object} tab - Daily notes tab
+ * @param {string} key - Date key
+ * @param {string} format - Daily note name format
+ * @returns {Object|null} Page
+ */
+export const findDailyNote = (tab, key, format) => (tab?.pages || []).find((page) => dailyNoteDate(page, format) === key) || null;
+
+/**
+ * Pure function: map of date key to page id for every daily note in a tab
+ * @param {Object} tab - Daily notes tab
+ * @param {string} format - Daily note name format
+ * @returns {Map<string, string>}
+ */
+export const dailyNoteIndex = (tab, format) => {
+  const index = new Map();
+  for (const page of tab?.pages || []) {
+    const key = dailyNoteDate(page, format);
+    if (key && !index.has(key)) index.set(key, page.id);
+  }
+  return index;
+};
+
+/**
+ * Pure function: where daily notes go
+ * Falls back to the active tab when the configured one no longer exists.
+ * @param {Object} data - App data
+ * @param {Object} settings - App settings (dailyNotesNotebookId, dailyNotesTabId)
+ * @param {Object} active - { notebookId, tabId }
+ * @returns {Object|null} { notebook, tab }
+ */
+export const resolveDailyNotesTab = (data, settings, active = {}) => {
+  const notebooks = data?.notebooks || [];
+  const pick = (notebookId, tabId) => {
+    const notebook = notebooks.find((nb) => nb.id === notebookId);
+    const tab = notebook?.tabs?.find((t) => t.id === tabId);
+    return tab ? { notebook, tab } : null;
+  };
+  return pick(settings?.dailyNotesNotebookId, settings?.dailyNotesTabId) || pick(active.notebookId, active.tabId);
+};
+
+/**
+ * Pure function: weeks of a month for a calendar grid, starting on Sunday
+ * @param {number} year
+ * @param {number} month - 0-11
+ * @returns {Array<Array<Date|null>>} null for days outside the month
+ */
+export const monthGrid = (year, month) => {
+  const first = new Date(year, month, 1).getDay();
+  const days = new Date(year, month + 1, 0).getDate();
+  const cells = [...Array(first).fill(null), ...Array.from({ length: days }, (_, i) => new Date(year, month, i + 1))];
+  while (cells.length % 7) cells.push(null);
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+  return weeks;
+};
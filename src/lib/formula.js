@@ -0,0 +1,508 @@
+// Formula columns
+// A formula column ({ type: 'formula', formula }) stores no cells; its value is worked out for each
+// row from the other cells whenever the table renders.
+//
+// Expressions:
+//   literals      12.5  "text"  'text'  true  false
+//   columns       {Column Name}, or a bare name when it has no spaces (Price, Unit_Price for "Unit Price")
+//   operators     + - * / % ^   & (join text)   = == != <> < <= > >=   and or not (also && || !)
+//   functions     see FUNCTIONS below, e.g. if({Done}, "✓", ""), round({Price} * 1.2, 2), dateAdd({Due}, 7)
+// Dates are values too: date + number adds days, date - date is a number of days. A checklist cell
+// counts its checked items; other cells read as their text.
+// Results are numbers, text, booleans or 'YYYY-MM-DD' dates; a formula that fails gives { error }.
+
+import { dailyNoteKey, dateFromKey, formatDailyNoteName } from './daily-notes';
+import { cellToPlainText, isEmptyCell, parseDateValue } from './table-columns';
+
+export class FormulaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FormulaError';
+  }
+}
+
+const fail = (message) => {
+  throw new FormulaError(message);
+};
+
+// --- Tokens ---
+
+const WORD_OPERATORS = { and: '&&', or: '||', not: '!' };
+const SYMBOLS = ['==', '!=', '<>', '<=', '>=', '&&', '||', '+', '-', '*', '/', '%', '^', '&', '=', '<', '>', '!', '(', ')', ','];
+
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    if (/[0-9.]/.test(ch)) {
+      const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+      if (!match) fail(`Unexpected "${ch}"`);
+      tokens.push({ type: 'number', value: Number(match[0]) });
+      i += match[0].length;
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      let text = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== ch) {
+        if (source[j] === '\\' && j + 1 < source.length) j++;
+        text += source[j];
+        j++;
+      }
+      if (j >= source.length) fail('Text is missing its closing quote');
+      tokens.push({ type: 'string', value: text });
+      i = j + 1;
+      continue;
+    }
+    if (ch === '{') {
+      const end = source.indexOf('}', i);
+      if (end === -1) fail('Column name is missing its closing }');
+      tokens.push({ type: 'column', value: source.slice(i + 1, end).trim() });
+      i = end + 1;
+      continue;
+    }
+    if (/[A-Za-z_]/.test(ch)) {
+      const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i))[0];
+      const lower = word.toLowerCase();
+      if (WORD_OPERATORS[lower]) tokens.push({ type: 'op', value: WORD_OPERATORS[lower] });
+      else if (lower === 'true' || lower === 'false') tokens.push({ type: 'boolean', value: lower === 'true' });
+      else tokens.push({ type: 'name', value: word });
+      i += word.length;
+      continue;
+    }
+    const symbol = SYMBOLS.find((s) => source.startsWith(s, i));
+    if (!symbol) fail(`Unexpected "${ch}"`);
+    tokens.push({ type: 'op', value: symbol === '=' ? '==' : symbol === '<>' ? '!=' : symbol });
+    i += symbol.length;
+  }
+  return tokens;
+};
+
+// --- Parser ---
+// Precedence, loosest first: or, and, not, comparison, &, + -, * / %, unary minus, ^
+
+const parse = (source) => {
+  const tokens = tokenize(source);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (...ops) => peek()?.type === 'op' && ops.includes(peek().value);
+  const expect = (op) => {
+    if (!isOp(op)) fail(peek() ? `Expected "${op}"` : `Expected "${op}" at the end`);
+    pos++;
+  };
+
+  const binary = (next, ops) => () => {
+    let left = next();
+    while (isOp(...ops)) {
+      const op = tokens[pos++].value;
+      left = { type: 'binary', op, left, right: next() };
+    }
+    return left;
+  };
+
+  const primary = () => {
+    const token = tokens[pos++];
+    if (!token) fail('Formula ends too early');
+    if (token.type === 'number' || token.type === 'string' || token.type === 'boolean') return { type: 'literal', value: token.value };
+    if (token.type === 'column') return { type: 'column', name: token.value };
+    if (token.type === 'name') {
+      if (!isOp('(')) return { type: 'column', name: token.value };
+      pos++;
+      const args = [];
+      if (!isOp(')')) {
+        do {
+          args.push(or());
+        } while (isOp(',') && ++pos);
+      }
+      expect(')');
+      return { type: 'call', name: token.value.toLowerCase(), args };
+    }
+    if (token.value === '(') {
+      const inner = or();
+      expect(')');
+      return inner;
+    }
+    return fail(`Unexpected "${token.value}"`);
+  };
+
+  const power = () => {
+    const base = primary();
+    if (!isOp('^')) return base;
+    pos++;
+    return { type: 'binary', op: '^', left: base, right: unary() };
+  };
+  const unary = () => {
+    if (isOp('-')) {
+      pos++;
+      return { type: 'negate', value: unary() };
+    }
+    return power();
+  };
+  const product = binary(unary, ['*', '/', '%']);
+  const sum = binary(product, ['+', '-']);
+  const join = binary(sum, ['&']);
+  const comparison = () => {
+    const left = join();
+    if (!isOp('==', '!=', '<', '<=', '>', '>=')) return left;
+    const op = tokens[pos++].value;
+    return { type: 'binary', op, left, right: join() };
+  };
+  const not = () => {
+    if (isOp('!')) {
+      pos++;
+      return { type: 'not', value: not() };
+    }
+    return comparison();
+  };
+  const and = binary(not, ['&&']);
+  const or = binary(and, ['||']);
+
+  if (!tokens.length) fail('Formula is empty');
+  const tree = or();
+  if (pos < tokens.length) fail(`Unexpected "${peek().value}"`);
+  return tree;
+};
+
+const parsed = new Map();
+
+/**
+ * Parse a formula (cached by source text)
+ * @param {string} source
+ * @returns {Object} Syntax tree
+ * @throws {FormulaError}
+ */
+export const parseFormula = (source) => {
+  if (!parsed.has(source)) {
+    try {
+      parsed.set(source, { tree: parse(source || '') });
+    } catch (err) {
+      parsed.set(source, { error: err });
+    }
+  }
+  const entry = parsed.get(source);
+  if (entry.error) throw entry.error;
+  return entry.tree;
+};
+
+/**
+ * Pure function: the syntax error in a formula, if any
+ * @returns {string|null}
+ */
+export const formulaSyntaxError = (source) => {
+  try {
+    parseFormula(source);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+};
+
+// --- Values ---
+// Inside a formula values are numbers, strings, booleans, Dates (local midnight) or null for empty.
+
+const isDate = (v) => v instanceof Date;
+
+const toNumber = (v) => {
+  if (v === null || v === '') return 0;
+  if (typeof v === 'number') return v;
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  if (isDate(v)) return v.getTime();
+  const n = Number(String(v).replace(/,/g, ''));
+  return Number.isNaN(n) ? fail(`"${v}" is not a number`) : n;
+};
+
+const toText = (v) => {
+  if (v === null) return '';
+  if (isDate(v)) return dailyNoteKey(v);
+  if (typeof v === 'number') return String(Math.round(v * 1e10) / 1e10);
+  return String(v);
+};
+
+const toBoolean = (v) => (typeof v === 'string' ? v !== '' : isDate(v) ? true : !!v);
+
+const toDate = (v) => {
+  if (isDate(v)) return v;
+  const key = parseDateValue(v);
+  return key ? dateFromKey(key) : fail(`"${toText(v)}" is not a date`);
+};
+
+const shiftDate = (date, amount, unit = 'days') => {
+  const next = new Date(date);
+  switch (String(unit).toLowerCase().replace(/s$/, '')) {
+    case 'day': next.setDate(next.getDate() + amount); break;
+    case 'week': next.setDate(next.getDate() + amount * 7); break;
+    case 'month': next.setMonth(next.getMonth() + amount); break;
+    case 'year': next.setFullYear(next.getFullYear() + amount); break;
+    default: fail(`Unknown date unit "${unit}"`);
+  }
+  return next;
+};
+
+const dateDiff = (from, to, unit = 'days') => {
+  switch (String(unit).toLowerCase().replace(/s$/, '')) {
+    case 'day': return Math.round((to - from) / 86400000);
+    case 'week': return Math.trunc(Math.round((to - from) / 86400000) / 7);
+    case 'month': return (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth();
+    case 'year': return to.getFullYear() - from.getFullYear();
+    default: return fail(`Unknown date unit "${unit}"`);
+  }
+};
+
+const compare = (a, b) => {
+  if (isDate(a) || isDate(b)) return toDate(a) - toDate(b);
+  if (typeof a === 'number' || typeof b === 'number') return toNumber(a) - toNumber(b);
+  return toText(a).localeCompare(toText(b));
+};
+
+// Date functions give an empty result for empty dates rather than an error
+const onDates = (fn, dateArgs = 1) => (...args) => {
+  if (args.slice(0, dateArgs).some((v) => v === null)) return null;
+  return fn(...args.slice(0, dateArgs).map(toDate), ...args.slice(dateArgs));
+};
+
+const numeric = (fn) => (...args) => fn(...args.map(toNumber));
+const listOf = (args) => args.filter((a) => a !== null && a !== '');
+
+// Functions by lower-case name; `if`, `and` and `or` are handled lazily in evaluate()
+const FUNCTIONS = {
+  not: (v) => !toBoolean(v),
+  empty: (v) => v === null || v === '',
+  // Text
+  concat: (...args) => args.map(toText).join(''),
+  upper: (v) => toText(v).toUpperCase(),
+  lower: (v) => toText(v).toLowerCase(),
+  trim: (v) => toText(v).trim(),
+  length: (v) => toText(v).length,
+  len: (v) => toText(v).length,
+  contains: (v, part) => toText(v).toLowerCase().includes(toText(part).toLowerCase()),
+  replace: (v, find, replacement) => toText(v).split(toText(find)).join(toText(replacement)),
+  left: (v, n) => toText(v).slice(0, toNumber(n)),
+  right: (v, n) => (toNumber(n) > 0 ? toText(v).slice(-toNumber(n)) : ''),
+  slice: (v, start, end) => toText(v).slice(toNumber(start), end === undefined ? undefined : toNumber(end)),
+  text: (v) => toText(v),
+  number: (v) => toNumber(v),
+  // Numbers
+  round: (v, digits = 0) => {
+    const f = 10 ** toNumber(digits);
+    return Math.round(toNumber(v) * f) / f;
+  },
+  floor: numeric(Math.floor),
+  ceil: numeric(Math.ceil),
+  abs: numeric(Math.abs),
+  sqrt: numeric(Math.sqrt),
+  pow: numeric(Math.pow),
+  min: (...args) => Math.min(...listOf(args).map(toNumber)),
+  max: (...args) => Math.max(...listOf(args).map(toNumber)),
+  sum: (...args) => listOf(args).reduce((total, v) => total + toNumber(v), 0),
+  // Dates
+  today: () => dateFromKey(dailyNoteKey(new Date())),
+  date: (y, m, d) => new Date(toNumber(y), toNumber(m) - 1, toNumber(d)),
+  dateadd: onDates((d, amount, unit) => shiftDate(d, toNumber(amount), unit)),
+  datediff: onDates((from, to, unit) => dateDiff(from, to, unit), 2),
+  year: onDates((d) => d.getFullYear()),
+  month: onDates((d) => d.getMonth() + 1),
+  day: onDates((d) => d.getDate()),
+  weekday: onDates((d) => d.getDay()),
+  formatdate: onDates((d, format) => formatDailyNoteName(d, format === undefined ? undefined : toText(format))),
+};
+
+// For the formula editor's help line (names are not case-sensitive)
+export const FORMULA_FUNCTIONS = [
+  'if', 'and', 'or', 'not', 'empty',
+  'concat', 'upper', 'lower', 'trim', 'length', 'contains', 'replace', 'left', 'right', 'slice', 'text', 'number',
+  'round', 'floor', 'ceil', 'abs', 'sqrt', 'pow', 'min', 'max', 'sum',
+  'today', 'date', 'dateAdd', 'dateDiff', 'year', 'month', 'day', 'weekday', 'formatDate',
+];
+
+const evaluate = (node, scope) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'column':
+      return scope.column(node.name);
+    case 'negate': {
+      const v = evaluate(node.value, scope);
+      return -toNumber(v);
+    }
+    case 'not':
+      return !toBoolean(evaluate(node.value, scope));
+    case 'call': {
+      const { name, args } = node;
+      if (name === 'if') {
+        if (args.length < 2) fail('if() needs a condition and a value');
+        return toBoolean(evaluate(args[0], scope)) ? evaluate(args[1], scope) : args[2] ? evaluate(args[2], scope) : null;
+      }
+      if (name === 'and') return args.every((arg) => toBoolean(evaluate(arg, scope)));
+      if (name === 'or') return args.some((arg) => toBoolean(evaluate(arg, scope)));
+      const fn = FUNCTIONS[name];
+      if (!fn) fail(`Unknown function ${name}()`);
+      return fn(...args.map((arg) => evaluate(arg, scope)));
+    }
+    case 'binary': {
+      const { op } = node;
+      if (op === '&&') return toBoolean(evaluate(node.left, scope)) && toBoolean(evaluate(node.right, scope));
+      if (op === '||') return toBoolean(evaluate(node.left, scope)) || toBoolean(evaluate(node.right, scope));
+      const a = evaluate(node.left, scope);
+      const b = evaluate(node.right, scope);
+      switch (op) {
+        case '&':
+          return toText(a) + toText(b);
+        case '+':
+          if ((isDate(a) || isDate(b)) && (a === null || b === null)) return null;
+          if (isDate(a)) return shiftDate(a, toNumber(b));
+          if (isDate(b)) return shiftDate(b, toNumber(a));
+          if ((typeof a === 'string' && Number.isNaN(Number(a))) || (typeof b === 'string' && Number.isNaN(Number(b)))) return toText(a) + toText(b);
+          return toNumber(a) + toNumber(b);
+        case '-':
+          if ((isDate(a) || isDate(b)) && (a === null || b === null)) return null;
+          if (isDate(a) && isDate(b)) return dateDiff(b, a);
+          if (isDate(a)) return shiftDate(a, -toNumber(b));
+          return toNumber(a) - toNumber(b);
+        case '*':
+          return toNumber(a) * toNumber(b);
+        case '/': {
+          const divisor = toNumber(b);
+          return divisor === 0 ? fail('Division by zero') : toNumber(a) / divisor;
+        }
+        case '%':
+          return toNumber(a) % toNumber(b);
+        case '^':
+          return toNumber(a) ** toNumber(b);
+        case '==':
+          return a === null || b === null ? toText(a) === toText(b) : compare(a, b) === 0;
+        case '!=':
+          return a === null || b === null ? toText(a) !== toText(b) : compare(a, b) !== 0;
+        case '<': return compare(a, b) < 0;
+        case '<=': return compare(a, b) <= 0;
+        case '>': return compare(a, b) > 0;
+        case '>=': return compare(a, b) >= 0;
+        default:
+          return fail(`Unknown operator ${op}`);
+      }
+    }
+    default:
+      return fail('Invalid formula');
+  }
+};
+
+// A cell as a formula value
+const cellValue = (column, value, ctx) => {
+  if (isEmptyCell(value)) return null;
+  switch (column.type) {
+    case 'number':
+      return Number(value);
+    case 'boolean':
+      return !!value;
+    case 'date': {
+      const key = parseDateValue(value);
+      return key ? dateFromKey(key) : null;
+    }
+    case 'checkbox-list':
+      return value.filter((item) => item.checked).length;
+    default:
+      return cellToPlainText(column, value, ctx);
+  }
+};
+
+// A formula result as a cell value
+const resultValue = (v) => {
+  if (v === null || v === undefined) return '';
+  if (isDate(v)) return Number.isNaN(v.getTime()) ? { error: 'Invalid date' } : dailyNoteKey(v);
+  if (typeof v === 'number') return Number.isFinite(v) ? v : { error: 'Not a finite number' };
+  return v;
+};
+
+export const isFormulaError = (value) => !!value && typeof value === 'object' && 'error' in value;
+
+const findColumn = (columns, name) => {
+  const wanted = name.toLowerCase();
+  return (
+    columns.find((c) => (c.name || '').trim().toLowerCase() === wanted) ||
+    columns.find((c) => (c.name || '').trim().toLowerCase() === wanted.replace(/_/g, ' ')) ||
+    null
+  );
+};
+
+/**
+ * Pure function: rows with every formula column worked out
+ * Formulas can use other formula columns; a loop between them is reported as an error.
+ * @param {Array} rows - Stored rows
+ * @param {Array} columns - Schema columns
+ * @param {Object} ctx - { pageIndex } for relation labels
+ * @returns {Array} Rows (the same array when there are no formula columns)
+ */
+export const evaluateFormulas = (rows, columns, ctx = {}) => {
+  const formulaColumns = columns.filter((c) => c.type === 'formula');
+  if (!formulaColumns.length) return rows;
+
+  return rows.map((row) => {
+    const results = {};
+    const pending = new Set();
+
+    const formulaResult = (column) => {
+      if (column.id in results) return results[column.id];
+      if (pending.has(column.id)) fail(`"${column.name}" refers back to itself`);
+      if (!(column.formula || '').trim()) return (results[column.id] = '');
+      pending.add(column.id);
+      try {
+        const tree = parseFormula(column.formula || '');
+        results[column.id] = resultValue(evaluate(tree, scope));
+      } catch (err) {
+        if (!(err instanceof FormulaError)) throw err;
+        results[column.id] = { error: err.message };
+      }
+      pending.delete(column.id);
+      return results[column.id];
+    };
+
+    const scope = {
+      column: (name) => {
+        const column = findColumn(columns, name);
+        if (!column) fail(`No column named "${name}"`);
+        if (column.type !== 'formula') return cellValue(column, row[column.id], ctx);
+        if (pending.has(column.id)) fail(`"${column.name}" refers back to itself`);
+        const result = formulaResult(column);
+        if (isFormulaError(result)) fail(`"${column.name}" has an error`);
+        return result === '' ? null : typeof result === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(result) ? dateFromKey(result) : result;
+      },
+    };
+
+    const next = { ...row };
+    for (const column of formulaColumns) next[column.id] = formulaResult(column);
+    return next;
+  });
+};
+
+/**
+ * Pure function: point formulas at a column's new name
+ * Rewrites {Old Name} and bare OldName references; text in quotes is left alone.
+ * @returns {Object} New content (the same object when no formula changes)
+ */
+export const renameFormulaReferences = (content, oldName, newName) => {
+  const columns = content.schema?.columns || [];
+  if (!oldName || oldName === newName || !columns.some((c) => c.type === 'formula')) return content;
+  const old = oldName.trim().toLowerCase();
+  const bare = /^[A-Za-z_][A-Za-z0-9_]*$/.test(newName.trim()) ? newName.trim() : `{${newName.trim()}}`;
+  const rewrite = (formula) =>
+    (formula || '').replace(/("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')|\{([^}]*)\}|[A-Za-z_][A-Za-z0-9_]*(?=\s*(\()?)/g, (match, quoted, braced, call) => {
+      if (quoted) return match;
+      if (braced !== undefined) return braced.trim().toLowerCase() === old ? `{${newName.trim()}}` : match;
+      if (call) return match;
+      return match.toLowerCase() === old || match.toLowerCase().replace(/_/g, ' ') === old ? bare : match;
+    });
+
+  let changed = false;
+  const nextColumns = columns.map((c) => {
+    if (c.type !== 'formula') return c;
+    const formula = rewrite(c.formula);
+    if (formula === c.formula) return c;
+    changed = true;
+    return { ...c, formula };
+  });
+  return changed ? { ...content, schema: { ...content.schema, columns: nextColumns } } : content;
+};
@@ -19,6 +19,7 @@
 
 import { CLIENT_ID, API_KEY, SCOPES } from './config';
 import { DEBUG_SYNC, APP_VERSION } from './constants';
+import { collectPageLinks } from './page-links';
 
 /**
  * @typedef {Object} StrataNode
@@ -822,7 +823,7 @@ const saveFolderIdempotent = async (folderId, name, parentId, properties = {}) =
 };
 
 // Create Drive folder
-const createDriveFolder = async (name, parentId = null) => {
+const createDriveFolder = async (name, parentId = null, properties = null) => {
     try {
         await ensureAuthenticated();
 
@@ -835,6 +836,10 @@ const createDriveFolder = async (name, parentId = null) => {
             fileMetadata.parents = [parentId];
         }
 
+        if (properties) {
+            fileMetadata.properties = properties;
+        }
+
         const response = await gapi.client.drive.files.create({
             resource: fileMetadata,
             fields: 'id, name, webViewLink'
@@ -1307,7 +1312,9 @@ const savePageFile = async (page, tabFolderId) => {
             driveFileId: page.driveFileId,   // The linked Google Doc ID
             createdAt: page.createdAt,
             modifiedAt: Date.now(),
-            starred: page.starred || false
+            dailyDate: page.dailyDate,       // Day this page is the daily note for
+            starred: page.starred || false,
+            links: collectPageLinks(page)    // Mentioned page ids; the HTML stays the source of truth
         };
         
         // Add page-type-specific content
@@ -1367,7 +1374,9 @@ const buildPageJsonContent = (page) => {
         driveFileId: page.driveFileId,
         createdAt: page.createdAt,
         modifiedAt: Date.now(),
-        starred: page.starred || false
+        dailyDate: page.dailyDate,
+        starred: page.starred || false,
+        links: collectPageLinks(page)
     };
     if (page.type === 'mermaid' || page.type === 'code') {
         const codeVal = page.code ?? page.mermaidCode ?? page.codeContent ?? '';
@@ -1454,6 +1463,85 @@ const writeLinkJson = async (page, tabFolderId) => {
     });
 };
 
+// Saved page templates live in a _templates folder next to the notebook folders.
+// The folder is marked with strata_role=templates so a notebook named _templates
+// is never mistaken for it; unmarked folders from older builds have no app id.
+const TEMPLATES_ROLE = 'templates';
+const templatesFolderIds = new Map();
+
+const isTemplatesFolder = (folder) => {
+    const props = folder?.properties || {};
+    if (props.strata_role) return props.strata_role === TEMPLATES_ROLE;
+    return folder?.name === '_templates' && !props.strata_appId;
+};
+
+const findTemplatesFolder = async (rootFolderId, create = false) => {
+    if (templatesFolderIds.has(rootFolderId)) return templatesFolderIds.get(rootFolderId);
+    await ensureAuthenticated();
+    const inRoot = `'${rootFolderId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`;
+    const response = await gapi.client.drive.files.list({
+        q: `properties has { key='strata_role' and value='${TEMPLATES_ROLE}' } and ${inRoot}`,
+        fields: 'files(id)',
+        pageSize: 1
+    });
+    let folderId = response.result.files?.[0]?.id || null;
+    if (!folderId) {
+        const legacy = await gapi.client.drive.files.list({
+            q: `name='_templates' and ${inRoot}`,
+            fields: 'files(id, name, properties)'
+        });
+        folderId = (legacy.result.files || []).find(isTemplatesFolder)?.id || null;
+        if (folderId) await updateFileProperties(folderId, { role: TEMPLATES_ROLE });
+    }
+    if (!folderId && create) {
+        folderId = (await createDriveFolder('_templates', rootFolderId, { strata_role: TEMPLATES_ROLE })).id;
+    }
+    if (folderId) templatesFolderIds.set(rootFolderId, folderId);
+    return folderId;
+};
+
+const writeTemplateJson = async (template, rootFolderId) => {
+    const folderId = await findTemplatesFolder(rootFolderId, true);
+    const { driveFileId, ...content } = template;
+    // A retried create may already have written the file
+    const fileId = driveFileId || (await findFileByAppId(folderId, template.id, 'application/json'))?.id;
+    return writeJsonFile({
+        fileId,
+        parentId: folderId,
+        name: sanitizeFileName(template.name) + '.json',
+        content,
+        properties: { appId: template.id, pageType: template.page?.type || 'block', icon: template.icon }
+    });
+};
+
+// Load all saved templates; each comes back with its driveFileId
+const loadTemplates = async (rootFolderId) => {
+    try {
+        const folderId = await findTemplatesFolder(rootFolderId);
+        if (!folderId) return [];
+        
+        const response = await gapi.client.drive.files.list({
+            q: `'${folderId}' in parents and mimeType='application/json' and trashed=false`,
+            fields: 'files(id, name)',
+            pageSize: 200
+        });
+        
+        const templates = await Promise.all((response.result.files || []).map(async (file) => {
+            try {
+                const contentResponse = await gapi.client.drive.files.get({ fileId: file.id, alt: 'media' });
+                return { ...JSON.parse(contentResponse.body), driveFileId: file.id };
+            } catch (error) {
+                console.error(`Error loading template ${file.name}:`, error);
+                return null;
+            }
+        }));
+        return templates.filter(Boolean);
+    } catch (error) {
+        console.error('Error loading templates:', error);
+        throw error;
+    }
+};
+
 // Robust save page to Drive with Check-Update-Create logic
 const savePageToDrive = async (pageData) => {
     try {
@@ -1982,6 +2070,125 @@ const apiTreeToRows = (tree) => {
     return rows;
 };
 
+// Map Drive folders/files to tree nodes (shared by the full load and the changes feed)
+const notebookFromFolder = (folder) => {
+    const props = folder.properties || {};
+    return {
+        id: props.strata_appId || `nb_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        name: folder.name,
+        icon: props.strata_icon || '📓',
+        driveFolderId: folder.id,
+        driveEtag: folder.etag,
+        tabs: [],
+        activeTabId: null
+    };
+};
+
+const tabFromFolder = (folder) => {
+    const props = folder.properties || {};
+    return {
+        id: props.strata_appId || `tab_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        name: folder.name,
+        icon: props.strata_icon || '📋',
+        color: props.strata_tabColor || 'blue',
+        driveFolderId: folder.id,
+        driveEtag: folder.etag,
+        pages: [],
+        activePageId: null
+    };
+};
+
+const pageFromFile = (file) => {
+    const props = file.properties || {};
+    return {
+        id: props.strata_appId || `page_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        name: file.name.replace('.json', ''),
+        type: props.strata_pageType || 'block',
+        icon: props.strata_icon || '📄',
+        driveFileId: file.id,
+        driveEtag: file.etag,
+        rows: [],
+        content: [],
+        cover: null,
+        googleFileId: null,
+        url: null,
+        createdAt: Date.now(),
+        modifiedAt: Date.now()
+    };
+};
+
+// Fill a page built by pageFromFile with the contents of its JSON file
+const applyPageJson = (page, pageContent) => {
+    if (pageContent.id) page.id = pageContent.id;
+    
+    // Derive page type from content when file properties lack it (fix for existing link files)
+    const googleTypes = ['doc', 'sheet', 'slide', 'pdf', 'drive', 'lucidchart', 'miro', 'drawio'];
+    const contentType = googleTypes.includes(pageContent.type) ? pageContent.type : null;
+    const pageType = contentType || page.type;
+    if (contentType) page.type = contentType;
+    page.name = pageContent.name || page.name;
+    const raw = pageContent.content || pageContent.rows || [];
+    if (raw && raw.version === TREE_VER && Array.isArray(raw.children)) {
+        page.content = raw;
+        page.rows = apiTreeToRows(raw);
+    } else {
+        page.content = raw;
+        page.rows = Array.isArray(raw) ? raw : [];
+    }
+    page.cover = pageContent.cover;
+    page.googleFileId = pageContent.googleFileId;
+    page.url = pageContent.url;
+    page.createdAt = pageContent.createdAt || page.createdAt;
+    page.modifiedAt = pageContent.modifiedAt || page.modifiedAt;
+    if (pageContent.dailyDate) page.dailyDate = pageContent.dailyDate;
+    page.starred = pageContent.starred || false;
+    
+    if (pageType === 'mermaid' || pageType === 'code') {
+        const codeVal = pageContent.code ?? pageContent.codeContent ?? pageContent.mermaidCode ?? '';
+        page.code = codeVal;
+        page.mermaidCode = pageContent.mermaidCode ?? (pageContent.codeType === 'mermaid' ? codeVal : '');
+        page.codeType = pageContent.codeType || 'mermaid';
+        page.mermaidViewport = pageContent.mermaidViewport;
+        page.codeContent = pageContent.codeContent ?? codeVal;
+    }
+    if (pageType === 'canvas') {
+        page.canvasData = pageContent.canvasData;
+    }
+    if (pageType === 'database') {
+        page.databaseData = pageContent.databaseData;
+    }
+    
+    // Always apply embed URLs if they exist in the JSON content, regardless of the explicit type string.
+    if (pageContent.embedUrl || pageContent.originalUrl || pageContent.webViewLink || googleTypes.includes(pageType)) {
+        page.embedUrl = pageContent.embedUrl || page.embedUrl;
+        page.originalUrl = pageContent.originalUrl || page.originalUrl;
+        page.webViewLink = pageContent.webViewLink || page.webViewLink;
+        page.driveLinkFileId = page.driveFileId; // page JSON file ID
+        page.driveFileId = pageContent.driveFileId || page.driveFileId; // linked Google file ID
+        
+        // Force the type from URL if metadata was lost
+        if (page.embedUrl) {
+            if (page.embedUrl.includes('lucid.app')) page.type = 'lucidchart';
+            else if (page.embedUrl.includes('miro.com')) page.type = 'miro';
+            else if (page.embedUrl.includes('draw.io') || page.embedUrl.includes('diagrams.net')) page.type = 'drawio';
+        }
+    }
+};
+
+// Load one page JSON file; contentUnavailable marks pages whose download failed
+const loadPageFile = async (file) => {
+    const page = pageFromFile(file);
+    try {
+        await ensureAuthenticated();
+        const response = await gapi.client.drive.files.get({ fileId: file.id, alt: 'media' });
+        applyPageJson(page, JSON.parse(response.body));
+    } catch (error) {
+        console.error(`Error loading page ${file.name}:`, error);
+        page.contentUnavailable = true;
+    }
+    return page;
+};
+
 // Load data structure from Drive folder hierarchy
 const loadFromDriveStructure = async (rootFolderId) => {
     try {
@@ -2006,17 +2213,8 @@ const loadFromDriveStructure = async (rootFolderId) => {
         
         // Process notebooks
         for (const folder of notebooksResponse.result.files || []) {
-            if (folder.name === '_STRATA_TRASH') continue;
-            const props = folder.properties || {};
-            const notebook = {
-                id: props.strata_appId || `nb_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                name: folder.name,
-                icon: props.strata_icon || '📓',
-                driveFolderId: folder.id,
-                driveEtag: folder.etag,
-                tabs: [],
-                activeTabId: null
-            };
+            if (folder.name === '_STRATA_TRASH' || isTemplatesFolder(folder)) continue;
+            const notebook = notebookFromFolder(folder);
             
             notebooks.push(notebook);
             notebookMap.set(folder.id, notebook);
@@ -2055,17 +2253,7 @@ const loadFromDriveStructure = async (rootFolderId) => {
             const tabMap = new Map();
             
             for (const folder of tabsResponse.result.files || []) {
-                const props = folder.properties || {};
-                const tab = {
-                    id: props.strata_appId || `tab_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                    name: folder.name,
-                    icon: props.strata_icon || '📋',
-                    color: props.strata_tabColor || 'blue',
-                    driveFolderId: folder.id,
-                    driveEtag: folder.etag,
-                    pages: [],
-                    activePageId: null
-                };
+                const tab = tabFromFolder(folder);
                 
                 tabs.push(tab);
                 tabMap.set(folder.id, tab);
@@ -2115,25 +2303,7 @@ const loadFromDriveStructure = async (rootFolderId) => {
                         continue;
                     }
                     
-                    const props = file.properties || {};
-                    const pageType = props.strata_pageType || 'block';
-                    const icon = props.strata_icon || '📄';
-                    
-                    const page = {
-                        id: props.strata_appId || `page_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                        name: file.name.replace('.json', ''),
-                        type: pageType,
-                        icon: icon,
-                        driveFileId: file.id,
-                        driveEtag: file.etag,
-                        rows: [],
-                        content: [],
-                        cover: null,
-                        googleFileId: null,
-                        url: null,
-                        createdAt: Date.now(),
-                        modifiedAt: Date.now()
-                    };
+                    const page = pageFromFile(file);
                     
                     pages.push(page);
                     pagesToFetch.push({ fileId: file.id, fileName: file.name, tab, page });
@@ -2165,61 +2335,10 @@ const loadFromDriveStructure = async (rootFolderId) => {
                 for (const { page, pageContent } of results) {
                     if (!pageContent) {
                         if (DEBUG_SYNC) console.log('[Strata Sync] loadFromDriveStructure: batch fetch null content', { pageName: page.name });
+                        page.contentUnavailable = true;
                         continue;
                     }
-                    if (pageContent.id) page.id = pageContent.id;
-                    
-                    // Derive page type from content when file properties lack it (fix for existing link files)
-                    const googleTypes = ['doc', 'sheet', 'slide', 'pdf', 'drive', 'lucidchart', 'miro', 'drawio'];
-                    const contentType = googleTypes.includes(pageContent.type) ? pageContent.type : null;
-                    const pageType = contentType || page.type;
-                    if (contentType) page.type = contentType;
-                    page.name = pageContent.name || page.name;
-                    const raw = pageContent.content || pageContent.rows || [];
-                    if (raw && raw.version === TREE_VER && Array.isArray(raw.children)) {
-                        page.content = raw;
-                        page.rows = apiTreeToRows(raw);
-                    } else {
-                        page.content = raw;
-                        page.rows = Array.isArray(raw) ? raw : [];
-                    }
-                    page.cover = pageContent.cover;
-                    page.googleFileId = pageContent.googleFileId;
-                    page.url = pageContent.url;
-                    page.createdAt = pageContent.createdAt || page.createdAt;
-                    page.modifiedAt = pageContent.modifiedAt || page.modifiedAt;
-                    page.starred = pageContent.starred || false;
-                    
-                    if (pageType === 'mermaid' || pageType === 'code') {
-                        const codeVal = pageContent.code ?? pageContent.codeContent ?? pageContent.mermaidCode ?? '';
-                        page.code = codeVal;
-                        page.mermaidCode = pageContent.mermaidCode ?? (pageContent.codeType === 'mermaid' ? codeVal : '');
-                        page.codeType = pageContent.codeType || 'mermaid';
-                        page.mermaidViewport = pageContent.mermaidViewport;
-                        page.codeContent = pageContent.codeContent ?? codeVal;
-                    }
-                    if (pageType === 'canvas') {
-                        page.canvasData = pageContent.canvasData;
-                    }
-                    if (pageType === 'database') {
-                        page.databaseData = pageContent.databaseData;
-                    }
-                    
-                    // Always apply embed URLs if they exist in the JSON content, regardless of the explicit type string.
-                    if (pageContent.embedUrl || pageContent.originalUrl || pageContent.webViewLink || googleTypes.includes(pageType)) {
-                        page.embedUrl = pageContent.embedUrl || page.embedUrl;
-                        page.originalUrl = pageContent.originalUrl || page.originalUrl;
-                        page.webViewLink = pageContent.webViewLink || page.webViewLink;
-                        page.driveLinkFileId = page.driveFileId; // page JSON file ID
-                        page.driveFileId = pageContent.driveFileId || page.driveFileId; // linked Google file ID
-                        
-                        // Force the type from URL if metadata was lost
-                        if (page.embedUrl) {
-                            if (page.embedUrl.includes('lucid.app')) page.type = 'lucidchart';
-                            else if (page.embedUrl.includes('miro.com')) page.type = 'miro';
-                            else if (page.embedUrl.includes('draw.io') || page.embedUrl.includes('diagrams.net')) page.type = 'drawio';
-                        }
-                    }
+                    applyPageJson(page, pageContent);
                 }
             }
             
@@ -2353,7 +2472,50 @@ const convertBlocksToDocsRequests = (rowsOrTree) => {
                         });
                         currentIndex += textLength;
                         break;
-                        
+
+                    case 'quote':
+                        requests.push({
+                            insertText: {
+                                location: { index: currentIndex },
+                                text: textToInsert
+                            }
+                        });
+                        // Indented with a rule on the left, like the viewer's block quote
+                        requests.push({
+                            updateParagraphStyle: {
+                                range: {
+                                    startIndex: currentIndex,
+                                    endIndex: currentIndex + textLength
+                                },
+                                paragraphStyle: {
+                                    indentStart: { magnitude: 18, unit: 'PT' },
+                                    indentFirstLine: { magnitude: 18, unit: 'PT' },
+                                    borderLeft: {
+                                        color: { color: { rgbColor: { red: 0.82, green: 0.84, blue: 0.86 } } },
+                                        width: { magnitude: 3, unit: 'PT' },
+                                        padding: { magnitude: 12, unit: 'PT' },
+                                        dashStyle: 'SOLID'
+                                    }
+                                },
+                                fields: 'indentStart,indentFirstLine,borderLeft'
+                            }
+                        });
+                        requests.push({
+                            updateTextStyle: {
+                                range: {
+                                    startIndex: currentIndex,
+                                    endIndex: currentIndex + textLength - 1
+                                },
+                                textStyle: {
+                                    italic: true,
+                                    foregroundColor: { color: { rgbColor: { red: 0.29, green: 0.33, blue: 0.39 } } }
+                                },
+                                fields: 'italic,foregroundColor'
+                            }
+                        });
+                        currentIndex += textLength;
+                        break;
+
                     case 'ul':
                         requests.push({
                             insertText: {
@@ -2618,6 +2780,103 @@ const updateGoogleDoc = async (docId, page) => {
     }
 };
 
+// --- Google Sheets (database pages bound to a Sheet tab) ---
+
+const SHEETS_API = 'https://sheets.googleapis.com/v4/spreadsheets';
+
+// A1 range covering a whole tab; the name is quoted so spaces and punctuation work
+const sheetRange = (sheetName) => `'${String(sheetName).replace(/'/g, "''")}'`;
+
+const sheetsRequest = async (path, { method = 'GET', body } = {}) => {
+    await ensureAuthenticated();
+    const response = await fetch(`${SHEETS_API}${path}`, {
+        method,
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            ...(body && { 'Content-Type': 'application/json' })
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        throw new DriveRequestError(getDriveErrorMessage({ message: text || response.statusText }), response.status);
+    }
+    return response.json();
+};
+
+// Create a spreadsheet with one tab. Returns { spreadsheetId, spreadsheetName, sheetName, url }
+const createSpreadsheet = async (title, sheetName) => {
+    const result = await sheetsRequest('', {
+        method: 'POST',
+        body: {
+            properties: { title: title || 'Untitled table' },
+            sheets: [{ properties: { title: sheetName || 'Sheet1' } }]
+        }
+    });
+    return {
+        spreadsheetId: result.spreadsheetId,
+        spreadsheetName: result.properties?.title || title,
+        sheetName: result.sheets?.[0]?.properties?.title || sheetName,
+        url: result.spreadsheetUrl
+    };
+};
+
+// Spreadsheet title and the names of its tabs
+const listSheetTabs = async (spreadsheetId) => {
+    const result = await sheetsRequest(`/${spreadsheetId}?fields=properties.title,spreadsheetUrl,sheets.properties.title`);
+    return {
+        spreadsheetName: result.properties?.title || '',
+        url: result.spreadsheetUrl,
+        tabs: (result.sheets || []).map((sheet) => sheet.properties.title)
+    };
+};
+
+// Sheets counts dates in days from 30 Dec 1899
+const SHEET_EPOCH = Date.UTC(1899, 11, 30);
+
+// A cell as its value rather than as the Sheet's locale displays it ("1.200,5", "05/03/2026"):
+// numbers and booleans typed, dates and date-times as ISO text, anything else as text
+const sheetCellValue = (cell) => {
+    const value = cell?.effectiveValue;
+    if (!value) return '';
+    if ('boolValue' in value) return value.boolValue;
+    if ('numberValue' in value) {
+        const type = cell.effectiveFormat?.numberFormat?.type;
+        if (type === 'DATE' || type === 'DATE_TIME') {
+            const iso = new Date(SHEET_EPOCH + Math.round(value.numberValue * 86400000)).toISOString();
+            return type === 'DATE' ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 16)}`;
+        }
+        if (type === 'TIME') return cell.formattedValue ?? String(value.numberValue);
+        return value.numberValue;
+    }
+    if ('errorValue' in value) return cell.formattedValue || '#ERROR!';
+    return value.stringValue ?? '';
+};
+
+// Every value of a tab, one array per row (trailing empty cells left out); see sheetCellValue
+const readSheetValues = async (spreadsheetId, sheetName) => {
+    const range = encodeURIComponent(sheetRange(sheetName));
+    const fields = encodeURIComponent('sheets.data.rowData.values(effectiveValue,formattedValue,effectiveFormat.numberFormat.type)');
+    const result = await sheetsRequest(`/${spreadsheetId}?ranges=${range}&includeGridData=true&fields=${fields}`);
+    const rows = result.sheets?.[0]?.data?.[0]?.rowData || [];
+    return rows.map((row) => {
+        const cells = (row.values || []).map(sheetCellValue);
+        while (cells.length && cells[cells.length - 1] === '') cells.pop();
+        return cells;
+    });
+};
+
+// Write values from A1 on, parsed as if typed into the Sheet. Numbers and booleans should be sent as
+// such, since text is read in the Sheet's locale. Cells outside the block are left alone, so callers
+// pad it with '' to clear what the tab held before.
+const writeSheetValues = async (spreadsheetId, sheetName, values) => {
+    const range = sheetRange(sheetName);
+    await sheetsRequest(`/${spreadsheetId}/values/${encodeURIComponent(range)}?valueInputOption=USER_ENTERED`, {
+        method: 'PUT',
+        body: { range, majorDimension: 'ROWS', values }
+    });
+};
+
 // Create a Google Drive shortcut to an existing file. Returns null on 404 (file not found).
 const createDriveShortcut = async (name, targetFileId, parentFolderId) => {
     try {
@@ -2720,6 +2979,32 @@ const moveDriveItem = async (itemId, newParentId, oldParentId) => {
     }
 };
 
+// Move a Drive item under a single parent, dropping its current parents (and untrashing it when asked)
+const reparentDriveItem = async (itemId, newParentId, resource = {}) => {
+    try {
+        await ensureAuthenticated();
+        
+        const current = await gapi.client.drive.files.get({
+            fileId: itemId,
+            fields: 'parents'
+        });
+        const oldParents = (current.result.parents || []).filter(id => id !== newParentId);
+        
+        const response = await gapi.client.drive.files.update({
+            fileId: itemId,
+            addParents: newParentId,
+            removeParents: oldParents.join(','),
+            resource,
+            fields: 'id, parents, trashed'
+        });
+        
+        return response.result;
+    } catch (error) {
+        console.error('Error reparenting Drive item:', error);
+        throw error;
+    }
+};
+
 // Delete (trash) a Drive item
 const deleteDriveItem = async (itemId) => {
     try {
@@ -2770,15 +3055,14 @@ const getDriveChanges = async (pageToken, rootFolderId) => {
         while (nextPageToken) {
             const response = await gapi.client.drive.changes.list({
                 pageToken: nextPageToken,
-                fields: 'newStartPageToken, nextPageToken, changes(fileId, removed, file(id, name, mimeType, parents, trashed))',
+                fields: 'newStartPageToken, nextPageToken, changes(fileId, removed, file(id, name, mimeType, parents, trashed, properties, modifiedTime))',
                 includeRemoved: true,
                 spaces: 'drive'
             });
             
-            // Filter changes to only include items under our root folder
+            // Keep removals (no file) and files with parents; callers match them against the Strata tree
             for (const change of response.result.changes || []) {
-                if (change.file && change.file.parents) {
-                    // Check if this file is under our Strata folder hierarchy
+                if (change.removed || (change.file && change.file.parents)) {
                     changes.push({
                         fileId: change.fileId,
                         removed: change.removed,
@@ -2811,7 +3095,7 @@ const listFolderContents = async (folderId) => {
         
         const response = await gapi.client.drive.files.list({
             q: `'${folderId}' in parents and trashed=false`,
-            fields: 'files(id, name, mimeType, modifiedTime)',
+            fields: 'files(id, name, mimeType, modifiedTime, properties)',
             orderBy: 'name'
         });
         
@@ -2871,6 +3155,53 @@ const getFileContent = async (fileId) => {
     }
 };
 
+// List stored revisions of a file, newest first
+const listFileRevisions = async (fileId) => {
+    try {
+        await ensureAuthenticated();
+
+        const revisions = [];
+        let pageToken = null;
+        do {
+            const response = await gapi.client.drive.revisions.list({
+                fileId,
+                pageSize: 200,
+                pageToken: pageToken || undefined,
+                fields: 'nextPageToken, revisions(id, modifiedTime, size, keepForever, lastModifyingUser(displayName, emailAddress, me))'
+            });
+            revisions.push(...(response.result.revisions || []));
+            pageToken = response.result.nextPageToken;
+        } while (pageToken);
+
+        return revisions.reverse();
+    } catch (error) {
+        console.error('Error listing file revisions:', error);
+        if (error.status === 401) {
+            await handleTokenExpiration();
+            throw new Error('Authentication expired');
+        }
+        throw error;
+    }
+};
+
+// Get the JSON content of one revision of a file
+const getFileRevisionContent = async (fileId, revisionId) => {
+    try {
+        await ensureAuthenticated();
+
+        const response = await gapi.client.drive.revisions.get({
+            fileId,
+            revisionId,
+            alt: 'media'
+        });
+
+        return JSON.parse(response.body);
+    } catch (error) {
+        console.error('Error getting file revision content:', error);
+        throw error;
+    }
+};
+
 // Full sync - sync entire app structure to Drive
 const fullSyncToDrive = async (data) => {
     try {
@@ -3171,6 +3502,9 @@ export {
     updateFolderExact,
     writePageJson,
     writeLinkJson,
+    writeTemplateJson,
+    loadTemplates,
+    isTemplatesFolder,
     DriveRequestError,
     getDriveErrorMessage,
     // Index file functions
@@ -3195,15 +3529,26 @@ export {
     getDriveItem,
     renameDriveItem,
     moveDriveItem,
+    reparentDriveItem,
     deleteDriveItem,
     getStartPageToken,
     getDriveChanges,
     listFolderContents,
     listStrataFiles,
     getFileContent,
+    loadPageFile,
+    notebookFromFolder,
+    tabFromFolder,
+    listFileRevisions,
+    getFileRevisionContent,
     fullSyncToDrive,
     createDriveShortcut,
     updateDriveShortcut,
+    // Google Sheets sync
+    createSpreadsheet,
+    listSheetTabs,
+    readSheetValues,
+    writeSheetValues,
     // Portable backup functions
     sanitizeFileName,
     updateManifest,
@@ -3247,6 +3592,9 @@ export default {
     updateFolderExact,
     writePageJson,
     writeLinkJson,
+    writeTemplateJson,
+    loadTemplates,
+    isTemplatesFolder,
     DriveRequestError,
     getDriveErrorMessage,
     getIndexFile,
@@ -3267,15 +3615,25 @@ export default {
     getDriveItem,
     renameDriveItem,
     moveDriveItem,
+    reparentDriveItem,
     deleteDriveItem,
     getStartPageToken,
     getDriveChanges,
     listFolderContents,
     listStrataFiles,
     getFileContent,
+    loadPageFile,
+    notebookFromFolder,
+    tabFromFolder,
+    listFileRevisions,
+    getFileRevisionContent,
     fullSyncToDrive,
     createDriveShortcut,
     updateDriveShortcut,
+    createSpreadsheet,
+    listSheetTabs,
+    readSheetValues,
+    writeSheetValues,
     sanitizeFileName,
     updateManifest,
     uploadIndexHtml,
@@ -0,0 +1,121 @@
+// Markdown-style input rules for text blocks
+// Block rules fire when a prefix like "# " is typed at the very start of a text block;
+// inline rules fire when the closing delimiter of **bold**, _italic_, `code` or ~~strike~~ is typed.
+
+const BLOCK_RULES = [
+  { re: /^(#{1,4}) $/, type: (m) => `h${m[1].length}` },
+  { re: /^[-*] $/, type: () => 'ul' },
+  { re: /^\d+[.)] $/, type: () => 'ol' },
+  { re: /^\[([ xX]?)\] $/, type: () => 'todo', checked: (m) => m[1].toLowerCase() === 'x' },
+  { re: /^> $/, type: () => 'quote' },
+  { re: /^---$/, type: () => 'divider', wholeBlock: true },
+];
+
+const INLINE_RULES = [
+  { re: /(?:^|[^*\\])(\*\*([^*\s](?:[^*]*[^*\s])?)\*\*)$/, tag: 'b' },
+  { re: /(?:^|[^\w\\])(_([^_\s](?:[^_]*[^_\s])?)_)$/, tag: 'i' },
+  { re: /(?:^|[^`\\])(`([^`]+)`)$/, tag: 'code' },
+  { re: /(?:^|[^~\\])(~~([^~\s](?:[^~]*[^~\s])?)~~)$/, tag: 's' },
+];
+
+// Keeps the caret outside a freshly wrapped element; stripped again when the block is saved
+export const CARET_GUARD = '\u200B';
+
+/**
+ * Pure function: remove caret guards from saved HTML
+ * @param {string} html - Block HTML
+ * @returns {string} HTML without guard characters
+ */
+export const stripCaretGuards = (html) => html.replace(/\u200B/g, '');
+
+/**
+ * Pure function: match a block rule against the text typed so far
+ * @param {string} textBeforeCaret - Block text from its start up to the caret
+ * @param {string} textAfterCaret - Remaining block text
+ * @returns {Object|null} { type, checked } or null
+ */
+export const matchBlockRule = (textBeforeCaret, textAfterCaret = '') => {
+  for (const rule of BLOCK_RULES) {
+    const m = textBeforeCaret.match(rule.re);
+    if (!m) continue;
+    if (rule.wholeBlock && textAfterCaret.trim()) return null;
+    return { type: rule.type(m), checked: rule.checked ? rule.checked(m) : false };
+  }
+  return null;
+};
+
+/**
+ * Pure function: match an inline rule at the end of a text run
+ * @param {string} text - Text of the current text node up to the caret
+ * @returns {Object|null} { tag, inner, length } where length covers the delimiters
+ */
+export const matchInlineRule = (text) => {
+  for (const rule of INLINE_RULES) {
+    const m = text.match(rule.re);
+    if (m) return { tag: rule.tag, inner: m[2], length: m[1].length };
+  }
+  return null;
+};
+
+const caretRangeIn = (root) => {
+  const sel = window.getSelection();
+  if (!sel || sel.rangeCount === 0 || !sel.isCollapsed) return null;
+  const range = sel.getRangeAt(0);
+  return root.contains(range.startContainer) ? range : null;
+};
+
+const normalizeSpaces = (text) => text.replace(/\u00a0/g, ' ');
+
+
+/**
+ * Apply a block rule if the caret sits right after a trigger prefix.
+ * The prefix is removed from the DOM so the remaining HTML can move to the new block type.
+ * @param {HTMLElement} root - The contentEditable element
+ * @returns {Object|null} { type, checked, html } with the block's remaining HTML, or null
+ */
+export const takeBlockRule = (root) => {
+  const caret = caretRangeIn(root);
+  if (!caret) return null;
+  const before = document.createRange();
+  before.selectNodeContents(root);
+  before.setEnd(caret.startContainer, caret.startOffset);
+  const after = document.createRange();
+  after.selectNodeContents(root);
+  after.setStart(caret.startContainer, caret.startOffset);
+  const rule = matchBlockRule(stripCaretGuards(normalizeSpaces(before.toString())), stripCaretGuards(normalizeSpaces(after.toString())));
+  if (!rule) return null;
+  before.deleteContents();
+  const html = stripCaretGuards(root.innerHTML);
+  return { ...rule, html: html === '<br>' ? '' : html };
+};
+
+/**
+ * Wrap a just-closed **bold** / _italic_ / `code` / ~~strike~~ run in its element
+ * @param {HTMLElement} root - The contentEditable element
+ * @returns {boolean} True when the DOM was changed
+ */
+export const applyInlineRule = (root) => {
+  const caret = caretRangeIn(root);
+  const node = caret?.startContainer;
+  if (!node || node.nodeType !== Node.TEXT_NODE || node.parentElement?.closest('code')) return false;
+  const rule = matchInlineRule(normalizeSpaces(node.textContent.slice(0, caret.startOffset)));
+  if (!rule) return false;
+
+  const range = document.createRange();
+  range.setStart(node, caret.startOffset - rule.length);
+  range.setEnd(node, caret.startOffset);
+  range.deleteContents();
+  const el = document.createElement(rule.tag);
+  el.textContent = rule.inner;
+  const guard = document.createTextNode(CARET_GUARD);
+  range.insertNode(guard);
+  range.insertNode(el);
+
+  const sel = window.getSelection();
+  const next = document.createRange();
+  next.setStart(guard, 1);
+  next.collapse(true);
+  sel.removeAllRanges();
+  sel.addRange(next);
+  return true;
+};
@@ -0,0 +1,526 @@
+// Markdown import/export for block pages (CommonMark + GFM task lists)
+// Inline formatting maps to the tags ContentBlock's execCommand produces:
+// <b> ↔ **, <i> ↔ _, <s> ↔ ~~, and <u> is kept as inline HTML since Markdown has no underline.
+
+import { TREE_VERSION } from './constants';
+import { generateId, getYouTubeID } from './utils';
+import { normalizePageContent } from './tree-operations';
+import { MENTION_CLASS, buildMentionHtml } from './page-links';
+
+const HEADING_LEVELS = { h1: 1, h2: 2, h3: 3, h4: 4 };
+
+const QUOTE_RE = /^\s{0,3}>\s?/;
+
+const VOID_TAGS = ['br', 'img', 'hr', 'input'];
+
+const ENTITY_MAP = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", apos: "'" };
+
+// Page mentions export as [Name](#page-<id>) so they resolve again on import
+const MENTION_HREF_RE = /^#page-(.+)$/;
+
+// A bare % (as in ?q=50%) is not an escape; such hrefs are kept as written
+const decodeHref = (href) => {
+  try {
+    return decodeURIComponent(href);
+  } catch {
+    return href;
+  }
+};
+
+const escapeHtml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const decodeEntities = (text) => text.replace(/&(nbsp|amp|lt|gt|quot|#39|apos);/g, (_, name) => ENTITY_MAP[name]);
+
+// Imported links may only go to the web, to mail or within the workspace; javascript:, data: and the
+// like come in as plain text. Browsers ignore whitespace and control characters inside a scheme.
+const SAFE_SCHEMES = ['http', 'https', 'mailto'];
+
+export const isSafeUrl = (url) => {
+  const scheme = decodeEntities(String(url || '')).replace(/[\u0000-\u0020]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || SAFE_SCHEMES.includes(scheme[1].toLowerCase());
+};
+
+// --- HTML → Markdown -------------------------------------------------------
+
+/**
+ * Pure function: parse the small HTML subset contentEditable produces into a node tree
+ * @param {string} html - HTML fragment
+ * @returns {Array} Nodes of { text } or { tag, attrs, children }
+ */
+export const parseHtmlFragment = (html) => {
+  const root = { tag: '#root', attrs: {}, children: [] };
+  const stack = [root];
+  const re = /<!--[\s\S]*?-->|<\/?([a-zA-Z][a-zA-Z0-9]*)([^>]*)>|[^<]+|</g;
+  let match;
+  while ((match = re.exec(String(html || ''))) !== null) {
+    const token = match[0];
+    const parent = stack[stack.length - 1];
+    if (token.startsWith('<!--')) continue;
+    if (!match[1]) {
+      parent.children.push({ text: decodeEntities(token) });
+      continue;
+    }
+    const tag = match[1].toLowerCase();
+    if (token.startsWith('</')) {
+      const at = stack.map(n => n.tag).lastIndexOf(tag);
+      if (at > 0) stack.length = at;
+      continue;
+    }
+    const attrs = {};
+    for (const attr of match[2].matchAll(/([a-zA-Z_:][-a-zA-Z0-9_:.]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g)) {
+      attrs[attr[1].toLowerCase()] = decodeEntities(attr[2] ?? attr[3] ?? attr[4] ?? '');
+    }
+    const node = { tag, attrs, children: [] };
+    parent.children.push(node);
+    if (!VOID_TAGS.includes(tag) && !token.endsWith('/>')) stack.push(node);
+  }
+  return root.children;
+};
+
+const escapeMarkdown = (text) => text.replace(/([\\`*_[\]~<>])/g, '\\$1');
+
+// Text that would otherwise start a heading, list or quote when read back
+const escapeLineStart = (line) => line.replace(/^(\s*)(#|[-+]\s|(\d+)([.)])\s)/, (m, space, marker, num, delim) =>
+  num ? `${space}${num}\\${delim} ` : `${space}\\${marker}`);
+
+const markdownUrl = (url) => String(url || '').replace(/[()\s]/g, encodeURIComponent);
+
+// Emphasis markers must hug their text: "** bold**" is not bold in CommonMark
+const wrapInline = (inner, open, close = open) => {
+  const m = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!m[2]) return inner;
+  return `${m[1]}${open}${m[2]}${close}${m[3]}`;
+};
+
+const styleFlags = (style = '') => ({
+  bold: /font-weight:\s*(bold|[6-9]00)/i.test(style),
+  italic: /font-style:\s*italic/i.test(style),
+  underline: /text-decoration[^;]*underline/i.test(style),
+  strike: /text-decoration[^;]*line-through/i.test(style)
+});
+
+const inlineToMarkdown = (nodes) => {
+  let out = '';
+  for (const node of nodes) {
+    if (node.text !== undefined) {
+      out += escapeMarkdown(node.text.replace(/\n/g, ' '));
+      continue;
+    }
+    const inner = () => inlineToMarkdown(node.children);
+    switch (node.tag) {
+      case 'br':
+        out += '\n';
+        break;
+      case 'b':
+      case 'strong':
+        out += wrapInline(inner(), '**');
+        break;
+      case 'i':
+      case 'em':
+        // Underscores keep bold-italic unambiguous: **_text_** rather than ***text***
+        out += wrapInline(inner(), '_');
+        break;
+      case 'u':
+        out += wrapInline(inner(), '<u>', '</u>');
+        break;
+      case 's':
+      case 'strike':
+      case 'del':
+        out += wrapInline(inner(), '~~');
+        break;
+      case 'code':
+        out += '`' + node.children.map(c => c.text || '').join('') + '`';
+        break;
+      case 'a': {
+        const label = inner();
+        const pageId = node.attrs['data-page-id'];
+        const href = (node.attrs.class || '').includes(MENTION_CLASS) && pageId ? `#page-${pageId}` : node.attrs.href;
+        out += href ? `[${label}](${markdownUrl(href)})` : label;
+        break;
+      }
+      case 'img':
+        out += `![${escapeMarkdown(node.attrs.alt || '')}](${markdownUrl(node.attrs.src)})`;
+        break;
+      case 'div':
+      case 'p':
+        // Chrome wraps each new line of a contentEditable in a <div>
+        if (out && !out.endsWith('\n')) out += '\n';
+        out += inner();
+        break;
+      case 'ul':
+      case 'ol':
+        break;
+      default: {
+        const flags = styleFlags(node.attrs.style);
+        let text = inner();
+        if (flags.bold) text = wrapInline(text, '**');
+        if (flags.italic) text = wrapInline(text, '_');
+        if (flags.underline) text = wrapInline(text, '<u>', '</u>');
+        if (flags.strike) text = wrapInline(text, '~~');
+        out += text;
+      }
+    }
+  }
+  return out;
+};
+
+/**
+ * Pure function: convert inline HTML to Markdown
+ * @param {string} html - Inline HTML from a text block
+ * @returns {string} Markdown, with "\n" wherever the HTML had a line break
+ */
+export const htmlToMarkdownInline = (html) => inlineToMarkdown(parseHtmlFragment(html)).replace(/\n+$/, '');
+
+// Hard breaks become a trailing backslash; continuation lines keep the list indent
+const withHardBreaks = (text, indent = '') => text.split('\n').join(`\\\n${indent}`);
+
+const listToMarkdown = (nodes, ordered, indent) => {
+  const lines = [];
+  let number = 1;
+  for (const node of nodes) {
+    if (node.tag !== 'li') continue;
+    const marker = ordered ? `${number++}.` : '-';
+    const childIndent = indent + ' '.repeat(marker.length + 1);
+    const text = inlineToMarkdown(node.children).trim();
+    lines.push(`${indent}${marker} ${withHardBreaks(text, childIndent)}`);
+    for (const child of node.children) {
+      if (child.tag === 'ul' || child.tag === 'ol') {
+        lines.push(...listToMarkdown(child.children, child.tag === 'ol', childIndent));
+      }
+    }
+  }
+  return lines;
+};
+
+const todoToMarkdown = (html) => parseHtmlFragment(html)
+  .filter(node => node.tag === 'li')
+  .map(li => `- [${li.attrs['data-checked'] === 'true' ? 'x' : ' '}] ${withHardBreaks(inlineToMarkdown(li.children).trim(), '      ')}`);
+
+const collectBlocks = (nodes, out) => {
+  for (const node of nodes || []) {
+    if (!node) continue;
+    if (node.type === 'row' || node.type === 'column') collectBlocks(node.children, out);
+    else out.push(node);
+  }
+  return out;
+};
+
+/**
+ * Pure function: convert one block to Markdown
+ * @param {Object} block - Block from the page tree
+ * @returns {string} Markdown for the block ('' for blocks with no Markdown form)
+ */
+export const blockToMarkdown = (block) => {
+  const content = block.content || '';
+  if (HEADING_LEVELS[block.type]) {
+    const text = htmlToMarkdownInline(content).replace(/\n/g, ' ').trim();
+    return text ? `${'#'.repeat(HEADING_LEVELS[block.type])} ${text}` : '';
+  }
+  switch (block.type) {
+    case 'ul':
+    case 'ol': {
+      const nodes = parseHtmlFragment(content.includes('<li') ? content : `<li>${content}</li>`);
+      return listToMarkdown(nodes, block.type === 'ol', '').join('\n');
+    }
+    case 'todo':
+      return todoToMarkdown(content || '<li data-checked="false"></li>').join('\n');
+    case 'divider':
+      return '---';
+    case 'image':
+      return block.url ? `![](${markdownUrl(block.url)})` : '';
+    case 'video':
+      return block.url ? `[Video](${markdownUrl(block.url)})` : '';
+    case 'link':
+      return block.url ? `[${escapeMarkdown(content || block.url)}](${markdownUrl(block.url)})` : '';
+    case 'text':
+      return withHardBreaks(htmlToMarkdownInline(content).trim().split('\n').map(escapeLineStart).join('\n'));
+    case 'quote':
+      return '> ' + withHardBreaks(htmlToMarkdownInline(content).trim().split('\n').map(escapeLineStart).join('\n'), '> ');
+    default:
+      // Maps, Drive embeds and other rich blocks have no Markdown form; keep a link when there is one
+      return block.url ? `[${escapeMarkdown(block.driveFileName || block.url)}](${markdownUrl(block.url)})` : '';
+  }
+};
+
+/**
+ * Pure function: convert a block page to Markdown
+ * @param {Object} page - Block page object
+ * @returns {string} Markdown document
+ */
+export const pageToMarkdown = (page) => {
+  const blocks = collectBlocks(normalizePageContent(page)?.children, []);
+  const parts = blocks.map(blockToMarkdown).filter(Boolean);
+  // Adjacent lists of the same kind would merge into one list when read back
+  const separated = [];
+  parts.forEach((part, i) => {
+    const prev = blocks[i - 1];
+    if (i > 0 && prev && ['ul', 'ol', 'todo'].includes(blocks[i].type) && prev.type === blocks[i].type) {
+      separated.push('<!-- -->');
+    }
+    separated.push(part);
+  });
+  return separated.join('\n\n') + '\n';
+};
+
+// --- Markdown → HTML -------------------------------------------------------
+
+const INLINE_HTML_TAGS = /^<\/?(u|b|i|s|em|strong|del|br)\s*\/?>/i;
+
+/**
+ * Pure function: convert inline Markdown to the HTML ContentBlock stores
+ * @param {string} text - Inline Markdown (may contain "\n" for hard breaks)
+ * @returns {string} HTML
+ */
+export const markdownInlineToHtml = (text) => {
+  const tokens = [];
+  const hold = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+
+  let src = String(text || '');
+  // Code spans, escapes and allowed inline HTML are protected before emphasis is parsed
+  src = src.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, __, code) => hold(`<code>${escapeHtml(code.trim())}</code>`));
+  src = src.replace(/\\([\\`*_{}[\]()#+\-.!~<>|])/g, (_, ch) => hold(escapeHtml(ch)));
+  src = src.replace(/<[^>]+>/g, (tag) => (INLINE_HTML_TAGS.test(tag) ? hold(tag.toLowerCase().replace(/\s+/g, '')) : tag));
+  src = escapeHtml(src);
+
+  // URLs and alt text go into attributes, so they are rebuilt from their plain text and escaped again
+  const restore = (part) => part.replace(/\u0000(\d+)\u0000/g, (m, i) => tokens[i]);
+  const attr = (part) => escapeHtml(decodeEntities(restore(part)));
+  src = src.replace(/!\[([^\]]*)\]\(((?:[^()\s]|\([^()\s]*\))+)(?:\s+&quot;.*?&quot;)?\)/g, (_, alt, url) =>
+    hold(isSafeUrl(restore(url)) ? `<img src="${attr(url)}" alt="${attr(alt)}">` : alt));
+  src = src.replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)(?:\s+&quot;.*?&quot;)?\)/g, (_, label, url) => {
+    const mention = restore(url).match(MENTION_HREF_RE);
+    if (mention) return hold(buildMentionHtml({ id: decodeHref(mention[1]), name: decodeEntities(restore(label)) }));
+    return isSafeUrl(restore(url)) ? `<a href="${attr(url)}">${label}</a>` : label;
+  });
+  src = src.replace(/&lt;(https?:\/\/[^\s&]+)&gt;/g, '<a href="$1">$1</a>');
+
+  src = src.replace(/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, '<b><i>$1</i></b>');
+  src = src.replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<b>$2</b>');
+  src = src.replace(/(^|[^\w*])\*(?=\S)([\s\S]*?\S)\*(?!\*)/g, '$1<i>$2</i>');
+  src = src.replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<i>$2</i>');
+  src = src.replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>');
+  src = src.replace(/\n/g, '<br>');
+
+  // Tokens can nest (an escape inside a mention label), so restore until stable
+  while (/\u0000\d+\u0000/.test(src)) src = src.replace(/\u0000(\d+)\u0000/g, (_, i) => tokens[i]);
+  return src;
+};
+
+const LIST_ITEM_RE = /^(\s*)([-*+]|\d{1,9}[.)])(\s+|$)(.*)$/;
+const TASK_RE = /^\[([ xX])\]\s+/;
+const FENCE_RE = /^\s{0,3}(`{3,}|~{3,})/;
+const HEADING_RE = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const DIVIDER_RE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const IMAGE_LINE_RE = /^!\[([^\]]*)\]\(((?:[^()\s]|\([^()\s]*\))+)(?:\s+"[^"]*")?\)$/;
+const LINK_LINE_RE = /^\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)(?:\s+"[^"]*")?\)$/;
+
+const expandTabs = (line) => line.replace(/\t/g, '    ');
+
+const indentOf = (line) => line.match(/^\s*/)[0].length;
+
+// Soft line breaks join with a space; a trailing backslash or two spaces is a hard break
+const joinParagraphLines = (lines) => lines.reduce((acc, line, i) => {
+  const hard = /(\\|\s{2,})$/.test(line);
+  const clean = line.replace(/(\\|\s+)$/, '').trimStart();
+  if (i === lines.length - 1) return acc + clean;
+  return acc + clean + (hard ? '\n' : ' ');
+}, '');
+
+const makeBlock = (type, extra = {}) => ({ id: generateId(), type, ...extra });
+
+// Build nested list items: each item is { kind, checked, lines, children, contentIndent }
+const parseListItems = (lines, start) => {
+  const items = [];
+  const stack = [];
+  let i = start;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      // A blank line continues the list only if another item or indented text follows
+      const next = lines.slice(i + 1).find(l => l.trim());
+      if (!next || (!LIST_ITEM_RE.test(next) && indentOf(next) < (stack[0]?.contentIndent ?? 0))) break;
+      i++;
+      continue;
+    }
+    const m = line.match(LIST_ITEM_RE);
+    if (m && !DIVIDER_RE.test(line)) {
+      const indent = m[1].length;
+      while (stack.length && indent < stack[stack.length - 1].contentIndent) stack.pop();
+      if (!stack.length && items.length && indent >= items[0].contentIndent) break;
+      const task = m[4].match(TASK_RE);
+      const item = {
+        kind: task ? 'todo' : /\d/.test(m[2]) ? 'ol' : 'ul',
+        checked: task ? task[1].toLowerCase() === 'x' : false,
+        lines: [task ? m[4].slice(task[0].length) : m[4]],
+        children: [],
+        contentIndent: indent + m[2].length + Math.max(1, Math.min(m[3].length, 4))
+      };
+      const parent = stack[stack.length - 1];
+      if (parent) parent.children.push(item);
+      else {
+        if (items.length && items[0].kind !== item.kind) break;
+        items.push(item);
+      }
+      stack.push(item);
+      i++;
+      continue;
+    }
+    if (!stack.length) break;
+    // Lazy continuation of the deepest open item
+    if (indentOf(line) === 0 && (HEADING_RE.test(line) || FENCE_RE.test(line) || DIVIDER_RE.test(line))) break;
+    stack[stack.length - 1].lines.push(line.trim());
+    i++;
+  }
+  return { items, next: i };
+};
+
+const listItemsToHtml = (items) => items.map(item => {
+  const inner = markdownInlineToHtml(joinParagraphLines(item.lines));
+  if (!item.children.length) return `<li>${inner}</li>`;
+  const groups = [];
+  for (const child of item.children) {
+    const tag = child.kind === 'ol' ? 'ol' : 'ul';
+    if (groups.length && groups[groups.length - 1].tag === tag) groups[groups.length - 1].items.push(child);
+    else groups.push({ tag, items: [child] });
+  }
+  return `<li>${inner}${groups.map(g => `<${g.tag}>${listItemsToHtml(g.items)}</${g.tag}>`).join('')}</li>`;
+}).join('');
+
+// Todo lists are flat in Strata, so nested tasks are lifted to the top level
+const flattenTodos = (items) => items.flatMap(item => [item, ...flattenTodos(item.children)]);
+
+const singleLinkBlock = (label, url) => {
+  if (getYouTubeID(url)) return makeBlock('video', { url, content: '' });
+  return makeBlock('link', { content: decodeEntities(label.replace(/\\(.)/g, '$1')), url });
+};
+
+/**
+ * Pure function: convert a Markdown document to a block page tree
+ * @param {string} markdown - Markdown source
+ * @returns {Object} Tree { version, children } of top-level blocks
+ */
+export const markdownToPageContent = (markdown) => {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n').map(expandTabs);
+  const blocks = [];
+  let i = 0;
+
+  // Skip YAML front matter
+  if (lines[0] === '---') {
+    const end = lines.indexOf('---', 1);
+    if (end > 0) i = end + 1;
+  }
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim() || /^\s*<!--.*-->\s*$/.test(line)) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE_RE);
+    if (fence) {
+      const body = [];
+      i++;
+      while (i < lines.length && !lines[i].trimStart().startsWith(fence[1])) body.push(lines[i++]);
+      i++;
+      blocks.push(makeBlock('text', { content: `<code>${body.map(escapeHtml).join('<br>')}</code>` }));
+      continue;
+    }
+
+    const heading = line.match(HEADING_RE);
+    if (heading) {
+      const level = Math.min(heading[1].length, 4);
+      blocks.push(makeBlock(`h${level}`, { content: markdownInlineToHtml(heading[2]) }));
+      i++;
+      continue;
+    }
+
+    if (DIVIDER_RE.test(line)) {
+      blocks.push(makeBlock('divider', { content: '' }));
+      i++;
+      continue;
+    }
+
+    if (LIST_ITEM_RE.test(line)) {
+      const { items, next } = parseListItems(lines, i);
+      i = next;
+      if (!items.length) continue;
+      if (items[0].kind === 'todo') {
+        const html = flattenTodos(items)
+          .map(item => `<li data-checked="${item.checked}">${markdownInlineToHtml(joinParagraphLines(item.lines))}</li>`)
+          .join('');
+        blocks.push(makeBlock('todo', { content: html }));
+      } else {
+        blocks.push(makeBlock(items[0].kind, { content: listItemsToHtml(items) }));
+      }
+      continue;
+    }
+
+    if (QUOTE_RE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE_RE.test(lines[i])) quoted.push(lines[i++].replace(QUOTE_RE, ''));
+      blocks.push(makeBlock('quote', { content: markdownInlineToHtml(joinParagraphLines(quoted.filter(l => l.trim()))) }));
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && !HEADING_RE.test(lines[i]) && !FENCE_RE.test(lines[i]) && !QUOTE_RE.test(lines[i]) &&
+      !(paragraph.length && (LIST_ITEM_RE.test(lines[i]) || DIVIDER_RE.test(lines[i])))) {
+      paragraph.push(lines[i]);
+      i++;
+    }
+    const text = joinParagraphLines(paragraph);
+    const image = text.match(IMAGE_LINE_RE);
+    const link = text.match(LINK_LINE_RE);
+    if (image && isSafeUrl(image[2])) blocks.push(makeBlock('image', { url: image[2], content: '' }));
+    else if (link && isSafeUrl(link[2]) && !MENTION_HREF_RE.test(link[2])) blocks.push(singleLinkBlock(link[1], link[2]));
+    else blocks.push(makeBlock('text', { content: markdownInlineToHtml(text) }));
+  }
+
+  if (!blocks.length) blocks.push(makeBlock('text', { content: '' }));
+  return { version: TREE_VERSION, children: blocks };
+};
+
+/**
+ * Pure function: page name for an imported Markdown file
+ * @param {string} fileName - Original file name
+ * @returns {string} Name without the .md extension
+ */
+export const markdownFileTitle = (fileName) =>
+  String(fileName || '').replace(/\.(md|markdown|mdown|txt)$/i, '').trim() || 'Imported Page';
+
+/**
+ * Pure function: safe file name for an exported page, tab or notebook
+ * @param {string} name - Display name
+ * @returns {string} Name with path separators and reserved characters replaced
+ */
+export const markdownSafeName = (name) =>
+  String(name || 'Untitled').replace(/[<>:"/\\|?*\u0000-\u001f]/g, '-').replace(/\s+/g, ' ').replace(/^\.+|\.+$/g, '').trim() || 'Untitled';
+
+/**
+ * Pure function: Markdown files for every block page in a list of tabs
+ * @param {Array} tabs - Tabs to export
+ * @param {boolean} withFolders - Prefix each file with its tab name (notebook export)
+ * @returns {Array} Entries of { name, content } for createZip
+ */
+export const tabsToMarkdownFiles = (tabs, withFolders) => {
+  const files = [];
+  const used = new Set();
+  for (const tab of tabs || []) {
+    const folder = withFolders ? `${markdownSafeName(tab.name)}/` : '';
+    for (const page of tab.pages || []) {
+      if (page.type && page.type !== 'block') continue;
+      if (page.embedUrl) continue;
+      const base = folder + markdownSafeName(page.name);
+      let name = `${base}.md`;
+      for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base} (${n}).md`;
+      used.add(name.toLowerCase());
+      files.push({ name, content: pageToMarkdown(page) });
+    }
+  }
+  return files;
+};
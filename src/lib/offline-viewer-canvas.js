@@ -0,0 +1,6 @@
+// Canvas drawing and export for the offline viewer
+// The viewer is one standalone HTML file, so this entry is bundled into a script of its own (the
+// offlineViewerCanvas plugin in vite.config.js) that defines the global StrataCanvas. Canvases in
+// the viewer are drawn and exported by the same code as in the app.
+
+export { canvasToSvg, exportCanvas } from './canvas-export';
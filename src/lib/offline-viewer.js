@@ -1,3 +1,5 @@
+import viewerCanvasScript from 'virtual:offline-viewer-canvas';
+
 /**
  * Generate the offline viewer HTML
  * This creates a standalone HTML file that can be used to view notebooks offline
@@ -36,6 +38,7 @@ export const generateOfflineViewerHtml = () => {
         .block-h2 { font-size: 24px; font-weight: bold; margin-top: 20px; margin-bottom: 10px; }
         .block-h3 { font-size: 20px; font-weight: bold; margin-top: 16px; margin-bottom: 8px; }
         .block-h4 { font-size: 16px; font-weight: bold; margin-top: 12px; margin-bottom: 6px; }
+        .block-quote { border-left: 4px solid #d1d5db; padding-left: 16px; font-style: italic; color: #4b5563; }
         .block-ul, .block-ol { padding-left: 24px; }
         .block-todo { display: flex; align-items: center; gap: 8px; }
         .block-todo input { width: 18px; height: 18px; }
@@ -47,6 +50,9 @@ export const generateOfflineViewerHtml = () => {
         .block-image img { max-width: 100%; border-radius: 8px; }
         .block-link a { color: #3b82f6; text-decoration: none; }
         .block-link a:hover { text-decoration: underline; }
+        .page-mention { color: #2563eb; background: #eff6ff; border-radius: 4px; padding: 0 4px; text-decoration: none; cursor: pointer; }
+        .page-mention:hover { background: #dbeafe; }
+        .page-mention-missing { color: #9ca3af; background: #f3f4f6; text-decoration: line-through; cursor: default; }
         .block-video iframe { width: 100%; aspect-ratio: 16/9; border: none; border-radius: 8px; }
         .google-link { padding: 16px; background: #f3f4f6; border-radius: 8px; margin: 8px 0; }
         .google-link a { color: #3b82f6; font-weight: 500; }
@@ -54,6 +60,14 @@ export const generateOfflineViewerHtml = () => {
         .error { text-align: center; padding: 40px; color: #dc2626; }
         .empty { text-align: center; padding: 60px; color: #9ca3af; }
         .mermaid-container { min-height: 200px; }
+        .canvas-page { max-width: none; }
+        .canvas-export { display: flex; gap: 8px; margin-bottom: 12px; }
+        .canvas-export button, .canvas-export select { padding: 4px 10px; font-size: 13px; border: 1px solid #d1d5db; border-radius: 6px; background: white; cursor: pointer; }
+        .canvas-export button:hover { background: #f3f4f6; }
+        .canvas-view { overflow: auto; border: 1px solid #e5e7eb; border-radius: 8px; background: #fafafa; }
+        .canvas-view svg { display: block; max-width: 100%; height: auto; margin: 0 auto; }
+        .canvas-content { font: 16px/1.5 ui-sans-serif, system-ui, sans-serif; word-wrap: break-word; }
+        .canvas-content ul, .canvas-content ol { padding-left: 1.5em; }
         @media (max-width: 768px) {
             .sidebar { width: 100%; position: fixed; bottom: 0; height: auto; max-height: 50vh; z-index: 100; }
             .main { margin-bottom: 200px; }
@@ -71,6 +85,7 @@ export const generateOfflineViewerHtml = () => {
             <div id="content" class="loading">Loading...</div>
         </div>
     </div>
+    <script>${viewerCanvasScript}</scr` + `ipt>
     <script>
         let manifest = null;
         let currentNotebook = null;
@@ -185,6 +200,19 @@ export const generateOfflineViewerHtml = () => {
             const page = tab.pages.find(p => p.id === pageId);
             currentPage = page;
 
+            if (page.type === 'canvas') {
+                try {
+                    const filePath = nb.folder + '/' + tab.folder + '/' + page.file;
+                    const response = await fetch(filePath);
+                    if (!response.ok) throw new Error('Could not load page');
+                    const pageData = await response.json();
+                    await renderCanvasPage(page, pageData.canvasData || {});
+                } catch (e) {
+                    document.getElementById('content').innerHTML = '<div class="error">Could not load page: ' + e.message + '</div>';
+                }
+                return;
+            }
+
             if (page.type && page.type !== 'block' && page.type !== 'mermaid') {
                 // Google Doc/Sheet/Slides or external link
                 const link = page.webViewLink || page.embedUrl || '#';
@@ -314,16 +342,17 @@ export const generateOfflineViewerHtml = () => {
                     case 'h2': return '<div class="block block-h2">' + c + '</div>';
                     case 'h3': return '<div class="block block-h3">' + c + '</div>';
                     case 'h4': return '<div class="block block-h4">' + c + '</div>';
+                    case 'quote': return '<blockquote class="block block-quote">' + c + '</blockquote>';
                     case 'ul': return '<div class="block block-ul"><ul>' + c + '</ul></div>';
                     case 'ol': return '<div class="block block-ol"><ol>' + c + '</ol></div>';
-                    case 'todo': (function() {
+                    case 'todo': return (function() {
                         const div = document.createElement('div');
                         div.innerHTML = c || '<li data-checked="false"></li>';
                         const lis = div.querySelectorAll('li');
                         let rows = '';
                         lis.forEach(function(li) {
                             const checked = li.getAttribute('data-checked') === 'true';
-                            const itemHtml = (li.innerHTML || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+                            const itemHtml = li.innerHTML || '';
                             rows += '<label class="block-todo-row"><input type="checkbox" ' + (checked ? 'checked ' : '') + '/><span class="block-todo-text">' + itemHtml + '</span></label>';
                         });
                         return '<div class="block block-todo block-todo-view">' + (rows || '<label class="block-todo-row"><input type="checkbox" /><span class="block-todo-text"></span></label>') + '</div>';
@@ -347,6 +376,7 @@ export const generateOfflineViewerHtml = () => {
             html += '</div>';
             const contentEl = document.getElementById('content');
             contentEl.innerHTML = html;
+            refreshMentions(contentEl);
             contentEl.addEventListener('change', function(e) {
                 if (e.target.matches('.block-todo-view input[type="checkbox"]')) {
                     e.stopPropagation();
@@ -354,6 +384,147 @@ export const generateOfflineViewerHtml = () => {
             });
         }
 
+        function findPageInManifest(pageId) {
+            for (const nb of manifest.notebooks) {
+                for (const tab of nb.tabs) {
+                    const page = tab.pages.find(p => p.id === pageId);
+                    if (page) return { nb, tab, page };
+                }
+            }
+            return null;
+        }
+
+        // Mention labels follow the current page name; unknown ids are shown as missing
+        function refreshMentions(root) {
+            root.querySelectorAll('a.page-mention').forEach(function(a) {
+                const found = findPageInManifest(a.getAttribute('data-page-id'));
+                a.removeAttribute('contenteditable');
+                if (found) a.textContent = found.page.name;
+                else a.classList.add('page-mention-missing');
+            });
+        }
+
+        function openPageById(pageId) {
+            const found = findPageInManifest(pageId);
+            if (!found) return;
+            document.querySelectorAll('.notebook-header').forEach(el => el.classList.remove('active'));
+            document.querySelectorAll('.tabs').forEach(el => el.style.display = 'none');
+            document.getElementById('nb-' + found.nb.id).classList.add('active');
+            document.getElementById('tabs-' + found.nb.id).style.display = 'block';
+            document.querySelectorAll('.tab-header').forEach(el => el.classList.remove('active'));
+            document.querySelectorAll('.pages').forEach(el => el.style.display = 'none');
+            document.getElementById('tab-' + found.tab.id).classList.add('active');
+            document.getElementById('pages-' + found.tab.id).style.display = 'block';
+            currentNotebook = found.nb;
+            currentTab = found.tab;
+            selectPage(found.nb.id, found.tab.id, found.page.id);
+            document.querySelector('.main').scrollTop = 0;
+        }
+
+        // --- Canvas pages ---
+        // Drawn and exported by the app's own canvas code (StrataCanvas, embedded above), with SVG / PNG / PDF downloads
+        const CANVAS_HANDLE = 16;
+        let currentCanvas = null;
+
+        // Content boxes laid out the way the canvas lays them out (auto-sized text boxes grow up to 600px wide)
+        async function measureCanvasBoxes(containers) {
+            const probe = document.createElement('div');
+            probe.style.cssText = 'position:absolute;left:-99999px;top:0;visibility:hidden';
+            document.body.appendChild(probe);
+            const boxes = new Map();
+            for (const c of containers) {
+                let width = c.width || 200;
+                let height = c.height || 100;
+                if (c.type === 'text') {
+                    const el = document.createElement('div');
+                    el.className = 'canvas-content';
+                    el.style.cssText = 'padding:8px 12px;' + (c.width ? 'width:' + c.width + 'px' : 'width:fit-content;max-width:600px;min-width:100px');
+                    el.innerHTML = c.content || '';
+                    probe.appendChild(el);
+                    width = el.offsetWidth;
+                    height = el.offsetHeight;
+                } else if (c.type === 'map') {
+                    height = c.height || 300;
+                } else if (c.type === 'image') {
+                    try {
+                        const img = new Image();
+                        img.src = c.content;
+                        await img.decode();
+                        width = c.width || Math.max(100, img.naturalWidth + 8);
+                        height = (width - 8) * img.naturalHeight / img.naturalWidth + 8;
+                    } catch (e) {
+                        height = c.height || 200;
+                    }
+                }
+                boxes.set(c.id, { x: c.x, y: c.y + CANVAS_HANDLE, width: width, height: height });
+            }
+            probe.remove();
+            return boxes;
+        }
+
+        // Page, database and Drive cards: the viewer has page names but not their contents, so cards show their title
+        function cardSummaries(containers) {
+            const cards = new Map();
+            for (const c of containers) {
+                if (c.type === 'drive-card') {
+                    cards.set(c.id, { icon: (c.embed && c.embed.icon) || '📁', title: c.title || 'Drive file', subtitle: '', lines: [c.url || ''], table: null });
+                } else if (c.type === 'page-card' || c.type === 'table-card') {
+                    const found = findPageInManifest(c.pageId);
+                    cards.set(c.id, found
+                        ? { icon: found.page.icon || (c.type === 'table-card' ? '🗂️' : '📄'), title: found.page.name, subtitle: found.nb.name + ' › ' + found.tab.name, lines: [], table: null }
+                        : { icon: '⚠️', title: 'Missing page', subtitle: '', lines: [], table: null });
+                }
+            }
+            return cards;
+        }
+
+        async function renderCanvasPage(page, data) {
+            const boxes = await measureCanvasBoxes(data.containers || []);
+            currentCanvas = { page: page, data: data, boxes: boxes, cards: cardSummaries(data.containers || []) };
+            const drawn = StrataCanvas.canvasToSvg(data, { boxes: boxes, cards: currentCanvas.cards });
+            let html = '<div class="page-content canvas-page"><h1 class="page-title"><span>' + (page.icon || '🎨') + '</span> ' + page.name + '</h1>';
+            if (!drawn) {
+                html += '<div class="empty">This canvas is empty.</div>';
+            } else {
+                html += '<div class="canvas-export">' +
+                    '<select id="canvas-export-scale" title="Scale"><option value="1">1×</option><option value="2" selected>2×</option><option value="3">3×</option></select>' +
+                    '<select id="canvas-export-background" title="Background"><option value="white">White background</option><option value="transparent">Transparent</option></select>' +
+                    '<button onclick="exportCurrentCanvas(\\'svg\\')">SVG</button><button onclick="exportCurrentCanvas(\\'png\\')">PNG</button><button onclick="exportCurrentCanvas(\\'pdf\\')">PDF</button>' +
+                    '</div><div class="canvas-view">' + drawn.svg + '</div>';
+            }
+            html += '</div>';
+            const contentEl = document.getElementById('content');
+            contentEl.innerHTML = html;
+            contentEl.classList.remove('loading');
+        }
+
+        async function exportCurrentCanvas(format) {
+            if (!currentCanvas) return;
+            try {
+                const blob = await StrataCanvas.exportCanvas(currentCanvas.data, {
+                    format: format,
+                    scale: Number(document.getElementById('canvas-export-scale').value) || 2,
+                    background: document.getElementById('canvas-export-background').value,
+                    boxes: currentCanvas.boxes,
+                    cards: currentCanvas.cards
+                });
+                const a = document.createElement('a');
+                a.href = URL.createObjectURL(blob);
+                a.download = (currentCanvas.page.name || 'Canvas') + '.' + format;
+                a.click();
+                URL.revokeObjectURL(a.href);
+            } catch (e) {
+                alert('Export failed: ' + e.message);
+            }
+        }
+
+        document.addEventListener('click', function(e) {
+            const mention = e.target.closest && e.target.closest('a.page-mention');
+            if (!mention) return;
+            e.preventDefault();
+            openPageById(mention.getAttribute('data-page-id'));
+        });
+
         // Start
         loadManifest();
     </scr` + `ipt>
@@ -38,6 +38,8 @@ export const createCanvasPage = (name = 'Untitled Canvas') => {
     canvasData: {
       containers: [],
       paths: [],
+      connectors: [],
+      frames: [],
       pageTitle: name
     }
   };
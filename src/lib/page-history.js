@@ -0,0 +1,94 @@
+// Page version history: turn Drive revisions of a page JSON file back into page
+// content and diff their block trees against the live page.
+
+import { TREE_VERSION } from './constants';
+import { treeToRows, rowsToTree } from './tree-operations';
+import { htmlToPlainText } from './search-index';
+
+// Keys that change on every save without changing what the block shows
+const VOLATILE_BLOCK_KEYS = ['modifiedAt'];
+
+const collectBlocks = (nodes, out) => {
+  for (const node of nodes || []) {
+    if (!node) continue;
+    if (node.type === 'row' || node.type === 'column') collectBlocks(node.children, out);
+    else out.push(node);
+  }
+  return out;
+};
+
+const blockSignature = (block) => {
+  const copy = { ...block };
+  VOLATILE_BLOCK_KEYS.forEach((key) => delete copy[key]);
+  return JSON.stringify(copy);
+};
+
+/**
+ * Pure function: short plain-text label for a block in a diff listing
+ * @param {Object} block - Block node
+ * @returns {string} Text content, URL or file name; empty when the block has none
+ */
+export const blockPreviewText = (block) => {
+  if (!block) return '';
+  const text = htmlToPlainText(block.content);
+  if (text) return text;
+  return block.url || block.driveFileName || block.caption || '';
+};
+
+/**
+ * Pure function: rebuild page fields from a page JSON file as stored in one Drive revision
+ * @param {Object} json - Parsed revision content (shape written by writePageJson)
+ * @returns {Object} Page fields to merge into a page: { content, rows } plus the stored name and icon
+ */
+export const revisionToPageFields = (json) => {
+  const raw = json?.content || json?.rows || [];
+  const tree = raw && raw.version === TREE_VERSION && Array.isArray(raw.children)
+    ? raw
+    : rowsToTree(Array.isArray(raw) ? raw : raw?.rows);
+  const fields = { content: tree, rows: treeToRows(tree) };
+  if (json?.name) fields.name = json.name;
+  if (json?.icon) fields.icon = json.icon;
+  return fields;
+};
+
+/**
+ * Pure function: block-level diff between two page trees, matched by block id
+ * @param {Object} baseTree - Tree to compare from (e.g. the current page)
+ * @param {Object} otherTree - Tree to compare to (e.g. an older revision)
+ * @returns {Object} { entries, counts } where entries are { kind: 'added'|'removed'|'changed', id, type, before, after }
+ *   in the order of otherTree, with removed blocks placed after their previous neighbour
+ */
+export const diffBlockTrees = (baseTree, otherTree) => {
+  const baseBlocks = collectBlocks(baseTree?.children, []);
+  const otherBlocks = collectBlocks(otherTree?.children, []);
+  const baseById = new Map(baseBlocks.map((b) => [b.id, b]));
+  const otherIds = new Set(otherBlocks.map((b) => b.id));
+
+  // Anchor each removed block to the nearest preceding block that still exists
+  const removedAfter = new Map();
+  let anchor = null;
+  for (const block of baseBlocks) {
+    if (otherIds.has(block.id)) {
+      anchor = block.id;
+      continue;
+    }
+    const list = removedAfter.get(anchor) || [];
+    list.push({ kind: 'removed', id: block.id, type: block.type, before: block, after: null });
+    removedAfter.set(anchor, list);
+  }
+
+  const entries = [...(removedAfter.get(null) || [])];
+  for (const block of otherBlocks) {
+    const previous = baseById.get(block.id);
+    if (!previous) {
+      entries.push({ kind: 'added', id: block.id, type: block.type, before: null, after: block });
+    } else if (blockSignature(previous) !== blockSignature(block)) {
+      entries.push({ kind: 'changed', id: block.id, type: block.type, before: previous, after: block });
+    }
+    entries.push(...(removedAfter.get(block.id) || []));
+  }
+
+  const counts = { added: 0, removed: 0, changed: 0 };
+  entries.forEach((entry) => { counts[entry.kind] += 1; });
+  return { entries, counts };
+};
@@ -0,0 +1,194 @@
+// Inline page mentions
+// A mention is stored in block HTML as <a class="page-mention" data-page-id="...">Name</a>.
+// The id is the source of truth; the label is refreshed from the live page name on render.
+
+import { normalizePageContent } from './tree-operations';
+
+export const MENTION_CLASS = 'page-mention';
+
+const MENTION_ID_RE = /data-page-id="([^"]+)"/g;
+
+// Text before the caret that opens the mention menu: "[[query" or "@query" at a word start
+const MENTION_TRIGGER_RE = /(\[\[|(?:^|\s)@)([^[\]@\n]{0,40})$/;
+
+// A fully typed "[[Page Name]]" right before the caret
+const MENTION_CLOSED_RE = /\[\[([^[\]\n]{1,80})\]\]$/;
+
+const escapeHtml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Build the HTML for a page mention
+ * @param {Object} page - Target page ({ id, name })
+ * @returns {string} Anchor HTML
+ */
+export const buildMentionHtml = (page) =>
+  `<a class="${MENTION_CLASS}" data-page-id="${escapeHtml(page.id)}" href="#page-${escapeHtml(page.id)}" contenteditable="false">${escapeHtml(page.name || 'Untitled')}</a>`;
+
+/**
+ * Pure function: ids of all pages mentioned in an HTML fragment
+ * @param {string} html - Block HTML
+ * @returns {string[]} Unique page ids in order of first appearance
+ */
+export const extractMentionIds = (html) => {
+  if (!html || !html.includes(MENTION_CLASS)) return [];
+  const ids = [];
+  for (const match of html.matchAll(MENTION_ID_RE)) {
+    if (!ids.includes(match[1])) ids.push(match[1]);
+  }
+  return ids;
+};
+
+const collectHtmlFragments = (page) => {
+  if (!page) return [];
+  if (page.type === 'canvas') {
+    return (page.canvasData?.containers || []).filter(c => c.type === 'text' || c.type === 'shape').map(c => c.content || '');
+  }
+  if (page.type && page.type !== 'block') return [];
+  const out = [];
+  const walk = (nodes) => {
+    for (const node of nodes || []) {
+      if (!node) continue;
+      if (node.type === 'row' || node.type === 'column') walk(node.children);
+      else if (typeof node.content === 'string') out.push(node.content);
+    }
+  };
+  walk(normalizePageContent(page)?.children);
+  return out;
+};
+
+// Page and database cards on a canvas link to their page too
+const cardPageIds = (page) => {
+  if (page?.type !== 'canvas') return [];
+  return (page.canvasData?.containers || [])
+    .filter(c => (c.type === 'page-card' || c.type === 'table-card') && c.pageId)
+    .map(c => c.pageId);
+};
+
+/**
+ * Pure function: ids of every page a page links to
+ * @param {Object} page - Page object
+ * @returns {string[]} Unique linked page ids
+ */
+export const collectPageLinks = (page) => {
+  const ids = [];
+  for (const html of collectHtmlFragments(page)) {
+    for (const id of extractMentionIds(html)) {
+      if (!ids.includes(id)) ids.push(id);
+    }
+  }
+  for (const id of cardPageIds(page)) {
+    if (!ids.includes(id)) ids.push(id);
+  }
+  return ids;
+};
+
+/**
+ * Pure function: locate a page anywhere in the notebook tree
+ * @param {Object} data - The full data object containing notebooks
+ * @param {string} pageId - Page ID
+ * @returns {Object|null} { notebook, tab, page } or null when not found
+ */
+export const findPageLocation = (data, pageId) => {
+  for (const notebook of data?.notebooks || []) {
+    for (const tab of notebook.tabs || []) {
+      const page = (tab.pages || []).find(p => p.id === pageId);
+      if (page) return { notebook, tab, page };
+    }
+  }
+  return null;
+};
+
+/**
+ * Pure function: every page that mentions the given page
+ * @param {Object} data - The full data object containing notebooks
+ * @param {string} pageId - Target page ID
+ * @returns {Array} Entries of { pageId, notebookId, tabId, name, icon, notebookName, tabName }
+ */
+export const collectBacklinks = (data, pageId) => {
+  if (!pageId) return [];
+  const needle = `data-page-id="${pageId}"`;
+  const backlinks = [];
+  for (const notebook of data?.notebooks || []) {
+    for (const tab of notebook.tabs || []) {
+      for (const page of tab.pages || []) {
+        if (page.id === pageId) continue;
+        if (!collectHtmlFragments(page).some(html => html.includes(needle)) && !cardPageIds(page).includes(pageId)) continue;
+        backlinks.push({
+          pageId: page.id,
+          notebookId: notebook.id,
+          tabId: tab.id,
+          name: page.name,
+          icon: page.icon,
+          notebookName: notebook.name,
+          tabName: tab.name
+        });
+      }
+    }
+  }
+  return backlinks;
+};
+
+/**
+ * Update mention labels inside a DOM element to the current page names
+ * @param {HTMLElement} root - Element containing mention anchors
+ * @param {Function} resolvePage - (pageId) => page or null
+ */
+export const refreshMentionLabels = (root, resolvePage) => {
+  if (!root || !resolvePage) return;
+  root.querySelectorAll(`a.${MENTION_CLASS}`).forEach(a => {
+    const page = resolvePage(a.getAttribute('data-page-id'));
+    a.classList.toggle('page-mention-missing', !page);
+    if (page && a.textContent !== (page.name || 'Untitled')) a.textContent = page.name || 'Untitled';
+  });
+};
+
+/**
+ * Read the mention trigger immediately before the caret, if any
+ * @param {HTMLElement} root - The contentEditable element
+ * @returns {Object|null} { query, closed, node, start, end } where start/end are offsets in the text node
+ */
+export const getMentionQueryAtCaret = (root) => {
+  const sel = window.getSelection();
+  if (!sel || sel.rangeCount === 0 || !sel.isCollapsed) return null;
+  const node = sel.anchorNode;
+  if (!node || node.nodeType !== Node.TEXT_NODE || !root?.contains(node)) return null;
+  const before = node.textContent.slice(0, sel.anchorOffset);
+  const closed = before.match(MENTION_CLOSED_RE);
+  if (closed) {
+    return { query: closed[1].trim(), closed: true, node, start: before.length - closed[0].length, end: sel.anchorOffset };
+  }
+  const match = before.match(MENTION_TRIGGER_RE);
+  if (!match) return null;
+  const triggerStart = before.length - match[0].length + (match[1].startsWith('[[') ? 0 : match[1].length - 1);
+  return { query: match[2], closed: false, node, start: triggerStart, end: sel.anchorOffset };
+};
+
+/**
+ * Replace the trigger text with a mention anchor and leave the caret after it
+ * @param {Object} trigger - Result of getMentionQueryAtCaret
+ * @param {Object} page - Target page ({ id, name })
+ */
+export const insertMentionAtTrigger = (trigger, page) => {
+  const { node, start, end } = trigger;
+  if (!node?.isConnected) return;
+  const range = document.createRange();
+  range.setStart(node, Math.min(start, node.textContent.length));
+  range.setEnd(node, Math.min(end, node.textContent.length));
+  range.deleteContents();
+  const holder = document.createElement('span');
+  holder.innerHTML = buildMentionHtml(page);
+  const anchor = holder.firstChild;
+  const space = document.createTextNode(' ');
+  range.insertNode(space);
+  range.insertNode(anchor);
+  const sel = window.getSelection();
+  const caret = document.createRange();
+  caret.setStart(space, 1);
+  caret.collapse(true);
+  sel.removeAllRanges();
+  sel.addRange(caret);
+};
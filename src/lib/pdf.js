@@ -0,0 +1,63 @@
+// Minimal PDF writer: a single page showing one image.
+// Canvas exports only need a picture on a page, so the file is written by hand instead of pulling in
+// a PDF library. Pixel data is Flate-compressed with the browser's CompressionStream.
+
+/**
+ * zlib-compress bytes (the format PDF's FlateDecode filter reads)
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+export const deflate = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Build a one-page PDF holding an RGB image, with an optional alpha mask
+ * @param {Object} image - { pixelWidth, pixelHeight, rgb, alpha } - rgb and alpha are deflated
+ *   8-bit samples (alpha may be null for an opaque image)
+ * @param {Object} page - { width, height } in points; the image fills the page
+ * @returns {Blob} application/pdf blob
+ */
+export const createImagePdf = ({ pixelWidth, pixelHeight, rgb, alpha }, { width, height }) => {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const push = (part) => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (num, dict, stream) => {
+    offsets[num] = length;
+    if (!stream) {
+      push(`${num} 0 obj\n${dict}\nendobj\n`);
+      return;
+    }
+    push(`${num} 0 obj\n${dict.replace(/>>$/, `/Length ${stream.length} >>`)}\nstream\n`);
+    push(stream);
+    push('\nendstream\nendobj\n');
+  };
+
+  const w = +width.toFixed(2);
+  const h = +height.toFixed(2);
+  const drawing = encoder.encode(`q ${w} 0 0 ${h} 0 0 cm /Im0 Do Q`);
+  const sampled = `/Type /XObject /Subtype /Image /Width ${pixelWidth} /Height ${pixelHeight} /BitsPerComponent 8 /Filter /FlateDecode`;
+
+  push('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  object(2, '<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+  object(3, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${w} ${h}] /Resources << /XObject << /Im0 5 0 R >> >> /Contents 4 0 R >>`);
+  object(4, '<< >>', drawing);
+  object(5, `<< ${sampled} /ColorSpace /DeviceRGB${alpha ? ' /SMask 6 0 R' : ''} >>`, rgb);
+  if (alpha) object(6, `<< ${sampled} /ColorSpace /DeviceGray >>`, alpha);
+
+  const count = offsets.length;
+  const xref = length;
+  push(`xref\n0 ${count}\n0000000000 65535 f \n`);
+  for (let i = 1; i < count; i++) push(`${String(offsets[i]).padStart(10, '0')} 00000 n \n`);
+  push(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+  return new Blob(chunks, { type: 'application/pdf' });
+};
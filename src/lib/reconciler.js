@@ -45,21 +45,28 @@ const collectKnownDriveIds = (data) => {
     return ids;
 };
 
+// Trash folder ID per root folder, so each trash/restore op doesn't list the root again
+const trashFolderIds = new Map();
+
 /**
  * Get or create _STRATA_TRASH folder
+ * Deleted notebooks, tabs and pages are moved here (see the Trash view) as well as orphans.
  * @param {string} rootFolderId - Root folder ID
  * @returns {Promise<string>} - Trash folder ID
  */
 const getTrashFolderId = async (rootFolderId) => {
+    if (trashFolderIds.has(rootFolderId)) return trashFolderIds.get(rootFolderId);
     try {
         const rootItems = await GoogleAPI.listFolderContents(rootFolderId);
         const trashFolder = rootItems.find(item => item.name === '_STRATA_TRASH');
         
         if (trashFolder) {
+            trashFolderIds.set(rootFolderId, trashFolder.id);
             return trashFolder.id;
         }
         
         const newTrashFolder = await GoogleAPI.createDriveFolder('_STRATA_TRASH', rootFolderId);
+        trashFolderIds.set(rootFolderId, newTrashFolder.id);
         return newTrashFolder.id;
     } catch (error) {
         console.error('Error getting trash folder:', error);
@@ -101,7 +108,7 @@ const cleanupOrphans = async (data, rootFolderId) => {
         
         for (const item of rootItems) {
             // Skip special files and known items
-            if (SPECIAL_NAMES.has(item.name)) continue;
+            if (SPECIAL_NAMES.has(item.name) || GoogleAPI.isTemplatesFolder(item)) continue;
             if (knownIds.has(item.id)) continue;
             
             // This item is in root but not in our data -- it's an orphan
@@ -177,7 +184,7 @@ const reconcileData = (data) => {
 };
 
 // Named exports
-export { cleanupOrphans, collectKnownDriveIds, reconcilePage, reconcileData };
+export { cleanupOrphans, collectKnownDriveIds, getTrashFolderId, reconcilePage, reconcileData };
 
 // Default export
-export default { cleanupOrphans, collectKnownDriveIds, reconcilePage, reconcileData };
+export default { cleanupOrphans, collectKnownDriveIds, getTrashFolderId, reconcilePage, reconcileData };
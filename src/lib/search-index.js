@@ -0,0 +1,238 @@
+// Full-text search over the local notebook tree.
+// The index is rebuilt per page only when that page object changes, so it stays
+// cheap to refresh after every edit and never needs Drive.
+
+import { normalizePageContent } from './tree-operations';
+
+const ENTITY_MAP = { '&nbsp;': ' ', '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+// Relative weight of each entry kind when ranking results
+const KIND_WEIGHT = { title: 8, heading: 3, block: 1, row: 1, canvas: 1, code: 0.75 };
+
+const HEADING_TYPES = ['h1', 'h2', 'h3', 'h4'];
+
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+/**
+ * Strip HTML tags and decode the common entities contentEditable produces
+ * @param {string} html - HTML fragment
+ * @returns {string} Plain text with collapsed whitespace
+ */
+export const htmlToPlainText = (html) => {
+  if (!html) return '';
+  return String(html)
+    .replace(/<(br|\/li|\/div|\/p|\/h[1-6])[^>]*>/gi, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(nbsp|amp|lt|gt|quot|#39);/g, (m) => ENTITY_MAP[m])
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Split a query or text into lowercase search terms
+ * @param {string} text - Raw text
+ * @returns {string[]} Terms (letters and digits only)
+ */
+export const tokenize = (text) => (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+
+const collectBlocks = (nodes, out) => {
+  for (const node of nodes || []) {
+    if (!node) continue;
+    if (node.type === 'row' || node.type === 'column') collectBlocks(node.children, out);
+    else out.push(node);
+  }
+  return out;
+};
+
+const cellToText = (value) => {
+  if (value === null || value === undefined || value === false) return '';
+  if (Array.isArray(value)) return value.map(cellToText).filter(Boolean).join(', ');
+  if (typeof value === 'object') return htmlToPlainText(value.label || value.name || value.text || value.value || '');
+  if (value === true) return '';
+  return htmlToPlainText(String(value));
+};
+
+const makeEntry = (kind, targetId, text) => ({ kind, targetId, text, norm: text.toLowerCase() });
+
+/**
+ * Pure function: extract searchable entries from a page
+ * @param {Object} page - Page object (block, database, code or canvas)
+ * @returns {Array} Entries of { kind, targetId, text, norm }; targetId is a block, row or container id
+ */
+export const extractPageEntries = (page) => {
+  const entries = [];
+  if (!page) return entries;
+  if (page.name) entries.push(makeEntry('title', null, page.name));
+
+  if (page.type === 'database') {
+    const columns = page.content?.schema?.columns || [];
+    for (const row of page.content?.rows || []) {
+      const text = columns.map(col => cellToText(row[col.id])).filter(Boolean).join(' · ');
+      if (text) entries.push(makeEntry('row', row.id, text));
+    }
+    return entries;
+  }
+
+  if (page.type === 'mermaid' || page.type === 'code') {
+    const code = page.code ?? page.mermaidCode ?? page.codeContent ?? '';
+    if (code.trim()) entries.push(makeEntry('code', null, code.replace(/\s+/g, ' ').trim()));
+    return entries;
+  }
+
+  if (page.type === 'canvas') {
+    for (const container of page.canvasData?.containers || []) {
+      if (container.type === 'drive-card' && container.title) entries.push(makeEntry('canvas', container.id, container.title));
+      if (container.type !== 'text' && container.type !== 'shape') continue;
+      const text = htmlToPlainText(container.content);
+      if (text) entries.push(makeEntry('canvas', container.id, text));
+    }
+    return entries;
+  }
+
+  if (page.embedUrl) return entries;
+
+  const tree = normalizePageContent(page);
+  for (const block of collectBlocks(tree?.children, [])) {
+    const text = [htmlToPlainText(block.content), block.type === 'link' ? block.url : '', block.driveFileName]
+      .filter(Boolean)
+      .join(' ');
+    if (!text) continue;
+    entries.push(makeEntry(HEADING_TYPES.includes(block.type) ? 'heading' : 'block', block.id, text));
+  }
+  return entries;
+};
+
+/**
+ * Create an empty search index
+ * @returns {Object} Index with a pages Map keyed by page id
+ */
+export const createSearchIndex = () => ({ pages: new Map() });
+
+/**
+ * Bring an index up to date with the notebook tree. Pages whose object identity
+ * is unchanged keep their entries; only edited, added or removed pages are touched.
+ * @param {Object} index - Index from createSearchIndex (mutated in place)
+ * @param {Object} data - The full data object containing notebooks
+ * @returns {Object} The same index
+ */
+export const updateSearchIndex = (index, data) => {
+  const seen = new Set();
+  for (const notebook of data?.notebooks || []) {
+    for (const tab of notebook.tabs || []) {
+      for (const page of tab.pages || []) {
+        seen.add(page.id);
+        const meta = {
+          notebookId: notebook.id,
+          tabId: tab.id,
+          notebookName: notebook.name,
+          tabName: tab.name,
+          pageName: page.name,
+          icon: page.icon,
+          type: page.type || 'block'
+        };
+        const existing = index.pages.get(page.id);
+        if (existing && existing.page === page) {
+          Object.assign(existing, meta);
+          continue;
+        }
+        index.pages.set(page.id, { ...meta, page, entries: extractPageEntries(page) });
+      }
+    }
+  }
+  for (const pageId of index.pages.keys()) {
+    if (!seen.has(pageId)) index.pages.delete(pageId);
+  }
+  return index;
+};
+
+const scoreEntry = (entry, terms, phrase) => {
+  let score = 0;
+  for (const term of terms) {
+    const at = entry.norm.indexOf(term);
+    if (at < 0) return 0;
+    const atWordStart = at === 0 || !WORD_CHAR.test(entry.norm[at - 1]);
+    const wholeWord = atWordStart && !WORD_CHAR.test(entry.norm[at + term.length] || '');
+    score += wholeWord ? 3 : atWordStart ? 2 : 1;
+  }
+  if (terms.length > 1 && entry.norm.includes(phrase)) score += terms.length;
+  // Short entries that match are more specific than long paragraphs
+  score *= 1 + 1 / Math.max(1, Math.log2(entry.norm.length + 1));
+  return score * (KIND_WEIGHT[entry.kind] || 1);
+};
+
+/**
+ * Build a short excerpt of text centred on the first matching term
+ * @param {string} text - Entry text
+ * @param {string[]} terms - Search terms
+ * @param {number} radius - Characters to keep either side of the match
+ * @returns {string} Excerpt with ellipses where trimmed
+ */
+export const buildSnippet = (text, terms, radius = 60) => {
+  const lower = text.toLowerCase();
+  const at = terms.reduce((min, t) => {
+    const i = lower.indexOf(t);
+    return i >= 0 && (min < 0 || i < min) ? i : min;
+  }, -1);
+  if (at < 0 || text.length <= radius * 2) return text.slice(0, radius * 2);
+  const start = Math.max(0, at - radius);
+  const end = Math.min(text.length, at + radius);
+  return (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+};
+
+/**
+ * Split text into plain and highlighted parts for rendering
+ * @param {string} text - Text to split
+ * @param {string[]} terms - Terms to highlight
+ * @returns {Array} Parts of { text, match }
+ */
+export const splitHighlights = (text, terms) => {
+  if (!text || !terms?.length) return [{ text: text || '', match: false }];
+  const escaped = terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const re = new RegExp(`(${escaped.join('|')})`, 'gi');
+  // With a capturing group, split() puts the matches at odd indices
+  return text.split(re).map((part, i) => ({ text: part, match: i % 2 === 1 })).filter(p => p.text);
+};
+
+/**
+ * Query the index. Every term must appear in a single entry for it to match.
+ * @param {Object} index - Index from updateSearchIndex
+ * @param {string} query - User query
+ * @param {Object} options - { limit, perPage }
+ * @returns {Array} Ranked results of { pageId, notebookId, tabId, targetId, kind, snippet, score, ... }
+ */
+export const searchIndex = (index, query, { limit = 50, perPage = 3 } = {}) => {
+  const terms = tokenize(query);
+  if (!terms.length || !index) return [];
+  const phrase = terms.join(' ');
+  const results = [];
+  for (const [pageId, record] of index.pages) {
+    const hits = [];
+    for (const entry of record.entries) {
+      const score = scoreEntry(entry, terms, phrase);
+      if (score > 0) hits.push({ entry, score });
+    }
+    if (!hits.length) continue;
+    hits.sort((a, b) => b.score - a.score);
+    // A page whose title matches should not also list every body hit
+    const titleHit = hits.find(h => h.entry.kind === 'title');
+    const kept = titleHit ? [titleHit, ...hits.filter(h => h !== titleHit).slice(0, perPage - 1)] : hits.slice(0, perPage);
+    for (const { entry, score } of kept) {
+      results.push({
+        pageId,
+        notebookId: record.notebookId,
+        tabId: record.tabId,
+        notebookName: record.notebookName,
+        tabName: record.tabName,
+        pageName: record.pageName,
+        icon: record.icon,
+        type: record.type,
+        targetId: entry.targetId,
+        kind: entry.kind,
+        snippet: entry.kind === 'title' ? entry.text : buildSnippet(entry.text, terms),
+        score: score + hits.length * 0.01
+      });
+    }
+  }
+  results.sort((a, b) => b.score - a.score);
+  return results.slice(0, limit);
+};
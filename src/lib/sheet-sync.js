@@ -0,0 +1,323 @@
+// Two-way sync between a database page and a tab of a Google Sheet
+// The tab holds a header row of column names, a line per row and a last column with each row's
+// Strata id. A sync reads the tab, merges it with the page against what the previous sync wrote
+// there (the base), then writes the merged table back. A cell changed on both sides since the base
+// is a conflict, settled by the page's conflict policy and listed in the sync panel.
+// Values travel typed both ways (numbers, booleans, ISO dates), never as the Sheet's locale shows
+// them, so "1.200,5" or "05/03/2026" can't be misread.
+
+import { generateUUID } from './utils';
+import { cellToPlainText, convertCellValue, emptyCellValue, hasOptions } from './table-columns';
+import { evaluateFormulas } from './formula';
+import { inferColumnType, textToCell } from './table-csv';
+
+export const SHEET_ID_HEADER = 'Strata ID';
+
+export const CONFLICT_POLICIES = [
+  { policy: 'strata', label: 'Strata wins', description: 'A cell edited in both places keeps the Strata value.' },
+  { policy: 'sheet', label: 'Sheet wins', description: 'A cell edited in both places takes the Sheet value.' },
+];
+
+// Conflicts kept on the page for the sync panel, newest first
+const MAX_CONFLICTS = 20;
+
+// Cells of these columns are worked out or point at pages, so Sheet edits to them are not read back
+const READ_ONLY_TYPES = ['formula', 'relation'];
+// Sent as values so the Sheet stores numbers, dates and formula results; other cells are sent as text
+const TYPED_TYPES = ['number', 'date', 'boolean', 'formula'];
+const TEXT_COLUMN = { type: 'text' };
+
+/**
+ * Pure function: the sheetSync field of a page that has just been bound to a tab
+ * @param {Object} target - { spreadsheetId, spreadsheetName, sheetName, url }
+ * @param {string} conflictPolicy - 'strata' | 'sheet'
+ * @returns {Object}
+ */
+export const createSheetBinding = ({ spreadsheetId, spreadsheetName, sheetName, url }, conflictPolicy = 'strata') => ({
+  spreadsheetId,
+  spreadsheetName: spreadsheetName || '',
+  sheetName,
+  url: url || '',
+  conflictPolicy,
+  base: null,
+  syncedAt: null,
+  conflicts: [],
+  error: null,
+});
+
+export const isSheetBound = (page) => page?.type === 'database' && !!page.content?.sheetSync?.spreadsheetId;
+
+// Values come back as text, numbers, booleans or ISO dates (readSheetValues), with trailing empty
+// cells and rows left out
+const cellText = (cells, i) => (cells?.[i] === undefined || cells?.[i] === null ? '' : String(cells[i]));
+const isBlankLine = (cells) => !cells || cells.every((cell) => String(cell ?? '').trim() === '');
+
+// A read value as the text Strata shows for it in a column, which is what the matrix and base hold.
+// Numbers print as String(n) and dates as ISO keys on both sides, so equal values give equal text.
+const sheetText = (column, cell) => {
+  if (typeof cell === 'boolean') return column?.type === 'boolean' ? cellToPlainText(column, cell) : String(cell).toUpperCase();
+  // A date column keeps days only, so a date-time read from a cell formatted that way is cut to its day
+  if (column?.type === 'date' && /^\d{4}-\d{2}-\d{2} /.test(cell)) return cell.slice(0, 10);
+  return cellText([cell], 0);
+};
+
+// A matrix cell as the value to write: numbers and booleans as such, so the Sheet doesn't parse them in its locale
+const typedValue = (column, text) => {
+  if (column?.type === 'boolean') return convertCellValue(text, TEXT_COLUMN, column);
+  if (column?.type === 'number' || column?.type === 'formula') {
+    const n = Number(text);
+    if (String(n) === text) return n;
+  }
+  return text;
+};
+
+/**
+ * Pure function: the table a page writes to its tab (header row, then a line per row)
+ * @param {Object} content - Database page content
+ * @param {Object} ctx - { pageIndex } for relation labels and formulas
+ * @returns {Array<Array<string>>}
+ */
+export const sheetMatrix = (content, ctx = {}) => {
+  const columns = content.schema?.columns || [];
+  const rows = evaluateFormulas(content.rows || [], columns, ctx);
+  return [
+    [...columns.map((c) => c.name), SHEET_ID_HEADER],
+    ...rows.map((row) => [...columns.map((c) => cellToPlainText(c, row[c.id], ctx)), row.id]),
+  ];
+};
+
+/**
+ * Pure function: values to write for a matrix
+ * Text cells get a leading apostrophe so the Sheet keeps them as typed ("007" stays "007"). The block
+ * is padded with empty cells to cover what the tab held before, which clears removed rows and columns.
+ * @param {Array<Array<string>>} matrix - From sheetMatrix
+ * @param {Array} columns - Schema columns, in matrix order
+ * @param {Array<Array<string>>} previous - Values read from the tab
+ * @returns {Array<Array>} Text, with numbers and booleans as such
+ */
+export const sheetValues = (matrix, columns, previous = []) => {
+  const width = Math.max(matrix[0]?.length || 0, ...previous.map((cells) => cells.length));
+  const height = Math.max(matrix.length, previous.length);
+  return Array.from({ length: height }, (_, r) =>
+    Array.from({ length: width }, (_, c) => {
+      const text = cellText(matrix[r], c);
+      if (!text) return '';
+      const typed = r > 0 && TYPED_TYPES.includes(columns[c]?.type) && !text.startsWith('=');
+      return typed ? typedValue(columns[c], text) : `'${text}`;
+    })
+  );
+};
+
+/**
+ * Pure function: whether a tab already holds a matrix (formatting aside)
+ * @param {Array<Array>} values - Read from the tab
+ * @param {Array<Array<string>>} matrix - From sheetMatrix
+ * @param {Array} columns - Schema columns, in matrix order
+ * @returns {boolean}
+ */
+export const sheetMatches = (values, matrix, columns) => {
+  const lines = values.filter((cells) => !isBlankLine(cells));
+  if (lines.length !== matrix.length) return false;
+  return matrix.every((cells, r) => {
+    if (lines[r].slice(cells.length).some((cell) => String(cell ?? '').trim() !== '')) return false;
+    return cells.every((text, c) => {
+      return r === 0 || c === cells.length - 1 ? cellText(lines[r], c).trim() === text : sheetText(columns[c], lines[r][c]) === text;
+    });
+  });
+};
+
+// What the tab holds after a sync, by column id and row id
+const matrixToBase = (matrix, columns) => ({
+  columns: columns.map((c) => ({ id: c.id, name: c.name })),
+  rows: Object.fromEntries(matrix.slice(1).map((cells) => [cells[cells.length - 1], cells.slice(0, -1)])),
+});
+
+/**
+ * Pure function: merge a tab's values into a page
+ * Columns are matched by header name; a header that replaced the one the last sync wrote in the same
+ * place is a rename in the Sheet, and an unknown header becomes a new column with a guessed type.
+ * Rows are matched by the id column. Lines without a known id are new rows; rows missing from the tab
+ * were deleted there. Deleting the id column or clearing the tab deletes nothing.
+ * @param {Object} content - Database page content with sheetSync
+ * @param {Array<Array>} values - Read from the tab: text, numbers, booleans and ISO dates
+ * @param {Object} ctx - { pageIndex, now }
+ * @returns {Object} { content, pull, matrix, base, conflicts } - pull is what the Sheet changed, for applySheetPull
+ */
+export const mergeSheet = (content, values, ctx = {}) => {
+  const sync = content.sheetSync || {};
+  const policy = sync.conflictPolicy === 'sheet' ? 'sheet' : 'strata';
+  const base = sync.base || { columns: [], rows: {} };
+  const baseIndex = new Map(base.columns.map((c, i) => [c.id, i]));
+  const baseText = (rowId, columnId) => {
+    const cells = base.rows[rowId];
+    const i = baseIndex.get(columnId);
+    return cells && i !== undefined ? cells[i] ?? '' : undefined;
+  };
+  const at = ctx.now || Date.now();
+  const conflicts = [];
+  const conflict = (row, column, strata, sheet) =>
+    conflicts.push({ rowId: row?.id || null, column: column.name, strata, sheet, kept: policy, at });
+
+  const header = (values[0] || []).map((name) => String(name ?? '').trim());
+  const lines = values.slice(1).filter((cells) => !isBlankLine(cells));
+  const idIndex = header.indexOf(SHEET_ID_HEADER);
+  const columns = (content.schema?.columns || []).map((c) => ({ ...c, ...(c.options && { options: [...c.options] }) }));
+  const created = [];
+  const renamed = {};
+
+  // Header cells -> schema columns
+  const sheetColumns = [];
+  const mapped = new Set();
+  header.forEach((name, i) => {
+    if (i === idIndex || !name) return;
+    let column = columns.find((c) => !mapped.has(c.id) && c.name.trim().toLowerCase() === name.toLowerCase());
+    if (!column) {
+      const previous = base.columns[i];
+      column = previous && !header.includes(previous.name.trim()) ? columns.find((c) => c.id === previous.id && !mapped.has(c.id)) : null;
+      if (column) {
+        if (column.name !== previous.name) conflict(null, column, column.name, name);
+        if (column.name === previous.name || policy === 'sheet') {
+          column.name = name;
+          renamed[column.id] = name;
+        }
+      } else if (!columns.some((c) => c.name.trim().toLowerCase() === name.toLowerCase())) {
+        const type = inferColumnType(lines.map((cells) => sheetText(null, cells[i])));
+        column = { id: generateUUID(), name, type, width: 150, ...(hasOptions(type) && { options: [] }) };
+        columns.push(column);
+        created.push(column.id);
+      }
+    }
+    if (!column) return;
+    mapped.add(column.id);
+    sheetColumns.push([i, column]);
+  });
+  const writable = sheetColumns.filter(([, column]) => !READ_ONLY_TYPES.includes(column.type));
+
+  // Lines -> rows
+  const rows = content.rows || [];
+  const rowsById = new Map(rows.map((row) => [row.id, row]));
+  const strataText = (row, column) => cellToPlainText(column, row[column.id], ctx);
+  const updates = {};
+  const added = [];
+  const seen = new Set();
+
+  lines.forEach((cells) => {
+    const id = idIndex >= 0 ? cellText(cells, idIndex).trim() : '';
+    const row = id && !seen.has(id) ? rowsById.get(id) : null;
+    if (row) {
+      seen.add(id);
+      writable.forEach(([i, column]) => {
+        const shown = sheetText(column, cells[i]);
+        const strata = strataText(row, column);
+        if (shown === strata) return;
+        const before = baseText(id, column.id);
+        const sheetChanged = before === undefined ? created.includes(column.id) : shown !== before;
+        if (!sheetChanged) return;
+        if (before !== undefined && strata !== before) {
+          conflict(row, column, strata, shown);
+          if (policy !== 'sheet') return;
+        }
+        updates[id] = { ...updates[id], [column.id]: textToCell(shown, column) };
+      });
+      return;
+    }
+    // A line for a row deleted in Strata comes back only when Sheet wins and it was edited there
+    if (id && base.rows[id] && !rowsById.has(id)) {
+      const edited = writable.find(([i, column]) => sheetText(column, cells[i]) !== (baseText(id, column.id) ?? ''));
+      if (!edited) return;
+      conflict({ id }, edited[1], '(row deleted)', sheetText(edited[1], cells[edited[0]]));
+      if (policy !== 'sheet') return;
+    }
+    // A line copied in the Sheet carries another row's id, so it gets a new one
+    const newRow = { id: id && !rowsById.has(id) && !seen.has(id) ? id : generateUUID() };
+    seen.add(newRow.id);
+    columns.forEach((c) => {
+      if (c.type !== 'formula') newRow[c.id] = emptyCellValue(c.type);
+    });
+    writable.forEach(([i, column]) => {
+      newRow[column.id] = textToCell(sheetText(column, cells[i]), column);
+    });
+    added.push(newRow);
+  });
+
+  // Rows missing from the tab were deleted there, unless Strata wins and they were edited here
+  const removed = idIndex < 0 ? [] : rows.filter((row) => {
+    if (seen.has(row.id) || !base.rows[row.id]) return false;
+    const edited = columns.find((c) => !READ_ONLY_TYPES.includes(c.type) && baseText(row.id, c.id) !== undefined && strataText(row, c) !== baseText(row.id, c.id));
+    if (edited && policy === 'strata') {
+      conflict(row, edited, strataText(row, edited), '(row deleted)');
+      return false;
+    }
+    return true;
+  }).map((row) => row.id);
+
+  const next = {
+    ...content,
+    schema: { ...content.schema, columns },
+    rows: [
+      ...rows.filter((row) => !removed.includes(row.id)).map((row) => (updates[row.id] ? { ...row, ...updates[row.id] } : row)),
+      ...added,
+    ],
+  };
+  const matrix = sheetMatrix(next, ctx);
+  return {
+    content: next,
+    pull: { columns, created, renamed, updates, added, removed },
+    matrix,
+    base: matrixToBase(matrix, columns),
+    conflicts,
+  };
+};
+
+/**
+ * Pure function: whether a merge changed the page
+ * @param {Object} pull - From mergeSheet
+ * @returns {boolean}
+ */
+export const pullChangesPage = (pull) =>
+  pull.created.length > 0 || Object.keys(pull.renamed).length > 0 || Object.keys(pull.updates).length > 0 || pull.added.length > 0 || pull.removed.length > 0;
+
+/**
+ * Pure function: apply what the Sheet changed to the page as it is now
+ * The page may have been edited while the tab was being written; those edits are kept and go out
+ * with the next sync.
+ * @param {Object} content - Current page content
+ * @param {Object} pull - From mergeSheet
+ * @param {Object} sheetSync - Fields to set on content.sheetSync (base, syncedAt, conflicts, error)
+ * @returns {Object} New content
+ */
+export const applySheetPull = (content, pull, sheetSync) => {
+  const pulled = new Map(pull.columns.map((c) => [c.id, c]));
+  const current = content.schema?.columns || [];
+  const columns = [
+    ...current.map((c) => {
+      const from = pulled.get(c.id);
+      if (!from) return c;
+      const options = hasOptions(c.type) ? [...new Set([...(c.options || []), ...(from.type === c.type ? from.options || [] : [])])] : c.options;
+      return { ...c, ...(pull.renamed[c.id] && { name: pull.renamed[c.id] }), ...(options && { options }) };
+    }),
+    ...pull.columns.filter((c) => pull.created.includes(c.id) && !current.some((x) => x.id === c.id)),
+  ];
+  const known = new Set((content.rows || []).map((row) => row.id));
+  return {
+    ...content,
+    schema: { ...content.schema, columns },
+    rows: [
+      ...(content.rows || [])
+        .filter((row) => !pull.removed.includes(row.id))
+        .map((row) => {
+          const filled = { ...row };
+          pull.created.forEach((id) => {
+            if (!(id in filled)) filled[id] = emptyCellValue(pulled.get(id).type);
+          });
+          return pull.updates[row.id] ? { ...filled, ...pull.updates[row.id] } : filled;
+        }),
+      ...pull.added.filter((row) => !known.has(row.id)),
+    ],
+    sheetSync: {
+      ...content.sheetSync,
+      ...sheetSync,
+      conflicts: [...(sheetSync.conflicts || []), ...(content.sheetSync?.conflicts || [])].slice(0, MAX_CONFLICTS),
+    },
+  };
+};
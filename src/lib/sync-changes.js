@@ -0,0 +1,239 @@
+/*
+ * Incremental pull from the Drive changes feed. Changed folders and page files under
+ * the Strata root become a partial Drive tree that is merged into the live tree with
+ * the boot merge rules. Remote renames, moves and removals apply only to items with no
+ * pending local op; the outbox wins until it is ACKed.
+ */
+
+import * as GoogleAPI from './google-api';
+import { pageMergeSnapshot, snapshotHash } from './content-merge';
+import { mergeDriveWithLocal, isLinkPage } from './sync-merge';
+import { getSyncState, getPageBases, pendingPageIds, tombstoneIdSet } from './sync-outbox';
+
+const FOLDER_MIME = 'application/vnd.google-apps.folder';
+const JSON_MIME = 'application/json';
+const SYSTEM_FOLDERS = ['_STRATA_TRASH'];
+const SYSTEM_FILES = ['strata_index.json', 'manifest.json', 'index.html'];
+const FETCH_BATCH = 10;
+
+function strataFileId(page) {
+  return isLinkPage(page) ? page.driveLinkFileId : page.driveFileId;
+}
+
+function indexLocalTree(data) {
+  const notebooks = new Map();
+  const tabs = new Map();
+  const pages = new Map();
+  for (const notebook of data?.notebooks || []) {
+    if (notebook.driveFolderId) notebooks.set(notebook.driveFolderId, notebook);
+    for (const tab of notebook.tabs || []) {
+      if (tab.driveFolderId) tabs.set(tab.driveFolderId, { notebook, tab });
+      for (const page of tab.pages || []) {
+        const fileId = strataFileId(page);
+        if (fileId) pages.set(fileId, { notebook, tab, page });
+      }
+    }
+  }
+  return { notebooks, tabs, pages };
+}
+
+/**
+ * Turn a batch from getDriveChanges into the Drive side of a merge, downloading only
+ * the page files that changed.
+ * @returns {Promise<Object|null>} { notebookFolders, tabFolders, pageFiles, goneIds }, or null
+ *   when nothing in the batch belongs to the Strata tree
+ */
+export async function fetchRemoteChanges(localData, changes, rootFolderId) {
+  const local = indexLocalTree(localData);
+  const isTracked = (id) => local.notebooks.has(id) || local.tabs.has(id) || local.pages.has(id);
+  const goneIds = new Set();
+  const live = [];
+
+  for (const change of changes || []) {
+    if (change.removed || !change.file || change.file.trashed) {
+      if (isTracked(change.fileId)) goneIds.add(change.fileId);
+    } else {
+      live.push(change.file);
+    }
+  }
+
+  // Folders before files, so pages in a tab created in the same batch find their parent
+  const notebookFolders = new Map();
+  const tabFolders = new Map();
+  const isNotebookFolder = (id) => local.notebooks.has(id) || notebookFolders.has(id);
+  const isTabFolder = (id) => local.tabs.has(id) || tabFolders.has(id);
+  const folders = live.filter((file) => file.mimeType === FOLDER_MIME);
+  for (const folder of folders) {
+    if (folder.parents.includes(rootFolderId) && !SYSTEM_FOLDERS.includes(folder.name) && !GoogleAPI.isTemplatesFolder(folder)) notebookFolders.set(folder.id, folder);
+  }
+  for (const folder of folders) {
+    if (!notebookFolders.has(folder.id) && folder.parents.some(isNotebookFolder)) tabFolders.set(folder.id, folder);
+  }
+  const changedFiles = live.filter(
+    (file) => file.mimeType === JSON_MIME && !SYSTEM_FILES.includes(file.name) && file.parents.some(isTabFolder)
+  );
+
+  // Tracked items moved somewhere Strata does not look (e.g. _STRATA_TRASH) count as removed
+  const placed = new Set([...notebookFolders.keys(), ...tabFolders.keys(), ...changedFiles.map((file) => file.id)]);
+  for (const file of live) {
+    if (isTracked(file.id) && !placed.has(file.id)) goneIds.add(file.id);
+  }
+
+  if (!notebookFolders.size && !tabFolders.size && !changedFiles.length && !goneIds.size) return null;
+
+  const pageFiles = [];
+  for (let i = 0; i < changedFiles.length; i += FETCH_BATCH) {
+    const batch = changedFiles.slice(i, i + FETCH_BATCH);
+    const loaded = await Promise.all(
+      batch.map(async (file) => ({
+        fileId: file.id,
+        tabFolderId: file.parents.find(isTabFolder),
+        page: await GoogleAPI.loadPageFile(file),
+      }))
+    );
+    pageFiles.push(...loaded);
+  }
+
+  return { notebookFolders, tabFolders, pageFiles, goneIds };
+}
+
+function opsInFlight() {
+  const ops = getSyncState().ops;
+  return {
+    folderIds: new Set(ops.filter((op) => op.type === 'ensureFolder').map((op) => op.appId)),
+    driveIds: new Set(ops.filter((op) => op.type === 'rename' || op.type === 'move').map((op) => op.driveId)),
+    pageIds: pendingPageIds(),
+  };
+}
+
+function notebookHasPending(notebook, pending) {
+  if (pending.folderIds.has(notebook.id)) return true;
+  return (notebook.tabs || []).some((tab) => tabHasPending(tab, pending));
+}
+
+function tabHasPending(tab, pending) {
+  if (pending.folderIds.has(tab.id)) return true;
+  return (tab.pages || []).some((page) => pending.pageIds.has(page.id));
+}
+
+// Folder name, icon and color written by another device; null when nothing changed
+function folderMetaUpdate(node, folder, pending, withColor = false) {
+  if (!folder || pending.folderIds.has(node.id) || pending.driveIds.has(node.driveFolderId)) return null;
+  const props = folder.properties || {};
+  const update = {};
+  // Folder names are sanitized, so only a different sanitized name is a real rename
+  if (folder.name !== GoogleAPI.sanitizeFileName(node.name)) update.name = folder.name;
+  if (props.strata_icon && props.strata_icon !== node.icon) update.icon = props.strata_icon;
+  if (withColor && props.strata_tabColor && props.strata_tabColor !== node.color) {
+    update.color = props.strata_tabColor;
+  }
+  return Object.keys(update).length ? update : null;
+}
+
+/**
+ * Merge a fetchRemoteChanges result into the current tree.
+ * @returns {Object} { data, conflicts, mergedPageIds, loadedPages } - data is localData itself
+ *   when nothing changed; loadedPages are the downloaded pages that were merged (or matched their
+ *   base), to record as merge bases
+ */
+export function applyRemoteChanges(localData, remote) {
+  const pending = opsInFlight();
+  const bases = getPageBases();
+  const local = indexLocalTree(localData);
+  // Pages whose download failed stay as they are locally
+  const available = remote.pageFiles.filter(({ page }) => !page.contentUnavailable);
+  const incomingTab = new Map(available.map(({ fileId, tabFolderId }) => [fileId, tabFolderId]));
+  let changed = false;
+
+  const keepPage = (tab, page) => {
+    const fileId = strataFileId(page);
+    if (!fileId || pending.pageIds.has(page.id) || pending.driveIds.has(fileId)) return true;
+    const target = incomingTab.get(fileId);
+    const keep = !remote.goneIds.has(fileId) && (!target || target === tab.driveFolderId);
+    if (!keep) changed = true;
+    return keep;
+  };
+
+  const notebooks = [];
+  for (const notebook of localData?.notebooks || []) {
+    if (remote.goneIds.has(notebook.driveFolderId) && !notebookHasPending(notebook, pending)) {
+      changed = true;
+      continue;
+    }
+    const tabs = [];
+    for (const tab of notebook.tabs || []) {
+      if (remote.goneIds.has(tab.driveFolderId) && !tabHasPending(tab, pending)) {
+        changed = true;
+        continue;
+      }
+      const meta = folderMetaUpdate(tab, remote.tabFolders.get(tab.driveFolderId), pending, true);
+      if (meta) changed = true;
+      tabs.push({ ...tab, ...meta, pages: (tab.pages || []).filter((page) => keepPage(tab, page)) });
+    }
+    const meta = folderMetaUpdate(notebook, remote.notebookFolders.get(notebook.driveFolderId), pending);
+    if (meta) changed = true;
+    notebooks.push({ ...notebook, ...meta, tabs });
+  }
+  const trimmed = { ...localData, notebooks };
+
+  // Partial Drive tree: new folders as they are on Drive, known ones as empty skeletons
+  const driveNotebooks = new Map();
+  const driveTabs = new Map();
+  const notebookNode = (folderId) => {
+    if (!driveNotebooks.has(folderId)) {
+      const known = local.notebooks.get(folderId);
+      const node = known ? { ...known, tabs: [] } : GoogleAPI.notebookFromFolder(remote.notebookFolders.get(folderId));
+      if (!known) changed = true;
+      driveNotebooks.set(folderId, node);
+    }
+    return driveNotebooks.get(folderId);
+  };
+  const tabNode = (folderId) => {
+    if (!driveTabs.has(folderId)) {
+      const known = local.tabs.get(folderId);
+      const folder = remote.tabFolders.get(folderId);
+      const node = known ? { ...known.tab, pages: [] } : GoogleAPI.tabFromFolder(folder);
+      if (!known) changed = true;
+      const parentId = known ? known.notebook.driveFolderId : folder.parents.find((id) => local.notebooks.has(id) || remote.notebookFolders.has(id));
+      notebookNode(parentId).tabs.push(node);
+      driveTabs.set(folderId, node);
+    }
+    return driveTabs.get(folderId);
+  };
+
+  for (const folderId of remote.notebookFolders.keys()) notebookNode(folderId);
+  for (const folderId of remote.tabFolders.keys()) tabNode(folderId);
+  // Only pages that are merged below, or that Drive holds unchanged, become merge bases; a page
+  // skipped for a pending op was never merged, and recording it would hide the other side's edits
+  const mergedPages = [];
+  for (const { fileId, tabFolderId, page } of available) {
+    const known = local.pages.get(fileId);
+    const movedAway = known && known.tab.driveFolderId !== tabFolderId;
+    // A pending local edit or move pins the page where it is; its op will rewrite Drive
+    if (movedAway && (pending.pageIds.has(known.page.id) || pending.driveIds.has(fileId))) continue;
+    const base = bases[page.id];
+    mergedPages.push(page);
+    // Our own writes come back through the feed too; skip pages Drive has nothing new for
+    if (known && !movedAway && base && snapshotHash(pageMergeSnapshot(page)) === base.hash) continue;
+    tabNode(tabFolderId).pages.push(page);
+    changed = true;
+  }
+  for (const node of [...driveNotebooks.values(), ...driveTabs.values()]) {
+    if (node.tabs) node.activeTabId = node.activeTabId || node.tabs[0]?.id || null;
+    if (node.pages) node.activePageId = node.activePageId || node.pages[0]?.id || null;
+  }
+
+  const loadedPages = mergedPages.filter((page) => !isLinkPage(page) && !page.contentUnavailable);
+  if (!changed) return { data: localData, conflicts: [], mergedPageIds: [], loadedPages };
+
+  const conflicts = [];
+  const mergedPageIds = [];
+  const data = mergeDriveWithLocal(trimmed, { notebooks: [...driveNotebooks.values()] }, {
+    tombstoneIds: tombstoneIdSet(),
+    pendingPageIds: pending.pageIds,
+    bases,
+    conflicts,
+    mergedPageIds,
+  });
+  return { data, conflicts, mergedPageIds, loadedPages };
+}
@@ -10,13 +10,19 @@ import {
   SyncNotReadyError,
   ackOp,
   buildIndexData,
+  enqueueOp,
   persistNotebookData,
+  recordPageBase,
 } from './sync-outbox';
 import {
+  findDriveEntity,
   findFolderContext,
   findPageContext,
   isLinkPage,
 } from './sync-merge';
+import { getTrashFolderId } from './reconciler';
+import { buildPageIndex } from './table-columns';
+import { mergeSheet, sheetMatches, sheetValues, applySheetPull, pullChangesPage } from './sheet-sync';
 
 const FOLDER_MIME = 'application/vnd.google-apps.folder';
 
@@ -43,7 +49,7 @@ function applyTabMeta(setDataAndRef, notebookId, tabId, meta) {
   }));
 }
 
-function applyPageMeta(setDataAndRef, notebookId, tabId, pageId, meta) {
+function applyPageUpdate(setDataAndRef, notebookId, tabId, pageId, update) {
   setDataAndRef((prev) => ({
     ...prev,
     notebooks: prev.notebooks.map((nb) =>
@@ -56,7 +62,7 @@ function applyPageMeta(setDataAndRef, notebookId, tabId, pageId, meta) {
                 ? tab
                 : {
                     ...tab,
-                    pages: tab.pages.map((page) => (page.id === pageId ? { ...page, ...meta } : page)),
+                    pages: tab.pages.map((page) => (page.id === pageId ? update(page) : page)),
                   }
             ),
           }
@@ -64,11 +70,65 @@ function applyPageMeta(setDataAndRef, notebookId, tabId, pageId, meta) {
   }));
 }
 
-async function processTrash(op) {
+function applyPageMeta(setDataAndRef, notebookId, tabId, pageId, meta) {
+  applyPageUpdate(setDataAndRef, notebookId, tabId, pageId, (page) => ({ ...page, ...meta }));
+}
+
+// Deleted items are parked in _STRATA_TRASH so the Trash view can move them back
+async function processTrash(op, ctx) {
+  try {
+    const trashFolderId = await getTrashFolderId(ctx.rootFolderId);
+    await GoogleAPI.reparentDriveItem(op.driveId, trashFolderId);
+  } catch (error) {
+    if (error.status !== 404 && error.result?.error?.code !== 404) throw error;
+  }
+  ackOp(op.id, { trashDriveId: op.driveId });
+}
+
+async function processPurge(op) {
   await GoogleAPI.deleteDriveItem(op.driveId);
   ackOp(op.id, { trashDriveId: op.driveId });
 }
 
+// The Drive item is gone for good: drop its ID so the ensure ops create it again
+function forgetDriveItem(ctx, { entityType, notebook, tab, page }) {
+  if (entityType === 'notebook') {
+    applyNotebookMeta(ctx.setDataAndRef, notebook.id, { driveFolderId: null, driveEtag: null });
+    enqueueOp({ type: 'ensureFolder', entityType: 'notebook', appId: notebook.id }, `folder:${notebook.id}`);
+  } else if (entityType === 'tab') {
+    applyTabMeta(ctx.setDataAndRef, notebook.id, tab.id, { driveFolderId: null, driveEtag: null });
+    enqueueOp({ type: 'ensureFolder', entityType: 'tab', appId: tab.id, notebookId: notebook.id }, `folder:${tab.id}`);
+  } else {
+    const idField = isLinkPage(page) ? 'driveLinkFileId' : 'driveFileId';
+    applyPageMeta(ctx.setDataAndRef, notebook.id, tab.id, page.id, { [idField]: null, driveEtag: null });
+    enqueueOp({ type: 'ensurePageFile', pageId: page.id, tabId: tab.id, notebookId: notebook.id }, `page:${page.id}`);
+  }
+}
+
+async function processUntrash(op, ctx) {
+  const found = findDriveEntity(ctx.dataRef.current, op.driveId);
+  if (!found) {
+    ackOp(op.id);
+    return;
+  }
+  const parentId =
+    found.entityType === 'notebook'
+      ? ctx.rootFolderId
+      : found.entityType === 'tab'
+        ? found.notebook.driveFolderId
+        : found.tab.driveFolderId;
+  if (!parentId) {
+    throw new SyncNotReadyError(`Parent folder not ready for restored ${found.entityType}`);
+  }
+  try {
+    await GoogleAPI.reparentDriveItem(op.driveId, parentId, { trashed: false });
+  } catch (error) {
+    if (error.status !== 404 && error.result?.error?.code !== 404) throw error;
+    forgetDriveItem(ctx, found);
+  }
+  ackOp(op.id);
+}
+
 async function processMove(op) {
   try {
     await GoogleAPI.moveDriveItem(op.driveId, op.newParentId, op.oldParentId);
@@ -217,6 +277,7 @@ async function processEnsurePageFile(op, ctx) {
       driveFileId: result.id,
       driveEtag: result.etag,
     });
+    recordPageBase(page);
     ackOp(op.id);
     return;
   }
@@ -228,6 +289,7 @@ async function processEnsurePageFile(op, ctx) {
       driveFileId: result.id,
       driveEtag: result.etag,
     });
+    recordPageBase(page);
     ackOp(op.id);
     return;
   }
@@ -236,6 +298,7 @@ async function processEnsurePageFile(op, ctx) {
     driveFileId: created.id,
     driveEtag: created.etag,
   });
+  recordPageBase(page);
   ackOp(op.id);
 }
 
@@ -266,6 +329,84 @@ async function processPatchPage(op, ctx) {
   }
   const result = await GoogleAPI.writePageJson(page, tab.driveFolderId);
   applyPageMeta(ctx.setDataAndRef, notebook.id, tab.id, page.id, { driveEtag: result.etag });
+  recordPageBase(page);
+  ackOp(op.id);
+}
+
+async function processSaveTemplate(op, ctx) {
+  const template = (ctx.dataRef.current?.templates || []).find((t) => t.id === op.templateId);
+  if (!template) {
+    ackOp(op.id);
+    return;
+  }
+  const result = await GoogleAPI.writeTemplateJson(template, ctx.rootFolderId);
+  ctx.setDataAndRef((prev) => ({
+    ...prev,
+    templates: (prev.templates || []).map((t) => (t.id === template.id ? { ...t, driveFileId: result.id } : t)),
+  }));
+  ackOp(op.id);
+}
+
+function applySheetSync(ctx, { notebook, tab, page }, changes) {
+  applyPageUpdate(ctx.setDataAndRef, notebook.id, tab.id, page.id, (current) => ({
+    ...current,
+    content: { ...current.content, sheetSync: { ...current.content?.sheetSync, ...changes } },
+  }));
+}
+
+// A database page bound to a Google Sheet tab: read the tab, merge it with the page under the
+// page's conflict policy, write the merged table back, then keep what the Sheet changed
+async function processSyncSheet(op, ctx) {
+  const found = findPageContext(ctx.dataRef.current, op.pageId);
+  const binding = found?.page.content?.sheetSync;
+  if (!binding?.spreadsheetId) {
+    ackOp(op.id);
+    return;
+  }
+  let values;
+  try {
+    values = await GoogleAPI.readSheetValues(binding.spreadsheetId, binding.sheetName);
+  } catch (error) {
+    // A tab that was deleted or unshared won't come back by retrying; the sync panel shows why
+    if ([400, 403, 404].includes(error.status)) {
+      applySheetSync(ctx, found, { error: GoogleAPI.getDriveErrorMessage(error) });
+      ackOp(op.id);
+      return;
+    }
+    throw error;
+  }
+
+  // Edits made while the tab was being read are part of this merge
+  const current = findPageContext(ctx.dataRef.current, op.pageId);
+  if (!current?.page.content?.sheetSync?.spreadsheetId) {
+    ackOp(op.id);
+    return;
+  }
+  const content = current.page.content;
+  const merged = mergeSheet(content, values, { pageIndex: buildPageIndex(ctx.dataRef.current.notebooks) });
+  const columns = merged.content.schema.columns;
+  if (!sheetMatches(values, merged.matrix, columns)) {
+    await GoogleAPI.writeSheetValues(binding.spreadsheetId, binding.sheetName, sheetValues(merged.matrix, columns, values));
+  }
+
+  const pulled = pullChangesPage(merged.pull);
+  const unchanged = !pulled && !merged.conflicts.length && !content.sheetSync.error &&
+    JSON.stringify(merged.base) === JSON.stringify(content.sheetSync.base);
+  if (unchanged) {
+    ackOp(op.id);
+    return;
+  }
+  log('SYNC', 'sheet synced', { pageId: op.pageId, pulled, conflicts: merged.conflicts.length });
+  applyPageUpdate(ctx.setDataAndRef, current.notebook.id, current.tab.id, op.pageId, (page) => ({
+    ...page,
+    content: applySheetPull(page.content, merged.pull, {
+      base: merged.base,
+      syncedAt: Date.now(),
+      conflicts: merged.conflicts,
+      error: null,
+    }),
+  }));
+  enqueueOp({ type: 'patchPage', pageId: op.pageId }, `patch:${op.pageId}`);
   ackOp(op.id);
 }
 
@@ -289,7 +430,13 @@ export async function processSyncOp(op, ctx) {
   log('SYNC', 'process op', { type: op.type, id: op.id, coalesceKey: op.coalesceKey });
   switch (op.type) {
     case 'trash':
-      await processTrash(op);
+      await processTrash(op, ctx);
+      break;
+    case 'purge':
+      await processPurge(op);
+      break;
+    case 'untrash':
+      await processUntrash(op, ctx);
       break;
     case 'move':
       await processMove(op);
@@ -306,6 +453,12 @@ export async function processSyncOp(op, ctx) {
     case 'patchPage':
       await processPatchPage(op, ctx);
       break;
+    case 'saveTemplate':
+      await processSaveTemplate(op, ctx);
+      break;
+    case 'syncSheet':
+      await processSyncSheet(op, ctx);
+      break;
     case 'saveIndex':
       await processSaveIndex(op, ctx);
       break;
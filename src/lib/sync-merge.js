@@ -1,10 +1,14 @@
 /*
  * Drive-ID merge for boot. Local tree + outbox is source of truth until ACK.
- * Drive fills gaps. Tombstones prevent resurrection. Pending page ops keep local JSON.
+ * Drive fills gaps. Tombstones prevent resurrection. Page content edited on both
+ * sides is merged three-way against the last synced base; true conflicts keep the
+ * local page and add the Drive version next to it as a conflicted copy.
  */
 
 import { LINK_PAGE_TYPES } from './constants';
 import { collectKnownDriveIds } from './reconciler';
+import { mergePageContent, pageMergeSnapshot, snapshotHash } from './content-merge';
+import { generateId } from './utils';
 
 export function isLinkPage(page) {
   if (!page) return false;
@@ -41,6 +45,25 @@ export function findFolderContext(data, { entityType, appId, notebookId }) {
   return notebook && tab ? { notebook, tab } : null;
 }
 
+/**
+ * Find the notebook, tab or page a Strata Drive item belongs to.
+ * @returns {{ entityType: string, notebook: Object, tab?: Object, page?: Object }|null}
+ */
+export function findDriveEntity(data, driveId) {
+  if (!driveId) return null;
+  for (const notebook of data?.notebooks || []) {
+    if (notebook.driveFolderId === driveId) return { entityType: 'notebook', notebook };
+    for (const tab of notebook.tabs || []) {
+      if (tab.driveFolderId === driveId) return { entityType: 'tab', notebook, tab };
+      for (const page of tab.pages || []) {
+        const fileId = isLinkPage(page) ? page.driveLinkFileId : page.driveFileId;
+        if (fileId === driveId) return { entityType: 'page', notebook, tab, page };
+      }
+    }
+  }
+  return null;
+}
+
 function pageKeySet(page) {
   return new Set([page.driveLinkFileId, page.driveFileId].filter(Boolean));
 }
@@ -63,11 +86,20 @@ function clone(obj) {
  * Merge Drive listing into local tree.
  * @param {Object|null} localData
  * @param {Object|null} driveData
- * @param {{ tombstoneIds: Set<string>, pendingPageIds: Set<string> }} opts
+ * @param {{ tombstoneIds: Set<string>, pendingPageIds: Set<string>, bases: Object, conflicts: Array, mergedPageIds: Array }} opts
+ *   bases maps page id to { hash, snapshot } of its last synced content (snapshot may be missing).
+ *   Pages merged from both sides are pushed onto mergedPageIds (they need a write back to Drive);
+ *   those with true conflicts also onto conflicts.
  */
 export function mergeDriveWithLocal(localData, driveData, opts = {}) {
   const tombstoneIds = opts.tombstoneIds || new Set();
-  const pendingPageIds = opts.pendingPageIds || new Set();
+  const ctx = {
+    tombstoneIds,
+    pendingPageIds: opts.pendingPageIds || new Set(),
+    bases: opts.bases || {},
+    conflicts: opts.conflicts || [],
+    mergedPageIds: opts.mergedPageIds || [],
+  };
   const local = localData && Array.isArray(localData.notebooks) ? clone(localData) : { notebooks: [] };
   const drive = driveData && Array.isArray(driveData.notebooks) ? clone(driveData) : { notebooks: [] };
 
@@ -87,7 +119,7 @@ export function mergeDriveWithLocal(localData, driveData, opts = {}) {
       ? drive.notebooks.find((n) => n.driveFolderId === localNb.driveFolderId)
       : null;
     if (driveNb) usedDriveNb.add(driveNb.driveFolderId);
-    resultNotebooks.push(mergeNotebook(localNb, driveNb, tombstoneIds, pendingPageIds));
+    resultNotebooks.push(mergeNotebook(localNb, driveNb, ctx));
   }
 
   for (const driveNb of drive.notebooks) {
@@ -103,8 +135,9 @@ export function mergeDriveWithLocal(localData, driveData, opts = {}) {
   };
 }
 
-function mergeNotebook(localNb, driveNb, tombstoneIds, pendingPageIds) {
+function mergeNotebook(localNb, driveNb, ctx) {
   if (!driveNb) return localNb;
+  const { tombstoneIds } = ctx;
 
   const resultTabs = [];
   const usedDriveTabs = new Set();
@@ -115,7 +148,7 @@ function mergeNotebook(localNb, driveNb, tombstoneIds, pendingPageIds) {
       ? (driveNb.tabs || []).find((t) => t.driveFolderId === localTab.driveFolderId)
       : null;
     if (driveTab?.driveFolderId) usedDriveTabs.add(driveTab.driveFolderId);
-    resultTabs.push(mergeTab(localTab, driveTab, tombstoneIds, pendingPageIds));
+    resultTabs.push(mergeTab(localTab, driveTab, ctx));
   }
 
   for (const driveTab of driveNb.tabs || []) {
@@ -135,8 +168,9 @@ function mergeNotebook(localNb, driveNb, tombstoneIds, pendingPageIds) {
   };
 }
 
-function mergeTab(localTab, driveTab, tombstoneIds, pendingPageIds) {
+function mergeTab(localTab, driveTab, ctx) {
   if (!driveTab) return localTab;
+  const { tombstoneIds } = ctx;
 
   const resultPages = [];
   const usedDrivePages = new Set();
@@ -149,7 +183,9 @@ function mergeTab(localTab, driveTab, tombstoneIds, pendingPageIds) {
     if (drivePage) {
       for (const key of pageKeySet(drivePage)) usedDrivePages.add(key);
     }
-    resultPages.push(mergePage(localPage, drivePage, pendingPageIds));
+    const { page, conflictCopy } = mergePage(localPage, drivePage, ctx);
+    resultPages.push(page);
+    if (conflictCopy) resultPages.push(conflictCopy);
   }
 
   for (const drivePage of driveTab.pages || []) {
@@ -171,25 +207,67 @@ function mergeTab(localTab, driveTab, tombstoneIds, pendingPageIds) {
   };
 }
 
-function mergePage(localPage, drivePage, pendingPageIds) {
-  if (!drivePage) return localPage;
-  const pending = pendingPageIds.has(localPage.id);
-  const localNewer = (localPage.modifiedAt || 0) > (drivePage.modifiedAt || 0);
+function keepLocalPage(localPage, drivePage) {
+  return {
+    ...localPage,
+    driveFileId: localPage.driveFileId || drivePage.driveFileId,
+    driveLinkFileId: localPage.driveLinkFileId || drivePage.driveLinkFileId,
+    driveEtag: localPage.driveEtag || drivePage.driveEtag,
+  };
+}
 
-  if (pending || localNewer) {
-    return {
-      ...localPage,
-      driveFileId: localPage.driveFileId || drivePage.driveFileId,
-      driveLinkFileId: localPage.driveLinkFileId || drivePage.driveLinkFileId,
-      driveEtag: localPage.driveEtag || drivePage.driveEtag,
-    };
+function mergePage(localPage, drivePage, ctx) {
+  if (!drivePage) return { page: localPage };
+  // Content that failed to download must not overwrite local content
+  if (drivePage.contentUnavailable) return { page: keepLocalPage(localPage, drivePage) };
+
+  const base = ctx.bases[localPage.id];
+  if (base && !isLinkPage(localPage)) {
+    const localChanged = snapshotHash(pageMergeSnapshot(localPage)) !== base.hash;
+    const driveChanged = snapshotHash(pageMergeSnapshot(drivePage)) !== base.hash;
+    if (!driveChanged) return { page: keepLocalPage(localPage, drivePage) };
+    // Without the base content every difference counts as a conflict, so neither side is lost
+    if (localChanged) return mergeBothChanged(localPage, drivePage, base.snapshot || null, ctx);
+  } else {
+    const pending = ctx.pendingPageIds.has(localPage.id);
+    const localNewer = (localPage.modifiedAt || 0) > (drivePage.modifiedAt || 0);
+    if (pending || localNewer) return { page: keepLocalPage(localPage, drivePage) };
   }
 
   return {
-    ...drivePage,
-    id: localPage.id || drivePage.id,
+    page: {
+      ...drivePage,
+      id: localPage.id || drivePage.id,
+      driveEtag: drivePage.driveEtag || localPage.driveEtag,
+    },
+  };
+}
+
+function mergeBothChanged(localPage, drivePage, base, ctx) {
+  const { fields, conflicts } = mergePageContent(base, localPage, drivePage);
+  const page = {
+    ...keepLocalPage(localPage, drivePage),
+    ...fields,
     driveEtag: drivePage.driveEtag || localPage.driveEtag,
+    modifiedAt: Date.now(),
+  };
+  ctx.mergedPageIds.push(page.id);
+  if (!conflicts.length) return { page };
+
+  const conflictCopy = {
+    ...drivePage,
+    id: generateId(),
+    name: `${drivePage.name || localPage.name || 'Untitled'} (Conflicted copy)`,
+    driveFileId: undefined,
+    driveLinkFileId: undefined,
+    driveEtag: undefined,
+    starred: false,
+    createdAt: Date.now(),
+    modifiedAt: Date.now(),
+    conflictOf: localPage.id,
   };
+  ctx.conflicts.push({ pageId: localPage.id, copyId: conflictCopy.id, name: localPage.name, items: conflicts });
+  return { page, conflictCopy };
 }
 
 function filterTombstonedTree(data, tombstoneIds) {
@@ -1,14 +1,17 @@
 /*
  * Persisted serial sync outbox + tombstones.
  * Ops are removed only after a checked Drive ACK. Trash IDs stay in tombstones
- * until Drive confirms trashed=true so reloads cannot resurrect them.
+ * until Drive confirms the move to _STRATA_TRASH (or trashed=true for purges) so
+ * reloads cannot resurrect them.
  */
 
 import { createInitialData, INITIAL_DATA } from './constants';
+import { pageMergeSnapshot, snapshotHash } from './content-merge';
 
 const STORAGE_KEY = 'strata_sync_state';
 const DATA_KEY = 'note-app-data-v1';
 const GUEST_BASELINE_KEY = 'strata_guest_baseline';
+const BASES_KEY = 'strata_sync_bases';
 
 let liveTree = null;
 let persistLocked = false;
@@ -31,16 +34,23 @@ export class SyncNotReadyError extends Error {
 
 const OP_PRIORITY = {
   trash: 0,
+  purge: 0,
   move: 1,
   ensureFolder: 2,
-  rename: 3,
-  ensurePageFile: 4,
-  patchPage: 5,
-  saveIndex: 6,
+  untrash: 3,
+  rename: 4,
+  ensurePageFile: 5,
+  patchPage: 6,
+  saveTemplate: 6,
+  syncSheet: 6,
+  saveIndex: 7,
 };
 
+// Ops that take a Drive item away; their IDs stay tombstoned until ACK
+const REMOVING_OPS = ['trash', 'purge'];
+
 function emptyState() {
-  return { ops: [], tombstones: [] };
+  return { ops: [], tombstones: [], changesToken: null };
 }
 
 function loadState() {
@@ -51,6 +61,7 @@ function loadState() {
     return {
       ops: Array.isArray(parsed.ops) ? parsed.ops : [],
       tombstones: Array.isArray(parsed.tombstones) ? parsed.tombstones : [],
+      changesToken: typeof parsed.changesToken === 'string' ? parsed.changesToken : null,
     };
   } catch {
     return emptyState();
@@ -228,7 +239,7 @@ export function enqueueOp(payload, coalesceKey) {
       state.ops.splice(idx, 1);
     }
     state.ops.push(op);
-    if (op.type === 'trash' && op.driveId) {
+    if (REMOVING_OPS.includes(op.type) && op.driveId) {
       if (!state.tombstones.some((t) => t.driveId === op.driveId)) {
         state.tombstones.push({ driveId: op.driveId, deletedAt: Date.now() });
       }
@@ -247,6 +258,30 @@ export function enqueueTrash(driveIds) {
   return ids;
 }
 
+export function enqueuePurge(driveIds) {
+  const ids = (Array.isArray(driveIds) ? driveIds : [driveIds]).filter(Boolean);
+  for (const driveId of ids) {
+    enqueueOp({ type: 'purge', driveId }, `purge:${driveId}`);
+  }
+  return ids;
+}
+
+/**
+ * Undo enqueueTrash for restored items: drop trash ops still waiting and their tombstones.
+ * @returns {string[]} IDs whose trash op already ran, so Drive needs an untrash
+ */
+export function cancelTrash(driveIds) {
+  const ids = new Set((driveIds || []).filter(Boolean));
+  const alreadyTrashed = [];
+  mutate((state) => {
+    const waiting = new Set(state.ops.filter((o) => o.type === 'trash' && ids.has(o.driveId)).map((o) => o.driveId));
+    state.ops = state.ops.filter((o) => !(o.type === 'trash' && ids.has(o.driveId)));
+    state.tombstones = state.tombstones.filter((t) => !ids.has(t.driveId));
+    for (const id of ids) if (!waiting.has(id)) alreadyTrashed.push(id);
+  });
+  return alreadyTrashed;
+}
+
 export function ackOp(opId, { trashDriveId } = {}) {
   mutate((state) => {
     state.ops = state.ops.filter((o) => o.id !== opId);
@@ -256,8 +291,107 @@ export function ackOp(opId, { trashDriveId } = {}) {
   });
 }
 
+/** Drive changes-feed page token: where the next incremental pull resumes. */
+export function getChangesToken() {
+  return loadState().changesToken;
+}
+
+export function setChangesToken(token) {
+  mutate((state) => {
+    state.changesToken = token || null;
+  });
+}
+
 export function clearSyncState() {
   saveState(emptyState());
+  try {
+    localStorage.removeItem(BASES_KEY);
+  } catch {
+    /* storage disabled */
+  }
+}
+
+/*
+ * Merge bases: the last page content this device knows to be on Drive
+ * (written by an ACKed op or read at load). Three-way merges diff both sides against it.
+ * Every page keeps a hash of it, which tells which side changed. The content itself is only
+ * needed when both did, so it is kept for the most recently synced pages that fit in
+ * BASE_SNAPSHOT_BUDGET; older ones fall back to a merge without a base (see mergePage).
+ *
+ * stored = { hashes: { pageId: hash }, snapshots: { pageId: snapshot }, order: [pageId, oldest first] }
+ */
+// Characters of snapshot JSON to keep, well under the ~5M localStorage allows next to the workspace
+const BASE_SNAPSHOT_BUDGET = 750000;
+
+function loadBaseStore() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(BASES_KEY)) || {};
+    if (raw.hashes && raw.snapshots) return { hashes: raw.hashes, snapshots: raw.snapshots, order: raw.order || Object.keys(raw.snapshots) };
+    // Earlier versions kept a full snapshot per page and nothing else
+    const hashes = Object.fromEntries(Object.entries(raw).map(([id, snapshot]) => [id, snapshotHash(snapshot)]));
+    return { hashes, snapshots: raw, order: Object.keys(raw) };
+  } catch {
+    return { hashes: {}, snapshots: {}, order: [] };
+  }
+}
+
+// Newest snapshots first until the budget runs out
+function trimSnapshots(store, budget) {
+  let used = 0;
+  const keep = [];
+  for (let i = store.order.length - 1; i >= 0; i--) {
+    const id = store.order[i];
+    const size = JSON.stringify(store.snapshots[id] ?? null).length;
+    if (!store.snapshots[id] || used + size > budget) {
+      delete store.snapshots[id];
+      continue;
+    }
+    used += size;
+    keep.unshift(id);
+  }
+  store.order = keep;
+}
+
+function saveBaseStore(store) {
+  let budget = BASE_SNAPSHOT_BUDGET;
+  for (;;) {
+    trimSnapshots(store, budget);
+    try {
+      localStorage.setItem(BASES_KEY, JSON.stringify(store));
+      return;
+    } catch (error) {
+      // Out of room: give up older snapshots (hashes stay) until it fits
+      if (error?.name !== 'QuotaExceededError' || !store.order.length) return;
+      budget = Math.floor(Math.min(budget, JSON.stringify(store.snapshots).length) / 2);
+    }
+  }
+}
+
+/**
+ * @returns {Object} pageId -> { hash, snapshot } (snapshot missing for pages past the budget)
+ */
+export function getPageBases() {
+  const store = loadBaseStore();
+  return Object.fromEntries(Object.entries(store.hashes).map(([id, hash]) => [id, { hash, snapshot: store.snapshots[id] }]));
+}
+
+export function recordPageBases(pages) {
+  const store = loadBaseStore();
+  const recorded = new Set();
+  for (const page of pages) {
+    if (!page?.id) continue;
+    const snapshot = pageMergeSnapshot(page);
+    store.hashes[page.id] = snapshotHash(snapshot);
+    store.snapshots[page.id] = snapshot;
+    recorded.add(page.id);
+  }
+  if (!recorded.size) return;
+  store.order = [...store.order.filter((id) => !recorded.has(id)), ...recorded];
+  saveBaseStore(store);
+}
+
+export function recordPageBase(page) {
+  recordPageBases([page]);
 }
 
 export function buildIndexData(data) {
@@ -20,6 +20,10 @@ export function describeSyncOp(op, data) {
       const found = findPageContext(tree, op.pageId);
       return `Saving page: ${found?.page?.name || 'Untitled'}`;
     }
+    case 'syncSheet': {
+      const found = findPageContext(tree, op.pageId);
+      return `Syncing Google Sheet: ${found?.page?.name || 'Untitled'}`;
+    }
     case 'trash':
       return 'Deleting from Drive';
     case 'move':
@@ -0,0 +1,396 @@
+// Database column types
+// Cell values by column type:
+//   text, url, email, person -> string      number -> number ('' when empty)
+//   boolean -> boolean                      select -> option string
+//   multi-select -> option strings          date -> 'YYYY-MM-DD'
+//   checkbox-list -> [{ id, text, checked }]
+//   relation -> [{ pageId, rowId? }]        rowId when the column points at rows of another database page
+//   formula -> nothing stored; lib/formula.js fills in a number, text, boolean, date or { error } for display
+
+import { generateId } from './utils';
+
+export const COLUMN_TYPES = [
+  { type: 'text', label: 'Text', icon: 'Aa' },
+  { type: 'number', label: 'Number', icon: '#' },
+  { type: 'boolean', label: 'Checkbox', icon: '☑' },
+  { type: 'select', label: 'Select', icon: '▼' },
+  { type: 'multi-select', label: 'Multi-select', icon: '☰' },
+  { type: 'date', label: 'Date', icon: '▦' },
+  { type: 'url', label: 'URL', icon: '↗' },
+  { type: 'email', label: 'Email', icon: '@' },
+  { type: 'person', label: 'Person', icon: '☺' },
+  { type: 'checkbox-list', label: 'Checklist', icon: '✓' },
+  { type: 'relation', label: 'Relation', icon: '⇄' },
+  { type: 'formula', label: 'Formula', icon: 'ƒ' },
+];
+
+const LIST_TYPES = ['multi-select', 'checkbox-list', 'relation'];
+
+export const columnTypeInfo = (type) => COLUMN_TYPES.find((t) => t.type === type) || COLUMN_TYPES[0];
+
+export const hasOptions = (type) => type === 'select' || type === 'multi-select';
+
+/**
+ * Pure function: value for a new, empty cell
+ * @param {string} type - Column type
+ */
+export const emptyCellValue = (type) => {
+  if (type === 'boolean') return false;
+  if (LIST_TYPES.includes(type)) return [];
+  return '';
+};
+
+export const isEmptyCell = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0) || Number.isNaN(value);
+
+// Tag colours for select options, picked by the option's position in the column
+export const TAG_COLORS = [
+  'bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-200',
+  'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-200',
+  'bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-200',
+  'bg-purple-100 text-purple-800 dark:bg-purple-900/40 dark:text-purple-200',
+  'bg-pink-100 text-pink-800 dark:bg-pink-900/40 dark:text-pink-200',
+  'bg-teal-100 text-teal-800 dark:bg-teal-900/40 dark:text-teal-200',
+  'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-200',
+  'bg-gray-200 text-gray-800 dark:bg-gray-700 dark:text-gray-200',
+];
+
+export const tagColor = (options, option) => {
+  const index = (options || []).indexOf(option);
+  return TAG_COLORS[(index < 0 ? TAG_COLORS.length - 1 : index) % TAG_COLORS.length];
+};
+
+// --- Dates ---
+
+const pad = (n) => String(n).padStart(2, '0');
+const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Pure function: read a date cell value out of text, a timestamp or a Date
+ * @returns {string} 'YYYY-MM-DD', or '' when it is not a date
+ */
+export const parseDateValue = (value) => {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? '' : toDateKey(value);
+  if (typeof value === 'number') return value > 0 ? toDateKey(new Date(value)) : '';
+  const text = String(value ?? '').trim();
+  if (!text) return '';
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text);
+  if (iso) {
+    const date = new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+    return date.getDate() === Number(iso[3]) ? toDateKey(date) : '';
+  }
+  // Date() reads almost anything; only trust it for text that carries a full year ("Mar 5, 2024", "5/3/2024")
+  if (!/\d{4}/.test(text)) return '';
+  const parsed = new Date(text);
+  return Number.isNaN(parsed.getTime()) ? '' : toDateKey(parsed);
+};
+
+export const formatDateValue = (value) => {
+  if (!value) return '';
+  const [y, m, d] = value.split('-').map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+// --- Relations ---
+
+/**
+ * Pure function: index every page in the tree by id, for resolving relation cells
+ * @param {Array} notebooks - data.notebooks
+ * @returns {Map<string, Object>} pageId -> { page, notebookId, tabId, path }
+ */
+export const buildPageIndex = (notebooks) => {
+  const index = new Map();
+  for (const nb of notebooks || []) {
+    for (const tab of nb.tabs || []) {
+      for (const page of tab.pages || []) {
+        index.set(page.id, { page, notebookId: nb.id, tabId: tab.id, path: `${nb.name} › ${tab.name}` });
+      }
+    }
+  }
+  return index;
+};
+
+/**
+ * Pure function: display title of a database row (its first text column)
+ * @param {Object} page - Database page
+ * @param {Object} row
+ */
+export const rowTitle = (page, row) => {
+  const columns = page?.content?.schema?.columns || [];
+  const titleColumn = columns.find((c) => c.type === 'text') || columns[0];
+  const value = titleColumn ? row?.[titleColumn.id] : '';
+  if (!isEmptyCell(value) && typeof value !== 'object') return String(value);
+  const index = (page?.content?.rows || []).indexOf(row);
+  return index >= 0 ? `Row ${index + 1}` : 'Row';
+};
+
+/**
+ * Pure function: label of a relation reference
+ * @param {Map} pageIndex - From buildPageIndex
+ * @param {Object} ref - { pageId, rowId? }
+ * @returns {Object} { label, icon, missing }
+ */
+export const relationLabel = (pageIndex, ref) => {
+  const entry = pageIndex.get(ref?.pageId);
+  if (!entry) return { label: 'Missing page', icon: '⚠️', missing: true };
+  if (!ref.rowId) return { label: entry.page.name || 'Untitled', icon: entry.page.icon || '📄', missing: false };
+  const row = entry.page.content?.rows?.find((r) => r.id === ref.rowId);
+  if (!row) return { label: 'Missing row', icon: '⚠️', missing: true };
+  return { label: rowTitle(entry.page, row), icon: entry.page.icon || '🗄️', missing: false };
+};
+
+/**
+ * Pure function: what a relation cell can link to
+ * @param {Map} pageIndex - From buildPageIndex
+ * @param {Object} column - Relation column; column.relation.pageId limits it to rows of that database page
+ * @param {string} selfPageId - The table's own page, left out of page relations
+ * @returns {Array} [{ ref, label, icon, detail }]
+ */
+export const relationTargets = (pageIndex, column, selfPageId) => {
+  const targetPageId = column?.relation?.pageId;
+  if (targetPageId) {
+    const entry = pageIndex.get(targetPageId);
+    return (entry?.page.content?.rows || []).map((row) => ({
+      ref: { pageId: targetPageId, rowId: row.id },
+      label: rowTitle(entry.page, row),
+      icon: entry.page.icon || '🗄️',
+      detail: entry.page.name,
+    }));
+  }
+  return [...pageIndex.values()]
+    .filter(({ page }) => page.id !== selfPageId)
+    .map(({ page, path }) => ({ ref: { pageId: page.id }, label: page.name || 'Untitled', icon: page.icon || '📄', detail: path }));
+};
+
+export const sameRef = (a, b) => a?.pageId === b?.pageId && (a?.rowId || null) === (b?.rowId || null);
+
+// --- Text form, sorting and type changes ---
+
+/**
+ * Pure function: plain-text form of a cell
+ * @param {Object} column
+ * @param {*} value
+ * @param {Object} ctx - { pageIndex } to name relation targets
+ */
+export const cellToPlainText = (column, value, ctx = {}) => {
+  if (isEmptyCell(value)) return '';
+  switch (column?.type) {
+    case 'boolean':
+      return value ? 'Yes' : 'No';
+    case 'multi-select':
+      return (Array.isArray(value) ? value : [value]).join(', ');
+    case 'checkbox-list':
+      return (Array.isArray(value) ? value : []).map((item) => item.text).filter(Boolean).join(', ');
+    case 'relation':
+      return (Array.isArray(value) ? value : [])
+        .map((ref) => (ctx.pageIndex ? relationLabel(ctx.pageIndex, ref).label : ref.pageId))
+        .join(', ');
+    case 'formula':
+      if (typeof value === 'object') return '#ERROR';
+      if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+      return String(value);
+    default:
+      if (Array.isArray(value)) return value.map((v) => (typeof v === 'object' ? v.text || v.label || '' : v)).join(', ');
+      return typeof value === 'object' ? value.text || value.label || '' : String(value);
+  }
+};
+
+const TRUE_WORDS = /^(true|yes|y|1|x|✓|✔|done|checked|on)$/i;
+const splitList = (text) => String(text).split(/\s*[,;\n]\s*/).map((s) => s.trim()).filter(Boolean);
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Pure function: compare two cell values of a column (ascending)
+ * Empty cells compare as equal here; sortRows keeps them last in both directions.
+ * @param {Object} column
+ * @param {*} a
+ * @param {*} b
+ * @param {Object} ctx - { pageIndex } for relation labels
+ * @returns {number}
+ */
+export const compareCellValues = (column, a, b, ctx = {}) => {
+  switch (column?.type) {
+    case 'number':
+      return Number(a) - Number(b);
+    case 'boolean':
+      return (a ? 1 : 0) - (b ? 1 : 0);
+    case 'select': {
+      const options = column.options || [];
+      const rank = (v) => (options.includes(v) ? options.indexOf(v) : options.length);
+      return rank(a) - rank(b) || collator.compare(String(a), String(b));
+    }
+    case 'multi-select': {
+      const options = column.options || [];
+      const ranks = (list) => (Array.isArray(list) ? list : [list]).map((v) => (options.includes(v) ? options.indexOf(v) : options.length)).sort((x, y) => x - y);
+      const ra = ranks(a);
+      const rb = ranks(b);
+      for (let i = 0; i < Math.min(ra.length, rb.length); i++) if (ra[i] !== rb[i]) return ra[i] - rb[i];
+      return ra.length - rb.length;
+    }
+    case 'date':
+      return String(a).localeCompare(String(b));
+    case 'formula':
+      if (typeof a === 'number' && typeof b === 'number') return a - b;
+      return collator.compare(cellToPlainText(column, a, ctx), cellToPlainText(column, b, ctx));
+    case 'checkbox-list': {
+      const ratio = (list) => (list.length ? list.filter((item) => item.checked).length / list.length : 0);
+      return ratio(a) - ratio(b) || a.length - b.length;
+    }
+    default:
+      return collator.compare(cellToPlainText(column, a, ctx), cellToPlainText(column, b, ctx));
+  }
+};
+
+/**
+ * Pure function: sort rows by one or more columns
+ * @param {Array} rows
+ * @param {Array} sorts - [{ columnId, direction: 'asc' | 'desc' }], first key wins
+ * @param {Array} columns - Schema columns
+ * @param {Object} ctx - { pageIndex }
+ * @returns {Array} New array; ties keep their stored order
+ */
+export const sortRows = (rows, sorts, columns, ctx = {}) => {
+  const keys = (sorts || []).map((s) => ({ ...s, column: columns.find((c) => c.id === s.columnId) })).filter((s) => s.column);
+  if (!keys.length) return rows;
+  return rows
+    .map((row, index) => ({ row, index }))
+    .sort((x, y) => {
+      for (const { column, direction } of keys) {
+        const a = x.row[column.id];
+        const b = y.row[column.id];
+        const emptyA = isEmptyCell(a);
+        const emptyB = isEmptyCell(b);
+        if (emptyA || emptyB) {
+          if (emptyA !== emptyB) return emptyA ? 1 : -1;
+          continue;
+        }
+        const result = compareCellValues(column, a, b, ctx);
+        if (result) return direction === 'desc' ? -result : result;
+      }
+      return x.index - y.index;
+    })
+    .map(({ row }) => row);
+};
+
+/**
+ * Pure function: convert a cell value to another column type
+ * @param {*} value
+ * @param {Object} from - Old column
+ * @param {Object} to - New column
+ * @param {Object} ctx - { pageIndex } to turn page names into relations and back
+ * @returns {*} Value for the new type
+ */
+export const convertCellValue = (value, from, to, ctx = {}) => {
+  if (isEmptyCell(value)) return emptyCellValue(to.type);
+  if (from.type === to.type) return value;
+  if (to.type === 'formula') return '';
+
+  // Conversions that keep more than the text form
+  if (from.type === 'select' && to.type === 'multi-select') return [value];
+  if (from.type === 'multi-select' && to.type === 'select') return (Array.isArray(value) ? value[0] : value) || '';
+  if (from.type === 'checkbox-list' && to.type === 'boolean') return value.length > 0 && value.every((item) => item.checked);
+  if (from.type === 'number' && to.type === 'boolean') return Number(value) !== 0;
+  if (from.type === 'boolean' && to.type === 'number') return value ? 1 : 0;
+  if (from.type === 'boolean' && LIST_TYPES.includes(to.type)) return [];
+  if (from.type === 'relation' && to.type === 'relation') return value;
+
+  const text = cellToPlainText(from, value, ctx);
+  switch (to.type) {
+    case 'number': {
+      const n = parseFloat(text.replace(/[^0-9.eE+-]/g, ''));
+      return Number.isNaN(n) ? '' : n;
+    }
+    case 'boolean':
+      return TRUE_WORDS.test(text.trim());
+    case 'select':
+      return splitList(text)[0] || '';
+    case 'multi-select':
+      return [...new Set(splitList(text))];
+    case 'date':
+      return parseDateValue(from.type === 'number' ? Number(value) : text);
+    case 'checkbox-list':
+      return splitList(text).map((item) => ({ id: generateId(), text: item, checked: false }));
+    case 'relation': {
+      if (!ctx.pageIndex) return [];
+      const byName = new Map([...ctx.pageIndex.values()].map(({ page }) => [(page.name || '').toLowerCase(), page.id]));
+      return splitList(text)
+        .map((name) => byName.get(name.toLowerCase()))
+        .filter(Boolean)
+        .map((pageId) => ({ pageId }));
+    }
+    default:
+      return text;
+  }
+};
+
+/**
+ * Pure function: change a column (name, type, options, relation target) and migrate its cells
+ * Select columns gain any values the old cells held that are not options yet.
+ * @param {Object} content - Database page content { schema, rows }
+ * @param {string} columnId
+ * @param {Object} changes - Column fields to change
+ * @param {Object} ctx - { pageIndex }
+ * @returns {Object} New content
+ */
+export const updateColumn = (content, columnId, changes, ctx = {}) => {
+  const columns = content.schema?.columns || [];
+  const from = columns.find((c) => c.id === columnId);
+  if (!from) return content;
+  let to = { ...from, ...changes };
+  let rows = content.rows || [];
+
+  const relationRetargeted = to.type === 'relation' && from.type === 'relation' && (from.relation?.pageId || null) !== (to.relation?.pageId || null);
+  if (to.type !== from.type || relationRetargeted) {
+    rows = rows.map((row) => ({
+      ...row,
+      [columnId]: relationRetargeted ? [] : convertCellValue(row[columnId], from, to, ctx),
+    }));
+    if (hasOptions(to.type)) {
+      const options = [...(to.options || [])];
+      for (const row of rows) {
+        const values = Array.isArray(row[columnId]) ? row[columnId] : [row[columnId]];
+        for (const v of values) if (!isEmptyCell(v) && !options.includes(v)) options.push(v);
+      }
+      to = { ...to, options: options.length ? options : ['Option 1'] };
+    }
+  }
+
+  return {
+    ...content,
+    schema: { ...content.schema, columns: columns.map((c) => (c.id === columnId ? to : c)) },
+    rows,
+  };
+};
+
+/**
+ * Pure function: rename a select option, in the column and in every cell that uses it
+ * @returns {Object} New content
+ */
+export const renameColumnOption = (content, columnId, oldName, newName) => {
+  const rename = (v) => (v === oldName ? newName : v);
+  return {
+    ...content,
+    schema: {
+      ...content.schema,
+      columns: (content.schema?.columns || []).map((c) => (c.id === columnId ? { ...c, options: (c.options || []).map(rename) } : c)),
+    },
+    rows: (content.rows || []).map((row) => {
+      const v = row[columnId];
+      return { ...row, [columnId]: Array.isArray(v) ? v.map(rename) : rename(v) };
+    }),
+  };
+};
+
+/**
+ * Pure function: remove a column and its cells
+ */
+export const deleteColumn = (content, columnId) => ({
+  ...content,
+  schema: { ...content.schema, columns: (content.schema?.columns || []).filter((c) => c.id !== columnId) },
+  rows: (content.rows || []).map((row) => {
+    const next = { ...row };
+    delete next[columnId];
+    return next;
+  }),
+});
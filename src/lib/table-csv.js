@@ -0,0 +1,247 @@
+// CSV / TSV for database pages
+// Import reads a file into a preview with a guessed type per column, then turns it into rows;
+// export writes the rows and columns a view shows. Pasting a block of spreadsheet cells into the
+// grid uses the same parser.
+
+import { generateUUID } from './utils';
+import { convertCellValue, cellToPlainText, emptyCellValue, hasOptions, parseDateValue } from './table-columns';
+
+// --- Reading and writing ---
+
+/**
+ * Pure function: the separator a file most likely uses (tab, comma or semicolon)
+ * @param {string} text
+ * @returns {string}
+ */
+export const detectDelimiter = (text) => {
+  const firstLine = (text.match(/^[^\r\n]*/) || [''])[0].replace(/"[^"]*"/g, '');
+  if (firstLine.includes('\t')) return '\t';
+  const commas = (firstLine.match(/,/g) || []).length;
+  const semicolons = (firstLine.match(/;/g) || []).length;
+  return semicolons > commas ? ';' : ',';
+};
+
+/**
+ * Pure function: split delimited text into rows of cells
+ * Follows RFC 4180 quoting ("a ""b""", line breaks inside quotes); blank lines are skipped.
+ * @param {string} text
+ * @param {string} delimiter - Detected when left out
+ * @returns {Array<Array<string>>}
+ */
+export const parseDelimited = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) endRow();
+  return rows;
+};
+
+/**
+ * Pure function: rows of cells as delimited text
+ * @param {Array<Array<string>>} rows
+ * @param {string} delimiter
+ * @returns {string}
+ */
+export const toDelimited = (rows, delimiter = ',') =>
+  rows
+    .map((row) =>
+      row
+        .map((value) => {
+          const text = String(value ?? '');
+          return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+        })
+        .join(delimiter)
+    )
+    .join('\r\n');
+
+// --- Type inference ---
+
+const NUMBER_RE = /^[-+]?(\$|€|£)?(\d{1,3}(,\d{3})+|\d+)?(\.\d+)?%?$/;
+const BOOLEAN_WORDS = /^(true|false|yes|no|y|n|x|✓|✔|✗|done|checked|unchecked|on|off)$/i;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_RE = /^(https?:\/\/|www\.)\S+$/i;
+
+/**
+ * Pure function: guess a column type from its text values
+ * Select is chosen when a column repeats a few short values (at most 12 distinct, each used twice on average).
+ * @param {Array<string>} values
+ * @returns {string} Column type
+ */
+export const inferColumnType = (values) => {
+  const filled = values.map((v) => String(v ?? '').trim()).filter(Boolean);
+  if (!filled.length) return 'text';
+  const every = (test) => filled.every(test);
+  if (every((v) => NUMBER_RE.test(v) && /\d/.test(v))) return 'number';
+  if (every((v) => BOOLEAN_WORDS.test(v))) return 'boolean';
+  if (every((v) => /\d/.test(v) && parseDateValue(v) !== '')) return 'date';
+  if (every((v) => EMAIL_RE.test(v))) return 'email';
+  if (every((v) => URL_RE.test(v))) return 'url';
+  const distinct = new Set(filled);
+  if (filled.length >= 4 && distinct.size <= 12 && distinct.size * 2 <= filled.length && every((v) => v.length <= 40)) return 'select';
+  return 'text';
+};
+
+/**
+ * Pure function: what an import would create
+ * @param {Array<Array<string>>} matrix - From parseDelimited
+ * @param {boolean} hasHeader - First row names the columns
+ * @returns {Object} { columns: [{ name, type, options? }], rows: [[string]] }
+ */
+export const importPreview = (matrix, hasHeader = true) => {
+  const width = matrix.reduce((n, row) => Math.max(n, row.length), 0);
+  const header = hasHeader ? matrix[0] || [] : [];
+  const rows = (hasHeader ? matrix.slice(1) : matrix).map((row) => Array.from({ length: width }, (_, i) => row[i] ?? ''));
+  const columns = Array.from({ length: width }, (_, i) => {
+    const values = rows.map((row) => row[i]);
+    const type = inferColumnType(values);
+    const column = { name: String(header[i] || '').trim() || `Column ${i + 1}`, type };
+    if (hasOptions(type)) column.options = [...new Set(values.map((v) => v.trim()).filter(Boolean))];
+    return column;
+  });
+  return { columns, rows };
+};
+
+const TEXT_COLUMN = { type: 'text' };
+
+/**
+ * Text cell -> value of a column, adding any select options it needs (the column is changed in place)
+ * @param {string} text
+ * @param {Object} column - A copy of the schema column
+ * @returns {*} Cell value
+ */
+export const textToCell = (text, column) => {
+  const value = convertCellValue(String(text ?? '').trim(), TEXT_COLUMN, column);
+  if (hasOptions(column.type)) {
+    const needed = (Array.isArray(value) ? value : [value]).filter((v) => v && !(column.options || []).includes(v));
+    if (needed.length) column.options = [...(column.options || []), ...needed];
+  }
+  return value;
+};
+
+/**
+ * Pure function: content after importing a preview
+ * 'append' adds the rows, matching columns by name and adding the rest; 'replace' starts a new table.
+ * @param {Object} content - Database page content
+ * @param {Object} preview - From importPreview (column types may have been changed)
+ * @param {string} mode - 'append' | 'replace'
+ * @returns {Object} New content
+ */
+export const applyImport = (content, preview, mode = 'append') => {
+  const existing = mode === 'replace' ? [] : (content.schema?.columns || []).map((c) => ({ ...c }));
+  const targets = preview.columns.map((col) => {
+    if (col.skip) return null;
+    const match = existing.find((c) => c.type !== 'formula' && c.name.trim().toLowerCase() === col.name.trim().toLowerCase());
+    if (match) return match;
+    const created = { id: generateUUID(), name: col.name, type: col.type, width: 150, ...(hasOptions(col.type) && { options: [...(col.options || [])] }) };
+    existing.push(created);
+    return created;
+  });
+
+  const rows = preview.rows.map((cells) => {
+    const row = { id: generateUUID() };
+    existing.forEach((c) => {
+      if (c.type !== 'formula') row[c.id] = emptyCellValue(c.type);
+    });
+    targets.forEach((column, i) => {
+      if (column) row[column.id] = textToCell(cells[i], column);
+    });
+    return row;
+  });
+
+  return {
+    ...content,
+    schema: { ...content.schema, columns: existing },
+    rows: mode === 'replace' ? rows : [...(content.rows || []), ...rows],
+    ...(mode === 'replace' && { views: [] }),
+  };
+};
+
+// --- Export and paste ---
+
+/**
+ * Pure function: a view's rows as CSV text (header row first)
+ * @param {Array} rows - Rows as the view shows them (formulas worked out)
+ * @param {Array} columns - Visible columns in view order
+ * @param {Object} ctx - { pageIndex } for relation labels
+ * @returns {string}
+ */
+export const viewToCSV = (rows, columns, ctx = {}) =>
+  toDelimited([columns.map((c) => c.name), ...rows.map((row) => columns.map((c) => cellToPlainText(c, row[c.id], ctx)))]);
+
+/**
+ * Pure function: content after pasting a block of cells
+ * The block starts at the given cell and follows the view's row and column order; rows are added
+ * when it runs past the last one. Columns past the right edge and formula columns are skipped.
+ * @param {Object} content - Database page content
+ * @param {Array<Array<string>>} block - Pasted cells
+ * @param {Array} rows - Rows in view order
+ * @param {Array} columns - Columns in view order
+ * @param {string} rowId - Cell the paste starts at
+ * @param {string} columnId
+ * @returns {Object} New content
+ */
+export const pasteBlock = (content, block, rows, columns, rowId, columnId) => {
+  const startRow = Math.max(0, rows.findIndex((r) => r.id === rowId));
+  const startCol = Math.max(0, columns.findIndex((c) => c.id === columnId));
+  const allColumns = (content.schema?.columns || []).map((c) => ({ ...c }));
+  const byId = new Map(allColumns.map((c) => [c.id, c]));
+  const changes = new Map();
+  const added = [];
+
+  block.forEach((cells, r) => {
+    let id = rows[startRow + r]?.id;
+    if (!id) {
+      const row = { id: generateUUID() };
+      allColumns.forEach((c) => {
+        if (c.type !== 'formula') row[c.id] = emptyCellValue(c.type);
+      });
+      added.push(row);
+      id = row.id;
+    }
+    const update = changes.get(id) || {};
+    cells.forEach((text, c) => {
+      const column = byId.get(columns[startCol + c]?.id);
+      if (column && column.type !== 'formula') update[column.id] = textToCell(text, column);
+    });
+    changes.set(id, update);
+  });
+
+  return {
+    ...content,
+    schema: { ...content.schema, columns: allColumns },
+    rows: [...(content.rows || []), ...added].map((row) => (changes.has(row.id) ? { ...row, ...changes.get(row.id) } : row)),
+  };
+};
@@ -0,0 +1,119 @@
+// Keyboard cell selection for a database page's table view
+// Positions are { row, col } indexes into the rows and columns the view shows; a range runs from
+// the anchor (where Shift-selection started) to the focused cell.
+
+import { emptyCellValue, cellToPlainText } from './table-columns';
+import { toDelimited } from './table-csv';
+
+const clamp = (n, max) => Math.max(0, Math.min(max, n));
+
+/**
+ * Pure function: the cell a navigation key moves to
+ * Tab wraps to the next line at the end of a row (Shift+Tab to the previous one); with jump
+ * (Ctrl/Cmd held) arrows go to the first or last row or column.
+ * @param {Object} cell - { row, col }
+ * @param {string} key - 'ArrowUp' | 'ArrowDown' | 'ArrowLeft' | 'ArrowRight' | 'Tab' | 'ShiftTab' | 'Enter' | 'ShiftEnter' | 'Home' | 'End'
+ * @param {Object} size - { rows, cols, jump }
+ * @returns {Object} { row, col }
+ */
+export const stepCell = ({ row, col }, key, { rows, cols, jump = false }) => {
+  const lastRow = Math.max(0, rows - 1);
+  const lastCol = Math.max(0, cols - 1);
+  switch (key) {
+    case 'ArrowUp':
+    case 'ShiftEnter':
+      return { row: jump ? 0 : clamp(row - 1, lastRow), col };
+    case 'ArrowDown':
+    case 'Enter':
+      return { row: jump ? lastRow : clamp(row + 1, lastRow), col };
+    case 'ArrowLeft':
+      return { row, col: jump ? 0 : clamp(col - 1, lastCol) };
+    case 'ArrowRight':
+      return { row, col: jump ? lastCol : clamp(col + 1, lastCol) };
+    case 'Home':
+      return { row: jump ? 0 : row, col: 0 };
+    case 'End':
+      return { row: jump ? lastRow : row, col: lastCol };
+    case 'Tab':
+      if (col < lastCol) return { row, col: col + 1 };
+      return row < lastRow ? { row: row + 1, col: 0 } : { row, col };
+    case 'ShiftTab':
+      if (col > 0) return { row, col: col - 1 };
+      return row > 0 ? { row: row - 1, col: lastCol } : { row, col };
+    default:
+      return { row, col };
+  }
+};
+
+/**
+ * Pure function: the rectangle between two cells
+ * @returns {Object} { top, bottom, left, right } (inclusive)
+ */
+export const rangeBounds = (anchor, focus) => ({
+  top: Math.min(anchor.row, focus.row),
+  bottom: Math.max(anchor.row, focus.row),
+  left: Math.min(anchor.col, focus.col),
+  right: Math.max(anchor.col, focus.col),
+});
+
+export const inRange = (bounds, row, col) =>
+  !!bounds && row >= bounds.top && row <= bounds.bottom && col >= bounds.left && col <= bounds.right;
+
+const rangeCells = (rows, columns, bounds) => ({
+  rows: rows.slice(bounds.top, bounds.bottom + 1),
+  columns: columns.slice(bounds.left, bounds.right + 1),
+});
+
+/**
+ * Pure function: a range as tab-separated text, the way spreadsheets put cells on the clipboard
+ * @param {Array} rows - Rows in view order (formulas worked out)
+ * @param {Array} columns - Columns in view order
+ * @param {Object} bounds - From rangeBounds
+ * @param {Object} ctx - { pageIndex } for relation labels
+ * @returns {string}
+ */
+export const rangeToText = (rows, columns, bounds, ctx = {}) => {
+  const picked = rangeCells(rows, columns, bounds);
+  return toDelimited(picked.rows.map((row) => picked.columns.map((c) => cellToPlainText(c, row[c.id], ctx))), '\t');
+};
+
+// Content with some cells of some rows replaced
+const withRowChanges = (content, changes) => ({
+  ...content,
+  rows: (content.rows || []).map((row) => (changes.has(row.id) ? { ...row, ...changes.get(row.id) } : row)),
+});
+
+/**
+ * Pure function: content with every cell of a range emptied (formula columns are left alone)
+ * @param {Object} content - Database page content
+ * @param {Array} rows - Rows in view order
+ * @param {Array} columns - Columns in view order
+ * @param {Object} bounds - From rangeBounds
+ * @returns {Object} New content
+ */
+export const clearRange = (content, rows, columns, bounds) => {
+  const picked = rangeCells(rows, columns, bounds);
+  const editable = picked.columns.filter((c) => c.type !== 'formula');
+  const changes = new Map(picked.rows.map((row) => [row.id, Object.fromEntries(editable.map((c) => [c.id, emptyCellValue(c.type)]))]));
+  return withRowChanges(content, changes);
+};
+
+/**
+ * Pure function: content after Fill Down
+ * The top row of the range is copied into the rows below it; a single-row range copies the row above.
+ * @param {Object} content - Database page content
+ * @param {Array} rows - Rows in view order
+ * @param {Array} columns - Columns in view order
+ * @param {Object} bounds - From rangeBounds
+ * @returns {Object} New content (the same object when there is nothing to copy)
+ */
+export const fillDown = (content, rows, columns, bounds) => {
+  const sourceIndex = bounds.bottom > bounds.top ? bounds.top : bounds.top - 1;
+  const source = rows[sourceIndex];
+  if (!source) return content;
+  const editable = columns.slice(bounds.left, bounds.right + 1).filter((c) => c.type !== 'formula');
+  const stored = (content.rows || []).find((row) => row.id === source.id) || source;
+  const values = JSON.stringify(Object.fromEntries(editable.map((c) => [c.id, stored[c.id] ?? emptyCellValue(c.type)])));
+  const targets = rows.slice(sourceIndex + 1, bounds.bottom + 1);
+  return withRowChanges(content, new Map(targets.map((row) => [row.id, JSON.parse(values)])));
+};
@@ -0,0 +1,583 @@
+// Saved views for database pages
+// page.content.views holds named views; each has its own sort keys, filter, column order, column
+// widths and hidden columns. A table with no saved views shows DEFAULT_VIEW, which is written to
+// content.views the first time it is changed.
+//
+// view = {
+//   id, name, type: 'table' | 'board',
+//   sorts: [{ columnId, direction: 'asc' | 'desc' }],
+//   filter: { mode: 'and' | 'or', rules: [{ id, columnId, op, value }] },
+//   columnOrder: [columnId], columnWidths: { [columnId]: px }, hiddenColumns: [columnId],
+//   groupBy: columnId, cardFields: [columnId], boardOrder: { [option]: [rowId] },   (board views)
+//   dateColumn: columnId, endDateColumn: columnId | null,                           (calendar and timeline views)
+//   calendarMode: 'month' | 'week', timelineZoom: 'day' | 'week' | 'month',
+//   aggregations: { [columnId]: kind },                                              (table footer)
+// }
+
+import { generateId } from './utils';
+import { isEmptyCell, cellToPlainText, sortRows, parseDateValue, formatDateValue } from './table-columns';
+
+export const DEFAULT_VIEW_ID = 'default';
+
+export const createView = (name = 'Table', overrides = {}) => ({
+  id: generateId(),
+  name,
+  type: 'table',
+  sorts: [],
+  filter: { mode: 'and', rules: [] },
+  columnOrder: [],
+  columnWidths: {},
+  hiddenColumns: [],
+  ...overrides,
+});
+
+export const DEFAULT_VIEW = { ...createView('Table'), id: DEFAULT_VIEW_ID };
+
+/**
+ * Pure function: saved views of a table, or the default view when there are none
+ * @param {Object} content - Database page content
+ * @returns {Array} Views
+ */
+export const getViews = (content) => (content?.views?.length ? content.views : [DEFAULT_VIEW]);
+
+/**
+ * Pure function: replace one view (saving the default view the first time it changes)
+ * @param {Object} content - Database page content
+ * @param {string} viewId
+ * @param {Object|Function} changes - Fields to set, or a function from the view to the new view
+ * @returns {Object} New content
+ */
+export const updateView = (content, viewId, changes) => {
+  const views = getViews(content);
+  return {
+    ...content,
+    views: views.map((view) => {
+      if (view.id !== viewId) return view;
+      return typeof changes === 'function' ? changes(view) : { ...view, ...changes };
+    }),
+  };
+};
+
+/**
+ * Pure function: drop a deleted column from every view
+ */
+export const pruneViewColumn = (content, columnId) => {
+  if (!content?.views?.length) return content;
+  return {
+    ...content,
+    views: content.views.map((view) => {
+      const widths = { ...(view.columnWidths || {}) };
+      delete widths[columnId];
+      const aggregations = { ...(view.aggregations || {}) };
+      delete aggregations[columnId];
+      return {
+        ...view,
+        sorts: (view.sorts || []).filter((s) => s.columnId !== columnId),
+        filter: { ...view.filter, rules: (view.filter?.rules || []).filter((r) => r.columnId !== columnId) },
+        columnOrder: (view.columnOrder || []).filter((id) => id !== columnId),
+        columnWidths: widths,
+        aggregations,
+        hiddenColumns: (view.hiddenColumns || []).filter((id) => id !== columnId),
+        ...(view.groupBy === columnId && { groupBy: null, boardOrder: {} }),
+        ...(view.dateColumn === columnId && { dateColumn: null }),
+        ...(view.endDateColumn === columnId && { endDateColumn: null }),
+        ...(view.cardFields && { cardFields: view.cardFields.filter((id) => id !== columnId) }),
+      };
+    }),
+  };
+};
+
+// --- Columns ---
+
+/**
+ * Pure function: all columns in the view's order (columns the view does not know yet go last)
+ * @param {Array} columns - Schema columns
+ * @param {Object} view
+ * @returns {Array} Columns with their width for this view
+ */
+export const orderedColumns = (columns, view) => {
+  const order = view?.columnOrder || [];
+  const rank = (col) => {
+    const i = order.indexOf(col.id);
+    return i === -1 ? order.length + columns.indexOf(col) : i;
+  };
+  return [...columns]
+    .sort((a, b) => rank(a) - rank(b))
+    .map((col) => (view?.columnWidths?.[col.id] ? { ...col, width: view.columnWidths[col.id] } : col));
+};
+
+export const visibleColumns = (columns, view) =>
+  orderedColumns(columns, view).filter((col) => !(view?.hiddenColumns || []).includes(col.id));
+
+/**
+ * Pure function: move a column before another in a view's order
+ * @returns {Array} New columnOrder
+ */
+export const moveColumn = (columns, view, columnId, beforeColumnId) => {
+  const ids = orderedColumns(columns, view).map((col) => col.id).filter((id) => id !== columnId);
+  const index = beforeColumnId ? ids.indexOf(beforeColumnId) : -1;
+  ids.splice(index === -1 ? ids.length : index, 0, columnId);
+  return ids;
+};
+
+// --- Sorting ---
+
+/**
+ * Pure function: header click on a column
+ * A plain click makes it the only sort key, cycling ascending, descending, off; with `add`
+ * (Shift+click) it becomes or cycles an extra key after the existing ones.
+ * @returns {Array} New sorts
+ */
+export const toggleSortKey = (sorts, columnId, add = false) => {
+  const current = (sorts || []).find((s) => s.columnId === columnId);
+  const next = !current ? 'asc' : current.direction === 'asc' ? 'desc' : null;
+  if (!add) return next ? [{ columnId, direction: next }] : [];
+  if (!current) return [...(sorts || []), { columnId, direction: 'asc' }];
+  return next ? sorts.map((s) => (s.columnId === columnId ? { ...s, direction: next } : s)) : sorts.filter((s) => s.columnId !== columnId);
+};
+
+// --- Filtering ---
+
+const TEXT_OPS = [
+  { op: 'contains', label: 'contains' },
+  { op: 'not_contains', label: 'does not contain' },
+  { op: 'is', label: 'is' },
+  { op: 'is_not', label: 'is not' },
+];
+const EMPTY_OPS = [
+  { op: 'empty', label: 'is empty', noValue: true },
+  { op: 'not_empty', label: 'is not empty', noValue: true },
+];
+
+/**
+ * Pure function: filter operators for a column type
+ * @returns {Array} [{ op, label, noValue? }]
+ */
+export const filterOperators = (type) => {
+  switch (type) {
+    case 'number':
+      return [
+        { op: 'eq', label: '=' },
+        { op: 'neq', label: '≠' },
+        { op: 'gt', label: '>' },
+        { op: 'gte', label: '≥' },
+        { op: 'lt', label: '<' },
+        { op: 'lte', label: '≤' },
+        ...EMPTY_OPS,
+      ];
+    case 'boolean':
+      return [
+        { op: 'checked', label: 'is checked', noValue: true },
+        { op: 'unchecked', label: 'is not checked', noValue: true },
+      ];
+    case 'select':
+      return [{ op: 'is', label: 'is' }, { op: 'is_not', label: 'is not' }, ...EMPTY_OPS];
+    case 'multi-select':
+      return [{ op: 'has', label: 'has' }, { op: 'not_has', label: 'does not have' }, ...EMPTY_OPS];
+    case 'date':
+      return [
+        { op: 'is', label: 'is' },
+        { op: 'before', label: 'is before' },
+        { op: 'after', label: 'is after' },
+        { op: 'on_or_before', label: 'is on or before' },
+        { op: 'on_or_after', label: 'is on or after' },
+        ...EMPTY_OPS,
+      ];
+    case 'checkbox-list':
+      return [
+        { op: 'all_done', label: 'is all done', noValue: true },
+        { op: 'not_all_done', label: 'is not all done', noValue: true },
+        ...EMPTY_OPS,
+      ];
+    case 'relation':
+      return [{ op: 'contains', label: 'contains' }, ...EMPTY_OPS];
+    default:
+      return [...TEXT_OPS, ...EMPTY_OPS];
+  }
+};
+
+/**
+ * Pure function: does a cell pass one filter rule
+ * Rules with no value yet (other than the no-value operators) let every row through.
+ * @param {*} value - Cell value
+ * @param {Object} rule - { op, value }
+ * @param {Object} column
+ * @param {Object} ctx - { pageIndex }
+ * @returns {boolean}
+ */
+export const matchesRule = (value, rule, column, ctx = {}) => {
+  const { op } = rule;
+  if (op === 'empty') return isEmptyCell(value);
+  if (op === 'not_empty') return !isEmptyCell(value);
+  if (op === 'checked') return !!value;
+  if (op === 'unchecked') return !value;
+  if (op === 'all_done' || op === 'not_all_done') {
+    const items = Array.isArray(value) ? value : [];
+    const allDone = items.length > 0 && items.every((item) => item.checked);
+    return op === 'all_done' ? allDone : !allDone;
+  }
+  if (rule.value === undefined || rule.value === null || rule.value === '') return true;
+
+  switch (column.type) {
+    case 'number': {
+      if (isEmptyCell(value)) return op === 'neq';
+      const a = Number(value);
+      const b = Number(rule.value);
+      if (op === 'eq') return a === b;
+      if (op === 'neq') return a !== b;
+      if (op === 'gt') return a > b;
+      if (op === 'gte') return a >= b;
+      if (op === 'lt') return a < b;
+      if (op === 'lte') return a <= b;
+      return true;
+    }
+    case 'multi-select': {
+      const has = (Array.isArray(value) ? value : [value]).includes(rule.value);
+      return op === 'not_has' ? !has : has;
+    }
+    case 'date': {
+      const target = parseDateValue(rule.value);
+      if (!target) return true;
+      if (isEmptyCell(value)) return false;
+      if (op === 'is') return value === target;
+      if (op === 'before') return value < target;
+      if (op === 'after') return value > target;
+      if (op === 'on_or_before') return value <= target;
+      if (op === 'on_or_after') return value >= target;
+      return true;
+    }
+    default: {
+      const cell = cellToPlainText(column, value, ctx).toLowerCase();
+      const wanted = String(rule.value).toLowerCase();
+      if (op === 'is') return cell === wanted;
+      if (op === 'is_not') return cell !== wanted;
+      if (op === 'not_contains') return !cell.includes(wanted);
+      return cell.includes(wanted);
+    }
+  }
+};
+
+/**
+ * Pure function: rows that pass a view's filter
+ * @param {Array} rows
+ * @param {Object} filter - { mode: 'and' | 'or', rules }
+ * @param {Array} columns - Schema columns
+ * @param {Object} ctx - { pageIndex }
+ * @returns {Array}
+ */
+export const filterRows = (rows, filter, columns, ctx = {}) => {
+  const rules = (filter?.rules || [])
+    .map((rule) => ({ rule, column: columns.find((c) => c.id === rule.columnId) }))
+    .filter(({ column }) => column);
+  if (!rules.length) return rows;
+  const test = (row) => {
+    const results = rules.map(({ rule, column }) => matchesRule(row[column.id], rule, column, ctx));
+    return filter.mode === 'or' ? results.some(Boolean) : results.every(Boolean);
+  };
+  return rows.filter(test);
+};
+
+/**
+ * Pure function: rows and columns as a view shows them
+ * @param {Object} content - Database page content
+ * @param {Object} view
+ * @param {Object} ctx - { pageIndex }
+ * @returns {Object} { rows, columns }
+ */
+export const applyView = (content, view, ctx = {}) => {
+  const columns = content?.schema?.columns || [];
+  const rows = filterRows(content?.rows || [], view?.filter, columns, ctx);
+  return {
+    rows: sortRows(rows, view?.sorts, columns, ctx),
+    columns: visibleColumns(columns, view),
+  };
+};
+
+// --- Footer totals ---
+
+export const AGGREGATIONS = [
+  { kind: 'count', label: 'Count' },
+  { kind: 'empty', label: 'Empty' },
+  { kind: 'unique', label: 'Unique' },
+  { kind: 'sum', label: 'Sum' },
+  { kind: 'avg', label: 'Average' },
+  { kind: 'min', label: 'Min' },
+  { kind: 'max', label: 'Max' },
+  { kind: 'checked', label: 'Checked' },
+  { kind: 'percent_checked', label: '% Checked' },
+];
+
+/**
+ * Pure function: footer totals offered for a column type
+ * @returns {Array} Entries of AGGREGATIONS
+ */
+export const aggregationsFor = (type) => {
+  const kinds = ['count', 'empty', 'unique'];
+  if (type === 'number' || type === 'formula') kinds.push('sum', 'avg', 'min', 'max');
+  if (type === 'date') kinds.push('min', 'max');
+  if (type === 'boolean') kinds.splice(0, kinds.length, 'checked', 'percent_checked');
+  if (type === 'checkbox-list') kinds.push('percent_checked');
+  return AGGREGATIONS.filter((a) => kinds.includes(a.kind)).map((a) =>
+    type === 'date' && (a.kind === 'min' || a.kind === 'max') ? { ...a, label: a.kind === 'min' ? 'Earliest' : 'Latest' } : a
+  );
+};
+
+const formatNumber = (n) => n.toLocaleString(undefined, { maximumFractionDigits: 2 });
+const formatPercent = (part, whole) => `${whole ? Math.round((part / whole) * 100) : 0}%`;
+const numericValues = (values, column) =>
+  values.filter((v) => typeof v === 'number' || (column.type === 'number' && Number.isFinite(Number(v)))).map(Number).filter(Number.isFinite);
+
+/**
+ * Pure function: a footer total over the rows a view shows
+ * Number totals skip cells that are not numbers (empty cells, text formula results, formula errors).
+ * @param {Array} rows
+ * @param {Object} column
+ * @param {string} kind - From AGGREGATIONS
+ * @param {Object} ctx - { pageIndex }
+ * @returns {string} Display text, '' when there is nothing to show
+ */
+export const aggregateColumn = (rows, column, kind, ctx = {}) => {
+  const values = rows.map((row) => row[column.id]);
+  const filled = values.filter((v) => !isEmptyCell(v) && !(column.type === 'boolean' && v === false));
+  switch (kind) {
+    case 'count':
+      return formatNumber(filled.length);
+    case 'empty':
+      return formatNumber(values.length - filled.length);
+    case 'unique':
+      return formatNumber(new Set(filled.map((v) => cellToPlainText(column, v, ctx))).size);
+    case 'checked':
+      return formatNumber(values.filter(Boolean).length);
+    case 'percent_checked': {
+      if (column.type === 'boolean') return formatPercent(values.filter(Boolean).length, values.length);
+      const items = values.flatMap((v) => (Array.isArray(v) ? v : []));
+      return formatPercent(items.filter((item) => item.checked).length, items.length);
+    }
+    case 'min':
+    case 'max': {
+      if (column.type === 'date') {
+        const dates = filled.map(parseDateValue).filter(Boolean).sort();
+        return dates.length ? formatDateValue(kind === 'min' ? dates[0] : dates[dates.length - 1]) : '';
+      }
+      const numbers = numericValues(filled, column);
+      return numbers.length ? formatNumber(kind === 'min' ? Math.min(...numbers) : Math.max(...numbers)) : '';
+    }
+    case 'sum':
+    case 'avg': {
+      const numbers = numericValues(filled, column);
+      if (!numbers.length) return kind === 'sum' ? '0' : '';
+      const total = numbers.reduce((a, b) => a + b, 0);
+      return formatNumber(kind === 'sum' ? total : total / numbers.length);
+    }
+    default:
+      return '';
+  }
+};
+
+// --- Board views ---
+// A board view (type 'board') groups rows into columns by a select column (view.groupBy) and shows
+// view.cardFields on each card. Order inside each board column is view.boardOrder[groupKey], a list
+// of row ids; rows not in it yet follow in the view's sort order. groupKey is the option, or '' for
+// rows with no value.
+
+export const VIEW_TYPES = [
+  { type: 'table', label: 'Table' },
+  { type: 'board', label: 'Board' },
+  { type: 'calendar', label: 'Calendar' },
+  { type: 'timeline', label: 'Timeline' },
+];
+
+/**
+ * Pure function: the column a board view groups by (its own choice, else the first select column)
+ * @returns {Object|null}
+ */
+export const boardGroupColumn = (columns, view) =>
+  columns.find((c) => c.id === view?.groupBy && c.type === 'select') || columns.find((c) => c.type === 'select') || null;
+
+/**
+ * Pure function: rows grouped into board columns
+ * @param {Array} rows - Rows after the view's filter and sort
+ * @param {Object} groupColumn - Select column
+ * @param {Object} view
+ * @returns {Array} [{ key, label, rows }] - option columns in option order, values that are no longer
+ *   options after them, and a "No <column>" column first when any row has no value
+ */
+export const groupRowsForBoard = (rows, groupColumn, view) => {
+  const options = groupColumn?.options || [];
+  const extra = [];
+  for (const row of rows) {
+    const value = row[groupColumn?.id];
+    if (value && !options.includes(value) && !extra.includes(value)) extra.push(value);
+  }
+  const keys = ['', ...options, ...extra];
+  const order = view?.boardOrder || {};
+  return keys
+    .map((key) => {
+      const members = rows.filter((row) => (row[groupColumn?.id] || '') === key);
+      const manual = (order[key] || []).filter((id) => members.some((row) => row.id === id));
+      const ordered = [
+        ...manual.map((id) => members.find((row) => row.id === id)),
+        ...members.filter((row) => !manual.includes(row.id)),
+      ];
+      return { key, label: key || `No ${groupColumn?.name || 'value'}`, rows: ordered };
+    })
+    .filter((group) => group.key !== '' || group.rows.length > 0);
+};
+
+/**
+ * Pure function: board order after moving a card
+ * @param {Array} groups - From groupRowsForBoard, as currently shown
+ * @param {Object} boardOrder - view.boardOrder
+ * @param {string} rowId - Card being moved
+ * @param {string} toKey - Group it is dropped in
+ * @param {string|null} beforeRowId - Card it is dropped before, or null for the end
+ * @returns {Object} New boardOrder
+ */
+export const moveBoardCard = (groups, boardOrder, rowId, toKey, beforeRowId) => {
+  const next = {};
+  for (const [key, ids] of Object.entries(boardOrder || {})) next[key] = ids.filter((id) => id !== rowId);
+  const target = (groups.find((g) => g.key === toKey)?.rows || []).map((row) => row.id).filter((id) => id !== rowId);
+  const index = beforeRowId ? target.indexOf(beforeRowId) : -1;
+  target.splice(index === -1 ? target.length : index, 0, rowId);
+  next[toKey] = target;
+  return next;
+};
+
+/**
+ * Pure function: carry board order over when an option of a column is renamed
+ */
+export const renameBoardGroup = (content, columnId, oldName, newName) => {
+  if (!content?.views?.length) return content;
+  return {
+    ...content,
+    views: content.views.map((view) => {
+      if (view.groupBy !== columnId || !view.boardOrder?.[oldName]) return view;
+      const boardOrder = { ...view.boardOrder, [newName]: view.boardOrder[oldName] };
+      delete boardOrder[oldName];
+      return { ...view, boardOrder };
+    }),
+  };
+};
+
+// --- Calendar and timeline views ---
+// Rows are placed from view.dateColumn to view.endDateColumn (a single day when there is no end
+// column or the end cell is empty). Date cells hold 'YYYY-MM-DD' keys; day arithmetic is done in
+// UTC so daylight-saving changes never shift a day.
+
+const pad = (n) => String(n).padStart(2, '0');
+const keyToUTC = (key) => {
+  const [y, m, d] = key.split('-').map(Number);
+  return Date.UTC(y, m - 1, d);
+};
+const utcToKey = (time) => {
+  const date = new Date(time);
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+};
+const DAY = 86400000;
+
+export const addDays = (key, days) => utcToKey(keyToUTC(key) + days * DAY);
+export const daysBetween = (from, to) => Math.round((keyToUTC(to) - keyToUTC(from)) / DAY);
+export const weekdayOf = (key) => new Date(keyToUTC(key)).getUTCDay();
+
+export const TIMELINE_ZOOMS = [
+  { zoom: 'day', label: 'Days', dayWidth: 40, days: 28 },
+  { zoom: 'week', label: 'Weeks', dayWidth: 16, days: 84 },
+  { zoom: 'month', label: 'Months', dayWidth: 5, days: 240 },
+];
+
+export const timelineZoom = (view) => TIMELINE_ZOOMS.find((z) => z.zoom === view?.timelineZoom) || TIMELINE_ZOOMS[0];
+
+/**
+ * Pure function: the start and end date columns of a calendar or timeline view
+ * Falls back to the first date column; the end column is only used when it is a different date column.
+ * @returns {Object} { startColumn, endColumn } - either may be null
+ */
+export const viewDateColumns = (columns, view) => {
+  const dates = columns.filter((c) => c.type === 'date');
+  const startColumn = dates.find((c) => c.id === view?.dateColumn) || dates[0] || null;
+  const endColumn = dates.find((c) => c.id === view?.endDateColumn && c.id !== startColumn?.id) || null;
+  return { startColumn, endColumn };
+};
+
+/**
+ * Pure function: the days a row covers
+ * @returns {Object|null} { start, end } date keys, or null when the row has no dates
+ */
+export const rowDateRange = (row, startColumn, endColumn) => {
+  const start = parseDateValue(row?.[startColumn?.id]);
+  const end = endColumn ? parseDateValue(row?.[endColumn.id]) : '';
+  if (!start && !end) return null;
+  if (!start || !end) return { start: start || end, end: start || end };
+  return start <= end ? { start, end } : { start: end, end: start };
+};
+
+/**
+ * Pure function: split rows into dated items and the unscheduled tray
+ * @returns {Object} { scheduled: [{ row, start, end }], unscheduled: [row] }
+ */
+export const scheduleRows = (rows, startColumn, endColumn) => {
+  const scheduled = [];
+  const unscheduled = [];
+  for (const row of rows) {
+    const range = startColumn ? rowDateRange(row, startColumn, endColumn) : null;
+    if (range) scheduled.push({ row, ...range });
+    else unscheduled.push(row);
+  }
+  return { scheduled, unscheduled };
+};
+
+/**
+ * Pure function: cell changes that move or resize a row's dates
+ * @param {Object} range - { start, end } after the move
+ * @returns {Object} { [columnId]: value }
+ */
+export const dateRangeCells = (range, startColumn, endColumn) => {
+  const start = range.start <= range.end ? range.start : range.end;
+  const end = range.start <= range.end ? range.end : range.start;
+  if (!endColumn) return { [startColumn.id]: start };
+  return { [startColumn.id]: start, [endColumn.id]: end };
+};
+
+/**
+ * Pure function: the days shown by a calendar
+ * @param {string} anchor - Any day in the month or week to show
+ * @param {string} mode - 'month' (whole weeks covering the month) or 'week'
+ * @returns {Array<Array<string>>} Weeks of date keys, Sunday first
+ */
+export const calendarWeeks = (anchor, mode = 'month') => {
+  const [year, month] = anchor.split('-').map(Number);
+  const first = mode === 'week' ? anchor : `${anchor.slice(0, 7)}-01`;
+  const start = addDays(first, -weekdayOf(first));
+  const last = mode === 'week' ? start : utcToKey(Date.UTC(year, month, 0));
+  const weeks = [];
+  for (let day = start; day <= last; day = addDays(day, 7)) {
+    weeks.push(Array.from({ length: 7 }, (_, i) => addDays(day, i)));
+  }
+  return weeks;
+};
+
+/**
+ * Pure function: bars for one calendar week
+ * Items are cut to the week and stacked into lanes so overlapping items never share one.
+ * @param {Array} items - { row, start, end } from scheduleRows
+ * @param {Array} week - Seven date keys
+ * @returns {Array} [{ item, column, span, lane, startsBefore, endsAfter }] - column 0-6
+ */
+export const layoutWeek = (items, week) => {
+  const first = week[0];
+  const last = week[week.length - 1];
+  const lanes = [];
+  return items
+    .filter((item) => item.start <= last && item.end >= first)
+    .sort((a, b) => (a.start === b.start ? daysBetween(b.start, b.end) - daysBetween(a.start, a.end) : a.start < b.start ? -1 : 1))
+    .map((item) => {
+      const from = item.start < first ? first : item.start;
+      const to = item.end > last ? last : item.end;
+      const column = daysBetween(first, from);
+      const span = daysBetween(from, to) + 1;
+      let lane = lanes.findIndex((freeFrom) => freeFrom <= column);
+      if (lane === -1) lane = lanes.length;
+      lanes[lane] = column + span;
+      return { item, column, span, lane, startsBefore: item.start < first, endsAfter: item.end > last };
+    });
+};
@@ -0,0 +1,231 @@
+// Page templates
+// A template is { id, name, description, icon, builtin?, driveFileId?, page } where page is a snapshot of a
+// page of any type without its ids or Drive state. Saved templates live in data.templates and in the
+// _templates Drive folder; built-in ones ship here. Text may use {{date}}, {{time}}, {{notebook}}, {{tab}}
+// and {{user}}, which are filled in when a page is created from the template.
+
+import { TREE_VERSION, LINK_PAGE_TYPES } from './constants';
+import { generateId } from './utils';
+import { treeToRows, normalizePageContent } from './tree-operations';
+
+const VARIABLE_RE = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Page fields that belong to one page instance, not to the template
+const INSTANCE_FIELDS = [
+  'id', 'driveFileId', 'driveLinkFileId', 'driveEtag', 'createdAt', 'modifiedAt',
+  'starred', 'conflictOf', 'contentUnavailable', 'rows', 'dailyDate',
+];
+
+export const TEMPLATE_VARIABLES = ['date', 'time', 'notebook', 'tab', 'user'];
+
+const block = (type, content) => ({ id: generateId(), type, content });
+const list = (type, items) =>
+  block(type, items.map((item) => (type === 'todo' ? `<li data-checked="false">${item}</li>` : `<li>${item}</li>`)).join(''));
+const blockPage = (blocks) => ({ type: 'block', content: { version: TREE_VERSION, children: blocks } });
+
+export const BUILTIN_TEMPLATES = [
+  {
+    id: 'builtin-meeting-notes',
+    builtin: true,
+    name: 'Meeting notes',
+    description: 'Attendees, agenda, notes and action items',
+    icon: '🗓️',
+    page: {
+      ...blockPage([
+        block('h1', 'Meeting · {{date}}'),
+        block('text', '<i>{{notebook}} / {{tab}} · notes by {{user}}</i>'),
+        block('h2', 'Attendees'),
+        list('ul', ['']),
+        block('h2', 'Agenda'),
+        list('ol', ['']),
+        block('h2', 'Notes'),
+        block('text', ''),
+        block('h2', 'Action items'),
+        list('todo', ['']),
+      ]),
+      name: 'Meeting {{date}}',
+      icon: '🗓️',
+    },
+  },
+  {
+    id: 'builtin-weekly-review',
+    builtin: true,
+    name: 'Weekly review',
+    description: 'Wins, lessons and priorities for next week',
+    icon: '🔁',
+    page: {
+      ...blockPage([
+        block('h1', 'Week of {{date}}'),
+        block('h2', 'Wins'),
+        list('ul', ['']),
+        block('h2', 'What didn’t go well'),
+        list('ul', ['']),
+        block('h2', 'Lessons'),
+        block('text', ''),
+        block('h2', 'Next week’s priorities'),
+        list('todo', ['', '', '']),
+      ]),
+      name: 'Weekly review {{date}}',
+      icon: '🔁',
+    },
+  },
+  {
+    id: 'builtin-project-tracker',
+    builtin: true,
+    name: 'Project tracker',
+    description: 'Tasks with status, owner and due date',
+    icon: '📊',
+    page: {
+      type: 'database',
+      name: 'Project tracker',
+      icon: '📊',
+      content: {
+        schema: {
+          columns: [
+            { id: 'c1', name: 'Task', type: 'text', width: 240 },
+            { id: 'c2', name: 'Status', type: 'select', width: 140, options: ['Not started', 'In progress', 'Blocked', 'Done'] },
+            { id: 'c3', name: 'Owner', type: 'text', width: 140 },
+            { id: 'c4', name: 'Due', type: 'text', width: 120 },
+            { id: 'c5', name: 'Done?', type: 'boolean', width: 80 },
+          ],
+        },
+        rows: [
+          { id: 'r1', c1: 'Kick-off', c2: 'Not started', c3: '{{user}}', c4: '{{date}}', c5: false },
+        ],
+      },
+    },
+  },
+  {
+    id: 'builtin-brainstorm',
+    builtin: true,
+    name: 'Brainstorm board',
+    description: 'Canvas with a topic and idea notes',
+    icon: '💡',
+    page: {
+      type: 'canvas',
+      name: 'Brainstorm',
+      icon: '💡',
+      canvasData: {
+        pageTitle: 'Brainstorm',
+        containers: [
+          { id: 'topic', type: 'text', x: 320, y: 80, content: '<div><b>Topic</b></div><div>{{date}}</div>', width: null },
+          { id: 'idea-1', type: 'text', x: 100, y: 260, content: '<div>Idea</div>', width: null },
+          { id: 'idea-2', type: 'text', x: 340, y: 260, content: '<div>Idea</div>', width: null },
+          { id: 'idea-3', type: 'text', x: 580, y: 260, content: '<div>Idea</div>', width: null },
+        ],
+        paths: [],
+      },
+    },
+  },
+  {
+    id: 'builtin-flowchart',
+    builtin: true,
+    name: 'Flowchart',
+    description: 'Mermaid diagram to start from',
+    icon: '🔀',
+    page: {
+      type: 'mermaid',
+      name: 'Flowchart',
+      icon: '🔀',
+      codeType: 'mermaid',
+      viewMode: 'split',
+      code: 'flowchart TD\n  A[Start] --> B{Decision}\n  B -->|Yes| C[Do it]\n  B -->|No| D[Skip]',
+      mermaidCode: 'flowchart TD\n  A[Start] --> B{Decision}\n  B -->|Yes| C[Do it]\n  B -->|No| D[Skip]',
+      mermaidViewport: { x: 0, y: 0, scale: 1 },
+    },
+  },
+];
+
+/**
+ * Pure function: turn a page into a template
+ * @param {Object} page - Page of any type
+ * @param {Object} meta - { name, description }
+ * @returns {Object} Template (without driveFileId until it is saved to Drive)
+ */
+export const pageToTemplate = (page, { name, description = '' } = {}) => {
+  const snapshot = JSON.parse(JSON.stringify(page));
+  for (const key of INSTANCE_FIELDS) delete snapshot[key];
+  if (!snapshot.type) snapshot.type = 'block';
+  // On embed pages driveFileId is the embedded Google file, which the copy should keep showing
+  if (page.embedUrl || LINK_PAGE_TYPES.includes(snapshot.type)) snapshot.driveFileId = page.driveFileId;
+  // A copy of a database page starts unbound; two pages writing the same Sheet tab would fight
+  if (snapshot.type === 'database' && snapshot.content) delete snapshot.content.sheetSync;
+  // Block pages are stored as a tree; older pages may only have rows
+  if (snapshot.type === 'block' && !page.embedUrl) snapshot.content = JSON.parse(JSON.stringify(normalizePageContent(page)));
+  return {
+    id: generateId(),
+    name: name || page.name || 'Untitled template',
+    description,
+    icon: page.icon || '📄',
+    createdAt: Date.now(),
+    page: snapshot,
+  };
+};
+
+/**
+ * Pure function: values for template variables at creation time
+ * @param {Object} context - { notebook, tab, userName, now }
+ * @returns {Object} Map of variable name to value
+ */
+export const templateVariables = ({ notebook, tab, userName, now = new Date() } = {}) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return {
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    time: `${pad(now.getHours())}:${pad(now.getMinutes())}`,
+    notebook: notebook?.name || '',
+    tab: tab?.name || '',
+    user: userName || '',
+  };
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Pure function: replace {{variable}} placeholders in a string; unknown variables are left as they are
+ * @param {string} text - Text with placeholders
+ * @param {Object} vars - Values from templateVariables
+ * @param {boolean} html - Escape values for HTML content
+ * @returns {string}
+ */
+export const fillTemplateString = (text, vars, html = false) =>
+  text.replace(VARIABLE_RE, (match, key) => (key in vars ? (html ? escapeHtml(vars[key]) : vars[key]) : match));
+
+// Block and canvas text `content` strings are HTML; everything else is plain text
+const fillDeep = (value, vars, key = null) => {
+  if (typeof value === 'string') return fillTemplateString(value, vars, key === 'content');
+  if (Array.isArray(value)) return value.map((item) => fillDeep(item, vars));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fillDeep(v, vars, k)]));
+  }
+  return value;
+};
+
+const freshBlockIds = (nodes) =>
+  (nodes || []).map((node) => (node?.children ? { ...node, id: generateId(), children: freshBlockIds(node.children) } : { ...node, id: generateId() }));
+
+/**
+ * Pure function: create a new page from a template
+ * @param {Object} template - Built-in or saved template
+ * @param {Object} vars - Values from templateVariables
+ * @returns {Object} New page with fresh ids
+ */
+export const instantiateTemplate = (template, vars) => {
+  const page = {
+    ...fillDeep(JSON.parse(JSON.stringify(template.page)), vars),
+    id: generateId(),
+    createdAt: Date.now(),
+  };
+  if (!page.name) page.name = template.name;
+  if (page.type === 'canvas' && page.canvasData) page.canvasData.pageTitle = page.name;
+  if (page.type === 'database' && page.content?.rows) {
+    page.content.rows = page.content.rows.map((row) => ({ ...row, id: generateId() }));
+  }
+  if ((page.type || 'block') === 'block' && page.content?.version === TREE_VERSION) {
+    page.content = { ...page.content, children: freshBlockIds(page.content.children) };
+    page.rows = treeToRows(page.content);
+  }
+  return page;
+};
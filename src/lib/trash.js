@@ -0,0 +1,192 @@
+// Trash bin for deleted notebooks, tabs and pages
+// Entries live in data.trash (newest first) with the deleted item, its original location and the
+// Drive ids that were moved to _STRATA_TRASH, so a restore can put both back. Pages whose content
+// is safe in their Drive file are kept as a stub (contentInDrive) and fetched back from Drive on
+// restore; pages Drive doesn't have yet (never synced, or with edits still queued) are kept whole.
+// The bin holds at most MAX_TRASH_ENTRIES entries for TRASH_DAYS; older ones are dropped for good.
+
+import { generateId } from './utils';
+
+export const TRASH_DAYS = 30;
+const MAX_TRASH_ENTRIES = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pageStub = (page) => ({
+  id: page.id,
+  name: page.name,
+  icon: page.icon,
+  type: page.type,
+  driveFileId: page.driveFileId,
+  driveEtag: page.driveEtag,
+  contentInDrive: true,
+});
+
+const mapPages = (type, item, fn) => {
+  if (type === 'page') return fn(item);
+  if (type === 'tab') return { ...item, pages: (item.pages || []).map(fn) };
+  return { ...item, tabs: (item.tabs || []).map((tab) => mapPages('tab', tab, fn)) };
+};
+
+/**
+ * Pure function: build a trash entry for an item that is being deleted
+ * @param {string} type - 'notebook' | 'tab' | 'page'
+ * @param {Object} item - The deleted notebook, tab or page
+ * @param {Object} origin - { notebook, tab, index, driveIds } where it was deleted from, and
+ *   inDrive(page), true for pages whose Drive file holds their current content
+ * @returns {Object} Trash entry
+ */
+export const createTrashEntry = (type, item, { notebook = null, tab = null, index = 0, driveIds = [], inDrive = () => false } = {}) => ({
+  id: generateId(),
+  type,
+  item: JSON.parse(JSON.stringify(mapPages(type, item, (page) => (inDrive(page) ? pageStub(page) : page)))),
+  deletedAt: Date.now(),
+  notebookId: notebook?.id || null,
+  notebookName: notebook?.name || null,
+  tabId: tab?.id || null,
+  tabName: tab?.name || null,
+  index,
+  driveIds,
+});
+
+/**
+ * Pure function: the pages of an entry that have to be fetched from Drive to restore it
+ * @param {Object} entry - Trash entry
+ * @returns {Array} Page stubs { id, name, icon, type, driveFileId, driveEtag }
+ */
+export const pagesInDrive = (entry) => {
+  const found = [];
+  mapPages(entry.type, entry.item, (page) => {
+    if (page.contentInDrive) found.push(page);
+    return page;
+  });
+  return found;
+};
+
+/**
+ * Pure function: add an entry to the bin, dropping entries past the age and count limits
+ * @param {Array} trash - data.trash
+ * @param {Object} entry - New entry
+ * @param {number} now
+ * @returns {Object} { trash, driveIds } - driveIds of the dropped entries, to delete from Drive
+ */
+export const addToTrash = (trash, entry, now = Date.now()) => {
+  const all = [entry, ...(trash || [])];
+  const kept = all.filter((e) => now - (e.deletedAt || 0) < TRASH_DAYS * DAY_MS).slice(0, MAX_TRASH_ENTRIES);
+  return {
+    trash: kept,
+    driveIds: all.filter((e) => !kept.includes(e)).flatMap((e) => e.driveIds || []),
+  };
+};
+
+/**
+ * Pure function: "Notebook › Tab" label for where an entry was deleted from
+ * @param {Object} entry - Trash entry
+ * @returns {string} Empty for notebooks
+ */
+export const trashEntryOrigin = (entry) => [entry.notebookName, entry.tabName].filter(Boolean).join(' › ');
+
+/**
+ * Pure function: number of pages an entry would bring back
+ * @param {Object} entry - Trash entry
+ * @returns {number}
+ */
+export const countTrashedPages = (entry) => {
+  if (entry.type === 'page') return 1;
+  if (entry.type === 'tab') return entry.item.pages?.length || 0;
+  return (entry.item.tabs || []).reduce((sum, tab) => sum + (tab.pages?.length || 0), 0);
+};
+
+const insertAt = (list, item, index) => {
+  const next = [...(list || [])];
+  next.splice(Math.min(Math.max(index ?? next.length, 0), next.length), 0, item);
+  return next;
+};
+
+const treeHasId = (data, id) =>
+  (data.notebooks || []).some(
+    (nb) => nb.id === id || (nb.tabs || []).some((tab) => tab.id === id || (tab.pages || []).some((page) => page.id === id))
+  );
+
+/**
+ * Pure function: put a trashed item back into the tree
+ * Tabs whose notebook is gone go to the first notebook; pages whose tab is gone go to the first tab of
+ * their notebook (or of the first notebook that has one).
+ * @param {Object} data - App data
+ * @param {string} entryId - Trash entry id
+ * @param {Map} fetched - pageId -> page read back from Drive, for every page in pagesInDrive(entry)
+ * @returns {Object|null} { data, location: { notebookId, tabId, pageId }, driveIds }, or null when
+ *   there is nowhere to restore to, a page's content is missing or the item is already back in the tree
+ */
+export const restoreFromTrash = (data, entryId, fetched = new Map()) => {
+  const stored = (data.trash || []).find((e) => e.id === entryId);
+  if (!stored || treeHasId(data, stored.item.id)) return null;
+  if (pagesInDrive(stored).some((page) => !fetched.has(page.id))) return null;
+  const entry = { ...stored, item: mapPages(stored.type, stored.item, (page) => (page.contentInDrive ? fetched.get(page.id) : page)) };
+  const trash = data.trash.filter((e) => e.id !== entryId);
+  const notebooks = data.notebooks || [];
+
+  if (entry.type === 'notebook') {
+    const notebook = entry.item;
+    const tab = notebook.tabs?.find((t) => t.id === notebook.activeTabId) || notebook.tabs?.[0];
+    return {
+      data: { ...data, trash, notebooks: insertAt(notebooks, notebook, entry.index) },
+      location: { notebookId: notebook.id, tabId: tab?.id || null, pageId: tab?.activePageId || tab?.pages?.[0]?.id || null },
+      driveIds: entry.driveIds,
+    };
+  }
+
+  if (entry.type === 'tab') {
+    const target = notebooks.find((nb) => nb.id === entry.notebookId) || notebooks[0];
+    if (!target) return null;
+    const tab = entry.item;
+    const index = target.id === entry.notebookId ? entry.index : target.tabs?.length;
+    return {
+      data: {
+        ...data,
+        trash,
+        notebooks: notebooks.map((nb) => (nb.id === target.id ? { ...nb, tabs: insertAt(nb.tabs, tab, index) } : nb)),
+      },
+      location: { notebookId: target.id, tabId: tab.id, pageId: tab.activePageId || tab.pages?.[0]?.id || null },
+      driveIds: entry.driveIds,
+    };
+  }
+
+  const original = notebooks.find((nb) => nb.id === entry.notebookId);
+  const originalTab = original?.tabs?.find((t) => t.id === entry.tabId);
+  const targetNotebook = originalTab ? original : original?.tabs?.length ? original : notebooks.find((nb) => nb.tabs?.length);
+  const targetTab = originalTab || targetNotebook?.tabs?.[0];
+  if (!targetTab) return null;
+  const page = entry.item;
+  const index = originalTab ? entry.index : targetTab.pages?.length;
+  return {
+    data: {
+      ...data,
+      trash,
+      notebooks: notebooks.map((nb) =>
+        nb.id !== targetNotebook.id
+          ? nb
+          : {
+              ...nb,
+              tabs: nb.tabs.map((tab) => (tab.id === targetTab.id ? { ...tab, pages: insertAt(tab.pages, page, index) } : tab)),
+            }
+      ),
+    },
+    location: { notebookId: targetNotebook.id, tabId: targetTab.id, pageId: page.id },
+    driveIds: entry.driveIds,
+  };
+};
+
+/**
+ * Pure function: drop entries from the trash for good
+ * @param {Object} data - App data
+ * @param {string[]} entryIds - Entries to remove (all entries when omitted)
+ * @returns {Object} { data, driveIds } - driveIds of the removed entries, to delete from Drive
+ */
+export const purgeFromTrash = (data, entryIds) => {
+  const all = data.trash || [];
+  const removed = entryIds ? all.filter((e) => entryIds.includes(e.id)) : all;
+  return {
+    data: { ...data, trash: all.filter((e) => !removed.includes(e)) },
+    driveIds: removed.flatMap((e) => e.driveIds || []),
+  };
+};
@@ -247,3 +247,17 @@ export const findBlockInRows = (rows, blockId) => {
   }
   return null;
 };
+
+/**
+ * Trigger a browser download for a Blob
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
@@ -1,9 +1,40 @@
-import { defineConfig } from 'vite'
+import { build, defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { fileURLToPath } from 'node:url'
+
+// The offline viewer (src/lib/offline-viewer.js) is a standalone HTML file with no module loader,
+// so the canvas code it shares with the app is bundled into a plain script it can embed:
+// `import script from 'virtual:offline-viewer-canvas'` gives that script as a string.
+const VIEWER_CANVAS = 'virtual:offline-viewer-canvas'
+
+const offlineViewerCanvas = () => ({
+  name: 'offline-viewer-canvas',
+  resolveId: (id) => (id === VIEWER_CANVAS ? `\0${VIEWER_CANVAS}` : null),
+  async load(id) {
+    if (id !== `\0${VIEWER_CANVAS}`) return null
+    const result = await build({
+      configFile: false,
+      logLevel: 'warn',
+      build: {
+        write: false,
+        copyPublicDir: false,
+        lib: {
+          entry: fileURLToPath(new URL('./src/lib/offline-viewer-canvas.js', import.meta.url)),
+          formats: ['iife'],
+          name: 'StrataCanvas',
+        },
+      },
+    })
+    const [chunk] = (Array.isArray(result) ? result[0] : result).output
+    for (const file of chunk.moduleIds) this.addWatchFile(file)
+    // The script is written into the viewer inside a <script> element
+    return `export default ${JSON.stringify(chunk.code.replace(/<\/script/gi, '<\\/script'))}`
+  },
+})
 
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), offlineViewerCanvas()],
   base: '/Strata-vite/',
   server: {
     port: 5175,